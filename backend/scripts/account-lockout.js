@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Account Lockout Admin Script for CleanStreak
+ *
+ * Shows and lifts failed-login lockouts for support requests.
+ *
+ * Usage:
+ *   node scripts/account-lockout.js list
+ *   node scripts/account-lockout.js status <email>
+ *   node scripts/account-lockout.js unlock <email>
+ */
+
+require('dotenv').config();
+const AccountLockoutService = require('../src/services/accountLockoutService');
+
+const lockoutService = new AccountLockoutService();
+const prisma = lockoutService.prisma;
+
+const LOCKOUT_FIELDS = {
+  id: true,
+  email: true,
+  failed_login_count: true,
+  lockout_count: true,
+  locked_until: true
+};
+
+/**
+ * Print one account's lock status
+ * @param {Object} user - User with lockout fields
+ */
+function printStatus(user) {
+  const status = lockoutService.getStatus(user);
+
+  console.log(`${user.email} (${user.id})`);
+  console.log(`  Locked:          ${status.locked ? `yes, until ${status.locked_until.toISOString()}` : 'no'}`);
+  console.log(`  Failed attempts: ${status.failed_attempts}`);
+  console.log(`  Lockouts:        ${status.lockout_count} since last successful login`);
+}
+
+/**
+ * Find a user by email or exit
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} User with lockout fields
+ */
+async function findUser(email) {
+  if (!email) {
+    console.error('An email address is required');
+    process.exit(1);
+  }
+
+  const user = await prisma.users.findUnique({
+    where: { email: email.toLowerCase() },
+    select: LOCKOUT_FIELDS
+  });
+
+  if (!user) {
+    console.error(`No account found for ${email}`);
+    process.exit(1);
+  }
+
+  return user;
+}
+
+async function main() {
+  const [command, email] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list': {
+      const users = await prisma.users.findMany({
+        where: { locked_until: { gt: new Date() } },
+        select: LOCKOUT_FIELDS,
+        orderBy: { locked_until: 'desc' }
+      });
+
+      if (users.length === 0) {
+        console.log('No accounts are locked');
+      }
+      users.forEach(printStatus);
+      break;
+    }
+
+    case 'status':
+      printStatus(await findUser(email));
+      break;
+
+    case 'unlock': {
+      const user = await findUser(email);
+      await lockoutService.unlock(user.id);
+      console.log(`Unlocked ${user.email}`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/account-lockout.js <list|status|unlock> [email]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main()
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Breached Password List Build Script for CleanStreak
+ *
+ * Turns a plain list of breached or common passwords (one per line) into the
+ * compressed lookup file used by checkBreachedPassword() in src/utils/password.js:
+ * the first 4 bytes of the SHA-1 of each lowercased password, sorted, de-duplicated
+ * and gzipped. Only hash prefixes are bundled, so the file can't be read back as a
+ * password list, and a million entries fit in about 4 MB.
+ *
+ * The bundled file is built from scripts/data/common-passwords.list. To check against
+ * a larger list (e.g. a top-100k breach corpus), build from that list instead.
+ *
+ * Usage:
+ *   node scripts/build-password-list.js [input-file] [output-file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildPasswordPrefixes, BREACHED_PASSWORDS_FILE } = require('../src/utils/password');
+
+const inputFile = process.argv[2] || path.join(__dirname, 'data', 'common-passwords.list');
+const outputFile = process.argv[3] || BREACHED_PASSWORDS_FILE;
+
+const passwords = fs.readFileSync(inputFile, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(Boolean);
+
+const compressed = buildPasswordPrefixes(passwords);
+
+fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+fs.writeFileSync(outputFile, compressed);
+
+console.log(`Read ${passwords.length} passwords from ${inputFile}`);
+console.log(`Wrote ${compressed.length} bytes to ${outputFile}`);
@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * VAPID Key Generation Script for CleanStreak Web Push Reminders
+ *
+ * Prints a new P-256 key pair in the format expected by
+ * VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY.
+ *
+ * Usage:
+ *   node scripts/generate-vapid-keys.js
+ */
+
+const { generateVapidKeys } = require('../src/utils/webPush');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
@@ -13,7 +13,7 @@ const {
 } = require('./middleware/errorHandler');
 
 // Import advanced security middleware
-const { initializeSecurity } = require('./middleware/security');
+const { initializeSecurity, csrfProtection } = require('./middleware/security');
 const {
   generalLimiter,
   authLimiters,
@@ -24,6 +24,8 @@ const {
   sanitizeAllInput,
   checkMaliciousContent
 } = require('./middleware/validation');
+const { startReminderScheduler } = require('./services/reminderScheduler');
+const { startAuditRetentionScheduler } = require('./services/auditRetentionScheduler');
 
 const app = express();
 
@@ -55,18 +57,25 @@ app.use(detectSuspiciousActivity);
 // General API rate limiting
 app.use('/api/', generalLimiter);
 
+// CSRF token check for cookie-authenticated writes (needs cookieParser)
+app.use('/api/', csrfProtection);
+
 // Import route modules
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const roomRoutes = require('./routes/rooms');
 const keystoneRoutes = require('./routes/keystones');
 const taskRoutes = require('./routes/tasks');
+const householdRoutes = require('./routes/households');
+const notificationRoutes = require('./routes/notifications');
 
 // API routes with enhanced security
 // Authentication routes with specific rate limiting
 app.use('/api/auth/login', authLimiters.login);
 app.use('/api/auth/register', authLimiters.register);
 app.use('/api/auth/refresh', authLimiters.tokenRefresh);
+app.use('/api/auth/forgot-password', authLimiters.passwordReset);
+app.use('/api/auth/reset-password', authLimiters.passwordReset);
 app.use('/api/auth', authRoutes);
 
 // User routes with operation-specific rate limiting
@@ -80,6 +89,8 @@ app.use('/api/user', userRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api/keystone-tasks', keystoneRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler for unmatched routes
 app.use('*', notFoundHandler);
@@ -105,6 +116,12 @@ if (require.main === module) {
 
     logger.info('CleanStreak Backend Server Started', serverInfo);
 
+    // Push reminders for today's task (no-op until VAPID keys are configured)
+    startReminderScheduler({ intervalMinutes: config.PUSH_REMINDER_INTERVAL_MINUTES });
+
+    // Purge security audit events past their retention period
+    startAuditRetentionScheduler({ intervalHours: config.AUDIT_RETENTION_INTERVAL_HOURS });
+
     // Pretty console output for development
     if (config.NODE_ENV === 'development') {
       console.log('='.repeat(60));
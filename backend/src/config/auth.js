@@ -65,7 +65,14 @@ const authRateLimit = {
   passwordReset: {
     windowMs: isTestEnv ? 60 * 1000 : 60 * 60 * 1000, // 1 minute in tests, 1 hour in production
     max: 3, // 3 password reset attempts per hour
-    skipSuccessfulRequests: true
+    skipSuccessfulRequests: false // forgot-password always answers 200, so every request must count
+  },
+
+  // Magic link sign-in emails
+  magicLink: {
+    windowMs: isTestEnv ? 60 * 1000 : 15 * 60 * 1000, // 1 minute in tests, 15 minutes in production
+    max: 3, // 3 sign-in links per window
+    skipSuccessfulRequests: false // magic-link always answers 200, so every request must count
   }
 };
 
@@ -50,6 +50,56 @@ const config = {
   EMAIL_VERIFICATION_URL: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:8080/verify-email',
   VERIFICATION_TOKEN_EXPIRY_HOURS: parseInt(process.env.VERIFICATION_TOKEN_EXPIRY_HOURS, 10) || 24,
 
+  // Password reset
+  PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || 'http://localhost:8080/reset-password',
+  PASSWORD_RESET_TOKEN_EXPIRY_MINUTES: parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES, 10) || 60,
+
+  // Email change confirmation
+  EMAIL_CHANGE_URL: process.env.EMAIL_CHANGE_URL || 'http://localhost:8080/app.html',
+  EMAIL_CHANGE_TOKEN_EXPIRY_HOURS: parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRY_HOURS, 10) || 24,
+
+  // Account lockout after repeated failed logins
+  LOGIN_LOCKOUT_THRESHOLD: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10,
+  LOGIN_LOCKOUT_BASE_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5,
+  LOGIN_LOCKOUT_MAX_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 1440,
+  ACCOUNT_UNLOCK_URL: process.env.ACCOUNT_UNLOCK_URL || 'http://localhost:8080/app.html',
+
+  // Magic link sign-in
+  MAGIC_LINK_URL: process.env.MAGIC_LINK_URL || 'http://localhost:8080/app.html',
+  MAGIC_LINK_TOKEN_EXPIRY_MINUTES: parseInt(process.env.MAGIC_LINK_TOKEN_EXPIRY_MINUTES, 10) || 15,
+
+  // Refresh token reuse detection
+  REFRESH_TOKEN_REUSE_GRACE_SECONDS: parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10) || 10,
+
+  // Security audit log
+  AUDIT_EVENT_RETENTION_DAYS: parseInt(process.env.AUDIT_EVENT_RETENTION_DAYS, 10) || 365,
+  AUDIT_RETENTION_INTERVAL_HOURS: parseInt(process.env.AUDIT_RETENTION_INTERVAL_HOURS, 10) || 24,
+
+  // Two-factor authentication
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'CleanStreak',
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  TWO_FACTOR_MAX_ATTEMPTS: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5,
+
+  // Household invites
+  HOUSEHOLD_INVITE_URL: process.env.HOUSEHOLD_INVITE_URL || 'http://localhost:8080/app.html',
+
+  // Streak freezes
+  STREAK_FREEZE_EARN_INTERVAL_DAYS: parseInt(process.env.STREAK_FREEZE_EARN_INTERVAL_DAYS, 10) || 7,
+  STREAK_FREEZE_MAX_BANKED: parseInt(process.env.STREAK_FREEZE_MAX_BANKED, 10) || 2,
+  STREAK_GRACE_HOURS: parseInt(process.env.STREAK_GRACE_HOURS, 10) || 0,
+
+  // Vacation pauses
+  PAUSE_MAX_DAYS: parseInt(process.env.PAUSE_MAX_DAYS, 10) || 60,
+
+  // Completion undo
+  COMPLETION_UNDO_WINDOW_MINUTES: parseInt(process.env.COMPLETION_UNDO_WINDOW_MINUTES, 10) || 5,
+
+  // Web Push reminders (push is disabled until both VAPID keys are set)
+  VAPID_PUBLIC_KEY: process.env.VAPID_PUBLIC_KEY,
+  VAPID_PRIVATE_KEY: process.env.VAPID_PRIVATE_KEY,
+  VAPID_SUBJECT: process.env.VAPID_SUBJECT || 'mailto:support@cleanstreak.com',
+  PUSH_REMINDER_INTERVAL_MINUTES: parseInt(process.env.PUSH_REMINDER_INTERVAL_MINUTES, 10) || 5,
+
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || (NODE_ENV === 'production' ? 'info' : 'debug'),
 
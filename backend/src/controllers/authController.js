@@ -1,9 +1,22 @@
 const bcrypt = require('bcrypt');
 const { createId } = require('@paralleldrive/cuid2');
 const { prisma } = require('../config/prisma');
-const { generateTokenPair, verifyAccessToken, verifyRefreshToken, clearAuthCookies, setAuthCookies } = require('../utils/jwt');
-const { hashPassword, comparePassword, validatePasswordStrength } = require('../utils/password');
+const { generateTokenPair, generateAccessToken, generateChallengeToken, verifyAccessToken, verifyRefreshToken, clearAuthCookies, setAuthCookies } = require('../utils/jwt');
+const { hashPassword, comparePassword, validatePasswordStrength, checkBreachedPassword } = require('../utils/password');
 const { validateRegistrationData, validateLoginData, validateEmail, sanitizeString } = require('../utils/validation');
+const SessionService = require('../services/sessionService');
+const AccountLockoutService = require('../services/accountLockoutService');
+const EmailChangeService = require('../services/emailChangeService');
+const AuditService = require('../services/auditService');
+const TwoFactorService = require('../services/twoFactorService');
+const { logger } = require('../utils/logger');
+const { issueCsrfToken, CSRF_COOKIE_NAME } = require('../middleware/security');
+
+const sessionService = new SessionService();
+const lockoutService = new AccountLockoutService();
+const emailChangeService = new EmailChangeService();
+const auditService = new AuditService();
+const twoFactorService = new TwoFactorService();
 
 class AuthController {
   /**
@@ -47,6 +60,12 @@ class AuthController {
         });
       }
 
+      // Reject passwords from breach lists or built from the email address
+      const breachCheck = checkBreachedPassword(password, { email: sanitizedEmail });
+      if (breachCheck.isBreached) {
+        return AuthController.sendBreachedPassword(res, breachCheck);
+      }
+
       // Hash password
       const hashedPassword = await hashPassword(password);
 
@@ -63,16 +82,19 @@ class AuthController {
       });
 
       // Generate JWT tokens (user.token_version defaults to 1 from schema)
+      // The session ID is embedded so the session can be revoked from another device
+      const sessionId = createId();
       const tokens = generateTokenPair({
         userId: user.id,
         email: user.email,
-        tokenVersion: user.token_version || 1
+        tokenVersion: user.token_version || 1,
+        sessionId
       });
 
       // Create session record
       const session = await prisma.user_sessions.create({
         data: {
-          id: createId(),
+          id: sessionId,
           user_id: user.id,
           refresh_token: tokens.refreshToken.token,
           expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
@@ -84,6 +106,9 @@ class AuthController {
 
       // Set HTTP-only cookies
       setAuthCookies(res, tokens.accessToken.token, tokens.refreshToken.token);
+      issueCsrfToken(res);
+
+      await auditService.record('account_created', { userId: user.id, req });
 
       // Generate and send verification email (non-blocking)
       try {
@@ -123,6 +148,20 @@ class AuthController {
     }
   }
 
+  /**
+   * Reject a password that failed checkBreachedPassword()
+   * @param {Object} res - Express response object
+   * @param {Object} breachCheck - Result of checkBreachedPassword()
+   */
+  static sendBreachedPassword(res, breachCheck) {
+    return res.status(400).json({
+      error: 'Password validation failed',
+      code: 'WEAK_PASSWORD_BREACHED',
+      message: breachCheck.message,
+      details: [breachCheck.message]
+    });
+  }
+
   /**
    * Login user
    * POST /api/auth/login
@@ -154,75 +193,76 @@ class AuthController {
           created_at: true,
           last_login: true,
           email_verified: true,
-          email_verified_at: true
+          email_verified_at: true,
+          totp_enabled_at: true,
+          failed_login_count: true,
+          lockout_count: true,
+          locked_until: true
         }
       });
 
       if (!user) {
+        await auditService.record('login', {
+          req,
+          outcome: 'failure',
+          metadata: { method: 'password', reason: 'unknown_email' }
+        });
+
         return res.status(401).json({
           error: 'Authentication failed',
           message: 'Invalid email or password'
         });
       }
 
-      // Verify password
+      // Verify password (even when locked, so a locked account answers as slowly as any other)
       const isPasswordValid = await comparePassword(password, user.password_hash);
-      if (!isPasswordValid) {
+
+      // A locked account gets the same answer as a wrong password, so lockouts
+      // don't reveal which emails are registered
+      if (lockoutService.isLocked(user)) {
+        logger.security('login_while_locked', {
+          userId: user.id,
+          lockedUntil: user.locked_until,
+          ip: req.ip
+        });
+
+        await auditService.record('login', {
+          userId: user.id,
+          req,
+          outcome: 'failure',
+          metadata: { method: 'password', reason: 'account_locked' }
+        });
+
         return res.status(401).json({
           error: 'Authentication failed',
           message: 'Invalid email or password'
         });
       }
 
-      // Update last login
-      await prisma.users.update({
-        where: { id: user.id },
-        data: {
-          last_login: new Date(),
-          updated_at: new Date()
-        }
-      });
-
-      // Deactivate existing sessions for this user
-      await prisma.user_sessions.updateMany({
-        where: {
-          user_id: user.id,
-          is_active: true
-        },
-        data: { is_active: false }
-      });
+      if (!isPasswordValid) {
+        const lockout = await lockoutService.recordFailure(user.id);
 
-      // Generate new JWT tokens with current token version
-      const tokens = generateTokenPair({
-        userId: user.id,
-        email: user.email,
-        tokenVersion: user.token_version || 1
-      });
+        await auditService.record('login', {
+          userId: user.id,
+          req,
+          outcome: 'failure',
+          metadata: { method: 'password', reason: 'invalid_password' }
+        });
 
-      // Create new session record
-      const session = await prisma.user_sessions.create({
-        data: {
-          id: createId(),
-          user_id: user.id,
-          refresh_token: tokens.refreshToken.token,
-          expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-          is_active: true,
-          device_info: req.get('User-Agent') || 'Unknown',
-          ip_address: req.ip || req.connection.remoteAddress || 'Unknown'
+        if (lockout.unlockToken) {
+          AuthController.notifyAccountLocked(req, user, lockout);
         }
-      });
 
-      // Set HTTP-only cookies
-      setAuthCookies(res, tokens.accessToken.token, tokens.refreshToken.token);
+        return res.status(401).json({
+          error: 'Authentication failed',
+          message: 'Invalid email or password'
+        });
+      }
 
-      // Return success response (exclude password)
-      const { password_hash: _, ...userResponse } = user;
+      // Failures are only cleared once any second factor is accepted too (in startSession)
+      const { failed_login_count: _, lockout_count: __, locked_until: ___, ...signInUser } = user;
 
-      res.status(200).json({
-        message: 'Login successful',
-        user: userResponse,
-        sessionId: session.id
-      });
+      await AuthController.completeFirstFactor(req, res, signInUser, 'password');
 
     } catch (error) {
       console.error('Login error:', error);
@@ -233,23 +273,175 @@ class AuthController {
     }
   }
 
+  /**
+   * Log a new lockout and email the owner an unlock link
+   * The email is not awaited, so the failed login that caused the lock answers
+   * as quickly as any other.
+   * @param {Object} req - Express request object
+   * @param {Object} user - Locked user with id and email
+   * @param {Object} lockout - { lockedUntil, unlockToken } from recordFailure
+   */
+  static notifyAccountLocked(req, user, lockout) {
+    logger.security('account_locked', {
+      userId: user.id,
+      lockedUntil: lockout.lockedUntil,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    auditService.record('account_locked', {
+      userId: user.id,
+      req,
+      outcome: 'failure',
+      metadata: { locked_until: lockout.lockedUntil }
+    });
+
+    const emailService = require('../services/emailService');
+    emailService.sendAccountLockedEmail(user, lockout.unlockToken, lockout.lockedUntil)
+      .catch(emailError => {
+        console.error('Failed to send account locked email:', emailError);
+        // The lock still lifts on its own when it expires
+      });
+  }
+
+  /**
+   * Finish sign-in after a password or magic link has been accepted
+   * With two-factor enabled this only earns a challenge token; the session
+   * starts once POST /api/auth/2fa/verify accepts a code.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} user - User record including token_version and totp_enabled_at
+   * @param {string} method - How the first factor was proven ('password' or 'magic_link'), for the audit log
+   */
+  static async completeFirstFactor(req, res, user, method = 'password') {
+    if (user.totp_enabled_at) {
+      // Wrong codes count towards the lockout, so a locked account gets no new challenges
+      const { locked_until: lockedUntil } = await prisma.users.findUnique({
+        where: { id: user.id },
+        select: { locked_until: true }
+      });
+      if (lockoutService.isLocked({ locked_until: lockedUntil })) {
+        return AuthController.sendAccountLocked(res);
+      }
+
+      const challenge = generateChallengeToken({
+        userId: user.id,
+        tokenVersion: user.token_version || 1
+      });
+      await twoFactorService.createChallenge(user.id, challenge);
+
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challenge_token: challenge.token,
+        expires_at: challenge.expiresAt
+      });
+    }
+
+    await AuthController.startSession(req, res, user, method);
+  }
+
+  /**
+   * Refuse a sign-in step because the account is locked
+   * @param {Object} res - Express response object
+   */
+  static sendAccountLocked(res) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'ACCOUNT_LOCKED',
+      message: 'Too many failed sign-in attempts. Try again later or use the unlock link we emailed you.'
+    });
+  }
+
+  /**
+   * Create a session for a fully authenticated user and send the login response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} user - User record (password_hash and totp_enabled_at are left out of the response)
+   * @param {string} method - Sign-in method recorded in the audit log
+   */
+  static async startSession(req, res, user, method = 'password') {
+    await lockoutService.recordSuccess(user.id);
+
+    // Update last login
+    await prisma.users.update({
+      where: { id: user.id },
+      data: {
+        last_login: new Date(),
+        updated_at: new Date()
+      }
+    });
+
+    // Sessions on other devices stay signed in; they can be revoked
+    // individually via DELETE /api/user/sessions/:id or all at once via logout-all
+
+    // Generate new JWT tokens with current token version
+    const sessionId = createId();
+    const tokens = generateTokenPair({
+      userId: user.id,
+      email: user.email,
+      tokenVersion: user.token_version || 1,
+      sessionId
+    });
+
+    // Create new session record
+    const session = await prisma.user_sessions.create({
+      data: {
+        id: sessionId,
+        user_id: user.id,
+        refresh_token: tokens.refreshToken.token,
+        expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+        is_active: true,
+        device_info: req.get('User-Agent') || 'Unknown',
+        ip_address: req.ip || req.connection.remoteAddress || 'Unknown'
+      }
+    });
+
+    // Set HTTP-only cookies
+    setAuthCookies(res, tokens.accessToken.token, tokens.refreshToken.token);
+    issueCsrfToken(res);
+
+    await auditService.record('login', {
+      userId: user.id,
+      req,
+      metadata: { method, session_id: session.id }
+    });
+
+    // Return success response (exclude password and two-factor fields)
+    const { password_hash: _, totp_enabled_at: __, ...userResponse } = user;
+
+    res.status(200).json({
+      message: 'Login successful',
+      user: userResponse,
+      sessionId: session.id
+    });
+  }
+
   /**
    * Logout user
    * POST /api/auth/logout
    */
   static async logout(req, res) {
     try {
-      const { userId } = req.user || {};
+      const { userId, sessionId } = req.user || {};
 
       if (userId) {
-        // Deactivate all sessions for this user
+        // Deactivate this device's session; tokens issued before session IDs
+        // were embedded can't be matched to one, so those end every session
         await prisma.user_sessions.updateMany({
           where: {
             user_id: userId,
-            is_active: true
+            is_active: true,
+            ...(sessionId ? { id: sessionId } : {})
           },
           data: { is_active: false }
         });
+
+        await auditService.record('logout', {
+          userId,
+          req,
+          metadata: sessionId ? { session_id: sessionId } : null
+        });
       }
 
       // Clear auth cookies
@@ -320,7 +512,25 @@ class AuthController {
       });
 
       if (!session) {
+        // Another tab refreshed with this token moments ago: answer with the session's current one
+        const rotatedSession = await sessionService.findRecentlyRotatedSession(refreshToken);
+        if (rotatedSession) {
+          return AuthController.sendRefreshedSession(req, res, rotatedSession);
+        }
+
         clearAuthCookies(res);
+
+        // A token this session already rotated away from has been copied
+        const reuse = await sessionService.findReusedRefreshToken(refreshToken);
+        if (reuse) {
+          await AuthController.handleRefreshTokenReuse(req, reuse);
+          return res.status(401).json({
+            error: 'Refresh token reused',
+            code: 'REFRESH_TOKEN_REUSED',
+            message: 'This session was signed out for your security. Please login again.'
+          });
+        }
+
         return res.status(401).json({
           error: 'Session expired',
           message: 'Please login again'
@@ -331,21 +541,33 @@ class AuthController {
       const tokens = generateTokenPair({
         userId: session.users.id,
         email: session.users.email,
-        tokenVersion: session.users.token_version || 1
+        tokenVersion: session.users.token_version || 1,
+        sessionId: session.id
       });
 
-      // Update session with new refresh token
-      await prisma.user_sessions.update({
-        where: { id: session.id },
-        data: {
-          refresh_token: tokens.refreshToken.token,
-          expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-          last_accessed: new Date()
+      // Update session with new refresh token, keeping the old one for reuse detection
+      const rotated = await sessionService.rotateRefreshToken(
+        session,
+        tokens.refreshToken.token,
+        new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+      );
+
+      if (!rotated) {
+        // A concurrent refresh with the same token got there first
+        const rotatedSession = await sessionService.findRecentlyRotatedSession(refreshToken);
+        if (!rotatedSession) {
+          clearAuthCookies(res);
+          return res.status(401).json({
+            error: 'Session expired',
+            message: 'Please login again'
+          });
         }
-      });
+        return AuthController.sendRefreshedSession(req, res, rotatedSession);
+      }
 
-      // Set new HTTP-only cookies
+      // Set new HTTP-only cookies; other tabs keep working with the same CSRF token
       setAuthCookies(res, tokens.accessToken.token, tokens.refreshToken.token);
+      issueCsrfToken(res, req.cookies?.[CSRF_COOKIE_NAME]);
 
       res.status(200).json({
         message: 'Tokens refreshed successfully',
@@ -362,6 +584,93 @@ class AuthController {
     }
   }
 
+  /**
+   * Answer a refresh with a session's current refresh token and a new access token
+   * Used when the presented token was rotated away from within the grace window.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} session - Active user_sessions record with users
+   */
+  static sendRefreshedSession(req, res, session) {
+    const accessToken = generateAccessToken({
+      userId: session.users.id,
+      email: session.users.email,
+      tokenVersion: session.users.token_version || 1,
+      sessionId: session.id
+    });
+
+    setAuthCookies(res, accessToken.token, session.refresh_token);
+    issueCsrfToken(res, req.cookies?.[CSRF_COOKIE_NAME]);
+
+    res.status(200).json({
+      message: 'Tokens refreshed successfully',
+      user: session.users
+    });
+  }
+
+  /**
+   * Revoke a refresh-token family whose superseded token was presented again,
+   * then log it and warn the user by email
+   * @param {Object} req - Express request object
+   * @param {Object} reuse - Result of SessionService.findReusedRefreshToken()
+   */
+  static async handleRefreshTokenReuse(req, reuse) {
+    const ipAddress = req.ip || req.connection.remoteAddress || 'Unknown';
+
+    logger.security('refresh_token_reuse', {
+      userId: reuse.userId,
+      sessionId: reuse.sessionId,
+      sessionActive: reuse.sessionActive,
+      supersededAt: reuse.supersededAt,
+      ip: ipAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    await auditService.record('refresh_token_reuse', {
+      userId: reuse.userId,
+      req,
+      outcome: 'failure',
+      metadata: { session_id: reuse.sessionId, session_revoked: reuse.sessionActive }
+    });
+
+    // Replays against an already revoked family were handled the first time
+    if (!reuse.sessionActive) {
+      return;
+    }
+
+    await sessionService.revokeFamily(reuse.userId, reuse.sessionId);
+
+    try {
+      const user = await prisma.users.findUnique({
+        where: { id: reuse.userId },
+        select: { id: true, email: true }
+      });
+
+      const emailService = require('../services/emailService');
+      await emailService.sendRefreshTokenReuseEmail(user, {
+        deviceLabel: reuse.device.label,
+        ipAddress,
+        detectedAt: new Date()
+      });
+    } catch (emailError) {
+      console.error('Failed to send refresh token reuse email:', emailError);
+      // The family is already revoked - the email is only a heads-up
+    }
+  }
+
+  /**
+   * Get the CSRF token for this browser, issuing one if needed
+   * Lets a reloaded page recover the token it must send with state-changing requests
+   * GET /api/auth/csrf-token
+   */
+  static async csrfToken(req, res) {
+    const token = issueCsrfToken(res, req.cookies?.[CSRF_COOKIE_NAME]);
+
+    res.status(200).json({
+      csrf_token: token
+    });
+  }
+
   /**
    * Get current user information
    * GET /api/auth/me
@@ -377,7 +686,10 @@ class AuthController {
           id: true,
           email: true,
           created_at: true,
-          last_login: true
+          last_login: true,
+          failed_login_count: true,
+          lockout_count: true,
+          locked_until: true
         }
       });
 
@@ -388,6 +700,8 @@ class AuthController {
         });
       }
 
+      const { failed_login_count: _, lockout_count: __, locked_until: ___, ...userResponse } = user;
+
       // Get active session info
       const activeSession = await prisma.user_sessions.findFirst({
         where: {
@@ -409,8 +723,9 @@ class AuthController {
       });
 
       res.status(200).json({
-        user,
-        session: activeSession
+        user: userResponse,
+        session: activeSession,
+        lockout: lockoutService.getStatus(user)
       });
 
     } catch (error) {
@@ -440,6 +755,8 @@ class AuthController {
       const emailService = require('../services/emailService');
       const user = await emailService.verifyEmailToken(token);
 
+      await auditService.record('email_verified', { userId: user.id, req });
+
       res.status(200).json({
         message: 'Email verified successfully',
         user: {
@@ -518,6 +835,438 @@ class AuthController {
       });
     }
   }
+
+  /**
+   * Email a passwordless sign-in link
+   * POST /api/auth/magic-link
+   */
+  static async requestMagicLink(req, res) {
+    // Same response whether or not the account exists (don't reveal registered emails)
+    const genericResponse = {
+      message: 'If that email is registered, a sign-in link has been sent'
+    };
+
+    try {
+      const { email } = req.body;
+
+      // validateEmail rejects non-strings too, before anything calls string methods on it
+      if (!validateEmail(email).isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      const sanitizedEmail = sanitizeString(email.trim().toLowerCase());
+
+      const user = await prisma.users.findUnique({
+        where: { email: sanitizedEmail },
+        select: { id: true, email: true }
+      });
+
+      if (!user) {
+        return res.status(200).json(genericResponse);
+      }
+
+      const emailService = require('../services/emailService');
+      const magicToken = await emailService.generateMagicLinkToken(user.id);
+
+      try {
+        await emailService.sendMagicLinkEmail(user, magicToken);
+      } catch (emailError) {
+        console.error('Failed to send magic link email:', emailError);
+        // Still return the generic response - the user can request another link
+      }
+
+      res.status(200).json(genericResponse);
+
+    } catch (error) {
+      console.error('Magic link request error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to send sign-in link. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Sign in with an emailed magic link token
+   * GET /api/auth/magic-link/verify?token=xxx
+   */
+  static async verifyMagicLink(req, res) {
+    try {
+      const { token } = req.query;
+
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          error: 'Sign-in token required',
+          message: 'Please provide a sign-in token'
+        });
+      }
+
+      const emailService = require('../services/emailService');
+      const magicToken = await emailService.consumeMagicLinkToken(token);
+
+      // Getting the link proves the user controls the address
+      const user = await prisma.users.update({
+        where: { id: magicToken.user_id },
+        data: {
+          email_verified: true,
+          email_verified_at: new Date(),
+          updated_at: new Date()
+        },
+        select: {
+          id: true,
+          email: true,
+          token_version: true,
+          created_at: true,
+          last_login: true,
+          email_verified: true,
+          email_verified_at: true,
+          totp_enabled_at: true
+        }
+      });
+
+      logger.auth('magic_link_sign_in', { userId: user.id, ip: req.ip });
+
+      await AuthController.completeFirstFactor(req, res, user, 'magic_link');
+
+    } catch (error) {
+      console.error('Magic link sign-in error:', error);
+
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The sign-in link is invalid'
+        });
+      }
+
+      if (error.message.includes('already been used')) {
+        return res.status(400).json({
+          error: 'Token already used',
+          message: 'This sign-in link has already been used. Please request a new one.'
+        });
+      }
+
+      if (error.message.includes('expired')) {
+        return res.status(400).json({
+          error: 'Token expired',
+          message: 'The sign-in link has expired. Please request a new one.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Sign-in failed. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Unlock an account with the emailed unlock token
+   * POST /api/auth/unlock
+   */
+  static async unlockAccount(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          error: 'Unlock token required',
+          message: 'Please provide an unlock token'
+        });
+      }
+
+      const userId = await lockoutService.unlockWithToken(token);
+
+      logger.security('account_unlocked', { userId, method: 'email_link', ip: req.ip });
+      await auditService.record('account_unlocked', { userId, req, metadata: { method: 'email_link' } });
+
+      res.status(200).json({
+        message: 'Account unlocked. You can sign in again.'
+      });
+
+    } catch (error) {
+      console.error('Account unlock error:', error);
+
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The unlock link is invalid'
+        });
+      }
+
+      if (error.message.includes('already been used')) {
+        return res.status(400).json({
+          error: 'Token already used',
+          message: 'This unlock link has already been used.'
+        });
+      }
+
+      if (error.message.includes('expired')) {
+        return res.status(400).json({
+          error: 'Token expired',
+          message: 'The unlock link has expired. The lock lifts on its own, or you can sign in with an emailed sign-in link.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Account unlock failed. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Confirm an email change with the token sent to the new address
+   * POST /api/auth/confirm-email-change
+   */
+  static async confirmEmailChange(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          error: 'Confirmation token required',
+          message: 'Please provide an email change token'
+        });
+      }
+
+      const change = await emailChangeService.confirmChange(token);
+
+      logger.security('email_changed', {
+        userId: change.userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      await auditService.record('email_changed', {
+        userId: change.userId,
+        req,
+        metadata: { old_email: change.oldEmail, new_email: change.newEmail }
+      });
+
+      // Every session was signed out, including this browser's if it had one
+      clearAuthCookies(res);
+
+      res.status(200).json({
+        message: 'Email changed successfully. Please sign in with your new email.',
+        email: change.newEmail
+      });
+
+    } catch (error) {
+      console.error('Confirm email change error:', error);
+
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The email change link is invalid'
+        });
+      }
+
+      if (error.message.includes('already been used')) {
+        return res.status(400).json({
+          error: 'Token already used',
+          message: 'This email change link has already been used.'
+        });
+      }
+
+      if (error.message.includes('expired')) {
+        return res.status(400).json({
+          error: 'Token expired',
+          message: 'The email change link has expired. Please request the change again.'
+        });
+      }
+
+      if (error.message.includes('already in use')) {
+        return res.status(409).json({
+          error: 'User already exists',
+          message: 'An account with this email already exists'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Email change failed. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * POST /api/auth/forgot-password
+   */
+  static async forgotPassword(req, res) {
+    // Same response whether or not the account exists (don't reveal registered emails)
+    const genericResponse = {
+      message: 'If that email is registered, a password reset link has been sent'
+    };
+
+    try {
+      const { email } = req.body;
+
+      // validateEmail rejects non-strings too, before anything calls string methods on it
+      if (!validateEmail(email).isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      const sanitizedEmail = sanitizeString(email.trim().toLowerCase());
+
+      const user = await prisma.users.findUnique({
+        where: { email: sanitizedEmail },
+        select: { id: true, email: true }
+      });
+
+      res.status(200).json(genericResponse);
+
+      // The token and email are handled after the response, so known and unknown
+      // emails take equally long to answer
+      if (user) {
+        AuthController.sendPasswordReset(user);
+      }
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to process password reset request. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Create a password reset token and email it to the user
+   * Never throws: it runs after the response has been sent.
+   * @param {Object} user - User with id and email
+   * @returns {Promise<void>}
+   */
+  static async sendPasswordReset(user) {
+    try {
+      const emailService = require('../services/emailService');
+      const resetToken = await emailService.generatePasswordResetToken(user.id);
+      await emailService.sendPasswordResetEmail(user, resetToken);
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      // The user can request another link
+    }
+  }
+
+  /**
+   * Reset password using an emailed reset token
+   * POST /api/auth/reset-password
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { token, password, confirmPassword } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({
+          error: 'Reset token required',
+          message: 'Please provide a password reset token'
+        });
+      }
+
+      if (!password) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Password is required']
+        });
+      }
+
+      if (confirmPassword !== undefined && password !== confirmPassword) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Passwords do not match']
+        });
+      }
+
+      const passwordValidation = validatePasswordStrength(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          error: 'Password validation failed',
+          details: passwordValidation.errors
+        });
+      }
+
+      const emailService = require('../services/emailService');
+      const resetToken = await emailService.verifyPasswordResetToken(token);
+
+      const breachCheck = checkBreachedPassword(password, { email: resetToken.users.email });
+      if (breachCheck.isBreached) {
+        return AuthController.sendBreachedPassword(res, breachCheck);
+      }
+
+      const hashedPassword = await hashPassword(password);
+
+      await prisma.$transaction(async (tx) => {
+        // Tokens are single-use; claiming it first means a concurrent reset with the same token aborts
+        const claimed = await tx.password_reset_tokens.updateMany({
+          where: { id: resetToken.id, used_at: null },
+          data: { used_at: new Date() }
+        });
+
+        if (claimed.count === 0) {
+          throw new Error('Password reset token has already been used');
+        }
+
+        // Bump token_version so every outstanding access token is rejected
+        await tx.users.update({
+          where: { id: resetToken.user_id },
+          data: {
+            password_hash: hashedPassword,
+            token_version: { increment: 1 },
+            updated_at: new Date()
+          }
+        });
+
+        // Log out every device
+        await tx.user_sessions.updateMany({
+          where: { user_id: resetToken.user_id },
+          data: { is_active: false }
+        });
+      });
+
+      await auditService.record('password_reset', { userId: resetToken.user_id, req });
+
+      clearAuthCookies(res);
+
+      res.status(200).json({
+        message: 'Password reset successfully. Please sign in with your new password.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+
+      if (error.message.includes('Invalid')) {
+        return res.status(400).json({
+          error: 'Invalid token',
+          message: 'The password reset link is invalid'
+        });
+      }
+
+      if (error.message.includes('already been used')) {
+        return res.status(400).json({
+          error: 'Token already used',
+          message: 'This password reset link has already been used. Please request a new one.'
+        });
+      }
+
+      if (error.message.includes('expired')) {
+        return res.status(400).json({
+          error: 'Token expired',
+          message: 'The password reset link has expired. Please request a new one.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Password reset failed. Please try again.'
+      });
+    }
+  }
 }
 
 module.exports = AuthController;
\ No newline at end of file
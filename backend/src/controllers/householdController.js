@@ -0,0 +1,233 @@
+const HouseholdService = require('../services/householdService');
+
+// Instantiate service
+const householdService = new HouseholdService();
+
+class HouseholdController {
+  /**
+   * Get the user's household and its members
+   * GET /api/households/me
+   */
+  static async getHousehold(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const household = await householdService.getHousehold(userId);
+
+      res.status(200).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('Get household error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve household. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Create a household around the user's current rooms and rotation
+   * POST /api/households
+   */
+  static async createHousehold(req, res) {
+    try {
+      const { userId } = req.user;
+      const { name } = req.body;
+
+      const household = await householdService.createHousehold(userId, name);
+
+      res.status(201).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('Create household error:', error);
+      HouseholdController.sendError(res, error, 'Failed to create household. Please try again.');
+    }
+  }
+
+  /**
+   * Join a household with an invite code
+   * POST /api/households/join
+   */
+  static async joinHousehold(req, res) {
+    try {
+      const { userId } = req.user;
+      const { inviteCode } = req.body;
+
+      if (!inviteCode || typeof inviteCode !== 'string') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'inviteCode is required'
+        });
+      }
+
+      const household = await householdService.joinHousehold(userId, inviteCode);
+
+      res.status(200).json({
+        success: true,
+        household
+      });
+
+    } catch (error) {
+      console.error('Join household error:', error);
+      HouseholdController.sendError(res, error, 'Failed to join household. Please try again.');
+    }
+  }
+
+  /**
+   * Leave the user's household
+   * POST /api/households/leave
+   */
+  static async leaveHousehold(req, res) {
+    try {
+      const { userId } = req.user;
+
+      await householdService.leaveHousehold(userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Left household successfully'
+      });
+
+    } catch (error) {
+      console.error('Leave household error:', error);
+      HouseholdController.sendError(res, error, 'Failed to leave household. Please try again.');
+    }
+  }
+
+  /**
+   * Email an invite link to join the household
+   * POST /api/households/invites
+   */
+  static async sendInvite(req, res) {
+    try {
+      const { userId } = req.user;
+      const { email } = req.body;
+
+      await householdService.sendInvite(userId, email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invite sent successfully'
+      });
+
+    } catch (error) {
+      console.error('Send household invite error:', error);
+
+      if (error.message.includes('household invite email') || error.message.includes('not configured')) {
+        return res.status(503).json({
+          error: 'Service unavailable',
+          message: 'Invite email could not be sent. Share the invite code instead.'
+        });
+      }
+
+      HouseholdController.sendError(res, error, 'Failed to send invite. Please try again.');
+    }
+  }
+
+  /**
+   * Replace the household invite code
+   * POST /api/households/invite-code
+   */
+  static async regenerateInviteCode(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const inviteCode = await householdService.regenerateInviteCode(userId);
+
+      res.status(200).json({
+        success: true,
+        invite_code: inviteCode
+      });
+
+    } catch (error) {
+      console.error('Regenerate invite code error:', error);
+      HouseholdController.sendError(res, error, 'Failed to regenerate invite code. Please try again.');
+    }
+  }
+
+  /**
+   * Remove a member from the household
+   * DELETE /api/households/members/:userId
+   */
+  static async removeMember(req, res) {
+    try {
+      const { userId } = req.user;
+
+      await householdService.removeMember(userId, req.params.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Member removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove household member error:', error);
+      HouseholdController.sendError(res, error, 'Failed to remove member. Please try again.');
+    }
+  }
+
+  /**
+   * Disband the household; members go back to their own rooms
+   * DELETE /api/households
+   */
+  static async disbandHousehold(req, res) {
+    try {
+      const { userId } = req.user;
+
+      await householdService.disbandHousehold(userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Household disbanded successfully'
+      });
+
+    } catch (error) {
+      console.error('Disband household error:', error);
+      HouseholdController.sendError(res, error, 'Failed to disband household. Please try again.');
+    }
+  }
+
+  /**
+   * Map household service errors to HTTP responses
+   * @param {Object} res - Express response
+   * @param {Error} error - Service error
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  static sendError(res, error, fallbackMessage) {
+    if (error.message.includes('not found') || error.message.includes('Invalid invite code')) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('already belongs')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('must be between') ||
+        error.message.includes('Invalid email') ||
+        error.message.includes('cannot leave')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: fallbackMessage
+    });
+  }
+}
+
+module.exports = HouseholdController;
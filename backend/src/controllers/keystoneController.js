@@ -12,7 +12,7 @@ class KeystoneController {
    */
   static async getUserKeystones(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const activeOnly = req.query.active_only === 'true';
 
       const keystones = await keystoneService.getUserKeystones(userId, activeOnly);
@@ -38,7 +38,7 @@ class KeystoneController {
    */
   static async initializeKeystones(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { keystones } = req.body;
 
       // Validate keystones if provided
@@ -99,7 +99,7 @@ class KeystoneController {
    */
   static async updateKeystone(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { id } = req.params;
       const updates = {};
 
@@ -134,6 +134,25 @@ class KeystoneController {
         updates.sortOrder = sortOrder;
       }
 
+      // Frequency: every N days or N times per week (null clears back to once per cycle)
+      for (const field of ['frequencyDays', 'timesPerWeek']) {
+        if (req.body[field] !== undefined) {
+          const value = req.body[field] === null ? null : Number(req.body[field]);
+          if (value !== null && !Number.isInteger(value)) {
+            return res.status(400).json({
+              error: 'Validation failed',
+              message: `${field} must be an integer or null`
+            });
+          }
+          updates[field] = value;
+        }
+      }
+
+      // Estimated duration in minutes (null clears back to the built-in estimate)
+      if (req.body.estimatedMinutes !== undefined) {
+        updates.estimatedMinutes = req.body.estimatedMinutes === null ? null : Number(req.body.estimatedMinutes);
+      }
+
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({
           error: 'Validation failed',
@@ -158,6 +177,15 @@ class KeystoneController {
 
     } catch (error) {
       console.error('Update keystone error:', error);
+
+      if (error.message.includes('frequencyDays') || error.message.includes('timesPerWeek') ||
+        error.message.includes('Estimated minutes')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         error: 'Internal server error',
         message: 'Failed to update keystone task. Please try again.'
@@ -171,7 +199,7 @@ class KeystoneController {
    */
   static async addKeystonesForRoom(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { keystones } = req.body;
 
       // Validate keystones
@@ -0,0 +1,119 @@
+const NotificationService = require('../services/notificationService');
+
+// Instantiate service
+const notificationService = new NotificationService();
+
+class NotificationController {
+  /**
+   * Get push reminder settings
+   * GET /api/notifications
+   */
+  static async getSettings(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const settings = await notificationService.getSettings(userId);
+
+      res.status(200).json({
+        success: true,
+        settings
+      });
+
+    } catch (error) {
+      console.error('Get notification settings error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve notification settings. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Save a browser push subscription and reminder time
+   * POST /api/notifications/subscriptions
+   */
+  static async subscribe(req, res) {
+    try {
+      const { userId } = req.user;
+      const { subscription, reminderTime } = req.body;
+
+      const settings = await notificationService.subscribe(
+        userId,
+        subscription,
+        reminderTime,
+        req.get('User-Agent')
+      );
+
+      res.status(201).json({
+        success: true,
+        settings,
+        message: `Reminders on at ${settings.reminder_time}`
+      });
+
+    } catch (error) {
+      console.error('Push subscribe error:', error);
+      NotificationController.sendError(res, error, 'Failed to save push subscription. Please try again.');
+    }
+  }
+
+  /**
+   * Remove a push subscription
+   * DELETE /api/notifications/subscriptions
+   */
+  static async unsubscribe(req, res) {
+    try {
+      const { userId } = req.user;
+      const { endpoint } = req.body || {};
+
+      const removed = await notificationService.unsubscribe(userId, endpoint);
+
+      res.status(200).json({
+        success: true,
+        removed,
+        message: 'Push subscription removed'
+      });
+
+    } catch (error) {
+      console.error('Push unsubscribe error:', error);
+      NotificationController.sendError(res, error, 'Failed to remove push subscription. Please try again.');
+    }
+  }
+
+  /**
+   * Map notification service errors to HTTP responses
+   * @param {Object} res - Express response
+   * @param {Error} error - Service error
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  static sendError(res, error, fallbackMessage) {
+    if (error.message.includes('not configured')) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'Push notifications are not available on this server.'
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid push subscription') ||
+        error.message.includes('HH:MM') ||
+        error.message.includes('Maximum of')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: fallbackMessage
+    });
+  }
+}
+
+module.exports = NotificationController;
@@ -1,10 +1,12 @@
 const { createId } = require('@paralleldrive/cuid2');
 const { prisma } = require('../config/prisma');
 const RoomService = require('../services/roomService');
+const DeepCleanService = require('../services/deepCleanService');
 const { sanitizeString } = require('../utils/validation');
 
-// Instantiate service
+// Instantiate services
 const roomService = new RoomService();
+const deepCleanService = new DeepCleanService();
 
 class RoomController {
   /**
@@ -13,8 +15,8 @@ class RoomController {
    */
   static async createRoom(req, res) {
     try {
-      const { userId } = req.user;
-      const { roomType, customName, hasGlass } = req.body;
+      const { homeUserId: userId } = req.household;
+      const { roomType, customName, hasGlass, pillars } = req.body;
 
       // Validate required fields
       if (!roomType || !customName) {
@@ -39,7 +41,9 @@ class RoomController {
       const room = await roomService.createRoom(userId, {
         roomType: roomType.toLowerCase(),
         customName: sanitizedName,
-        hasGlass: hasGlass !== undefined ? hasGlass : true
+        // Every pillar unless pillars (or the older hasGlass toggle) says otherwise
+        hasGlass: hasGlass !== undefined ? Boolean(hasGlass) : undefined,
+        pillars
       });
 
       res.status(201).json({
@@ -50,7 +54,7 @@ class RoomController {
     } catch (error) {
       console.error('Create room error:', error);
 
-      if (error.message.includes('Invalid room type')) {
+      if (error.message.includes('Invalid room type') || error.message.includes('pillars')) {
         return res.status(400).json({
           error: 'Validation failed',
           message: error.message
@@ -70,7 +74,7 @@ class RoomController {
    */
   static async getUserRooms(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const includeInactive = req.query.include_inactive === 'true';
 
       const rooms = await roomService.getUserRooms(userId, includeInactive);
@@ -95,7 +99,7 @@ class RoomController {
    */
   static async getRoomById(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { id } = req.params;
 
       const room = await roomService.getRoomById(id, userId);
@@ -127,7 +131,7 @@ class RoomController {
    */
   static async updateRoom(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { id } = req.params;
       const updates = {};
 
@@ -147,10 +151,21 @@ class RoomController {
         updates.hasGlass = Boolean(req.body.hasGlass);
       }
 
+      if (req.body.pillars !== undefined) {
+        updates.pillars = req.body.pillars;
+      }
+
       if (req.body.isActive !== undefined) {
         updates.isActive = Boolean(req.body.isActive);
       }
 
+      // Weight: visits per cycle (1-3) or every N cycles (1-4); null resets to once per cycle
+      for (const field of ['visitsPerCycle', 'cycleInterval']) {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field] === null ? null : Number(req.body[field]);
+        }
+      }
+
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({
           error: 'Validation failed',
@@ -175,6 +190,15 @@ class RoomController {
 
     } catch (error) {
       console.error('Update room error:', error);
+
+      if (error.message.includes('visitsPerCycle') || error.message.includes('cycleInterval') ||
+        error.message.includes('pillars')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         error: 'Internal server error',
         message: 'Failed to update room. Please try again.'
@@ -188,7 +212,7 @@ class RoomController {
    */
   static async deleteRoom(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const { id } = req.params;
 
       const success = await roomService.deleteRoom(id, userId);
@@ -220,7 +244,7 @@ class RoomController {
    */
   static async reorderRooms(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       // Accept both roomIds (from tests) and room_order (API spec)
       const room_order = req.body.roomIds || req.body.room_order;
 
@@ -254,6 +278,387 @@ class RoomController {
       });
     }
   }
+
+  /**
+   * Get built-in and custom room types available to the user
+   * GET /api/rooms/types
+   */
+  static async getRoomTypes(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+
+      const customTypes = await roomService.getCustomRoomTypes(userId);
+
+      res.status(200).json({
+        built_in: roomService.getValidRoomTypes(),
+        custom: customTypes
+      });
+
+    } catch (error) {
+      console.error('Get room types error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve room types. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Create a custom room type with its own pillar descriptions
+   * POST /api/rooms/types
+   */
+  static async createRoomType(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const typeData = RoomController.sanitizeRoomTypeBody(req.body);
+
+      const roomType = await roomService.createCustomRoomType(userId, typeData);
+
+      res.status(201).json({
+        success: true,
+        room_type: roomType
+      });
+
+    } catch (error) {
+      console.error('Create room type error:', error);
+
+      if (error.message.includes('Invalid room type data')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('already exists')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to create room type. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Update a custom room type's name or pillar descriptions
+   * PUT /api/rooms/types/:typeKey
+   */
+  static async updateRoomType(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { typeKey } = req.params;
+      const updates = RoomController.sanitizeRoomTypeBody(req.body);
+
+      const roomType = await roomService.updateCustomRoomType(userId, typeKey, updates);
+
+      res.status(200).json({
+        success: true,
+        room_type: roomType,
+        message: 'Room type updated. Changes will apply after completing current cycle.'
+      });
+
+    } catch (error) {
+      console.error('Update room type error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room type not found'
+        });
+      }
+
+      if (error.message.includes('Invalid room type data') || error.message.includes('No valid updates')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to update room type. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Delete a custom room type that no room uses
+   * DELETE /api/rooms/types/:typeKey
+   */
+  static async deleteRoomType(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { typeKey } = req.params;
+
+      await roomService.deleteCustomRoomType(userId, typeKey);
+
+      res.status(200).json({
+        success: true,
+        message: 'Room type deleted'
+      });
+
+    } catch (error) {
+      console.error('Delete room type error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room type not found'
+        });
+      }
+
+      if (error.message.includes('in use')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `${error.message}. Delete or change those rooms first.`
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete room type. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Pick and sanitize the custom room type fields from a request body
+   * @param {Object} body - Request body
+   * @returns {Object} Fields present in the body, sanitized
+   * @private
+   */
+  static sanitizeRoomTypeBody(body) {
+    const typeData = {};
+    for (const field of ['name', 'glassTemplate', 'surfacesTemplate', 'floorTemplate']) {
+      if (body[field] !== undefined) {
+        typeData[field] = typeof body[field] === 'string' ? sanitizeString(body[field]) : body[field];
+      }
+    }
+    return typeData;
+  }
+
+  /**
+   * Get pillar task templates for a room
+   * GET /api/rooms/:id/templates
+   */
+  static async getRoomTemplates(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { id } = req.params;
+
+      const templates = await roomService.getRoomTemplates(id, userId);
+
+      res.status(200).json({
+        room_id: id,
+        templates
+      });
+
+    } catch (error) {
+      console.error('Get room templates error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room not found or you do not have access to it'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve room templates. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Set a custom task template and/or estimated duration for one pillar of a room
+   * PUT /api/rooms/:id/templates/:pillarType
+   */
+  static async updateRoomTemplate(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { id, pillarType } = req.params;
+      const { description, estimatedMinutes } = req.body;
+
+      // Either field can be sent alone; a request with neither is a missing description
+      const setsMinutes = estimatedMinutes !== undefined;
+      const setsDescription = description !== undefined || !setsMinutes;
+
+      const sanitizedDescription = setsDescription ? sanitizeString(description) : null;
+      if (setsDescription && (sanitizedDescription.length < 1 || sanitizedDescription.length > 200)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Template description must be between 1 and 200 characters'
+        });
+      }
+
+      let template = null;
+      if (setsMinutes) {
+        template = await roomService.setRoomTaskMinutes(
+          id,
+          userId,
+          pillarType,
+          estimatedMinutes === null ? null : Number(estimatedMinutes)
+        );
+      }
+      if (setsDescription) {
+        template = await roomService.setRoomTemplate(id, userId, pillarType, sanitizedDescription);
+      }
+
+      res.status(200).json({
+        success: true,
+        template,
+        message: setsDescription
+          ? 'Task template saved. Changes will apply after completing current cycle.'
+          : 'Estimated time saved.'
+      });
+
+    } catch (error) {
+      console.error('Update room template error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room not found or you do not have access to it'
+        });
+      }
+
+      if (error.message.includes('Invalid pillar type') || error.message.includes('Template description') ||
+          error.message.includes('Estimated minutes')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to save task template. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Remove a custom task template, reverting to the built-in one
+   * DELETE /api/rooms/:id/templates/:pillarType
+   */
+  static async deleteRoomTemplate(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { id, pillarType } = req.params;
+
+      const removed = await roomService.deleteRoomTemplate(id, userId, pillarType);
+
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'No custom template set for this pillar'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Task template reset to default. Changes will apply after completing current cycle.'
+      });
+
+    } catch (error) {
+      console.error('Delete room template error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room not found or you do not have access to it'
+        });
+      }
+
+      if (error.message.includes('Invalid pillar type')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to reset task template. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Get the deep-clean catalog for each room with the household's settings and due dates
+   * GET /api/rooms/deep-cleans
+   */
+  static async getDeepCleanTasks(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+
+      const deepCleans = await deepCleanService.listDeepCleanTasks(userId);
+
+      res.status(200).json({
+        deep_cleans: deepCleans
+      });
+
+    } catch (error) {
+      console.error('Get deep-clean tasks error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to retrieve deep-clean tasks. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Turn a deep-clean task on or off for a room, or set its interval or last-done date
+   * PUT /api/rooms/:id/deep-cleans/:taskKey
+   */
+  static async updateDeepCleanTask(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { id, taskKey } = req.params;
+      const { isActive, intervalDays, lastDoneDate } = req.body;
+
+      const deepClean = await deepCleanService.updateDeepCleanTask(userId, id, taskKey, {
+        isActive,
+        intervalDays,
+        lastDoneDate
+      });
+
+      res.status(200).json({
+        success: true,
+        deep_clean: deepClean,
+        message: 'Deep-clean task saved. Due tasks are added when the next rotation is generated.'
+      });
+
+    } catch (error) {
+      console.error('Update deep-clean task error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          message: 'Room not found or you do not have access to it'
+        });
+      }
+
+      if (error.message.includes('Unknown deep-clean task') || error.message.includes('isActive') ||
+          error.message.includes('intervalDays') || error.message.includes('lastDoneDate') ||
+          error.message.includes('No valid updates')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to save deep-clean task. Please try again.'
+      });
+    }
+  }
 }
 
 module.exports = RoomController;
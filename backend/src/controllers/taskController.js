@@ -2,11 +2,19 @@ const { prisma } = require('../config/prisma');
 const TaskProgressService = require('../services/taskProgressService');
 const TaskGenerationService = require('../services/taskGenerationService');
 const RoomService = require('../services/roomService');
+const StreakService = require('../services/streakService');
+const PauseService = require('../services/pauseService');
+const { getLocalDayKey, addDaysToKey } = require('../utils/timezone');
 
 // Instantiate services
 const taskGenerationService = new TaskGenerationService();
 const taskProgressService = new TaskProgressService();
 const roomService = new RoomService();
+const streakService = new StreakService();
+const pauseService = new PauseService();
+
+// Largest daily time budget accepted by GET /api/tasks/today
+const MAX_BUDGET_MINUTES = 480;
 
 class TaskController {
   /**
@@ -15,7 +23,7 @@ class TaskController {
    */
   static async getCurrentTask(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
 
       // Check if user has configured rooms
       const hasRooms = await roomService.hasConfiguredRooms(userId);
@@ -28,6 +36,19 @@ class TaskController {
         });
       }
 
+      // No task while the requesting user is on a vacation pause
+      const pause = await pauseService.getActivePause(req.user.userId);
+
+      if (pause) {
+        return res.status(200).json({
+          task: null,
+          paused: true,
+          pause,
+          hasConfiguredRooms: true,
+          message: `Paused until ${pause.end_date}. Your streaks are safe.`
+        });
+      }
+
       // Get current task from rotation
       const task = await taskProgressService.getCurrentTask(userId);
 
@@ -78,6 +99,7 @@ class TaskController {
         pillar: task.pillar_type,  // Use 'pillar' to match test expectations
         pillar_type: task.pillar_type,  // Keep for backward compatibility
         keystone_type: task.keystone_type,
+        deep_clean_type: task.deep_clean_type,
         position: task.sequence_position,
         total_tasks: totalTasks
       };
@@ -108,7 +130,7 @@ class TaskController {
    */
   static async previewTasks(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
       const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
 
       // Check if user has configured rooms
@@ -165,11 +187,30 @@ class TaskController {
       const roomIds = [...new Set(tasks.filter(t => t.room_id).map(t => t.room_id))];
       const rooms = roomIds.length > 0 ? await prisma.user_rooms.findMany({
         where: { id: { in: roomIds } },
-        select: { id: true, custom_name: true, room_type: true }
+        select: { id: true, custom_name: true, room_type: true, visits_per_cycle: true, cycle_interval: true }
       }) : [];
 
       // Create a room lookup map
       const roomMap = new Map(rooms.map(r => [r.id, r]));
+      const taskMinutes = await taskProgressService.getTaskMinutes(userId, tasks);
+
+      // Which visit to its room each pillar task belongs to (rooms can be visited more than once a cycle)
+      const rotationPillarTasks = await prisma.task_rotation.findMany({
+        where: {
+          user_id: userId,
+          rotation_version: progress.current_rotation_version,
+          task_type: 'pillar'
+        },
+        orderBy: { sequence_position: 'asc' },
+        select: { room_id: true, pillar_type: true, sequence_position: true }
+      });
+      const visitCounts = new Map();
+      const visitNumbers = new Map();
+      for (const task of rotationPillarTasks) {
+        const key = `${task.room_id}:${task.pillar_type}`;
+        visitCounts.set(key, (visitCounts.get(key) || 0) + 1);
+        visitNumbers.set(task.sequence_position, visitCounts.get(key));
+      }
 
       // Format tasks
       const formattedTasks = tasks.map(task => {
@@ -180,19 +221,68 @@ class TaskController {
           room: room ? {
             id: room.id,
             name: room.custom_name,
-            type: room.room_type
+            type: room.room_type,
+            visits_per_cycle: room.visits_per_cycle,
+            cycle_interval: room.cycle_interval
           } : null,
           pillar_type: task.pillar_type,
           keystone_type: task.keystone_type,
+          deep_clean_type: task.deep_clean_type,
           position: task.sequence_position,
+          room_visit: task.task_type === 'pillar' && room ? visitNumbers.get(task.sequence_position) : null,
+          estimated_minutes: taskMinutes.get(task.id),
           is_current: task.sequence_position === progress.current_task_index
         };
       });
 
+      // When each keystone next comes up, assuming one task is completed per day
+      // (dates follow the requesting member's own timezone)
+      const [schedule, deepCleanSchedule, user] = await Promise.all([
+        taskGenerationService.getKeystoneSchedule(
+          userId,
+          progress.current_rotation_version,
+          progress.current_task_index
+        ),
+        taskGenerationService.getDeepCleanSchedule(
+          userId,
+          progress.current_rotation_version,
+          progress.current_task_index
+        ),
+        prisma.users.findUnique({
+          where: { id: req.user.userId },
+          select: { timezone: true }
+        })
+      ]);
+      const todayKey = getLocalDayKey(new Date(), user?.timezone);
+
+      const keystoneSchedule = schedule.map(({ keystone, next_position, tasks_until_due }) => ({
+        keystone_type: keystone.task_type,
+        name: keystone.custom_name,
+        frequency_days: keystone.frequency_days,
+        times_per_week: keystone.times_per_week,
+        next_position,
+        tasks_until_due,
+        next_due_date: tasks_until_due !== null ? addDaysToKey(todayKey, tasks_until_due) : null
+      }));
+
+      // Deep cleans coming due this month (due dates are from the household's last-done dates)
+      const deepCleansDue = deepCleanSchedule.map(({ deepClean, next_position, tasks_until_due }) => ({
+        task_key: deepClean.task_key,
+        description: deepClean.description,
+        room: deepClean.room,
+        last_done_date: deepClean.last_done_date,
+        next_due_date: deepClean.next_due_date,
+        days_until_due: deepClean.days_until_due,
+        next_position,
+        tasks_until_due
+      }));
+
       res.status(200).json({
         preview: formattedTasks,
         current_position: progress.current_task_index,
-        total_tasks: totalTasks
+        total_tasks: totalTasks,
+        keystone_schedule: keystoneSchedule,
+        deep_cleans_due: deepCleansDue
       });
 
     } catch (error) {
@@ -204,13 +294,191 @@ class TaskController {
     }
   }
 
+  /**
+   * Get the run of upcoming tasks that fits a daily time budget
+   * GET /api/tasks/today?minutes=15
+   */
+  static async getTodayTasks(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const budgetMinutes = Number(req.query.minutes);
+
+      if (!Number.isInteger(budgetMinutes) || budgetMinutes < 1 || budgetMinutes > MAX_BUDGET_MINUTES) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'INVALID_MINUTES',
+          message: `minutes must be a whole number between 1 and ${MAX_BUDGET_MINUTES}`
+        });
+      }
+
+      const hasRooms = await roomService.hasConfiguredRooms(userId);
+
+      if (!hasRooms) {
+        return res.status(200).json({
+          tasks: [],
+          hasConfiguredRooms: false,
+          message: 'No rooms configured. Please configure your home to get personalized tasks.'
+        });
+      }
+
+      const pause = await pauseService.getActivePause(req.user.userId);
+
+      if (pause) {
+        return res.status(200).json({
+          tasks: [],
+          paused: true,
+          pause,
+          hasConfiguredRooms: true,
+          message: `Paused until ${pause.end_date}. Your streaks are safe.`
+        });
+      }
+
+      const plan = await taskProgressService.getTasksForBudget(userId, budgetMinutes);
+
+      if (!plan) {
+        return res.status(200).json({
+          tasks: [],
+          hasConfiguredRooms: true,
+          message: 'No task rotation found. Please configure your rooms.'
+        });
+      }
+
+      const tasks = await Promise.all(plan.tasks.map(async task => ({
+        ...await TaskController.formatNextTask(userId, task),
+        estimated_minutes: task.estimated_minutes
+      })));
+
+      let message = null;
+      if (tasks.length === 0) {
+        message = `The next task takes about ${plan.nextTaskMinutes} minutes, more than the ${budgetMinutes} you have.`;
+      }
+
+      res.status(200).json({
+        tasks,
+        hasConfiguredRooms: true,
+        budget_minutes: budgetMinutes,
+        total_minutes: plan.totalMinutes,
+        remaining_minutes: plan.remainingMinutes,
+        next_task_minutes: plan.nextTaskMinutes,
+        message
+      });
+
+    } catch (error) {
+      console.error('Get today tasks error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to pick tasks for today. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Complete a run of tasks from GET /api/tasks/today and advance past all of them
+   * POST /api/tasks/today/complete
+   */
+  static async completeTodayTasks(req, res) {
+    try {
+      const { homeUserId } = req.household;
+      const { userId } = req.user;
+      const { taskIds } = req.body;
+
+      if (!Array.isArray(taskIds) || taskIds.length === 0 ||
+          taskIds.length > taskProgressService.maxBudgetTasks ||
+          !taskIds.every(id => typeof id === 'string')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'INVALID_TASK_IDS',
+          message: `taskIds must be an array of 1 to ${taskProgressService.maxBudgetTasks} task IDs`
+        });
+      }
+
+      // The tasks must be the run starting at the current task, in rotation order
+      const progress = await taskProgressService.getProgress(homeUserId);
+      const upcoming = progress ? await prisma.task_rotation.findMany({
+        where: {
+          user_id: homeUserId,
+          rotation_version: progress.current_rotation_version,
+          sequence_position: { gte: progress.current_task_index }
+        },
+        orderBy: { sequence_position: 'asc' },
+        take: taskIds.length
+      }) : [];
+
+      if (upcoming.length !== taskIds.length || upcoming.some((task, i) => task.id !== taskIds[i])) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'ROTATION_MOVED_ON',
+          message: 'These are no longer the next tasks in the rotation. Refresh and try again.'
+        });
+      }
+
+      // Credit each task to the member who did it. The completions and the advance
+      // past them are saved together or not at all: any failure rolls back the batch.
+      const completions = [];
+      let streak = null;
+      const nextTask = await taskProgressService.completeRotationTasks(homeUserId, taskIds, async (tx) => {
+        for (const task of upcoming) {
+          // A room visited twice in the run repeats its task names
+          const result = await streakService.completeTask(userId, task.task_description, new Date(), null, {
+            client: tx,
+            allowRepeat: true
+          });
+          completions.push({ task, completion: result.completion });
+          streak = result.streak;
+        }
+        return completions.map(({ completion }) => completion.id);
+      });
+
+      res.status(201).json({
+        success: true,
+        completed: completions.map(({ task, completion }) => ({
+          id: completion.id,
+          task_rotation_id: task.id,
+          task_name: task.task_description,
+          completed_at: completion.completedDate
+        })),
+        streak: streak ? {
+          current_streak: streak.currentStreak,
+          longest_streak: streak.bestStreak,
+          freezes_available: streak.freezesAvailable
+        } : null,
+        next_task: await TaskController.formatNextTask(homeUserId, nextTask),
+        message: `Completed ${completions.length} of ${taskIds.length} tasks`
+      });
+
+    } catch (error) {
+      console.error('Complete today tasks error:', error);
+
+      if (error.message.includes('moved on')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'ROTATION_MOVED_ON',
+          message: 'These are no longer the next tasks in the rotation. Refresh and try again.'
+        });
+      }
+
+      if (error.message.includes('already completed today')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'TASK_ALREADY_COMPLETED',
+          message: 'The first of these tasks has already been completed today'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to complete tasks. Please try again.'
+      });
+    }
+  }
+
   /**
    * Force regeneration of task rotation (admin/debug)
    * POST /api/tasks/regenerate
    */
   static async regenerateRotation(req, res) {
     try {
-      const { userId } = req.user;
+      const { homeUserId: userId } = req.household;
 
       // Check if user has configured rooms
       const hasRooms = await roomService.hasConfiguredRooms(userId);
@@ -262,6 +530,205 @@ class TaskController {
       });
     }
   }
+
+  /**
+   * Skip the current task, moving it to the end of the rotation
+   * POST /api/tasks/current/skip
+   */
+  static async skipCurrentTask(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { reason } = req.body;
+
+      const result = await taskProgressService.skipCurrentTask(userId, req.user.userId, reason);
+
+      res.status(200).json({
+        success: true,
+        deferral: TaskController.formatDeferral(result.deferral),
+        next_task: await TaskController.formatNextTask(userId, result.nextTask),
+        message: 'Task moved to the end of your rotation'
+      });
+
+    } catch (error) {
+      console.error('Skip task error:', error);
+      TaskController.sendDeferralError(res, error, 'Failed to skip task. Please try again.');
+    }
+  }
+
+  /**
+   * Snooze the current task for a number of days
+   * POST /api/tasks/current/snooze
+   */
+  static async snoozeCurrentTask(req, res) {
+    try {
+      const { homeUserId: userId } = req.household;
+      const { reason } = req.body;
+      const days = req.body.days === undefined ? 1 : Number(req.body.days);
+
+      const result = await taskProgressService.snoozeCurrentTask(userId, req.user.userId, days, reason);
+
+      res.status(200).json({
+        success: true,
+        deferral: TaskController.formatDeferral(result.deferral),
+        next_task: await TaskController.formatNextTask(userId, result.nextTask),
+        message: `Task snoozed for ${days} day${days === 1 ? '' : 's'}`
+      });
+
+    } catch (error) {
+      console.error('Snooze task error:', error);
+      TaskController.sendDeferralError(res, error, 'Failed to snooze task. Please try again.');
+    }
+  }
+
+  /**
+   * Undo the user's most recent completion and rewind the rotation to that task
+   * POST /api/tasks/undo
+   */
+  static async undoLastCompletion(req, res) {
+    try {
+      const { homeUserId } = req.household;
+      const { userId } = req.user;
+
+      const completion = await taskProgressService.getUndoableCompletion(userId);
+      if (!completion) {
+        return res.status(404).json({
+          error: 'Not found',
+          code: 'NOTHING_TO_UNDO',
+          message: `Nothing to undo. Completions can only be undone within ${taskProgressService.undoWindowMinutes} minutes.`
+        });
+      }
+
+      // Rewind first (deleting the completion also deletes its advance record), in one
+      // transaction so a failed delete leaves the rotation where it was
+      const rotationRewound = await prisma.$transaction(async (tx) => {
+        const rewound = await taskProgressService.rewindCompletion(completion.id, userId, tx);
+        await streakService.deleteCompletion(userId, completion.id, tx);
+        return rewound;
+      });
+
+      const streak = await streakService.getUserStreak(userId, completion.task_name);
+      const currentTask = await taskProgressService.getCurrentTask(homeUserId);
+
+      res.status(200).json({
+        success: true,
+        undone: {
+          completion_id: completion.id,
+          task_name: completion.task_name
+        },
+        rotation_rewound: rotationRewound,
+        streak: {
+          current_streak: streak ? streak.currentStreak : 0,
+          longest_streak: streak ? streak.bestStreak : 0
+        },
+        task: await TaskController.formatNextTask(homeUserId, currentTask),
+        message: 'Completion undone'
+      });
+
+    } catch (error) {
+      console.error('Undo completion error:', error);
+
+      if (error.message.includes('moved on')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'ROTATION_MOVED_ON',
+          message: 'Another task has been completed since, so this one can no longer be undone.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to undo completion. Please try again.'
+      });
+    }
+  }
+
+  /**
+   * Format a deferral record for API responses
+   * @param {Object} deferral - task_deferrals record
+   * @returns {Object} Deferral summary
+   */
+  static formatDeferral(deferral) {
+    return {
+      id: deferral.id,
+      action: deferral.action,
+      reason: deferral.reason,
+      snooze_days: deferral.snooze_days,
+      task_description: deferral.task_description,
+      created_at: deferral.created_at
+    };
+  }
+
+  /**
+   * Format the task that is now current, matching next_task from POST /api/user/complete
+   * @param {string} userId - User ID that keys the rotation
+   * @param {Object|null} task - task_rotation record
+   * @returns {Promise<Object|null>} Formatted task
+   */
+  static async formatNextTask(userId, task) {
+    if (!task) {
+      return null;
+    }
+
+    let roomInfo = null;
+    if (task.room_id) {
+      const room = await prisma.user_rooms.findUnique({
+        where: { id: task.room_id },
+        select: { id: true, custom_name: true, room_type: true }
+      });
+      roomInfo = room ? { id: room.id, name: room.custom_name, type: room.room_type } : null;
+    }
+
+    const totalTasks = await prisma.task_rotation.count({
+      where: { user_id: userId, rotation_version: task.rotation_version }
+    });
+
+    return {
+      id: task.id,
+      description: task.task_description,
+      task_type: task.task_type,
+      room: roomInfo,
+      pillar_type: task.pillar_type,
+      keystone_type: task.keystone_type,
+      deep_clean_type: task.deep_clean_type,
+      position: task.sequence_position,
+      total_tasks: totalTasks
+    };
+  }
+
+  /**
+   * Map skip/snooze errors to HTTP responses
+   * @param {Object} res - Express response
+   * @param {Error} error - Service error
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  static sendDeferralError(res, error, fallbackMessage) {
+    if (error.message.includes('Reason must be') || error.message.includes('Snooze days must be')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('No current task')) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'No current task. Configure your rooms to start a rotation.'
+      });
+    }
+
+    if (error.message.includes('moved on')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        code: 'ROTATION_MOVED_ON',
+        message: 'This is no longer the current task in the rotation. Refresh and try again.'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: fallbackMessage
+    });
+  }
 }
 
 module.exports = TaskController;
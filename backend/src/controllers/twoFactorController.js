@@ -0,0 +1,308 @@
+const { prisma } = require('../config/prisma');
+const TwoFactorService = require('../services/twoFactorService');
+const AuditService = require('../services/auditService');
+const AccountLockoutService = require('../services/accountLockoutService');
+const AuthController = require('./authController');
+const { verifyChallengeToken } = require('../utils/jwt');
+const { logger } = require('../utils/logger');
+
+// Instantiate services
+const twoFactorService = new TwoFactorService();
+const auditService = new AuditService();
+const lockoutService = new AccountLockoutService();
+
+class TwoFactorController {
+  /**
+   * Get two-factor status
+   * GET /api/auth/2fa
+   */
+  static async getStatus(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const twoFactor = await twoFactorService.getStatus(userId);
+
+      res.status(200).json({
+        success: true,
+        two_factor: twoFactor
+      });
+
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      TwoFactorController.sendError(res, error, 'Failed to retrieve two-factor status. Please try again.');
+    }
+  }
+
+  /**
+   * Start two-factor enrolment
+   * POST /api/auth/2fa/setup
+   */
+  static async setup(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const setup = await twoFactorService.beginSetup(userId);
+
+      res.status(200).json({
+        success: true,
+        ...setup,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code'
+      });
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      TwoFactorController.sendError(res, error, 'Failed to start two-factor setup. Please try again.');
+    }
+  }
+
+  /**
+   * Confirm enrolment with a first code
+   * POST /api/auth/2fa/enable
+   */
+  static async enable(req, res) {
+    try {
+      const { userId } = req.user;
+      const { code } = req.body;
+
+      const recoveryCodes = await twoFactorService.enable(userId, code);
+
+      logger.auth('two_factor_enabled', { userId });
+      await auditService.record('two_factor_enabled', { userId, req });
+
+      res.status(200).json({
+        success: true,
+        recovery_codes: recoveryCodes,
+        message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe - they will not be shown again.'
+      });
+
+    } catch (error) {
+      console.error('Two-factor enable error:', error);
+      TwoFactorController.sendError(res, error, 'Failed to enable two-factor authentication. Please try again.');
+    }
+  }
+
+  /**
+   * Finish a two-factor login with a code or recovery code
+   * POST /api/auth/2fa/verify
+   */
+  static async verify(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'A verification code or recovery code is required'
+        });
+      }
+
+      let challenge;
+      try {
+        challenge = verifyChallengeToken(challengeToken);
+      } catch (tokenError) {
+        return res.status(401).json({
+          error: 'Invalid challenge',
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired. Please sign in again.'
+        });
+      }
+
+      const user = await prisma.users.findUnique({
+        where: { id: challenge.userId },
+        select: {
+          id: true,
+          email: true,
+          token_version: true,
+          created_at: true,
+          last_login: true,
+          email_verified: true,
+          email_verified_at: true,
+          locked_until: true
+        }
+      });
+
+      // A password reset or logout-all since the password step voids the challenge
+      if (!user || (user.token_version || 1) !== challenge.tokenVersion) {
+        return res.status(401).json({
+          error: 'Invalid challenge',
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired. Please sign in again.'
+        });
+      }
+
+      // Wrong codes count towards the account lockout, so fresh challenges don't give more guesses
+      if (lockoutService.isLocked(user)) {
+        await auditService.record('login', {
+          userId: user.id,
+          req,
+          outcome: 'failure',
+          metadata: { method: 'two_factor', reason: 'account_locked' }
+        });
+        return AuthController.sendAccountLocked(res);
+      }
+
+      // Attempts are counted per challenge, so guesses from many IPs still run out
+      let attempts;
+      try {
+        attempts = await twoFactorService.claimChallengeAttempt(challenge.jti, user.id);
+      } catch (claimError) {
+        await auditService.record('login', {
+          userId: user.id,
+          req,
+          outcome: 'failure',
+          metadata: { method: 'two_factor', reason: 'challenge_invalid' }
+        });
+        return res.status(401).json({
+          error: 'Invalid challenge',
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired or had too many incorrect codes. Please sign in again.'
+        });
+      }
+
+      let result;
+      try {
+        result = await twoFactorService.verify(user.id, { code, recoveryCode });
+      } catch (verifyError) {
+        if (verifyError.message.includes('Invalid')) {
+          const attemptsRemaining = Math.max(twoFactorService.maxChallengeAttempts - attempts, 0);
+          const lockout = await lockoutService.recordFailure(user.id);
+
+          logger.security('two_factor_failed', {
+            userId: user.id,
+            attempts,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+          });
+          await auditService.record('login', {
+            userId: user.id,
+            req,
+            outcome: 'failure',
+            metadata: {
+              method: 'two_factor',
+              reason: recoveryCode ? 'invalid_recovery_code' : 'invalid_code',
+              attempts,
+              challenge_voided: attemptsRemaining === 0
+            }
+          });
+
+          if (lockout.unlockToken) {
+            AuthController.notifyAccountLocked(req, user, lockout);
+          }
+        }
+        throw verifyError;
+      }
+
+      await twoFactorService.completeChallenge(challenge.jti);
+
+      if (result.method === 'recovery_code') {
+        logger.auth('two_factor_recovery_code_used', {
+          userId: user.id,
+          remaining: result.recovery_codes_remaining
+        });
+        await auditService.record('two_factor_recovery_code_used', {
+          userId: user.id,
+          req,
+          metadata: { remaining: result.recovery_codes_remaining }
+        });
+      }
+
+      const { locked_until: _, ...signInUser } = user;
+      await AuthController.startSession(req, res, signInUser, result.method === 'recovery_code' ? 'recovery_code' : 'two_factor');
+
+    } catch (error) {
+      console.error('Two-factor verify error:', error);
+
+      if (error.message.includes('Invalid')) {
+        return res.status(401).json({
+          error: 'Authentication failed',
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('no longer valid')) {
+        return res.status(401).json({
+          error: 'Invalid challenge',
+          code: 'INVALID_CHALLENGE',
+          message: 'Your sign-in attempt has expired. Please sign in again.'
+        });
+      }
+
+      TwoFactorController.sendError(res, error, 'Two-factor sign-in failed. Please try again.');
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * POST /api/auth/2fa/disable
+   */
+  static async disable(req, res) {
+    try {
+      const { userId } = req.user;
+      const { code, recoveryCode } = req.body;
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'A verification code or recovery code is required'
+        });
+      }
+
+      await twoFactorService.disable(userId, { code, recoveryCode });
+
+      logger.security('two_factor_disabled', {
+        userId,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      await auditService.record('two_factor_disabled', { userId, req });
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      TwoFactorController.sendError(res, error, 'Failed to disable two-factor authentication. Please try again.');
+    }
+  }
+
+  /**
+   * Map two-factor service errors to HTTP responses
+   * @param {Object} res - Express response
+   * @param {Error} error - Service error
+   * @param {string} fallbackMessage - Message for unexpected errors
+   */
+  static sendError(res, error, fallbackMessage) {
+    if (error.message.includes('User not found')) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'User account not found'
+      });
+    }
+
+    if (error.message.includes('already enabled') ||
+        error.message.includes('not enabled') ||
+        error.message.includes('not been started')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: fallbackMessage
+    });
+  }
+}
+
+module.exports = TwoFactorController;
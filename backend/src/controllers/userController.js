@@ -1,9 +1,16 @@
 const StreakService = require('../services/streakService');
 const AccountService = require('../services/accountService');
 const TaskProgressService = require('../services/taskProgressService');
+const HouseholdService = require('../services/householdService');
+const SessionService = require('../services/sessionService');
+const EmailChangeService = require('../services/emailChangeService');
+const ApiTokenService = require('../services/apiTokenService');
+const AuditService = require('../services/auditService');
+const PauseService = require('../services/pauseService');
 const { validateTaskName, sanitizeString, validateEmail } = require('../utils/validation');
-const { hashPassword, comparePassword, validatePasswordStrength } = require('../utils/password');
+const { hashPassword, comparePassword, validatePasswordStrength, checkBreachedPassword } = require('../utils/password');
 const { prisma } = require('../config/prisma');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * User Controller
@@ -17,6 +24,12 @@ class UserController {
     this.streakService = new StreakService();
     this.accountService = new AccountService();
     this.taskProgressService = new TaskProgressService();
+    this.householdService = new HouseholdService();
+    this.sessionService = new SessionService();
+    this.emailChangeService = new EmailChangeService();
+    this.apiTokenService = new ApiTokenService();
+    this.auditService = new AuditService();
+    this.pauseService = new PauseService();
     this.prisma = prisma;
 
     // Bind methods to preserve 'this' context
@@ -27,12 +40,23 @@ class UserController {
     this.getStats = this.getStats.bind(this);
     this.deleteCompletion = this.deleteCompletion.bind(this);
     this.getProfile = this.getProfile.bind(this);
+    this.updateProfile = this.updateProfile.bind(this);
     this.bulkCompleteTask = this.bulkCompleteTask.bind(this);
     this.getAccountSummary = this.getAccountSummary.bind(this);
     this.exportData = this.exportData.bind(this);
     this.deleteAccount = this.deleteAccount.bind(this);
     this.changePassword = this.changePassword.bind(this);
+    this.changeEmail = this.changeEmail.bind(this);
     this.logoutAllDevices = this.logoutAllDevices.bind(this);
+    this.getSessions = this.getSessions.bind(this);
+    this.revokeSession = this.revokeSession.bind(this);
+    this.getApiTokens = this.getApiTokens.bind(this);
+    this.createApiToken = this.createApiToken.bind(this);
+    this.revokeApiToken = this.revokeApiToken.bind(this);
+    this.getSecurityEvents = this.getSecurityEvents.bind(this);
+    this.getPause = this.getPause.bind(this);
+    this.startPause = this.startPause.bind(this);
+    this.endPause = this.endPause.bind(this);
   }
 
   /**
@@ -55,12 +79,18 @@ class UserController {
         current_streak: primaryStreak.currentStreak,
         longest_streak: primaryStreak.bestStreak,
         total_completions: stats.totalCompletions,
-        last_completed: primaryStreak.lastCompleted
+        last_completed: primaryStreak.lastCompleted,
+        freezes_available: primaryStreak.freezesAvailable,
+        freezes_earned: primaryStreak.freezesEarned,
+        freezes_used: primaryStreak.freezesUsed
       } : {
         current_streak: 0,
         longest_streak: 0,
         total_completions: 0,
-        last_completed: null
+        last_completed: null,
+        freezes_available: 0,
+        freezes_earned: 0,
+        freezes_used: 0
       };
 
       res.status(200).json({ streaks });
@@ -108,6 +138,9 @@ class UserController {
         current_streak: streakData.currentStreak,
         best_streak: streakData.bestStreak,
         last_completed: streakData.lastCompleted,
+        freezes_available: streakData.freezesAvailable,
+        freezes_earned: streakData.freezesEarned,
+        freezes_used: streakData.freezesUsed,
         created_at: streakData.createdAt,
         updated_at: streakData.updatedAt
       };
@@ -171,76 +204,93 @@ class UserController {
         }
       }
 
-      const result = await this.streakService.completeTask(
-        userId,
-        taskName,
-        parsedDate,
-        notes
-      );
+      // A task from the rotation is recorded together with the advance past it (shared by
+      // everyone in the household; the streak is still credited to the member who did it).
+      // The advance is recorded against the completion so undoing it rewinds the rotation.
+      // A room visited twice in a cycle repeats its task names, so repeats are allowed here.
+      let result;
+      let homeUserId = null;
+      let nextTaskData = null;
+      if (task_rotation_id) {
+        homeUserId = await this.householdService.getHomeUserId(userId);
+        nextTaskData = await this.taskProgressService.completeRotationTasks(
+          homeUserId,
+          [task_rotation_id],
+          async (tx) => {
+            result = await this.streakService.completeTask(userId, taskName, parsedDate, notes, {
+              client: tx,
+              allowRepeat: true
+            });
+            return [result.completion.id];
+          }
+        );
+      } else {
+        result = await this.streakService.completeTask(userId, taskName, parsedDate, notes);
+      }
 
       // Transform to snake_case to match API contract expected by tests
       const streak = result.streak ? {
         current_streak: result.streak.currentStreak,
         longest_streak: result.streak.bestStreak,
         task_name: result.streak.taskName,
-        last_completed: result.streak.lastCompleted
+        last_completed: result.streak.lastCompleted,
+        freezes_available: result.streak.freezesAvailable,
+        freeze_used_for_days: result.freeze.usedForDays,
+        freeze_earned: result.freeze.earned
       } : result;
 
-      // If from rotation, advance progress
       let nextTask = null;
-      if (task_rotation_id) {
+      if (nextTaskData) {
         try {
-          const nextTaskData = await this.taskProgressService.advanceToNextTask(userId);
-
-          if (nextTaskData) {
-            // Format next task for response
-            const { prisma } = require('../config/prisma');
-            let roomInfo = null;
-
-            if (nextTaskData.room_id) {
-              const room = await prisma.user_rooms.findUnique({
-                where: { id: nextTaskData.room_id },
-                select: {
-                  id: true,
-                  custom_name: true,
-                  room_type: true
-                }
-              });
-              roomInfo = room ? {
-                id: room.id,
-                name: room.custom_name,
-                type: room.room_type
-              } : null;
-            }
-
-            // Get progress for total tasks count
-            const progress = await this.taskProgressService.getProgress(userId);
-            const totalTasks = await prisma.task_rotation.count({
-              where: {
-                user_id: userId,
-                rotation_version: progress.current_rotation_version
+          // Format next task for response
+          const { prisma } = require('../config/prisma');
+          let roomInfo = null;
+
+          if (nextTaskData.room_id) {
+            const room = await prisma.user_rooms.findUnique({
+              where: { id: nextTaskData.room_id },
+              select: {
+                id: true,
+                custom_name: true,
+                room_type: true
               }
             });
-
-            nextTask = {
-              id: nextTaskData.id,
-              description: nextTaskData.task_description,
-              task_type: nextTaskData.task_type,
-              room: roomInfo,
-              pillar_type: nextTaskData.pillar_type,
-              keystone_type: nextTaskData.keystone_type,
-              position: nextTaskData.sequence_position,
-              total_tasks: totalTasks
-            };
+            roomInfo = room ? {
+              id: room.id,
+              name: room.custom_name,
+              type: room.room_type
+            } : null;
           }
-        } catch (progressError) {
-          console.error('Error advancing task progress:', progressError);
-          // Don't fail the completion, just skip advancing
+
+          // Get progress for total tasks count
+          const progress = await this.taskProgressService.getProgress(homeUserId);
+          const totalTasks = await prisma.task_rotation.count({
+            where: {
+              user_id: homeUserId,
+              rotation_version: progress.current_rotation_version
+            }
+          });
+
+          nextTask = {
+            id: nextTaskData.id,
+            description: nextTaskData.task_description,
+            task_type: nextTaskData.task_type,
+            room: roomInfo,
+            pillar_type: nextTaskData.pillar_type,
+            keystone_type: nextTaskData.keystone_type,
+            deep_clean_type: nextTaskData.deep_clean_type,
+            position: nextTaskData.sequence_position,
+            total_tasks: totalTasks
+          };
+        } catch (formatError) {
+          console.error('Error formatting next task:', formatError);
+          // The completion and advance are saved; just leave next_task out
         }
       }
 
       // Build completion info
       const completion = {
+        id: result.completion ? result.completion.id : null,
         task_name: taskName,
         completed_at: parsedDate,
         notes: notes || null
@@ -271,6 +321,14 @@ class UserController {
         });
       }
 
+      if (error.message.includes('moved on')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'ROTATION_MOVED_ON',
+          message: 'This is no longer the current task in the rotation. Refresh and try again.'
+        });
+      }
+
       res.status(500).json({
         error: 'Internal server error',
         code: 'TASK_COMPLETION_ERROR',
@@ -335,8 +393,9 @@ class UserController {
         limit: parsedLimit,
         offset: parsedOffset,
         taskName: taskName || null,
-        startDate: parsedStartDate,
-        endDate: parsedEndDate
+        // Pass the raw strings so date-only values can be resolved in the user's timezone
+        startDate: parsedStartDate ? startDate : null,
+        endDate: parsedEndDate ? endDate : null
       };
 
       const result = await this.streakService.getCompletionHistory(userId, options);
@@ -352,6 +411,7 @@ class UserController {
 
       res.status(200).json({
         history: result.completions,
+        timezone: result.timezone,
         pagination
       });
     } catch (error) {
@@ -382,6 +442,7 @@ class UserController {
       const userId = req.user.userId;
       const statsData = await this.streakService.getStreakStats(userId);
       const streaksData = await this.streakService.getUserStreaks(userId);
+      const deferrals = await this.taskProgressService.getDeferralCounts(userId);
 
       // Get primary streak (first/highest streak)
       const primaryStreak = streaksData[0];
@@ -391,7 +452,14 @@ class UserController {
         current_streak: primaryStreak?.currentStreak || 0,
         longest_streak: statsData.bestOverallStreak || 0,
         total_completions: statsData.totalCompletions || 0,
-        completion_rate: statsData.completion_rate || (statsData.totalCompletions > 0 ? 1.0 : 0.0)
+        completion_rate: statsData.completionRate || 0,
+        missed_days: statsData.missedDays || 0,
+        paused_days: statsData.pausedDays || 0,
+        freezes_available: statsData.freezesAvailable || 0,
+        freezes_earned: statsData.freezesEarned || 0,
+        freezes_used: statsData.freezesUsed || 0,
+        tasks_skipped: deferrals.skipped,
+        tasks_snoozed: deferrals.snoozed
       };
 
       res.status(200).json({ stats });
@@ -422,11 +490,26 @@ class UserController {
         });
       }
 
-      const result = await this.streakService.deleteCompletion(userId, completionId);
+      // Rewind the rotation first: deleting the completion also deletes its advance record.
+      // If later tasks were already completed, the rotation stays where it is. Both happen in
+      // one transaction so a failed delete leaves the rotation where it was.
+      let rotationRewound = false;
+      const result = await prisma.$transaction(async (tx) => {
+        try {
+          rotationRewound = await this.taskProgressService.rewindCompletion(completionId, userId, tx);
+        } catch (rewindError) {
+          if (!rewindError.message.includes('moved on')) {
+            throw rewindError;
+          }
+        }
+
+        return this.streakService.deleteCompletion(userId, completionId, tx);
+      });
 
       res.status(200).json({
         success: true,
         data: result,
+        rotation_rewound: rotationRewound,
         message: 'Completion deleted successfully'
       });
     } catch (error) {
@@ -472,6 +555,7 @@ class UserController {
           id: true,
           email: true,
           email_verified: true,
+          timezone: true,
           created_at: true,
           last_login: true
         }
@@ -493,6 +577,7 @@ class UserController {
           id: user.id,
           email: user.email,
           email_verified: user.email_verified,
+          timezone: user.timezone,
           createdAt: user.created_at,
           lastLogin: user.last_login
         },
@@ -508,6 +593,88 @@ class UserController {
     }
   }
 
+  /**
+   * Update user profile settings
+   * PUT /api/user/profile
+   */
+  async updateProfile(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { timezone } = req.body;
+
+      if (timezone === undefined) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'NO_PROFILE_CHANGES',
+          message: 'No profile fields provided'
+        });
+      }
+
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'INVALID_TIMEZONE',
+          message: 'Timezone must be a valid IANA timezone name (e.g. "Europe/London")'
+        });
+      }
+
+      const existingUser = await this.prisma.users.findUnique({
+        where: { id: userId },
+        select: { timezone: true }
+      });
+
+      if (!existingUser) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND',
+          message: 'User profile not found'
+        });
+      }
+
+      const user = await this.prisma.users.update({
+        where: { id: userId },
+        data: {
+          timezone,
+          updated_at: new Date()
+        },
+        select: {
+          id: true,
+          email: true,
+          email_verified: true,
+          timezone: true,
+          created_at: true,
+          last_login: true
+        }
+      });
+
+      // Day boundaries moved, so existing streaks must be re-bucketed
+      let streaksRecalculated = 0;
+      if (existingUser.timezone !== timezone) {
+        streaksRecalculated = await this.streakService.recalculateUserStreaks(userId);
+      }
+
+      res.status(200).json({
+        user: {
+          id: user.id,
+          email: user.email,
+          email_verified: user.email_verified,
+          timezone: user.timezone,
+          createdAt: user.created_at,
+          lastLogin: user.last_login
+        },
+        streaks_recalculated: streaksRecalculated,
+        message: 'Profile updated successfully'
+      });
+    } catch (error) {
+      console.error('Error in updateProfile:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'PROFILE_UPDATE_ERROR',
+        message: 'Failed to update user profile'
+      });
+    }
+  }
+
   /**
    * Bulk complete multiple tasks
    * POST /api/user/bulk-complete
@@ -620,6 +787,8 @@ class UserController {
       const userId = req.user.userId;
       const exportData = await this.accountService.exportUserData(userId);
 
+      await this.auditService.record('data_exported', { userId, req });
+
       // Set appropriate headers for file download
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="cleanstreak-data-export-${userId}-${new Date().toISOString().split('T')[0]}.json"`);
@@ -629,6 +798,11 @@ class UserController {
         user: exportData.account,
         streaks: exportData.streaks,
         history: exportData.completionHistory,
+        deferrals: exportData.taskDeferrals,
+        emailChanges: exportData.emailChanges,
+        pauses: exportData.pauses,
+        securityEvents: exportData.securityEvents,
+        summary: exportData.summary,
         exportedAt: exportData.exportInfo.exportDate
       });
     } catch (error) {
@@ -700,6 +874,13 @@ class UserController {
         // Verify current password
         const isCurrentPasswordValid = await comparePassword(currentPassword, user.password_hash);
         if (!isCurrentPasswordValid) {
+          await this.auditService.record('password_changed', {
+            userId,
+            req,
+            outcome: 'failure',
+            metadata: { reason: 'invalid_current_password' }
+          });
+
           return res.status(401).json({
             error: 'Unauthorized',
             code: 'INVALID_CURRENT_PASSWORD',
@@ -717,6 +898,16 @@ class UserController {
           });
         }
 
+        // Reject passwords from breach lists or built from the email address
+        const breachCheck = checkBreachedPassword(newPassword, { email: user.email });
+        if (breachCheck.isBreached) {
+          return res.status(400).json({
+            error: 'Bad request',
+            code: 'WEAK_PASSWORD_BREACHED',
+            message: breachCheck.message
+          });
+        }
+
         // Hash new password
         const newPasswordHash = await hashPassword(newPassword);
 
@@ -736,6 +927,8 @@ class UserController {
           data: { is_active: false }
         });
 
+        await this.auditService.record('password_changed', { userId, req });
+
         res.status(200).json({
           success: true,
           message: 'Password changed successfully'
@@ -762,6 +955,106 @@ class UserController {
     }
   }
 
+  /**
+   * Start an email change; the new address must confirm it
+   * POST /api/user/change-email
+   */
+  async changeEmail(req, res) {
+    try {
+      const userId = req.user.userId;
+      const { currentPassword, newEmail } = req.body;
+
+      if (!currentPassword || !newEmail) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'MISSING_FIELDS',
+          message: 'Current password and new email are required'
+        });
+      }
+
+      const change = await this.emailChangeService.requestChange(userId, { currentPassword, newEmail });
+
+      await this.auditService.record('email_change_requested', {
+        userId,
+        req,
+        metadata: { new_email: change.newEmail }
+      });
+
+      const emailService = require('../services/emailService');
+      await emailService.sendEmailChangeVerificationEmail(change.newEmail, change.token);
+
+      try {
+        await emailService.sendEmailChangeNoticeEmail(change.oldEmail, change.newEmail);
+      } catch (noticeError) {
+        console.error('Failed to send email change notice:', noticeError);
+        // The change still needs the new address to confirm it
+      }
+
+      res.status(200).json({
+        success: true,
+        pending_email: change.newEmail,
+        expires_at: change.expiresAt,
+        message: `We sent a confirmation link to ${change.newEmail}. Your email changes once you follow it.`
+      });
+    } catch (error) {
+      console.error('Error in changeEmail:', error);
+
+      if (error.message.includes('User not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          code: 'USER_NOT_FOUND',
+          message: 'User account not found'
+        });
+      }
+
+      if (error.message.includes('password is incorrect')) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          code: 'INVALID_CURRENT_PASSWORD',
+          message: 'Current password is incorrect'
+        });
+      }
+
+      if (error.message.includes('Invalid email')) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'INVALID_EMAIL',
+          message: 'Please provide a valid email address'
+        });
+      }
+
+      if (error.message.includes('must be different')) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'SAME_EMAIL',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('already in use')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'EMAIL_IN_USE',
+          message: 'An account with this email already exists'
+        });
+      }
+
+      if (error.message.includes('email change verification email') || error.message.includes('not configured')) {
+        return res.status(503).json({
+          error: 'Service unavailable',
+          code: 'EMAIL_SEND_FAILED',
+          message: 'Could not send the confirmation email. Please try again later.'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'EMAIL_CHANGE_ERROR',
+        message: 'Failed to change email'
+      });
+    }
+  }
+
   /**
    * Logout from all devices (invalidate all sessions)
    * POST /api/user/logout-all
@@ -803,6 +1096,8 @@ class UserController {
           data: { is_active: false }
         });
 
+        await this.auditService.record('sessions_revoked_all', { userId, req });
+
         res.status(200).json({
           success: true,
           message: 'Successfully logged out from all devices. Please login again to continue.'
@@ -820,6 +1115,317 @@ class UserController {
     }
   }
 
+  /**
+   * List the devices the user is signed in on
+   * GET /api/user/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const { userId, sessionId } = req.user;
+      const sessions = await this.sessionService.listSessions(userId, sessionId);
+
+      res.status(200).json({
+        success: true,
+        sessions
+      });
+    } catch (error) {
+      console.error('Error in getSessions:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to retrieve sessions'
+      });
+    }
+  }
+
+  /**
+   * Sign out a single device
+   * DELETE /api/user/sessions/:sessionId
+   */
+  async revokeSession(req, res) {
+    try {
+      const { userId, sessionId: currentSessionId } = req.user;
+      const { sessionId } = req.params;
+
+      await this.sessionService.revokeSession(userId, sessionId, currentSessionId);
+
+      await this.auditService.record('session_revoked', {
+        userId,
+        req,
+        metadata: { session_id: sessionId }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Device signed out successfully'
+      });
+    } catch (error) {
+      console.error('Error in revokeSession:', error);
+
+      if (error.message.includes('current session')) {
+        return res.status(400).json({
+          error: 'Bad request',
+          code: 'CURRENT_SESSION',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to sign out device'
+      });
+    }
+  }
+
+  /**
+   * List personal API tokens
+   * GET /api/user/tokens
+   */
+  async getApiTokens(req, res) {
+    try {
+      const tokens = await this.apiTokenService.listTokens(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        tokens,
+        available_scopes: this.apiTokenService.scopes
+      });
+    } catch (error) {
+      console.error('Error in getApiTokens:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'API_TOKENS_FETCH_ERROR',
+        message: 'Failed to retrieve API tokens'
+      });
+    }
+  }
+
+  /**
+   * Create a personal API token
+   * POST /api/user/tokens
+   */
+  async createApiToken(req, res) {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      const { token, apiToken } = await this.apiTokenService.createToken(req.user.userId, {
+        name,
+        scopes,
+        expiresInDays
+      });
+
+      await this.auditService.record('api_token_created', {
+        userId: req.user.userId,
+        req,
+        metadata: { token_id: apiToken.id, name: apiToken.name, scopes: apiToken.scopes }
+      });
+
+      res.status(201).json({
+        success: true,
+        token,
+        api_token: apiToken,
+        message: 'Copy this token now. It won\'t be shown again.'
+      });
+    } catch (error) {
+      console.error('Error in createApiToken:', error);
+
+      if (error.message.includes('Token limit')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'TOKEN_LIMIT_REACHED',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('Token name') || error.message.includes('scope') ||
+          error.message.includes('expiresInDays')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'INVALID_TOKEN_REQUEST',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'API_TOKEN_CREATE_ERROR',
+        message: 'Failed to create API token'
+      });
+    }
+  }
+
+  /**
+   * Revoke a personal API token
+   * DELETE /api/user/tokens/:tokenId
+   */
+  async revokeApiToken(req, res) {
+    try {
+      await this.apiTokenService.revokeToken(req.user.userId, req.params.tokenId);
+
+      await this.auditService.record('api_token_revoked', {
+        userId: req.user.userId,
+        req,
+        metadata: { token_id: req.params.tokenId }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'API token revoked'
+      });
+    } catch (error) {
+      console.error('Error in revokeApiToken:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Not found',
+          code: 'API_TOKEN_NOT_FOUND',
+          message: 'API token not found'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'API_TOKEN_REVOKE_ERROR',
+        message: 'Failed to revoke API token'
+      });
+    }
+  }
+
+  /**
+   * List the user's recent security events (sign-ins, password changes, ...)
+   * GET /api/user/security-events?limit=20&offset=0
+   */
+  async getSecurityEvents(req, res) {
+    try {
+      const { limit, offset } = req.query;
+
+      const result = await this.auditService.listEvents(req.user.userId, { limit, offset });
+
+      res.status(200).json({
+        success: true,
+        events: result.events,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error in getSecurityEvents:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'SECURITY_EVENTS_FETCH_ERROR',
+        message: 'Failed to retrieve security events'
+      });
+    }
+  }
+
+  /**
+   * Get the user's active or upcoming pause and past pauses
+   * GET /api/user/pause
+   */
+  async getPause(req, res) {
+    try {
+      const [pause, history] = await Promise.all([
+        this.pauseService.getCurrentPause(req.user.userId),
+        this.pauseService.listPauses(req.user.userId)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        pause,
+        history
+      });
+    } catch (error) {
+      console.error('Error in getPause:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'PAUSE_FETCH_ERROR',
+        message: 'Failed to retrieve pause'
+      });
+    }
+  }
+
+  /**
+   * Start or schedule a vacation pause
+   * POST /api/user/pause
+   */
+  async startPause(req, res) {
+    try {
+      const { startDate, endDate, reason } = req.body;
+
+      const pause = await this.pauseService.startPause(req.user.userId, { startDate, endDate, reason });
+
+      res.status(201).json({
+        success: true,
+        pause,
+        message: pause.status === 'active' ? 'Pause started' : 'Pause scheduled'
+      });
+    } catch (error) {
+      console.error('Error in startPause:', error);
+
+      if (error.message.includes('already active or scheduled')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          code: 'PAUSE_ALREADY_EXISTS',
+          message: error.message
+        });
+      }
+
+      if (error.message.includes('date') || error.message.includes('past') ||
+          error.message.includes('at most') || error.message.includes('Reason')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'INVALID_PAUSE_REQUEST',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'PAUSE_START_ERROR',
+        message: 'Failed to start pause'
+      });
+    }
+  }
+
+  /**
+   * End the active pause early, or cancel an upcoming one
+   * DELETE /api/user/pause
+   */
+  async endPause(req, res) {
+    try {
+      const pause = await this.pauseService.endPause(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        pause,
+        message: 'Pause ended'
+      });
+    } catch (error) {
+      console.error('Error in endPause:', error);
+
+      if (error.message.includes('No active or scheduled pause')) {
+        return res.status(404).json({
+          error: 'Not found',
+          code: 'PAUSE_NOT_FOUND',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Internal server error',
+        code: 'PAUSE_END_ERROR',
+        message: 'Failed to end pause'
+      });
+    }
+  }
+
   /**
    * Delete user account and all associated data
    * DELETE /api/user/account
@@ -870,6 +1476,10 @@ class UserController {
       // Perform account deletion
       const result = await this.accountService.deleteUserAccount(userId, userEmail);
 
+      // Kept for aggregate reporting only; the account's own events were unlinked
+      // and stripped of IP and device details by the deletion
+      await this.auditService.record('account_deleted');
+
       // Clear authentication cookies
       const isProduction = process.env.NODE_ENV === 'production';
       res.clearCookie('accessToken', {
@@ -9,6 +9,26 @@ const {
   clearAuthCookies
 } = require('../utils/jwt');
 const { prisma } = require('../config/prisma');
+const HouseholdService = require('../services/householdService');
+const ApiTokenService = require('../services/apiTokenService');
+
+const householdService = new HouseholdService();
+const apiTokenService = new ApiTokenService();
+
+/**
+ * Endpoints that accept personal API tokens. Everything else, including managing
+ * the tokens themselves, needs a signed-in session. Each of these routes also
+ * names the scope it needs with authorize().
+ */
+const API_TOKEN_ROUTES = [
+  'GET /api/tasks/current',
+  'GET /api/tasks/preview',
+  'GET /api/tasks/today',
+  'POST /api/tasks/today/complete',
+  'POST /api/user/complete',
+  'GET /api/user/stats',
+  'GET /api/user/streaks'
+];
 
 /**
  * Authentication Middleware
@@ -17,9 +37,63 @@ const { prisma } = require('../config/prisma');
  * and token refresh with comprehensive error handling and security features.
  */
 
+/**
+ * Authenticate a request made with a personal API token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {string} token - Raw API token
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  // Only accepted as a Bearer header; query strings end up in logs and history
+  if (req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'INVALID_TOKEN',
+      message: 'API tokens must be sent in the Authorization header'
+    });
+  }
+
+  const apiToken = await apiTokenService.verifyToken(token);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      code: 'INVALID_TOKEN',
+      message: 'Invalid, expired or revoked API token'
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, '');
+  if (!API_TOKEN_ROUTES.includes(route)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      code: 'API_TOKEN_NOT_ALLOWED',
+      message: 'API tokens cannot be used for this endpoint'
+    });
+  }
+
+  req.user = {
+    userId: apiToken.userId,
+    email: apiToken.email,
+    sessionId: null,
+    apiTokenId: apiToken.id,
+    scopes: apiToken.scopes
+  };
+
+  req.tokenInfo = {
+    type: 'api_token',
+    issuedAt: apiToken.createdAt,
+    expiresAt: apiToken.expiresAt
+  };
+
+  next();
+};
+
 /**
  * Middleware to authenticate requests using JWT access tokens
- * Verifies the token and adds user information to the request object
+ * Verifies the token and adds user information to the request object.
+ * Personal API tokens (cs_pat_…) are accepted too, on API_TOKEN_ROUTES only.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -37,6 +111,10 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (apiTokenService.isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
     // Verify and decode the token
     const decoded = verifyAccessToken(token);
 
@@ -65,10 +143,27 @@ const authenticate = async (req, res, next) => {
       }
     }
 
+    // Tokens tied to a session stop working as soon as that session is revoked
+    if (decoded.sessionId) {
+      const session = await prisma.user_sessions.findUnique({
+        where: { id: decoded.sessionId },
+        select: { is_active: true }
+      });
+
+      if (!session || !session.is_active) {
+        return res.status(401).json({
+          error: 'Session revoked',
+          code: 'SESSION_REVOKED',
+          message: 'This device has been signed out. Please login again.'
+        });
+      }
+    }
+
     // Add user information to request object
     req.user = {
       userId: decoded.userId,
       email: decoded.email,
+      sessionId: decoded.sessionId || null,
       jti: decoded.jti,
       iat: decoded.iat,
       exp: decoded.exp,
@@ -126,6 +221,7 @@ const optionalAuth = async (req, res, next) => {
         req.user = {
           userId: decoded.userId,
           email: decoded.email,
+          sessionId: decoded.sessionId || null,
           jti: decoded.jti,
           iat: decoded.iat,
           exp: decoded.exp
@@ -231,7 +327,9 @@ const refreshToken = async (req, res, next) => {
 
 /**
  * Authorization middleware to check user permissions
- * @param {Array|string} requiredRoles - Required role(s) for access
+ * Entries that are API token scopes (e.g. 'read:stats') are checked against the
+ * token's scopes; session logins hold every scope. Other entries are roles.
+ * @param {Array|string} requiredRoles - Required role(s) and/or scope(s) for access
  * @returns {Function} Middleware function
  */
 const authorize = (requiredRoles = []) => {
@@ -247,7 +345,21 @@ const authorize = (requiredRoles = []) => {
       }
 
       // Convert single role to array
-      const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+      const required = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+      const scopes = required.filter(entry => apiTokenService.scopes.includes(entry));
+      const roles = required.filter(entry => !scopes.includes(entry));
+
+      if (req.user.scopes) {
+        const missingScopes = scopes.filter(scope => !req.user.scopes.includes(scope));
+
+        if (missingScopes.length > 0) {
+          return res.status(403).json({
+            error: 'Insufficient permissions',
+            code: 'INSUFFICIENT_SCOPE',
+            message: `This API token needs the ${missingScopes.join(', ')} scope`
+          });
+        }
+      }
 
       // If no specific roles required, just check authentication
       if (roles.length === 0) {
@@ -255,7 +367,7 @@ const authorize = (requiredRoles = []) => {
       }
 
       // Check if user has required role(s)
-      // Note: Role checking would need to be implemented based on user data structure
+      // Roles are populated by loadHousehold; routes without it fall back to 'user'
       const userRoles = req.user.roles || ['user']; // Default to 'user' role
 
       const hasRequiredRole = roles.some(role => userRoles.includes(role));
@@ -317,6 +429,35 @@ const requireFreshToken = (maxAge = 300) => {
   };
 };
 
+/**
+ * Middleware to resolve the user's household before role checks
+ * Sets req.household = { householdId, role, homeUserId } and req.user.roles = [role].
+ * Users outside a household own their own home, so they get the 'owner' role.
+ * @returns {Function} Middleware function
+ */
+const loadHousehold = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        code: 'NOT_AUTHENTICATED',
+        message: 'User must be authenticated to access this resource'
+      });
+    }
+
+    req.household = await householdService.getHomeContext(req.user.userId);
+    req.user.roles = [req.household.role];
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      error: 'Household lookup failed',
+      code: 'HOUSEHOLD_LOOKUP_ERROR',
+      message: 'An error occurred while loading your household'
+    });
+  }
+};
+
 /**
  * Middleware to check if user owns the requested resource
  * Compares user ID from token with resource owner ID
@@ -438,6 +579,7 @@ module.exports = {
   optionalAuth,
   refreshToken,
   authorize,
+  loadHousehold,
   requireFreshToken,
   requireOwnership,
   handleAuthError,
@@ -140,6 +140,55 @@ const authLimiters = {
     message: 'Too many password reset attempts, please try again later.'
   }),
 
+  // Magic link sign-in requests
+  magicLink: createRateLimiter({
+    windowMs: authRateLimit.magicLink.windowMs,
+    max: authRateLimit.magicLink.max,
+    skipSuccessfulRequests: authRateLimit.magicLink.skipSuccessfulRequests,
+    message: 'Too many sign-in link requests, please try again later.',
+    keyGenerator: (req) => {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      const email = req.body?.email || 'no-email';
+      return `magic-link-${ip}-${email}`;
+    }
+  }),
+
+  // Magic link token checks
+  magicLinkVerify: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 failed link checks per 15 minutes
+    skipSuccessfulRequests: true,
+    message: 'Too many sign-in link attempts, please try again later.',
+    keyGenerator: (req) => {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      return `magic-link-verify-${ip}`;
+    }
+  }),
+
+  // Account unlock link checks
+  accountUnlock: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 failed unlock attempts per 15 minutes
+    skipSuccessfulRequests: true,
+    message: 'Too many unlock attempts, please try again later.',
+    keyGenerator: (req) => {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      return `account-unlock-${ip}`;
+    }
+  }),
+
+  // Email change confirmation attempts
+  emailChangeConfirm: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 failed confirmations per 15 minutes
+    skipSuccessfulRequests: true,
+    message: 'Too many email change attempts, please try again later.',
+    keyGenerator: (req) => {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      return `email-change-${ip}`;
+    }
+  }),
+
   // Token refresh attempts
   tokenRefresh: createRateLimiter({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -152,6 +201,18 @@ const authLimiters = {
     }
   }),
 
+  // Two-factor code attempts (setup, enable, login verification, disable)
+  twoFactor: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 attempts per 15 minutes
+    skipSuccessfulRequests: true,
+    message: 'Too many two-factor attempts, please try again later.',
+    keyGenerator: (req) => {
+      const ip = req.ip || req.connection.remoteAddress || 'unknown';
+      return `2fa-${ip}`;
+    }
+  }),
+
   // Email verification resend attempts
   verificationResend: createRateLimiter({
     windowMs: 60 * 60 * 1000, // 1 hour
@@ -222,6 +283,17 @@ const userLimiters = {
       const userId = req.user?.userId || 'anonymous';
       return `room-config-${userId}`;
     }
+  }),
+
+  // Push subscription changes (subscribe, unsubscribe, reminder time)
+  notificationSettings: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 subscription changes per 15 minutes
+    message: 'Too many notification setting changes, please try again later.',
+    keyGenerator: (req) => {
+      const userId = req.user?.userId || 'anonymous';
+      return `notification-settings-${userId}`;
+    }
   })
 };
 
@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const helmet = require('helmet');
 const cors = require('cors');
 const config = require('../config/environment');
+const { generateCookieOptions } = require('../utils/jwt');
 
 /**
  * Advanced Security Middleware
@@ -119,9 +121,11 @@ const getCorsConfig = () => {
       'Content-Type',
       'Accept',
       'Authorization',
-      'X-API-Key'
+      'X-API-Key',
+      'X-CSRF-Token'
     ],
     exposedHeaders: [
+      'X-CSRF-Token',
       'X-Total-Count',
       'X-Has-More',
       'X-Rate-Limit-Remaining',
@@ -303,6 +307,93 @@ const authAttemptMonitor = (req, res, next) => {
   next();
 };
 
+/**
+ * CSRF protection (double-submit)
+ *
+ * Login and refresh set a random token in an httpOnly csrfToken cookie and send the
+ * same value in the X-CSRF-Token response header. The app echoes it back in the
+ * X-CSRF-Token request header, which another site can neither read nor set.
+ */
+const CSRF_COOKIE_NAME = 'csrfToken';
+const CSRF_HEADER_NAME = 'X-CSRF-Token';
+
+// Refresh is how a reloaded page gets its token back; the old token is useless to
+// a forger, who can't read the response
+const CSRF_EXEMPT_PATHS = ['/api/auth/refresh'];
+
+/**
+ * Set a CSRF token cookie and expose the token in the response header
+ * @param {Object} res - Express response object
+ * @param {string|null} existingToken - Token to keep instead of minting a new one
+ * @returns {string} CSRF token
+ */
+const issueCsrfToken = (res, existingToken = null) => {
+  const token = existingToken && /^[a-f0-9]{64}$/.test(existingToken)
+    ? existingToken
+    : crypto.randomBytes(32).toString('hex');
+
+  res.cookie(CSRF_COOKIE_NAME, token, {
+    ...generateCookieOptions(),
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days, same as the refresh token
+  });
+  res.setHeader(CSRF_HEADER_NAME, token);
+
+  return token;
+};
+
+/**
+ * Reject state-changing cookie-authenticated requests without a matching CSRF token
+ * Bearer-token requests are exempt: a cross-site form can't add that header. So are
+ * requests without auth cookies, which carry no credentials to forge with.
+ */
+const csrfProtection = (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ') && authHeader.length > 7) {
+    return next();
+  }
+
+  const cookies = req.cookies || {};
+  if (!cookies.accessToken && !cookies.refreshToken) {
+    return next();
+  }
+
+  if (CSRF_EXEMPT_PATHS.includes(req.originalUrl.split('?')[0])) {
+    return next();
+  }
+
+  const cookieToken = cookies[CSRF_COOKIE_NAME];
+  const headerToken = req.get(CSRF_HEADER_NAME);
+
+  const cookieBuffer = Buffer.from(String(cookieToken || ''));
+  const headerBuffer = Buffer.from(String(headerToken || ''));
+  const valid = cookieBuffer.length > 0 &&
+    cookieBuffer.length === headerBuffer.length &&
+    crypto.timingSafeEqual(cookieBuffer, headerBuffer);
+
+  if (!valid) {
+    logSecurityEvent('CSRF_TOKEN_REJECTED', {
+      severity: 'medium',
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      origin: req.get('Origin'),
+      reason: headerToken ? 'mismatch' : 'missing'
+    });
+
+    return res.status(403).json({
+      error: 'Invalid CSRF token',
+      code: 'CSRF_TOKEN_INVALID',
+      message: 'This request is missing a valid CSRF token. Refresh the page and try again.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Content-Type validation middleware
  */
@@ -436,6 +527,9 @@ module.exports = {
   validateRequestSize,
   validateHttpMethod,
   logSecurityEvent,
+  issueCsrfToken,
+  csrfProtection,
+  CSRF_COOKIE_NAME,
   getHelmetConfig,
   getCorsConfig
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const TwoFactorController = require('../controllers/twoFactorController');
+const { authenticate, optionalAuth, requireFreshToken } = require('../middleware/auth');
 const { authLimiters } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -39,6 +40,13 @@ router.post('/logout', optionalAuth, AuthController.logout);
  */
 router.post('/refresh', AuthController.refresh);
 
+/**
+ * @route   GET /api/auth/csrf-token
+ * @desc    Get (or issue) the CSRF token to send as X-CSRF-Token on cookie-authenticated writes
+ * @access  Public
+ */
+router.get('/csrf-token', AuthController.csrfToken);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user information
@@ -62,6 +70,91 @@ router.get('/verify-email', AuthController.verifyEmail);
  */
 router.post('/resend-verification', authLimiters.verificationResend, AuthController.resendVerification);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/forgot-password', AuthController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a password reset token
+ * @access  Public
+ * @body    { token, password, confirmPassword }
+ */
+router.post('/reset-password', AuthController.resetPassword);
+
+/**
+ * @route   POST /api/auth/confirm-email-change
+ * @desc    Switch to the new email using the token sent to it; signs out all devices
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/confirm-email-change', authLimiters.emailChangeConfirm, AuthController.confirmEmailChange);
+
+/**
+ * @route   POST /api/auth/unlock
+ * @desc    Lift a failed-login lockout using the emailed unlock token
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/unlock', authLimiters.accountUnlock, AuthController.unlockAccount);
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use passwordless sign-in link
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/magic-link', authLimiters.magicLink, AuthController.requestMagicLink);
+
+/**
+ * @route   GET /api/auth/magic-link/verify
+ * @desc    Sign in with a magic link token and verify the email address
+ * @access  Public (requires the emailed token)
+ */
+router.get('/magic-link/verify', authLimiters.magicLinkVerify, AuthController.verifyMagicLink);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status and remaining recovery codes
+ * @access  Private (requires valid access token)
+ */
+router.get('/2fa', authenticate, TwoFactorController.getStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrolment; returns the secret, otpauth URI and a QR code
+ * @access  Private (requires valid access token)
+ */
+router.post('/2fa/setup', authenticate, authLimiters.twoFactor, TwoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a first code; returns ten recovery codes
+ * @access  Private (requires valid access token)
+ * @body    { code }
+ */
+router.post('/2fa/enable', authenticate, authLimiters.twoFactor, TwoFactorController.enable);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Finish a two-factor login and start the session
+ * @access  Public (requires the challenge token from login)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post('/2fa/verify', authLimiters.twoFactor, TwoFactorController.verify);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private (requires an access token issued in the last 5 minutes)
+ * @body    { code } or { recoveryCode }
+ */
+router.post('/2fa/disable', authenticate, requireFreshToken(), authLimiters.twoFactor, TwoFactorController.disable);
+
 // Health check endpoint for auth service
 router.get('/health', (req, res) => {
   res.status(200).json({
@@ -74,8 +167,20 @@ router.get('/health', (req, res) => {
       'POST /api/auth/logout',
       'POST /api/auth/refresh',
       'GET /api/auth/me',
+      'GET /api/auth/csrf-token',
       'GET /api/auth/verify-email',
-      'POST /api/auth/resend-verification'
+      'POST /api/auth/resend-verification',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
+      'POST /api/auth/confirm-email-change',
+      'POST /api/auth/unlock',
+      'POST /api/auth/magic-link',
+      'GET /api/auth/magic-link/verify',
+      'GET /api/auth/2fa',
+      'POST /api/auth/2fa/setup',
+      'POST /api/auth/2fa/enable',
+      'POST /api/auth/2fa/verify',
+      'POST /api/auth/2fa/disable'
     ]
   });
 });
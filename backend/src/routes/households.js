@@ -0,0 +1,71 @@
+const express = require('express');
+const HouseholdController = require('../controllers/householdController');
+const { authenticate, authorize, loadHousehold } = require('../middleware/auth');
+const { userLimiters } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+router.use(loadHousehold);
+
+/**
+ * @route   GET /api/households/me
+ * @desc    Get the user's household and its members (null if not in one)
+ * @access  Private
+ */
+router.get('/me', HouseholdController.getHousehold);
+
+/**
+ * @route   POST /api/households
+ * @desc    Create a household that shares the user's rooms and rotation
+ * @access  Private
+ * @body    { name }
+ */
+router.post('/', userLimiters.roomConfig, HouseholdController.createHousehold);
+
+/**
+ * @route   POST /api/households/join
+ * @desc    Join a household with an invite code
+ * @access  Private
+ * @body    { inviteCode }
+ */
+router.post('/join', userLimiters.roomConfig, HouseholdController.joinHousehold);
+
+/**
+ * @route   POST /api/households/leave
+ * @desc    Leave the household and return to your own rooms
+ * @access  Private (household member)
+ */
+router.post('/leave', userLimiters.roomConfig, authorize('member'), HouseholdController.leaveHousehold);
+
+/**
+ * @route   POST /api/households/invites
+ * @desc    Email an invite link for the household
+ * @access  Private (household owner)
+ * @body    { email }
+ */
+router.post('/invites', userLimiters.roomConfig, authorize('owner'), HouseholdController.sendInvite);
+
+/**
+ * @route   POST /api/households/invite-code
+ * @desc    Replace the invite code, invalidating old codes and links
+ * @access  Private (household owner)
+ */
+router.post('/invite-code', userLimiters.roomConfig, authorize('owner'), HouseholdController.regenerateInviteCode);
+
+/**
+ * @route   DELETE /api/households/members/:userId
+ * @desc    Remove a member from the household
+ * @access  Private (household owner)
+ */
+router.delete('/members/:userId', userLimiters.roomConfig, authorize('owner'), HouseholdController.removeMember);
+
+/**
+ * @route   DELETE /api/households
+ * @desc    Disband the household
+ * @access  Private (household owner)
+ */
+router.delete('/', userLimiters.roomConfig, authorize('owner'), HouseholdController.disbandHousehold);
+
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const KeystoneController = require('../controllers/keystoneController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, loadHousehold } = require('../middleware/auth');
 const { userLimiters } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication and work on the user's household rotation
 router.use(authenticate);
+router.use(loadHousehold);
 
 /**
  * @route   GET /api/keystone-tasks
@@ -19,25 +20,25 @@ router.get('/', KeystoneController.getUserKeystones);
 /**
  * @route   POST /api/keystone-tasks/initialize
  * @desc    Initialize keystone tasks for user (first-time setup)
- * @access  Private
+ * @access  Private (household owner)
  * @body    { activeKeystones?: string[] } - Array of keystone types to enable
  */
-router.post('/initialize', userLimiters.roomConfig, KeystoneController.initializeKeystones);
+router.post('/initialize', userLimiters.roomConfig, authorize('owner'), KeystoneController.initializeKeystones);
 
 /**
  * @route   POST /api/keystone-tasks/add-for-room
  * @desc    Add keystones for a specific room
- * @access  Private
+ * @access  Private (household owner)
  * @body    { keystones: Array<{ task_type: string, custom_name?: string }> }
  */
-router.post('/add-for-room', userLimiters.roomConfig, KeystoneController.addKeystonesForRoom);
+router.post('/add-for-room', userLimiters.roomConfig, authorize('owner'), KeystoneController.addKeystonesForRoom);
 
 /**
  * @route   PUT /api/keystone-tasks/:id
  * @desc    Update a keystone task configuration
- * @access  Private
- * @body    { customName?, isActive?, sortOrder? }
+ * @access  Private (household owner)
+ * @body    { customName?, isActive?, sortOrder?, frequencyDays?, timesPerWeek?, estimatedMinutes? }
  */
-router.put('/:id', userLimiters.roomConfig, KeystoneController.updateKeystone);
+router.put('/:id', userLimiters.roomConfig, authorize('owner'), KeystoneController.updateKeystone);
 
 module.exports = router;
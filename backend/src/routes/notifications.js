@@ -0,0 +1,34 @@
+const express = require('express');
+const NotificationController = require('../controllers/notificationController');
+const { authenticate } = require('../middleware/auth');
+const { userLimiters } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get push reminder settings and the VAPID public key for subscribing
+ * @access  Private
+ */
+router.get('/', NotificationController.getSettings);
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Save this browser's push subscription and the daily reminder time
+ * @access  Private
+ * @body    { subscription: { endpoint, keys: { p256dh, auth } }, reminderTime? } - reminderTime is local HH:MM
+ */
+router.post('/subscriptions', userLimiters.notificationSettings, NotificationController.subscribe);
+
+/**
+ * @route   DELETE /api/notifications/subscriptions
+ * @desc    Remove a push subscription (all of them when no endpoint is given)
+ * @access  Private
+ * @body    { endpoint? }
+ */
+router.delete('/subscriptions', userLimiters.notificationSettings, NotificationController.unsubscribe);
+
+module.exports = router;
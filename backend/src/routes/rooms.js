@@ -1,20 +1,21 @@
 const express = require('express');
 const RoomController = require('../controllers/roomController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, loadHousehold } = require('../middleware/auth');
 const { userLimiters } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication and work on the user's household rotation
 router.use(authenticate);
+router.use(loadHousehold);
 
 /**
  * @route   POST /api/rooms
  * @desc    Create a new room configuration
- * @access  Private
- * @body    { roomType, customName, hasGlass }
+ * @access  Private (household owner)
+ * @body    { roomType, customName, pillars?, hasGlass? } - pillars: non-empty subset of glass, surfaces, floor (default all)
  */
-router.post('/', userLimiters.roomConfig, RoomController.createRoom);
+router.post('/', userLimiters.roomConfig, authorize('owner'), RoomController.createRoom);
 
 /**
  * @route   GET /api/rooms
@@ -27,10 +28,47 @@ router.get('/', RoomController.getUserRooms);
 /**
  * @route   PUT /api/rooms/reorder
  * @desc    Bulk reorder rooms
- * @access  Private
+ * @access  Private (household owner)
  * @body    { room_order: ["uuid1", "uuid2", "uuid3"] }
  */
-router.put('/reorder', userLimiters.roomConfig, RoomController.reorderRooms);
+router.put('/reorder', userLimiters.roomConfig, authorize('owner'), RoomController.reorderRooms);
+
+/**
+ * @route   GET /api/rooms/types
+ * @desc    Get built-in room types and the user's custom room types
+ * @access  Private
+ */
+router.get('/types', RoomController.getRoomTypes);
+
+/**
+ * @route   POST /api/rooms/types
+ * @desc    Create a custom room type with its own pillar descriptions
+ * @access  Private (household owner)
+ * @body    { name, glassTemplate, surfacesTemplate, floorTemplate } - templates may include {roomName}
+ */
+router.post('/types', userLimiters.roomConfig, authorize('owner'), RoomController.createRoomType);
+
+/**
+ * @route   PUT /api/rooms/types/:typeKey
+ * @desc    Update a custom room type's name or pillar descriptions
+ * @access  Private (household owner)
+ * @body    { name?, glassTemplate?, surfacesTemplate?, floorTemplate? }
+ */
+router.put('/types/:typeKey', userLimiters.roomConfig, authorize('owner'), RoomController.updateRoomType);
+
+/**
+ * @route   DELETE /api/rooms/types/:typeKey
+ * @desc    Delete a custom room type that no room uses
+ * @access  Private (household owner)
+ */
+router.delete('/types/:typeKey', userLimiters.roomConfig, authorize('owner'), RoomController.deleteRoomType);
+
+/**
+ * @route   GET /api/rooms/deep-cleans
+ * @desc    Get the deep-clean catalog for each room with settings, last-done and next-due dates
+ * @access  Private
+ */
+router.get('/deep-cleans', RoomController.getDeepCleanTasks);
 
 /**
  * @route   GET /api/rooms/:id
@@ -42,16 +80,46 @@ router.get('/:id', RoomController.getRoomById);
 /**
  * @route   PUT /api/rooms/:id
  * @desc    Update a room configuration
- * @access  Private
- * @body    { customName?, hasGlass?, isActive? }
+ * @access  Private (household owner)
+ * @body    { customName?, pillars?, hasGlass?, isActive?, visitsPerCycle?, cycleInterval? } - visits 1-3 per cycle or every 1-4 cycles
  */
-router.put('/:id', userLimiters.roomConfig, RoomController.updateRoom);
+router.put('/:id', userLimiters.roomConfig, authorize('owner'), RoomController.updateRoom);
 
 /**
  * @route   DELETE /api/rooms/:id
  * @desc    Delete a room configuration
+ * @access  Private (household owner)
+ */
+router.delete('/:id', userLimiters.roomConfig, authorize('owner'), RoomController.deleteRoom);
+
+/**
+ * @route   GET /api/rooms/:id/templates
+ * @desc    Get pillar task templates for a room (built-in and custom)
  * @access  Private
  */
-router.delete('/:id', userLimiters.roomConfig, RoomController.deleteRoom);
+router.get('/:id/templates', RoomController.getRoomTemplates);
+
+/**
+ * @route   PUT /api/rooms/:id/templates/:pillarType
+ * @desc    Set a custom task description and/or estimated duration for one pillar of a room
+ * @access  Private (household owner)
+ * @body    { description?, estimatedMinutes? } - description may include {roomName}; minutes 1-240, null to reset
+ */
+router.put('/:id/templates/:pillarType', userLimiters.roomConfig, authorize('owner'), RoomController.updateRoomTemplate);
+
+/**
+ * @route   DELETE /api/rooms/:id/templates/:pillarType
+ * @desc    Remove a custom task description and duration, reverting to the built-in ones
+ * @access  Private (household owner)
+ */
+router.delete('/:id/templates/:pillarType', userLimiters.roomConfig, authorize('owner'), RoomController.deleteRoomTemplate);
+
+/**
+ * @route   PUT /api/rooms/:id/deep-cleans/:taskKey
+ * @desc    Turn a deep-clean task on or off for a room, or set its interval or last-done date
+ * @access  Private (household owner)
+ * @body    { isActive?, intervalDays?, lastDoneDate? } - interval 7-730 days and lastDoneDate YYYY-MM-DD, null to reset
+ */
+router.put('/:id/deep-cleans/:taskKey', userLimiters.roomConfig, authorize('owner'), RoomController.updateDeepCleanTask);
 
 module.exports = router;
@@ -1,33 +1,73 @@
 const express = require('express');
 const TaskController = require('../controllers/taskController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, loadHousehold } = require('../middleware/auth');
 const { userLimiters } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
-// All routes require authentication
+// All routes require authentication and work on the user's household rotation
 router.use(authenticate);
+router.use(loadHousehold);
 
 /**
  * @route   GET /api/tasks/current
  * @desc    Get the current task from rotation
- * @access  Private
+ * @access  Private (API tokens: read:tasks)
  */
-router.get('/current', TaskController.getCurrentTask);
+router.get('/current', authorize('read:tasks'), TaskController.getCurrentTask);
 
 /**
  * @route   GET /api/tasks/preview
  * @desc    Preview upcoming tasks in rotation
- * @access  Private
+ * @access  Private (API tokens: read:tasks)
  * @query   limit (optional, default 20, max 50)
  */
-router.get('/preview', TaskController.previewTasks);
+router.get('/preview', authorize('read:tasks'), TaskController.previewTasks);
+
+/**
+ * @route   GET /api/tasks/today
+ * @desc    Get the run of upcoming tasks that fits a daily time budget
+ * @access  Private (API tokens: read:tasks)
+ * @query   minutes (required, 1-480)
+ */
+router.get('/today', authorize('read:tasks'), TaskController.getTodayTasks);
+
+/**
+ * @route   POST /api/tasks/today/complete
+ * @desc    Complete a run of tasks from /today and advance the rotation past all of them
+ * @access  Private (API tokens: write:completions)
+ * @body    { taskIds } - task IDs from GET /api/tasks/today, in order
+ */
+router.post('/today/complete', userLimiters.taskCompletion, authorize('write:completions'), TaskController.completeTodayTasks);
+
+/**
+ * @route   POST /api/tasks/current/skip
+ * @desc    Skip the current task, moving it to the end of the rotation
+ * @access  Private
+ * @body    { reason }
+ */
+router.post('/current/skip', userLimiters.taskCompletion, TaskController.skipCurrentTask);
+
+/**
+ * @route   POST /api/tasks/current/snooze
+ * @desc    Snooze the current task so it comes back after N days
+ * @access  Private
+ * @body    { reason, days? } - days 1-14, default 1
+ */
+router.post('/current/snooze', userLimiters.taskCompletion, TaskController.snoozeCurrentTask);
+
+/**
+ * @route   POST /api/tasks/undo
+ * @desc    Undo your latest completion (within a few minutes) and rewind the rotation to it
+ * @access  Private
+ */
+router.post('/undo', userLimiters.taskCompletion, TaskController.undoLastCompletion);
 
 /**
  * @route   POST /api/tasks/regenerate
  * @desc    Force regeneration of task rotation (admin/debug)
- * @access  Private
+ * @access  Private (household owner)
  */
-router.post('/regenerate', userLimiters.roomConfig, TaskController.regenerateRotation);
+router.post('/regenerate', userLimiters.roomConfig, authorize('owner'), TaskController.regenerateRotation);
 
 module.exports = router;
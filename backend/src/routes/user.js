@@ -1,6 +1,6 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { authenticate, authRateLimit } = require('../middleware/auth');
+const { authenticate, authorize, authRateLimit, requireFreshToken } = require('../middleware/auth');
 
 /**
  * User Routes
@@ -20,7 +20,8 @@ router.use(authenticate);
 
 // Get all user streaks
 // GET /api/user/streaks
-router.get('/streaks', userController.getStreaks);
+// API tokens need the read:stats scope
+router.get('/streaks', authorize('read:stats'), userController.getStreaks);
 
 // Get specific streak for a task
 // GET /api/user/streak/:taskName
@@ -32,8 +33,9 @@ router.get('/streak/:taskName', userController.getStreak);
 
 // Complete a single task
 // POST /api/user/complete
-// Rate limited to prevent abuse
+// Rate limited to prevent abuse; API tokens need the write:completions scope
 router.post('/complete',
+  authorize('write:completions'),
   authRateLimit({ type: 'general', max: 30, windowMs: 15 * 60 * 1000 }), // 30 per 15 minutes
   userController.completeTask
 );
@@ -56,7 +58,8 @@ router.get('/history', userController.getHistory);
 
 // Get user streak statistics
 // GET /api/user/stats
-router.get('/stats', userController.getStats);
+// API tokens need the read:stats scope
+router.get('/stats', authorize('read:stats'), userController.getStats);
 
 /**
  * User Profile Routes
@@ -66,6 +69,35 @@ router.get('/stats', userController.getStats);
 // GET /api/user/profile
 router.get('/profile', userController.getProfile);
 
+// Update user profile settings (currently the streak timezone)
+// PUT /api/user/profile
+router.put('/profile',
+  authRateLimit({ type: 'general', max: 10, windowMs: 15 * 60 * 1000 }), // 10 per 15 minutes
+  userController.updateProfile
+);
+
+/**
+ * Vacation Pause Routes
+ */
+
+// Get the active or upcoming pause and past pauses
+// GET /api/user/pause
+router.get('/pause', userController.getPause);
+
+// Start or schedule a pause; paused days don't break streaks or count as missed
+// POST /api/user/pause
+router.post('/pause',
+  authRateLimit({ type: 'general', max: 10, windowMs: 15 * 60 * 1000 }), // 10 per 15 minutes
+  userController.startPause
+);
+
+// End the active pause early, or cancel an upcoming one
+// DELETE /api/user/pause
+router.delete('/pause',
+  authRateLimit({ type: 'general', max: 10, windowMs: 15 * 60 * 1000 }), // 10 per 15 minutes
+  userController.endPause
+);
+
 /**
  * Account Management Routes
  */
@@ -90,6 +122,15 @@ router.post('/change-password',
   userController.changePassword
 );
 
+// Change email; the new address must confirm via POST /api/auth/confirm-email-change
+// POST /api/user/change-email
+// Requires a token issued in the last 5 minutes; rate limited for security
+router.post('/change-email',
+  requireFreshToken(),
+  authRateLimit({ type: 'general', max: 5, windowMs: 60 * 60 * 1000 }), // 5 per hour
+  userController.changeEmail
+);
+
 // Logout from all devices (invalidate all sessions)
 // POST /api/user/logout-all
 // Rate limited for security
@@ -98,6 +139,43 @@ router.post('/logout-all',
   userController.logoutAllDevices
 );
 
+// List signed-in devices, marking the one making the request
+// GET /api/user/sessions
+router.get('/sessions', userController.getSessions);
+
+// Sign out a single device
+// DELETE /api/user/sessions/:sessionId
+// Rate limited for security
+router.delete('/sessions/:sessionId',
+  authRateLimit({ type: 'general', max: 10, windowMs: 15 * 60 * 1000 }), // 10 per 15 minutes
+  userController.revokeSession
+);
+
+// Recent security activity (sign-ins, password changes, revoked sessions), newest first
+// GET /api/user/security-events?limit=20&offset=0
+router.get('/security-events', userController.getSecurityEvents);
+
+// List personal API tokens
+// GET /api/user/tokens
+router.get('/tokens', userController.getApiTokens);
+
+// Create a personal API token; the raw token is only returned once
+// POST /api/user/tokens
+// Requires a token issued in the last 5 minutes; rate limited for security
+router.post('/tokens',
+  requireFreshToken(),
+  authRateLimit({ type: 'general', max: 10, windowMs: 60 * 60 * 1000 }), // 10 per hour
+  userController.createApiToken
+);
+
+// Revoke a personal API token
+// DELETE /api/user/tokens/:tokenId
+// Rate limited for security
+router.delete('/tokens/:tokenId',
+  authRateLimit({ type: 'general', max: 10, windowMs: 15 * 60 * 1000 }), // 10 per 15 minutes
+  userController.revokeApiToken
+);
+
 // Delete user account and all associated data
 // DELETE /api/user/account
 // Very restrictive rate limiting for security
@@ -149,7 +227,7 @@ router.get('/routes', (req, res) => {
       method: 'GET',
       path: '/api/user/streaks',
       description: 'Get all user streaks',
-      authentication: 'required'
+      authentication: 'required (or API token with read:stats)'
     },
     {
       method: 'GET',
@@ -164,7 +242,7 @@ router.get('/routes', (req, res) => {
       method: 'POST',
       path: '/api/user/complete',
       description: 'Complete a single task',
-      authentication: 'required',
+      authentication: 'required (or API token with write:completions)',
       rateLimit: '30 requests per 15 minutes',
       body: {
         taskName: 'string (required)',
@@ -192,15 +270,15 @@ router.get('/routes', (req, res) => {
         limit: 'number (1-100, default 50)',
         offset: 'number (default 0)',
         taskName: 'string (optional filter)',
-        startDate: 'ISO date string (optional filter)',
-        endDate: 'ISO date string (optional filter)'
+        startDate: 'ISO date string (optional filter, YYYY-MM-DD means start of that day in the user timezone)',
+        endDate: 'ISO date string (optional filter, YYYY-MM-DD means end of that day in the user timezone)'
       }
     },
     {
       method: 'GET',
       path: '/api/user/stats',
       description: 'Get user streak statistics',
-      authentication: 'required'
+      authentication: 'required (or API token with read:stats)'
     },
     {
       method: 'GET',
@@ -208,6 +286,41 @@ router.get('/routes', (req, res) => {
       description: 'Get user profile information',
       authentication: 'required'
     },
+    {
+      method: 'PUT',
+      path: '/api/user/profile',
+      description: 'Update profile settings; changing timezone recalculates existing streaks',
+      authentication: 'required',
+      rateLimit: '10 requests per 15 minutes',
+      body: {
+        timezone: 'IANA timezone name, e.g. "Asia/Tokyo"'
+      }
+    },
+    {
+      method: 'GET',
+      path: '/api/user/pause',
+      description: 'Get the active or upcoming vacation pause and past pauses',
+      authentication: 'required'
+    },
+    {
+      method: 'POST',
+      path: '/api/user/pause',
+      description: 'Start or schedule a vacation pause; paused days don\'t break streaks or count as missed',
+      authentication: 'required',
+      rateLimit: '10 requests per 15 minutes',
+      body: {
+        startDate: 'YYYY-MM-DD (optional, defaults to today; not in the past)',
+        endDate: 'YYYY-MM-DD (required, inclusive; pauses span at most 60 days)',
+        reason: 'string (optional, max 200 characters)'
+      }
+    },
+    {
+      method: 'DELETE',
+      path: '/api/user/pause',
+      description: 'End the active pause early (today is no longer paused) or cancel an upcoming one',
+      authentication: 'required',
+      rateLimit: '10 requests per 15 minutes'
+    },
     {
       method: 'GET',
       path: '/api/user/account',
@@ -224,6 +337,71 @@ router.get('/routes', (req, res) => {
         'Content-Disposition': 'attachment; filename with user ID and date'
       }
     },
+    {
+      method: 'GET',
+      path: '/api/user/sessions',
+      description: 'List signed-in devices with parsed browser and OS labels; the requesting device has current: true',
+      authentication: 'required'
+    },
+    {
+      method: 'DELETE',
+      path: '/api/user/sessions/:sessionId',
+      description: 'Sign out a single device; its tokens stop working immediately',
+      authentication: 'required',
+      rateLimit: '10 requests per 15 minutes',
+      parameters: {
+        sessionId: 'Session ID from GET /api/user/sessions (cannot be the current session)'
+      }
+    },
+    {
+      method: 'GET',
+      path: '/api/user/security-events',
+      description: 'List security events (sign-ins, failed logins, password and email changes, revoked sessions, exports) with IP, device and outcome, newest first',
+      authentication: 'required',
+      queryParams: {
+        limit: 'number (1-100, default 20)',
+        offset: 'number (default 0)'
+      }
+    },
+    {
+      method: 'GET',
+      path: '/api/user/tokens',
+      description: 'List personal API tokens with their scopes and when each was last used',
+      authentication: 'required'
+    },
+    {
+      method: 'POST',
+      path: '/api/user/tokens',
+      description: 'Create a personal API token for scripts; the token is only shown in this response',
+      authentication: 'required (token issued in the last 5 minutes)',
+      rateLimit: '10 requests per hour',
+      body: {
+        name: 'string (required, max 50 characters)',
+        scopes: 'array of read:tasks, write:completions, read:stats (at least one)',
+        expiresInDays: 'number (optional, 1-365; never expires if omitted)'
+      }
+    },
+    {
+      method: 'DELETE',
+      path: '/api/user/tokens/:tokenId',
+      description: 'Revoke a personal API token; it stops working immediately',
+      authentication: 'required',
+      rateLimit: '10 requests per 15 minutes',
+      parameters: {
+        tokenId: 'Token ID from GET /api/user/tokens'
+      }
+    },
+    {
+      method: 'POST',
+      path: '/api/user/change-email',
+      description: 'Email a confirmation link to a new address; the email changes once it is followed',
+      authentication: 'required (token issued in the last 5 minutes)',
+      rateLimit: '5 requests per hour',
+      body: {
+        currentPassword: 'string (required)',
+        newEmail: 'string (required)'
+      }
+    },
     {
       method: 'DELETE',
       path: '/api/user/account',
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+/**
+ * Account Lockout Service
+ *
+ * Counts failed password logins per account in the database, so guessing spread
+ * across many IPs is caught where the per-IP login limiter can't see it. Every
+ * LOGIN_LOCKOUT_THRESHOLD failures lock the account; each lockout lasts twice as
+ * long as the one before, up to LOGIN_LOCKOUT_MAX_MINUTES. A successful login
+ * resets the backoff, and the owner is emailed a single-use unlock link.
+ */
+
+class AccountLockoutService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10;
+    this.baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5;
+    this.maxMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+    this.unlockTokenExpiryHours = 24;
+  }
+
+  /**
+   * Hash an unlock token for storage
+   * @param {string} token - Raw unlock token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Whether a user record is currently locked
+   * @param {Object} user - User with locked_until
+   * @returns {boolean} True while the lock is in force
+   */
+  isLocked(user) {
+    return Boolean(user.locked_until) && user.locked_until > new Date();
+  }
+
+  /**
+   * Length of the next lockout
+   * @param {number} lockoutCount - Lockouts since the last successful login
+   * @returns {number} Minutes, doubling per lockout and capped at maxMinutes
+   */
+  getLockoutMinutes(lockoutCount) {
+    return Math.min(this.baseMinutes * 2 ** lockoutCount, this.maxMinutes);
+  }
+
+  /**
+   * Lock status for a user
+   * @param {Object} user - User with failed_login_count, lockout_count and locked_until
+   * @returns {Object} { locked, locked_until, failed_attempts, lockout_count }
+   */
+  getStatus(user) {
+    const locked = this.isLocked(user);
+
+    return {
+      locked,
+      locked_until: locked ? user.locked_until : null,
+      failed_attempts: user.failed_login_count || 0,
+      lockout_count: user.lockout_count || 0
+    };
+  }
+
+  /**
+   * Record a failed password attempt, locking the account at the threshold
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { locked, lockedUntil, unlockToken } - unlockToken is set only when this attempt caused the lock
+   */
+  async recordFailure(userId) {
+    const user = await this.prisma.users.update({
+      where: { id: userId },
+      data: { failed_login_count: { increment: 1 } },
+      select: { failed_login_count: true, lockout_count: true }
+    });
+
+    if (user.failed_login_count < this.threshold) {
+      return { locked: false, lockedUntil: null, unlockToken: null };
+    }
+
+    const lockedUntil = new Date(Date.now() + this.getLockoutMinutes(user.lockout_count) * 60 * 1000);
+
+    // Concurrent failures can all reach the threshold; only one of them locks
+    const result = await this.prisma.users.updateMany({
+      where: { id: userId, failed_login_count: { gte: this.threshold } },
+      data: {
+        failed_login_count: 0,
+        lockout_count: { increment: 1 },
+        locked_until: lockedUntil
+      }
+    });
+
+    if (result.count === 0) {
+      return { locked: true, lockedUntil, unlockToken: null };
+    }
+
+    const unlockToken = await this.generateUnlockToken(userId);
+
+    return { locked: true, lockedUntil, unlockToken };
+  }
+
+  /**
+   * Clear failed attempts and the backoff after a correct password
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(userId) {
+    await this.prisma.users.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { failed_login_count: { gt: 0 } },
+          { lockout_count: { gt: 0 } }
+        ]
+      },
+      data: {
+        failed_login_count: 0,
+        lockout_count: 0
+      }
+    });
+  }
+
+  /**
+   * Generate a single-use unlock token
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Raw unlock token (only its hash is stored)
+   */
+  async generateUnlockToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Only the link from the latest lockout works
+    await this.prisma.account_unlock_tokens.deleteMany({
+      where: { user_id: userId }
+    });
+
+    await this.prisma.account_unlock_tokens.create({
+      data: {
+        user_id: userId,
+        token_hash: this.hashToken(token),
+        expires_at: new Date(Date.now() + this.unlockTokenExpiryHours * 60 * 60 * 1000)
+      }
+    });
+
+    return token;
+  }
+
+  /**
+   * Unlock an account with an emailed token
+   * @param {string} token - Raw unlock token
+   * @returns {Promise<string>} ID of the unlocked user
+   */
+  async unlockWithToken(token) {
+    const unlockToken = await this.prisma.account_unlock_tokens.findUnique({
+      where: { token_hash: this.hashToken(token) }
+    });
+
+    if (!unlockToken) {
+      throw new Error('Invalid unlock token');
+    }
+
+    if (unlockToken.used_at) {
+      throw new Error('Unlock token has already been used');
+    }
+
+    if (new Date() > unlockToken.expires_at) {
+      throw new Error('Unlock token has expired');
+    }
+
+    const result = await this.prisma.account_unlock_tokens.updateMany({
+      where: { id: unlockToken.id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Unlock token has already been used');
+    }
+
+    await this.unlock(unlockToken.user_id);
+
+    return unlockToken.user_id;
+  }
+
+  /**
+   * Lift a lock and reset the backoff
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async unlock(userId) {
+    await this.prisma.users.update({
+      where: { id: userId },
+      data: {
+        failed_login_count: 0,
+        lockout_count: 0,
+        locked_until: null,
+        updated_at: new Date()
+      }
+    });
+  }
+}
+
+module.exports = AccountLockoutService;
@@ -31,7 +31,8 @@ class AccountService {
           created_at: true,
           last_login: true,
           email_verified: true,
-          email_verified_at: true
+          email_verified_at: true,
+          timezone: true
         }
       });
 
@@ -51,6 +52,36 @@ class AccountService {
         orderBy: { completed_date: 'asc' }
       });
 
+      // Get streak freeze audit trail
+      const freezeEvents = await this.prisma.streak_freeze_events.findMany({
+        where: { user_id: userId },
+        orderBy: { created_at: 'asc' }
+      });
+
+      // Get skipped and snoozed rotation tasks
+      const deferrals = await this.prisma.task_deferrals.findMany({
+        where: { user_id: userId },
+        orderBy: { created_at: 'asc' }
+      });
+
+      // Get confirmed email changes
+      const emailChanges = await this.prisma.email_changes.findMany({
+        where: { user_id: userId, confirmed_at: { not: null } },
+        orderBy: { confirmed_at: 'asc' }
+      });
+
+      // Get vacation pauses
+      const pauses = await this.prisma.user_pauses.findMany({
+        where: { user_id: userId },
+        orderBy: { start_date: 'asc' }
+      });
+
+      // Get the security audit log
+      const auditEvents = await this.prisma.audit_events.findMany({
+        where: { user_id: userId },
+        orderBy: { created_at: 'asc' }
+      });
+
       // Get all user sessions (for audit purposes)
       const sessions = await this.prisma.user_sessions.findMany({
         where: { user_id: userId },
@@ -88,7 +119,8 @@ class AccountService {
           accountCreated: user.created_at,
           lastLogin: user.last_login,
           emailVerified: user.email_verified,
-          emailVerifiedAt: user.email_verified_at
+          emailVerifiedAt: user.email_verified_at,
+          timezone: user.timezone
         },
         streaks: streaks.map(streak => ({
           id: streak.id,
@@ -96,9 +128,20 @@ class AccountService {
           currentStreak: streak.current_streak,
           bestStreak: streak.best_streak,
           lastCompleted: streak.last_completed,
+          freezesAvailable: streak.freezes_available,
+          freezesEarned: streak.freezes_earned,
+          freezesUsed: streak.freezes_used,
           createdAt: streak.created_at,
           updatedAt: streak.updated_at
         })),
+        streakFreezeEvents: freezeEvents.map(event => ({
+          id: event.id,
+          taskName: event.task_name,
+          eventType: event.event_type,
+          coveredDate: event.covered_date,
+          streakLength: event.streak_length,
+          createdAt: event.created_at
+        })),
         completionHistory: completions.map(completion => ({
           id: completion.id,
           taskName: completion.task_name,
@@ -107,6 +150,40 @@ class AccountService {
           notes: completion.notes,
           createdAt: completion.created_at
         })),
+        taskDeferrals: deferrals.map(deferral => ({
+          id: deferral.id,
+          action: deferral.action,
+          reason: deferral.reason,
+          snoozeDays: deferral.snooze_days,
+          taskDescription: deferral.task_description,
+          taskType: deferral.task_type,
+          pillarType: deferral.pillar_type,
+          keystoneType: deferral.keystone_type,
+          createdAt: deferral.created_at
+        })),
+        emailChanges: emailChanges.map(change => ({
+          oldEmail: change.old_email,
+          newEmail: change.new_email,
+          requestedAt: change.created_at,
+          changedAt: change.confirmed_at
+        })),
+        pauses: pauses.map(pause => ({
+          id: pause.id,
+          startDate: pause.start_date,
+          endDate: pause.end_date,
+          reason: pause.reason,
+          endedAt: pause.ended_at,
+          createdAt: pause.created_at
+        })),
+        securityEvents: auditEvents.map(event => ({
+          id: event.id,
+          eventType: event.event_type,
+          outcome: event.outcome,
+          ipAddress: event.ip_address,
+          deviceInfo: event.device_info,
+          metadata: event.metadata ? JSON.parse(event.metadata) : null,
+          createdAt: event.created_at
+        })),
         sessions: sessions.map(session => ({
           id: session.id,
           createdAt: session.created_at,
@@ -123,6 +200,8 @@ class AccountService {
           totalStreaks: streaks.length,
           currentActiveStreaks,
           bestOverallStreak: bestStreak,
+          tasksSkipped: deferrals.filter(d => d.action === 'skip').length,
+          tasksSnoozed: deferrals.filter(d => d.action === 'snooze').length,
           accountDuration: user.created_at ? {
             startDate: user.created_at,
             daysActive: Math.floor((new Date() - new Date(user.created_at)) / (24 * 60 * 60 * 1000))
@@ -194,7 +273,18 @@ class AccountService {
           where: { user_id: userId }
         });
 
-        // 4. Delete user account (this will also cascade to any remaining related data)
+        // 4. Keep the security audit log for abuse investigations, but without
+        // anything that identifies the person (deleting the user unlinks it)
+        await tx.audit_events.updateMany({
+          where: { user_id: userId },
+          data: {
+            ip_address: null,
+            device_info: null,
+            metadata: null
+          }
+        });
+
+        // 5. Delete user account (this will also cascade to any remaining related data)
         await tx.users.delete({
           where: { id: userId }
         });
@@ -256,7 +346,8 @@ class AccountService {
         totalStreaks,
         activeSessions,
         statsData,
-        streaksData
+        streaksData,
+        emailChanges
       ] = await Promise.all([
         this.prisma.completion_history.count({ where: { user_id: userId } }),
         this.prisma.user_streaks.count({ where: { user_id: userId } }),
@@ -268,7 +359,11 @@ class AccountService {
           }
         }),
         this.streakService.getStreakStats(userId),
-        this.streakService.getUserStreaks(userId)
+        this.streakService.getUserStreaks(userId),
+        this.prisma.email_changes.findMany({
+          where: { user_id: userId },
+          orderBy: { created_at: 'desc' }
+        })
       ]);
 
       // Calculate account age
@@ -278,6 +373,11 @@ class AccountService {
       // Get primary streak
       const primaryStreak = streaksData[0];
 
+      // Latest unconfirmed, unexpired request, if any
+      const pendingChange = emailChanges.find(change =>
+        !change.confirmed_at && change.expires_at > new Date()
+      );
+
       return {
         account: {
           user: {
@@ -285,7 +385,19 @@ class AccountService {
             email: user.email,
             createdAt: user.created_at,
             lastLogin: user.last_login,
-            accountAgeDays: accountAge
+            accountAgeDays: accountAge,
+            pendingEmail: pendingChange ? {
+              newEmail: pendingChange.new_email,
+              requestedAt: pendingChange.created_at,
+              expiresAt: pendingChange.expires_at
+            } : null,
+            emailHistory: emailChanges
+              .filter(change => change.confirmed_at)
+              .map(change => ({
+                oldEmail: change.old_email,
+                newEmail: change.new_email,
+                changedAt: change.confirmed_at
+              }))
           },
           stats: {
             current_streak: primaryStreak?.currentStreak || 0,
@@ -356,6 +468,15 @@ class AccountService {
           }
         });
 
+        await tx.audit_events.updateMany({
+          where: { user_id: userId },
+          data: {
+            ip_address: 'ANONYMIZED',
+            device_info: 'ANONYMIZED',
+            metadata: null
+          }
+        });
+
         // Clear personal notes from completion history
         const notesUpdated = await tx.completion_history.updateMany({
           where: {
@@ -367,10 +488,26 @@ class AccountService {
           }
         });
 
+        // Skip and snooze reasons are free text too
+        const reasonsUpdated = await tx.task_deferrals.updateMany({
+          where: { user_id: userId },
+          data: {
+            reason: '[ANONYMIZED]'
+          }
+        });
+
+        await tx.user_pauses.updateMany({
+          where: { user_id: userId, reason: { not: null } },
+          data: {
+            reason: '[ANONYMIZED]'
+          }
+        });
+
         return {
           anonymizedUser: 1,
           anonymizedSessions: await tx.user_sessions.count({ where: { user_id: userId } }),
-          anonymizedNotes: notesUpdated.count
+          anonymizedNotes: notesUpdated.count,
+          anonymizedDeferralReasons: reasonsUpdated.count
         };
       });
 
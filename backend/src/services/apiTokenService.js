@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { sanitizeString } = require('../utils/validation');
+
+/**
+ * API Token Service
+ *
+ * Long-lived personal access tokens for scripts and home-automation buttons that
+ * can't hold a cookie session. A token is sent as "Authorization: Bearer cs_pat_…",
+ * is limited to the scopes chosen when it was created, and only its SHA-256 hash
+ * is stored. Tokens stay valid until revoked or until their optional expiry.
+ */
+
+const TOKEN_PREFIX = 'cs_pat_';
+
+class ApiTokenService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.scopes = ['read:tasks', 'write:completions', 'read:stats'];
+    this.maxTokensPerUser = 20;
+    this.maxNameLength = 50;
+    this.maxExpiryDays = 365;
+
+    // Writing last_used_at on every request would turn each read into a write
+    this.lastUsedUpdateIntervalMs = 60 * 1000;
+  }
+
+  /**
+   * Hash an API token for storage
+   * @param {string} token - Raw API token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Whether a bearer token is a personal access token rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean} True for tokens with the cs_pat_ prefix
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Shape a stored token for API responses
+   * @param {Object} apiToken - api_tokens row
+   * @returns {Object} Token details without the hash
+   */
+  formatToken(apiToken) {
+    return {
+      id: apiToken.id,
+      name: apiToken.name,
+      scopes: apiToken.scopes.split(','),
+      token_prefix: apiToken.token_prefix,
+      last_used_at: apiToken.last_used_at,
+      expires_at: apiToken.expires_at,
+      created_at: apiToken.created_at
+    };
+  }
+
+  /**
+   * Create a personal access token
+   * @param {string} userId - User ID
+   * @param {Object} params - { name, scopes, expiresInDays? }
+   * @returns {Promise<Object>} { token, apiToken } - the raw token is only ever returned here
+   */
+  async createToken(userId, { name, scopes, expiresInDays } = {}) {
+    const tokenName = sanitizeString(String(name || '')).trim();
+    if (!tokenName) {
+      throw new Error('Token name is required');
+    }
+    if (tokenName.length > this.maxNameLength) {
+      throw new Error(`Token name must be ${this.maxNameLength} characters or fewer`);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+
+    const unknownScope = scopes.find(scope => !this.scopes.includes(scope));
+    if (unknownScope) {
+      throw new Error(`Unknown scope: ${unknownScope}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > this.maxExpiryDays) {
+        throw new Error(`expiresInDays must be a whole number between 1 and ${this.maxExpiryDays}`);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const tokenCount = await this.prisma.api_tokens.count({
+      where: { user_id: userId }
+    });
+
+    if (tokenCount >= this.maxTokensPerUser) {
+      throw new Error(`Token limit reached (${this.maxTokensPerUser}); revoke one first`);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiToken = await this.prisma.api_tokens.create({
+      data: {
+        user_id: userId,
+        name: tokenName,
+        token_hash: this.hashToken(token),
+        // Enough to tell tokens apart in a list without revealing them
+        token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        // Stored in a fixed order so equal scope sets compare equal
+        scopes: this.scopes.filter(scope => scopes.includes(scope)).join(','),
+        expires_at: expiresAt
+      }
+    });
+
+    return {
+      token,
+      apiToken: this.formatToken(apiToken)
+    };
+  }
+
+  /**
+   * List a user's tokens, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Tokens without their hashes
+   */
+  async listTokens(userId) {
+    const apiTokens = await this.prisma.api_tokens.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return apiTokens.map(apiToken => this.formatToken(apiToken));
+  }
+
+  /**
+   * Revoke one of a user's tokens
+   * @param {string} userId - User ID
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeToken(userId, tokenId) {
+    const result = await this.prisma.api_tokens.deleteMany({
+      where: { id: tokenId, user_id: userId }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Token not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Look up a presented token and record its use
+   * @param {string} token - Raw API token
+   * @returns {Promise<Object|null>} { id, userId, email, scopes, createdAt, expiresAt }, or null if unknown or expired
+   */
+  async verifyToken(token) {
+    const apiToken = await this.prisma.api_tokens.findUnique({
+      where: { token_hash: this.hashToken(token) },
+      include: { users: { select: { email: true } } }
+    });
+
+    if (!apiToken) {
+      return null;
+    }
+
+    const now = new Date();
+
+    if (apiToken.expires_at && apiToken.expires_at <= now) {
+      return null;
+    }
+
+    if (!apiToken.last_used_at || now - apiToken.last_used_at > this.lastUsedUpdateIntervalMs) {
+      await this.prisma.api_tokens.update({
+        where: { id: apiToken.id },
+        data: { last_used_at: now }
+      });
+    }
+
+    return {
+      id: apiToken.id,
+      userId: apiToken.user_id,
+      email: apiToken.users.email,
+      scopes: apiToken.scopes.split(','),
+      createdAt: apiToken.created_at,
+      expiresAt: apiToken.expires_at
+    };
+  }
+}
+
+module.exports = ApiTokenService;
@@ -0,0 +1,59 @@
+const AuditService = require('./auditService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Audit Retention Scheduler
+ *
+ * Runs AuditService.purgeExpired() once at startup and then on an interval, so
+ * audit_events never holds much more than AUDIT_EVENT_RETENTION_DAYS of history.
+ */
+
+/**
+ * Start purging expired audit events periodically
+ * @param {Object} options - { intervalHours, auditService }
+ * @returns {Function} Stop function
+ */
+function startAuditRetentionScheduler(options = {}) {
+  const auditService = options.auditService || new AuditService();
+  const intervalHours = options.intervalHours ||
+    parseInt(process.env.AUDIT_RETENTION_INTERVAL_HOURS, 10) || 24;
+
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const purged = await auditService.purgeExpired(new Date());
+      if (purged > 0) {
+        logger.info('Expired audit events purged', {
+          purged,
+          retentionDays: auditService.retentionDays
+        });
+      }
+    } catch (error) {
+      logger.error('Audit event purge failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+
+  run();
+
+  logger.info('Audit retention scheduler started', {
+    intervalHours,
+    retentionDays: auditService.retentionDays
+  });
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startAuditRetentionScheduler };
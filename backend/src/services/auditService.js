@@ -0,0 +1,142 @@
+const { PrismaClient } = require('@prisma/client');
+const { parseUserAgent } = require('../utils/userAgent');
+const { logger } = require('../utils/logger');
+
+/**
+ * Audit Service
+ *
+ * Stores security-relevant account activity in audit_events so owners can review
+ * it (GET /api/user/security-events) and support can query it, unlike the log
+ * files written by logger.security(). Each event keeps the IP, User-Agent and
+ * outcome of the request that caused it. Events older than
+ * AUDIT_EVENT_RETENTION_DAYS are purged by the retention job.
+ *
+ * Event types: login, logout, account_created, account_locked, account_unlocked,
+ * refresh_token_reuse, password_changed, password_reset, email_verified,
+ * email_change_requested, email_changed, session_revoked, sessions_revoked_all,
+ * two_factor_enabled, two_factor_disabled, two_factor_recovery_code_used,
+ * api_token_created, api_token_revoked, data_exported, account_deleted
+ */
+
+class AuditService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.retentionDays = parseInt(process.env.AUDIT_EVENT_RETENTION_DAYS, 10) || 365;
+    this.outcomes = ['success', 'failure'];
+    this.defaultPageSize = 20;
+    this.maxPageSize = 100;
+    this.maxDeviceInfoLength = 500;
+  }
+
+  /**
+   * Record an audit event
+   * Never throws: losing an audit row must not fail the request that caused it.
+   * @param {string} eventType - Event type, e.g. 'login'
+   * @param {Object} params - { userId?, req?, outcome?, metadata? }
+   * @returns {Promise<Object|null>} Created row, or null if it couldn't be stored
+   */
+  async record(eventType, { userId = null, req = null, outcome = 'success', metadata = null } = {}) {
+    try {
+      if (!this.outcomes.includes(outcome)) {
+        throw new Error(`Unknown outcome: ${outcome}`);
+      }
+
+      const userAgent = req ? req.get('User-Agent') : null;
+
+      return await this.prisma.audit_events.create({
+        data: {
+          user_id: userId,
+          event_type: eventType,
+          outcome,
+          ip_address: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+          device_info: userAgent ? userAgent.slice(0, this.maxDeviceInfoLength) : null,
+          metadata: metadata ? JSON.stringify(metadata) : null
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to record audit event', {
+        eventType,
+        userId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Shape a stored event for API responses
+   * @param {Object} event - audit_events row
+   * @returns {Object} Event with a parsed device label and metadata object
+   */
+  formatEvent(event) {
+    let metadata = null;
+    if (event.metadata) {
+      try {
+        metadata = JSON.parse(event.metadata);
+      } catch (error) {
+        metadata = null;
+      }
+    }
+
+    return {
+      id: event.id,
+      event_type: event.event_type,
+      outcome: event.outcome,
+      ip_address: event.ip_address,
+      device: parseUserAgent(event.device_info),
+      metadata,
+      created_at: event.created_at
+    };
+  }
+
+  /**
+   * List a user's security events, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { events, pagination: { total, limit, offset, hasMore } }
+   */
+  async listEvents(userId, { limit = this.defaultPageSize, offset = 0 } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || this.defaultPageSize, 1), this.maxPageSize);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const [events, total] = await Promise.all([
+      this.prisma.audit_events.findMany({
+        where: { user_id: userId },
+        orderBy: { created_at: 'desc' },
+        take,
+        skip
+      }),
+      this.prisma.audit_events.count({
+        where: { user_id: userId }
+      })
+    ]);
+
+    return {
+      events: events.map(event => this.formatEvent(event)),
+      pagination: {
+        total,
+        limit: take,
+        offset: skip,
+        hasMore: skip + events.length < total
+      }
+    };
+  }
+
+  /**
+   * Delete events older than the retention period
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+    const result = await this.prisma.audit_events.deleteMany({
+      where: { created_at: { lt: cutoff } }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = AuditService;
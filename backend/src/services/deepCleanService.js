@@ -0,0 +1,310 @@
+const { PrismaClient } = require('@prisma/client');
+const TaskTemplateService = require('./taskTemplateService');
+const {
+  resolveTimezone,
+  getLocalDayKey,
+  addDaysToKey,
+  daysBetweenKeys
+} = require('../utils/timezone');
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Deep Clean Service
+ *
+ * Occasional chores (clean the oven, flip the mattress) from the deep-clean catalog in
+ * TaskTemplateService. A user turns catalog tasks on for each of their rooms, optionally
+ * with their own interval. A task is due interval_days after it was last done, counting
+ * both completions from the rotation and a last-done date the user enters; one that has
+ * never been done is due straight away. TaskGenerationService adds due tasks to the next
+ * rotation. Dates are local days (YYYY-MM-DD) in the rotation owner's timezone.
+ */
+
+class DeepCleanService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.taskTemplateService = new TaskTemplateService();
+
+    // Allowed range for a user's own recurrence interval
+    this.intervalLimits = {
+      minDays: 7,
+      maxDays: 730
+    };
+  }
+
+  /**
+   * Whether a string is a real calendar date in YYYY-MM-DD form
+   * @private
+   * @param {string} value - Candidate date
+   * @returns {boolean} True for valid dates (rejects e.g. 2024-02-30)
+   */
+  _isValidDayKey(value) {
+    return typeof value === 'string' && DATE_ONLY_REGEX.test(value) && addDaysToKey(value, 0) === value;
+  }
+
+  /**
+   * Get a user's timezone
+   * @private
+   * @param {string} userId - User ID
+   * @param {Object} client - Prisma client or transaction object
+   * @returns {Promise<string>} IANA timezone name
+   */
+  async _getTimezone(userId, client = this.prisma) {
+    const user = await client.users.findUnique({
+      where: { id: userId },
+      select: { timezone: true }
+    });
+
+    return resolveTimezone(user?.timezone);
+  }
+
+  /**
+   * Get a user's deep-clean settings with the latest rotation completion of each
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} user_deep_clean_tasks rows
+   */
+  async _findUserTasks(userId) {
+    return this.prisma.user_deep_clean_tasks.findMany({
+      where: { user_id: userId },
+      include: {
+        deep_clean_completions: {
+          orderBy: { completed_date: 'desc' },
+          take: 1,
+          select: { completed_date: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Combine a catalog entry with the user's settings for one room
+   * @param {Object} room - user_rooms row
+   * @param {Object} catalogTask - { key, description, intervalDays, minutes }
+   * @param {Object|undefined} userTask - user_deep_clean_tasks row with its latest completion
+   * @param {string} todayKey - Rotation owner's local day
+   * @returns {Object} Deep-clean task for API responses
+   */
+  formatDeepCleanTask(room, catalogTask, userTask, todayKey) {
+    const isActive = Boolean(userTask && userTask.is_active);
+    const intervalDays = (userTask && userTask.interval_days) || catalogTask.intervalDays;
+
+    // Whichever is later: the user's own date or the last time it was done from the rotation
+    const latestCompletion = userTask && userTask.deep_clean_completions[0];
+    const doneDates = [
+      userTask && userTask.last_done_date,
+      latestCompletion && latestCompletion.completed_date
+    ].filter(Boolean).sort();
+    const lastDoneDate = doneDates.length > 0 ? doneDates[doneDates.length - 1] : null;
+
+    let nextDueDate = null;
+    if (isActive) {
+      nextDueDate = lastDoneDate ? addDaysToKey(lastDoneDate, intervalDays) : todayKey;
+    }
+
+    return {
+      id: userTask ? userTask.id : null,
+      task_key: catalogTask.key,
+      description: catalogTask.description.replace(/\{roomName\}/g, room.custom_name),
+      room: {
+        id: room.id,
+        name: room.custom_name,
+        type: room.room_type
+      },
+      is_active: isActive,
+      interval_days: intervalDays,
+      default_interval_days: catalogTask.intervalDays,
+      estimated_minutes: catalogTask.minutes,
+      last_done_date: lastDoneDate,
+      next_due_date: nextDueDate,
+      days_until_due: nextDueDate ? daysBetweenKeys(todayKey, nextDueDate) : null
+    };
+  }
+
+  /**
+   * List the deep-clean catalog for each of a user's active rooms, with the user's settings
+   * Rooms of custom types have no catalog, so they don't appear.
+   * @param {string} userId - User ID that owns the rooms
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Formatted deep-clean tasks in room order
+   */
+  async listDeepCleanTasks(userId, now = new Date()) {
+    const [rooms, userTasks, timezone] = await Promise.all([
+      this.prisma.user_rooms.findMany({
+        where: { user_id: userId, is_active: true },
+        orderBy: { sort_order: 'asc' }
+      }),
+      this._findUserTasks(userId),
+      this._getTimezone(userId)
+    ]);
+
+    const todayKey = getLocalDayKey(now, timezone);
+    const userTaskMap = new Map(userTasks.map(task => [`${task.room_id}:${task.task_key}`, task]));
+
+    return rooms.flatMap(room => this.taskTemplateService.getDeepCleanTasks(room.room_type).map(catalogTask =>
+      this.formatDeepCleanTask(room, catalogTask, userTaskMap.get(`${room.id}:${catalogTask.key}`), todayKey)
+    ));
+  }
+
+  /**
+   * Get the deep-clean tasks a user has turned on, soonest due first
+   * @param {string} userId - User ID that owns the rooms
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Formatted deep-clean tasks (overdue ones have negative days_until_due)
+   */
+  async getActiveDeepCleanTasks(userId, now = new Date()) {
+    const tasks = await this.listDeepCleanTasks(userId, now);
+
+    // Stable sort keeps room order for tasks due the same day
+    return tasks
+      .filter(task => task.is_active)
+      .sort((a, b) => a.days_until_due - b.days_until_due);
+  }
+
+  /**
+   * Get active deep-clean tasks that are overdue or come due within a number of days
+   * @param {string} userId - User ID that owns the rooms
+   * @param {number} horizonDays - Days ahead to look
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Formatted deep-clean tasks, soonest due first
+   */
+  async getDueDeepCleanTasks(userId, horizonDays, now = new Date()) {
+    const tasks = await this.getActiveDeepCleanTasks(userId, now);
+    return tasks.filter(task => task.days_until_due <= horizonDays);
+  }
+
+  /**
+   * Get active deep-clean tasks that are overdue or come due by the end of this month
+   * @param {string} userId - User ID that owns the rooms
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Formatted deep-clean tasks, soonest due first
+   */
+  async getDeepCleansDueThisMonth(userId, now = new Date()) {
+    const [tasks, timezone] = await Promise.all([
+      this.getActiveDeepCleanTasks(userId, now),
+      this._getTimezone(userId)
+    ]);
+
+    const [year, month] = getLocalDayKey(now, timezone).split('-').map(Number);
+    const nextMonthKey = month === 12
+      ? `${year + 1}-01-01`
+      : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+
+    return tasks.filter(task => task.next_due_date < nextMonthKey);
+  }
+
+  /**
+   * Turn a deep-clean task on or off for a room, or change its interval or last-done date
+   * Changes are picked up when the next rotation is generated.
+   * @param {string} userId - User ID that owns the room
+   * @param {string} roomId - Room ID
+   * @param {string} taskKey - Catalog task key for the room's type
+   * @param {Object} updates - { isActive?, intervalDays?, lastDoneDate? } (null resets the
+   *   interval to the catalog's and clears the last-done date)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Formatted deep-clean task
+   */
+  async updateDeepCleanTask(userId, roomId, taskKey, { isActive, intervalDays, lastDoneDate } = {}, now = new Date()) {
+    const room = await this.prisma.user_rooms.findFirst({
+      where: { id: roomId, user_id: userId }
+    });
+    if (!room) {
+      throw new Error('Room not found or unauthorized');
+    }
+
+    const catalogTask = this.taskTemplateService.getDeepCleanTask(room.room_type, taskKey);
+    if (!catalogTask) {
+      throw new Error(`Unknown deep-clean task for this room: ${taskKey}`);
+    }
+
+    const timezone = await this._getTimezone(userId);
+    const todayKey = getLocalDayKey(now, timezone);
+    const data = {};
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        throw new Error('isActive must be a boolean');
+      }
+      data.is_active = isActive;
+    }
+
+    if (intervalDays !== undefined) {
+      const { minDays, maxDays } = this.intervalLimits;
+      if (intervalDays !== null &&
+        (!Number.isInteger(intervalDays) || intervalDays < minDays || intervalDays > maxDays)) {
+        throw new Error(`intervalDays must be an integer between ${minDays} and ${maxDays}`);
+      }
+      data.interval_days = intervalDays;
+    }
+
+    if (lastDoneDate !== undefined) {
+      if (lastDoneDate !== null && (!this._isValidDayKey(lastDoneDate) || lastDoneDate > todayKey)) {
+        throw new Error('lastDoneDate must be a date (YYYY-MM-DD) no later than today');
+      }
+      data.last_done_date = lastDoneDate;
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new Error('No valid updates provided');
+    }
+
+    // Settings can be saved before the task is turned on
+    await this.prisma.user_deep_clean_tasks.upsert({
+      where: { room_id_task_key: { room_id: roomId, task_key: taskKey } },
+      update: data,
+      create: {
+        user_id: userId,
+        room_id: roomId,
+        task_key: taskKey,
+        is_active: false,
+        ...data
+      }
+    });
+
+    const userTasks = await this._findUserTasks(userId);
+    const userTask = userTasks.find(task => task.room_id === roomId && task.task_key === taskKey);
+
+    return this.formatDeepCleanTask(room, catalogTask, userTask, todayKey);
+  }
+
+  /**
+   * Record that a deep-clean task in the rotation was done
+   * The record is deleted with the completion, so undoing it restores the previous last-done date.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {Object} task - task_rotation record that was completed
+   * @param {string} completionId - completion_history ID
+   * @param {Object} client - Prisma client or transaction object
+   * @returns {Promise<Object|null>} deep_clean_completions record, or null for other tasks
+   */
+  async recordCompletion(userId, task, completionId, client = this.prisma) {
+    if (!task || task.task_type !== 'deep_clean') {
+      return null;
+    }
+
+    const [userTask, completion, timezone] = await Promise.all([
+      client.user_deep_clean_tasks.findUnique({
+        where: { room_id_task_key: { room_id: task.room_id, task_key: task.deep_clean_type } }
+      }),
+      client.completion_history.findUnique({
+        where: { id: completionId },
+        select: { completed_date: true }
+      }),
+      this._getTimezone(userId, client)
+    ]);
+
+    // The room (and its settings) may have been removed since the rotation was generated
+    if (!userTask || !completion) {
+      return null;
+    }
+
+    return client.deep_clean_completions.create({
+      data: {
+        deep_clean_task_id: userTask.id,
+        completion_id: completionId,
+        completed_date: getLocalDayKey(completion.completed_date, timezone)
+      }
+    });
+  }
+}
+
+module.exports = DeepCleanService;
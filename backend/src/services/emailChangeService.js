@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { comparePassword } = require('../utils/password');
+const { validateEmail, sanitizeString } = require('../utils/validation');
+
+/**
+ * Email Change Service
+ *
+ * Changes a user's email in two steps. A request (with the current password)
+ * emails a link to the new address; the account keeps its old email until that
+ * link is followed. Confirming swaps the address, marks it verified and signs
+ * out every session. Confirmed requests are kept as the account's email history.
+ */
+
+class EmailChangeService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.tokenExpiryHours = parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRY_HOURS, 10) || 24;
+  }
+
+  /**
+   * Hash a confirmation token for storage
+   * @param {string} token - Raw confirmation token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Start an email change
+   * Replaces any earlier pending request.
+   * @param {string} userId - User ID
+   * @param {Object} params - { currentPassword, newEmail }
+   * @returns {Promise<Object>} { token, oldEmail, newEmail, expiresAt }
+   */
+  async requestChange(userId, { currentPassword, newEmail }) {
+    // validateEmail also rejects non-strings, so the address is safe to normalize below
+    if (!validateEmail(newEmail).isValid) {
+      throw new Error('Invalid email address');
+    }
+
+    const normalizedEmail = sanitizeString(newEmail.trim().toLowerCase());
+
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, password_hash: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const isPasswordValid = await comparePassword(currentPassword, user.password_hash);
+    if (!isPasswordValid) {
+      throw new Error('Current password is incorrect');
+    }
+
+    if (normalizedEmail === user.email) {
+      throw new Error('New email must be different from the current email');
+    }
+
+    const existing = await this.prisma.users.findUnique({
+      where: { email: normalizedEmail },
+      select: { id: true }
+    });
+
+    if (existing) {
+      throw new Error('Email already in use');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.tokenExpiryHours * 60 * 60 * 1000);
+
+    await this.prisma.$transaction([
+      this.prisma.email_changes.deleteMany({
+        where: { user_id: userId, confirmed_at: null }
+      }),
+      this.prisma.email_changes.create({
+        data: {
+          user_id: userId,
+          old_email: user.email,
+          new_email: normalizedEmail,
+          token_hash: this.hashToken(token),
+          expires_at: expiresAt
+        }
+      })
+    ]);
+
+    return {
+      token,
+      oldEmail: user.email,
+      newEmail: normalizedEmail,
+      expiresAt
+    };
+  }
+
+  /**
+   * Confirm an email change with the token sent to the new address
+   * @param {string} token - Raw confirmation token
+   * @returns {Promise<Object>} { userId, oldEmail, newEmail }
+   */
+  async confirmChange(token) {
+    const change = await this.prisma.email_changes.findUnique({
+      where: { token_hash: this.hashToken(token) }
+    });
+
+    if (!change) {
+      throw new Error('Invalid email change token');
+    }
+
+    if (change.confirmed_at) {
+      throw new Error('Email change token has already been used');
+    }
+
+    if (new Date() > change.expires_at) {
+      throw new Error('Email change token has expired');
+    }
+
+    const existing = await this.prisma.users.findUnique({
+      where: { email: change.new_email },
+      select: { id: true }
+    });
+
+    if (existing) {
+      throw new Error('Email already in use');
+    }
+
+    const now = new Date();
+
+    try {
+      await this.prisma.$transaction([
+        this.prisma.email_changes.update({
+          where: { id: change.id, confirmed_at: null },
+          data: { confirmed_at: now }
+        }),
+        // Following the link proves the new address, and bumping token_version
+        // signs out every device that was using the old one
+        this.prisma.users.update({
+          where: { id: change.user_id },
+          data: {
+            email: change.new_email,
+            email_verified: true,
+            email_verified_at: now,
+            token_version: { increment: 1 },
+            updated_at: now
+          }
+        }),
+        this.prisma.user_sessions.updateMany({
+          where: { user_id: change.user_id },
+          data: { is_active: false }
+        }),
+        // Links sent to the old address no longer apply: whoever still reads that
+        // mailbox must not be able to reset the password or sign in with them
+        this.prisma.email_verification_tokens.deleteMany({
+          where: { user_id: change.user_id }
+        }),
+        this.prisma.password_reset_tokens.deleteMany({
+          where: { user_id: change.user_id }
+        }),
+        this.prisma.magic_link_tokens.deleteMany({
+          where: { user_id: change.user_id }
+        })
+      ]);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('Email already in use');
+      }
+      if (error.code === 'P2025') {
+        throw new Error('Email change token has already been used');
+      }
+      throw error;
+    }
+
+    return {
+      userId: change.user_id,
+      oldEmail: change.old_email,
+      newEmail: change.new_email
+    };
+  }
+}
+
+module.exports = EmailChangeService;
@@ -7,6 +7,11 @@ const crypto = require('crypto'); // Added crypto for token generation
  *
  * Handles all email-related functionality including:
  * - Sending verification emails using Resend API
+ * - Sending password reset emails with single-use hashed tokens
+ * - Sending passwordless sign-in (magic link) emails
+ * - Confirming email changes at the new address and notifying the old one
+ * - Security alerts when a stolen session token is detected
+ * - Account lockout notices with an unlock link
  * - Token generation and validation
  * - Email template rendering
  */
@@ -227,6 +232,563 @@ Best regards,
     }
   }
 
+  /**
+   * Hash a raw token for storage (only hashes are persisted)
+   * @param {string} token - Raw token value
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Generate a single-use password reset token
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Raw reset token (only its hash is stored)
+   */
+  async generatePasswordResetToken(userId) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiryMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES, 10) || 60;
+      const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+      // Invalidate any outstanding reset tokens for this user
+      await prisma.password_reset_tokens.deleteMany({
+        where: { user_id: userId }
+      });
+
+      await prisma.password_reset_tokens.create({
+        data: {
+          id: crypto.randomBytes(16).toString('hex'),
+          user_id: userId,
+          token_hash: this.hashToken(token),
+          expires_at: expiresAt
+        }
+      });
+
+      return token;
+    } catch (error) {
+      console.error('Failed to generate password reset token:', error);
+      throw new Error('Failed to generate password reset token');
+    }
+  }
+
+  /**
+   * Send password reset email to user
+   * @param {Object} user - User object with id and email
+   * @param {string} resetToken - Raw password reset token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendPasswordResetEmail(user, resetToken) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:8080/reset-password'}?reset_token=${resetToken}`;
+    const expiryMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES, 10) || 60;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: user.email,
+        subject: 'Reset Your CleanStreak Password',
+        text: this.getPasswordResetEmailText(resetUrl, expiryMinutes)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send password reset email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Password reset email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+      throw new Error('Failed to send password reset email');
+    }
+  }
+
+  /**
+   * Generate plain text password reset email template
+   * @param {string} resetUrl - Password reset URL
+   * @param {number} expiryMinutes - Token expiry in minutes
+   * @returns {string} Email text
+   */
+  getPasswordResetEmailText(resetUrl, expiryMinutes) {
+    return `
+Hi there,
+
+Someone (hopefully you) asked to reset the password for your CleanStreak account.
+
+Choose a new password by clicking the link below:
+${resetUrl}
+
+This link will expire in ${expiryMinutes} minutes and can only be used once.
+
+If you didn't ask for a password reset, you can safely ignore this email. Your password will not change.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Look up a password reset token and ensure it is still usable
+   * @param {string} token - Raw password reset token
+   * @returns {Promise<Object>} Token record including the owning user
+   */
+  async verifyPasswordResetToken(token) {
+    const resetToken = await prisma.password_reset_tokens.findUnique({
+      where: { token_hash: this.hashToken(token) },
+      include: { users: true }
+    });
+
+    if (!resetToken) {
+      throw new Error('Invalid password reset token');
+    }
+
+    if (resetToken.used_at) {
+      throw new Error('Password reset token has already been used');
+    }
+
+    if (new Date() > resetToken.expires_at) {
+      throw new Error('Password reset token has expired');
+    }
+
+    return resetToken;
+  }
+
+  /**
+   * Generate a single-use magic sign-in token
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Raw sign-in token (only its hash is stored)
+   */
+  async generateMagicLinkToken(userId) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiryMinutes = parseInt(process.env.MAGIC_LINK_TOKEN_EXPIRY_MINUTES, 10) || 15;
+      const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+      // Only the newest link works
+      await prisma.magic_link_tokens.deleteMany({
+        where: { user_id: userId }
+      });
+
+      await prisma.magic_link_tokens.create({
+        data: {
+          user_id: userId,
+          token_hash: this.hashToken(token),
+          expires_at: expiresAt
+        }
+      });
+
+      return token;
+    } catch (error) {
+      console.error('Failed to generate magic link token:', error);
+      throw new Error('Failed to generate magic link token');
+    }
+  }
+
+  /**
+   * Send magic sign-in link email to user
+   * @param {Object} user - User object with id and email
+   * @param {string} magicToken - Raw magic link token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendMagicLinkEmail(user, magicToken) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    const signInUrl = `${process.env.MAGIC_LINK_URL || 'http://localhost:8080/app.html'}?magic_token=${magicToken}`;
+    const expiryMinutes = parseInt(process.env.MAGIC_LINK_TOKEN_EXPIRY_MINUTES, 10) || 15;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: user.email,
+        subject: 'Your CleanStreak Sign-In Link',
+        text: this.getMagicLinkEmailText(signInUrl, expiryMinutes)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send magic link email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Magic link email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send magic link email:', error);
+      throw new Error('Failed to send magic link email');
+    }
+  }
+
+  /**
+   * Generate plain text magic link email template
+   * @param {string} signInUrl - Sign-in URL
+   * @param {number} expiryMinutes - Token expiry in minutes
+   * @returns {string} Email text
+   */
+  getMagicLinkEmailText(signInUrl, expiryMinutes) {
+    return `
+Hi there,
+
+Here's your link to sign in to CleanStreak - no password needed:
+${signInUrl}
+
+This link will expire in ${expiryMinutes} minutes and can only be used once.
+
+If you didn't ask to sign in, you can safely ignore this email.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Use up a magic link token
+   * Marking it used is atomic, so a link opened twice at once signs in only once.
+   * @param {string} token - Raw magic link token
+   * @returns {Promise<Object>} Token record
+   */
+  async consumeMagicLinkToken(token) {
+    const magicToken = await prisma.magic_link_tokens.findUnique({
+      where: { token_hash: this.hashToken(token) }
+    });
+
+    if (!magicToken) {
+      throw new Error('Invalid magic link token');
+    }
+
+    if (magicToken.used_at) {
+      throw new Error('Magic link token has already been used');
+    }
+
+    if (new Date() > magicToken.expires_at) {
+      throw new Error('Magic link token has expired');
+    }
+
+    const result = await prisma.magic_link_tokens.updateMany({
+      where: { id: magicToken.id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Magic link token has already been used');
+    }
+
+    return magicToken;
+  }
+
+  /**
+   * Send the confirmation link for an email change to the new address
+   * @param {string} newEmail - Address being confirmed
+   * @param {string} changeToken - Raw email change token
+   * @returns {Promise<Object>} Send result
+   */
+  async sendEmailChangeVerificationEmail(newEmail, changeToken) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    const confirmUrl = `${process.env.EMAIL_CHANGE_URL || 'http://localhost:8080/app.html'}?email_change_token=${changeToken}`;
+    const expiryHours = parseInt(process.env.EMAIL_CHANGE_TOKEN_EXPIRY_HOURS, 10) || 24;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: newEmail,
+        subject: 'Confirm Your New CleanStreak Email',
+        text: this.getEmailChangeVerificationEmailText(confirmUrl, expiryHours)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send email change verification email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Email change verification email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send email change verification email:', error);
+      throw new Error('Failed to send email change verification email');
+    }
+  }
+
+  /**
+   * Generate plain text email change confirmation template
+   * @param {string} confirmUrl - Confirmation URL
+   * @param {number} expiryHours - Token expiry in hours
+   * @returns {string} Email text
+   */
+  getEmailChangeVerificationEmailText(confirmUrl, expiryHours) {
+    return `
+Hi there,
+
+Someone asked to use this address for their CleanStreak account.
+
+To confirm the change, click the link below:
+${confirmUrl}
+
+This link will expire in ${expiryHours} hours and can only be used once. Once confirmed, you'll be signed out everywhere and can sign in with this address.
+
+If you didn't ask for this, you can safely ignore this email.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Tell the current address that an email change was requested
+   * @param {string} oldEmail - Address the account uses now
+   * @param {string} newEmail - Requested new address
+   * @returns {Promise<Object>} Send result
+   */
+  async sendEmailChangeNoticeEmail(oldEmail, newEmail) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: oldEmail,
+        subject: 'Your CleanStreak email is being changed',
+        text: this.getEmailChangeNoticeEmailText(newEmail)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send email change notice: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Email change notice sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send email change notice:', error);
+      throw new Error('Failed to send email change notice');
+    }
+  }
+
+  /**
+   * Generate plain text email change notice template
+   * @param {string} newEmail - Requested new address
+   * @returns {string} Email text
+   */
+  getEmailChangeNoticeEmailText(newEmail) {
+    return `
+Hi there,
+
+Someone signed in to your CleanStreak account asked to change its email to ${newEmail}.
+
+Nothing changes until the link we sent to that address is followed. Your account keeps using this address until then.
+
+If this wasn't you, change your password in Settings right away - that also signs out every device.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Send a household invite link
+   * @param {string} email - Address to invite
+   * @param {Object} household - Household with name and invite_code
+   * @param {string} inviterEmail - Email of the household owner sending the invite
+   * @returns {Promise<Object>} Send result
+   */
+  async sendHouseholdInviteEmail(email, household, inviterEmail) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    const inviteUrl = `${process.env.HOUSEHOLD_INVITE_URL || 'http://localhost:8080/app.html'}?household_invite=${household.invite_code}`;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: email,
+        subject: `Join ${household.name} on CleanStreak`,
+        text: this.getHouseholdInviteEmailText(inviteUrl, household, inviterEmail)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send household invite email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Household invite email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send household invite email:', error);
+      throw new Error('Failed to send household invite email');
+    }
+  }
+
+  /**
+   * Generate plain text household invite email template
+   * @param {string} inviteUrl - Invite link URL
+   * @param {Object} household - Household with name and invite_code
+   * @param {string} inviterEmail - Email of the household owner
+   * @returns {string} Email text
+   */
+  getHouseholdInviteEmailText(inviteUrl, household, inviterEmail) {
+    return `
+Hi there,
+
+${inviterEmail} invited you to share the cleaning rotation for "${household.name}" on CleanStreak.
+
+Sign in or create an account, then join by clicking the link below:
+${inviteUrl}
+
+Or enter this invite code in Settings: ${household.invite_code}
+
+Everyone in a household works through the same task list, and every task you finish still counts toward your own streak.
+
+If you weren't expecting this invite, you can safely ignore this email.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Warn a user that a stolen refresh token was used and the session was revoked
+   * @param {Object} user - User object with id and email
+   * @param {Object} details - { deviceLabel, ipAddress, detectedAt }
+   * @returns {Promise<Object>} Send result
+   */
+  async sendRefreshTokenReuseEmail(user, details) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: user.email,
+        subject: 'We signed out one of your CleanStreak sessions',
+        text: this.getRefreshTokenReuseEmailText(details)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send security alert email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Security alert email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send security alert email:', error);
+      throw new Error('Failed to send security alert email');
+    }
+  }
+
+  /**
+   * Generate plain text refresh token reuse alert template
+   * @param {Object} details - { deviceLabel, ipAddress, detectedAt }
+   * @returns {string} Email text
+   */
+  getRefreshTokenReuseEmailText(details) {
+    return `
+Hi there,
+
+We noticed an old sign-in token for your CleanStreak account being used again on ${details.detectedAt.toUTCString()}. This usually means someone copied it from one of your devices.
+
+Session: ${details.deviceLabel}
+Request came from: ${details.ipAddress}
+
+To be safe we signed out that session. Your other devices stay signed in.
+
+If you don't recognise this, change your password in Settings. You can review the devices signed in to your account on the Devices tab.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
+  /**
+   * Tell a user their account was locked after repeated failed logins
+   * @param {Object} user - User object with id and email
+   * @param {string} unlockToken - Raw unlock token
+   * @param {Date} lockedUntil - When the lock lifts on its own
+   * @returns {Promise<Object>} Send result
+   */
+  async sendAccountLockedEmail(user, unlockToken, lockedUntil) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service not configured');
+    }
+
+    const unlockUrl = `${process.env.ACCOUNT_UNLOCK_URL || 'http://localhost:8080/app.html'}?unlock_token=${unlockToken}`;
+
+    try {
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+        to: user.email,
+        subject: 'Your CleanStreak account has been locked',
+        text: this.getAccountLockedEmailText(unlockUrl, lockedUntil)
+      });
+
+      if (error) {
+        console.error('Resend API error:', JSON.stringify(error, null, 2));
+        throw new Error(`Failed to send account locked email: ${error.message || 'Unknown error'}`);
+      }
+
+      console.log('Account locked email sent:', data.id);
+      return { success: true, messageId: data.id };
+    } catch (error) {
+      console.error('Failed to send account locked email:', error);
+      throw new Error('Failed to send account locked email');
+    }
+  }
+
+  /**
+   * Generate plain text account locked email template
+   * @param {string} unlockUrl - Unlock URL
+   * @param {Date} lockedUntil - When the lock lifts on its own
+   * @returns {string} Email text
+   */
+  getAccountLockedEmailText(unlockUrl, lockedUntil) {
+    return `
+Hi there,
+
+Someone entered the wrong password for your CleanStreak account too many times, so we've locked password sign-in until ${lockedUntil.toUTCString()}.
+
+If that was you, unlock your account now with the link below:
+${unlockUrl}
+
+This link can only be used once. You can also sign in with an emailed sign-in link while the account is locked.
+
+If it wasn't you, someone may be guessing your password. Consider choosing a stronger one in Settings once you're signed in.
+
+Best regards,
+  The CleanStreak Team
+
+---
+  CleanStreak - Build better habits, one task at a time
+    `.trim();
+  }
+
   /**
    * Clean up expired verification tokens (for maintenance tasks)
    * @returns {Promise<number>} Number of deleted tokens
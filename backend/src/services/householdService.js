@@ -0,0 +1,296 @@
+const { PrismaClient } = require('@prisma/client');
+const crypto = require('crypto');
+const emailService = require('./emailService');
+const { sanitizeString, validateEmail } = require('../utils/validation');
+
+// Invite codes avoid look-alike characters (0/O, 1/I/L) since they are typed by hand
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+/**
+ * Household Service
+ *
+ * Lets several users share one home. A household's rooms, keystones and task
+ * rotation are the ones stored under its owner's user ID, so members resolve
+ * to that "home user" for everything rotation-related while streaks and
+ * completion history stay personal.
+ */
+
+class HouseholdService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.roles = ['owner', 'member'];
+  }
+
+  /**
+   * Generate a random invite code
+   * @returns {string} Invite code
+   */
+  generateInviteCode() {
+    let code = '';
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Get a user's household membership
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Membership including the household, or null
+   */
+  async getMembership(userId) {
+    return this.prisma.household_members.findUnique({
+      where: { user_id: userId },
+      include: { households: true }
+    });
+  }
+
+  /**
+   * Resolve whose rooms, keystones and rotation a user works from
+   * Users outside a household own their own home.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { householdId, role, homeUserId }
+   */
+  async getHomeContext(userId) {
+    const membership = await this.getMembership(userId);
+
+    if (!membership) {
+      return { householdId: null, role: 'owner', homeUserId: userId };
+    }
+
+    return {
+      householdId: membership.household_id,
+      role: membership.role,
+      homeUserId: membership.households.owner_id
+    };
+  }
+
+  /**
+   * Resolve the user ID that keys a user's shared rotation
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} Home user ID
+   */
+  async getHomeUserId(userId) {
+    const { homeUserId } = await this.getHomeContext(userId);
+    return homeUserId;
+  }
+
+  /**
+   * Get the household a user belongs to, with its members
+   * The invite code is only included for the owner.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Household or null
+   */
+  async getHousehold(userId) {
+    const membership = await this.getMembership(userId);
+    if (!membership) {
+      return null;
+    }
+
+    const members = await this.prisma.household_members.findMany({
+      where: { household_id: membership.household_id },
+      include: { users: { select: { id: true, email: true } } },
+      orderBy: { joined_at: 'asc' }
+    });
+
+    const household = membership.households;
+    return {
+      id: household.id,
+      name: household.name,
+      role: membership.role,
+      invite_code: membership.role === 'owner' ? household.invite_code : null,
+      created_at: household.created_at,
+      members: members.map(member => ({
+        user_id: member.user_id,
+        email: member.users.email,
+        role: member.role,
+        joined_at: member.joined_at
+      }))
+    };
+  }
+
+  /**
+   * Create a household around the user's existing rooms and rotation
+   * @param {string} userId - User ID (becomes the owner)
+   * @param {string} name - Household name
+   * @returns {Promise<Object>} Created household
+   */
+  async createHousehold(userId, name) {
+    const sanitizedName = sanitizeString(name || '');
+    if (sanitizedName.length < 1 || sanitizedName.length > 50) {
+      throw new Error('Household name must be between 1 and 50 characters');
+    }
+
+    if (await this.getMembership(userId)) {
+      throw new Error('User already belongs to a household');
+    }
+
+    await this.prisma.households.create({
+      data: {
+        name: sanitizedName,
+        owner_id: userId,
+        invite_code: this.generateInviteCode(),
+        household_members: {
+          create: { user_id: userId, role: 'owner' }
+        }
+      }
+    });
+
+    return this.getHousehold(userId);
+  }
+
+  /**
+   * Join a household with its invite code
+   * The user's own rooms and rotation are kept untouched and come back if they leave.
+   * @param {string} userId - User ID
+   * @param {string} inviteCode - Household invite code
+   * @returns {Promise<Object>} Joined household
+   */
+  async joinHousehold(userId, inviteCode) {
+    const code = String(inviteCode || '').trim().toUpperCase();
+    const household = code
+      ? await this.prisma.households.findUnique({ where: { invite_code: code } })
+      : null;
+
+    if (!household) {
+      throw new Error('Invalid invite code');
+    }
+
+    if (await this.getMembership(userId)) {
+      throw new Error('User already belongs to a household');
+    }
+
+    await this.prisma.household_members.create({
+      data: {
+        household_id: household.id,
+        user_id: userId,
+        role: 'member'
+      }
+    });
+
+    return this.getHousehold(userId);
+  }
+
+  /**
+   * Leave a household (members only; owners disband instead)
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async leaveHousehold(userId) {
+    const membership = await this.getMembership(userId);
+    if (!membership) {
+      throw new Error('Household not found');
+    }
+
+    if (membership.role === 'owner') {
+      throw new Error('Household owner cannot leave; disband the household instead');
+    }
+
+    await this.prisma.household_members.delete({
+      where: { user_id: userId }
+    });
+
+    return true;
+  }
+
+  /**
+   * Get the household owned by a user
+   * @param {string} ownerId - Owner user ID
+   * @returns {Promise<Object>} Household record
+   */
+  async getOwnedHousehold(ownerId) {
+    const household = await this.prisma.households.findUnique({
+      where: { owner_id: ownerId }
+    });
+
+    if (!household) {
+      throw new Error('Household not found or unauthorized');
+    }
+
+    return household;
+  }
+
+  /**
+   * Remove a member from the owner's household
+   * @param {string} ownerId - Owner user ID
+   * @param {string} memberUserId - User ID of the member to remove
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeMember(ownerId, memberUserId) {
+    const household = await this.getOwnedHousehold(ownerId);
+
+    if (memberUserId === ownerId) {
+      throw new Error('Household owner cannot leave; disband the household instead');
+    }
+
+    const result = await this.prisma.household_members.deleteMany({
+      where: { household_id: household.id, user_id: memberUserId }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Member not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace the invite code, invalidating any previously shared code or link
+   * @param {string} ownerId - Owner user ID
+   * @returns {Promise<string>} New invite code
+   */
+  async regenerateInviteCode(ownerId) {
+    const household = await this.getOwnedHousehold(ownerId);
+    const inviteCode = this.generateInviteCode();
+
+    await this.prisma.households.update({
+      where: { id: household.id },
+      data: { invite_code: inviteCode }
+    });
+
+    return inviteCode;
+  }
+
+  /**
+   * Email an invite link for the owner's household
+   * @param {string} ownerId - Owner user ID
+   * @param {string} email - Address to invite
+   * @returns {Promise<Object>} Send result
+   */
+  async sendInvite(ownerId, email) {
+    const emailValidation = validateEmail(email);
+    if (!emailValidation.isValid) {
+      throw new Error(`Invalid email: ${emailValidation.error}`);
+    }
+
+    const household = await this.getOwnedHousehold(ownerId);
+    const owner = await this.prisma.users.findUnique({
+      where: { id: ownerId },
+      select: { email: true }
+    });
+
+    return emailService.sendHouseholdInviteEmail(
+      email.trim().toLowerCase(),
+      household,
+      owner.email
+    );
+  }
+
+  /**
+   * Disband the owner's household; members fall back to their own rooms
+   * @param {string} ownerId - Owner user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async disbandHousehold(ownerId) {
+    const household = await this.getOwnedHousehold(ownerId);
+
+    await this.prisma.households.delete({
+      where: { id: household.id }
+    });
+
+    return true;
+  }
+}
+
+module.exports = HouseholdService;
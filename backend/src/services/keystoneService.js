@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const TaskTemplateService = require('./taskTemplateService');
 
 /**
  * Keystone Service
@@ -10,6 +11,7 @@ const { PrismaClient } = require('@prisma/client');
 class KeystoneService {
   constructor() {
     this.prisma = new PrismaClient();
+    this.taskTemplateService = new TaskTemplateService();
 
     // Default keystone task types (in default order)
     this.defaultKeystones = [
@@ -22,6 +24,52 @@ class KeystoneService {
       'shower_tub',
       'microwave'
     ];
+
+    // Allowed frequency bounds (one task per day, so a keystone can't be daily)
+    this.frequencyLimits = {
+      minDays: 2,
+      maxDays: 90,
+      maxTimesPerWeek: 3
+    };
+  }
+
+  /**
+   * Validate a keystone frequency setting
+   * @param {number|null} frequencyDays - Every N days (null to clear)
+   * @param {number|null} timesPerWeek - N times per week (null to clear)
+   * @throws {Error} If the frequency is invalid
+   */
+  validateFrequency(frequencyDays, timesPerWeek) {
+    const { minDays, maxDays, maxTimesPerWeek } = this.frequencyLimits;
+
+    if (frequencyDays != null && timesPerWeek != null) {
+      throw new Error('Set either frequencyDays or timesPerWeek, not both');
+    }
+
+    if (frequencyDays != null &&
+      (!Number.isInteger(frequencyDays) || frequencyDays < minDays || frequencyDays > maxDays)) {
+      throw new Error(`frequencyDays must be an integer between ${minDays} and ${maxDays}`);
+    }
+
+    if (timesPerWeek != null &&
+      (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > maxTimesPerWeek)) {
+      throw new Error(`timesPerWeek must be an integer between 1 and ${maxTimesPerWeek}`);
+    }
+  }
+
+  /**
+   * Target spacing between occurrences of a keystone
+   * @param {Object} keystone - Keystone row
+   * @returns {number|null} Interval in days, or null for once per rotation
+   */
+  getFrequencyIntervalDays(keystone) {
+    if (keystone.frequency_days) {
+      return keystone.frequency_days;
+    }
+    if (keystone.times_per_week) {
+      return 7 / keystone.times_per_week;
+    }
+    return null;
   }
 
   /**
@@ -147,6 +195,7 @@ class KeystoneService {
    * @param {string} updates.customName - Custom name for the keystone
    * @param {boolean} updates.isActive - Whether keystone is active
    * @param {number} updates.sortOrder - Sort order position
+   * @param {number|null} updates.estimatedMinutes - Estimated duration (null for the built-in estimate)
    * @returns {Promise<Object>} Updated keystone object
    */
   async updateKeystone(keystoneId, userId, updates) {
@@ -186,14 +235,33 @@ class KeystoneService {
       updateData.sort_order = updates.sortOrder;
     }
 
+    // Setting one frequency style replaces the other
+    if (updates.hasOwnProperty('frequencyDays') || updates.hasOwnProperty('timesPerWeek')) {
+      const frequencyDays = updates.frequencyDays ?? null;
+      const timesPerWeek = updates.timesPerWeek ?? null;
+      this.validateFrequency(frequencyDays, timesPerWeek);
+      updateData.frequency_days = frequencyDays;
+      updateData.times_per_week = timesPerWeek;
+    }
+
+    // Durations are read when tasks are picked, so they don't change the rotation
+    if (updates.hasOwnProperty('estimatedMinutes')) {
+      const minutes = updates.estimatedMinutes;
+      if (minutes !== null && !this.taskTemplateService.isValidTaskMinutes(minutes)) {
+        const { minTaskMinutes, maxTaskMinutes } = this.taskTemplateService;
+        throw new Error(`Estimated minutes must be a whole number between ${minTaskMinutes} and ${maxTaskMinutes}`);
+      }
+      updateData.estimated_minutes = minutes;
+    }
+
     // Update keystone
     const updatedKeystone = await this.prisma.user_keystone_tasks.update({
       where: { id: keystoneId },
       data: updateData
     });
 
-    // Mark user as having pending config changes if active status changed
-    if (updateData.hasOwnProperty('is_active')) {
+    // Mark user as having pending config changes if the rotation would change
+    if (updateData.hasOwnProperty('is_active') || updateData.hasOwnProperty('frequency_days')) {
       await this.markPendingConfigChanges(userId);
     }
 
@@ -0,0 +1,363 @@
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+const TaskProgressService = require('./taskProgressService');
+const HouseholdService = require('./householdService');
+const PauseService = require('./pauseService');
+const webPush = require('../utils/webPush');
+const { getLocalDayBounds, getLocalTimeKey } = require('../utils/timezone');
+
+const REMINDER_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Notification Service
+ *
+ * Web Push reminders for today's task. Users subscribe one or more browsers
+ * and pick a local reminder time; the scheduler calls sendDueReminders()
+ * periodically and each user gets at most one reminder per local day, only
+ * while today's task is still undone and they aren't on a vacation pause.
+ */
+
+class NotificationService {
+  constructor() {
+    this.prisma = new PrismaClient();
+    this.taskProgressService = new TaskProgressService();
+    this.householdService = new HouseholdService();
+    this.pauseService = new PauseService();
+
+    this.defaultReminderTime = '09:00';
+    this.maxSubscriptionsPerUser = 10;
+    this.maxEndpointLength = 2048;
+    // Reminders are about today; a push service may drop them after 12 hours
+    this.reminderTtlSeconds = 12 * 60 * 60;
+    // A push service that hasn't answered by then counts as a failed send
+    this.pushTimeoutMs = 10 * 1000;
+    // The server fetches subscription endpoints, so outside tests they must be public HTTPS URLs
+    this.allowLocalEndpoints = process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID !== undefined;
+  }
+
+  /**
+   * VAPID settings from the environment
+   * @returns {Object} { subject, publicKey, privateKey }
+   */
+  getVapidConfig() {
+    return {
+      subject: process.env.VAPID_SUBJECT || 'mailto:support@cleanstreak.com',
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY
+    };
+  }
+
+  /**
+   * Whether push is configured
+   * @returns {boolean} True when both VAPID keys are set
+   */
+  isEnabled() {
+    const { publicKey, privateKey } = this.getVapidConfig();
+    return Boolean(publicKey && privateKey);
+  }
+
+  /**
+   * Get a user's reminder settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, public_key, reminder_time, subscriptions }
+   */
+  async getSettings(userId) {
+    const [user, subscriptions] = await Promise.all([
+      this.prisma.users.findUnique({
+        where: { id: userId },
+        select: { reminder_time: true }
+      }),
+      this.prisma.push_subscriptions.count({ where: { user_id: userId } })
+    ]);
+
+    return {
+      enabled: this.isEnabled(),
+      public_key: this.isEnabled() ? this.getVapidConfig().publicKey : null,
+      reminder_time: user ? user.reminder_time : null,
+      subscriptions
+    };
+  }
+
+  /**
+   * Whether an IPv4 address is loopback, private, link-local or otherwise not on the internet
+   * @private
+   * @param {string} address - Dotted IPv4 address
+   * @returns {boolean} True for non-public addresses
+   */
+  _isPrivateIPv4(address) {
+    const [a, b] = address.split('.').map(Number);
+
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  /**
+   * Whether a URL hostname points at this machine or a private network
+   * @private
+   * @param {string} hostname - Hostname from a parsed URL (IPv6 in brackets)
+   * @returns {boolean} True for localhost and loopback, private, link-local or unspecified IPs
+   */
+  _isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      return true;
+    }
+
+    if (net.isIPv4(host)) {
+      return this._isPrivateIPv4(host);
+    }
+
+    if (net.isIPv6(host)) {
+      // IPv4-mapped addresses (::ffff:7f00:1 is 127.0.0.1)
+      const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+      if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return this._isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+      }
+
+      const firstGroup = host.startsWith('::') ? 0 : parseInt(host.split(':')[0], 16);
+      return host === '::' || host === '::1' ||
+        (firstGroup & 0xfe00) === 0xfc00 || // unique local fc00::/7
+        (firstGroup & 0xffc0) === 0xfe80; // link-local fe80::/10
+    }
+
+    return false;
+  }
+
+  /**
+   * Validate a PushSubscription JSON object from the browser
+   * Push services are public HTTPS endpoints; anything else could point the server at its own network.
+   * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+   * @returns {boolean} True if usable
+   */
+  isValidSubscription(subscription) {
+    if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+      return false;
+    }
+
+    const { endpoint, keys } = subscription;
+    if (endpoint.length > this.maxEndpointLength) {
+      return false;
+    }
+
+    try {
+      const url = new URL(endpoint);
+      if (this.allowLocalEndpoints) {
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+          return false;
+        }
+      } else if (url.protocol !== 'https:' || this._isPrivateHost(url.hostname)) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    return typeof keys.p256dh === 'string' && keys.p256dh.length > 0 && keys.p256dh.length <= 200 &&
+      typeof keys.auth === 'string' && keys.auth.length > 0 && keys.auth.length <= 100;
+  }
+
+  /**
+   * Save a browser subscription and the user's reminder time
+   * A browser that re-subscribes (or changes account) keeps a single row per endpoint.
+   * @param {string} userId - User ID
+   * @param {Object} subscription - PushSubscription JSON
+   * @param {string} [reminderTime] - Local time in HH:MM; keeps the current time (or 09:00) when omitted
+   * @param {string} [userAgent] - Browser user agent, for listing devices
+   * @returns {Promise<Object>} Updated settings
+   */
+  async subscribe(userId, subscription, reminderTime, userAgent = null) {
+    if (!this.isEnabled()) {
+      throw new Error('Push notifications are not configured');
+    }
+
+    if (!this.isValidSubscription(subscription)) {
+      throw new Error('Invalid push subscription');
+    }
+
+    if (reminderTime !== undefined && reminderTime !== null && !REMINDER_TIME_PATTERN.test(reminderTime)) {
+      throw new Error('Reminder time must be in HH:MM format');
+    }
+
+    const existing = await this.prisma.push_subscriptions.findUnique({
+      where: { endpoint: subscription.endpoint }
+    });
+
+    if (!existing || existing.user_id !== userId) {
+      const count = await this.prisma.push_subscriptions.count({ where: { user_id: userId } });
+      if (count >= this.maxSubscriptionsPerUser) {
+        throw new Error(`Maximum of ${this.maxSubscriptionsPerUser} push subscriptions reached`);
+      }
+    }
+
+    const data = {
+      user_id: userId,
+      p256dh: subscription.keys.p256dh,
+      auth: subscription.keys.auth,
+      user_agent: userAgent ? String(userAgent).slice(0, 255) : null
+    };
+
+    await this.prisma.push_subscriptions.upsert({
+      where: { endpoint: subscription.endpoint },
+      create: { endpoint: subscription.endpoint, ...data },
+      update: data
+    });
+
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { reminder_time: true }
+    });
+
+    await this.prisma.users.update({
+      where: { id: userId },
+      data: { reminder_time: reminderTime || user.reminder_time || this.defaultReminderTime }
+    });
+
+    return this.getSettings(userId);
+  }
+
+  /**
+   * Remove a browser subscription, or all of them when no endpoint is given
+   * Reminders stop once the user has no subscriptions left.
+   * @param {string} userId - User ID
+   * @param {string} [endpoint] - Subscription endpoint
+   * @returns {Promise<number>} Number of subscriptions removed
+   */
+  async unsubscribe(userId, endpoint) {
+    const where = endpoint ? { user_id: userId, endpoint } : { user_id: userId };
+    const result = await this.prisma.push_subscriptions.deleteMany({ where });
+
+    if (endpoint && result.count === 0) {
+      throw new Error('Subscription not found');
+    }
+
+    const remaining = await this.prisma.push_subscriptions.count({ where: { user_id: userId } });
+    if (remaining === 0) {
+      await this.prisma.users.update({
+        where: { id: userId },
+        data: { reminder_time: null }
+      });
+    }
+
+    return result.count;
+  }
+
+  /**
+   * Send a message to every subscription a user has
+   * Subscriptions the push service reports as gone are deleted.
+   * @param {string} userId - User ID
+   * @param {Object} message - { title, body, url, tag }
+   * @returns {Promise<number>} Number of subscriptions that accepted the message
+   */
+  async sendToUser(userId, message) {
+    const subscriptions = await this.prisma.push_subscriptions.findMany({
+      where: { user_id: userId }
+    });
+
+    const payload = JSON.stringify(message);
+    const options = { vapid: this.getVapidConfig(), ttl: this.reminderTtlSeconds, timeoutMs: this.pushTimeoutMs };
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+      try {
+        const result = await webPush.sendNotification({
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+        }, payload, options);
+
+        if (result.expired) {
+          await this.prisma.push_subscriptions.delete({ where: { id: subscription.id } });
+          continue;
+        }
+
+        await this.prisma.push_subscriptions.update({
+          where: { id: subscription.id },
+          data: { last_sent_at: new Date() }
+        });
+        delivered++;
+      } catch (error) {
+        console.error('Error sending push notification:', error.message);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Send today's task reminder to every user whose local reminder time has passed
+   * Skips users who already completed a task today or were already reminded today.
+   * @param {Date} now - Current instant (injectable for tests)
+   * @returns {Promise<Object>} { checked, reminded }
+   */
+  async sendDueReminders(now = new Date()) {
+    if (!this.isEnabled()) {
+      return { checked: 0, reminded: 0 };
+    }
+
+    const users = await this.prisma.users.findMany({
+      where: {
+        reminder_time: { not: null },
+        push_subscriptions: { some: {} }
+      },
+      select: { id: true, timezone: true, reminder_time: true, last_reminder_on: true }
+    });
+
+    let reminded = 0;
+
+    for (const user of users) {
+      try {
+        const { dayKey, start, end } = getLocalDayBounds(now, user.timezone);
+
+        if (user.last_reminder_on === dayKey || getLocalTimeKey(now, user.timezone) < user.reminder_time) {
+          continue;
+        }
+
+        const completedToday = await this.prisma.completion_history.count({
+          where: {
+            user_id: user.id,
+            completed_date: { gte: start, lt: end }
+          }
+        });
+
+        // Mark the day as handled first so a slow push service can't cause duplicates
+        await this.prisma.users.update({
+          where: { id: user.id },
+          data: { last_reminder_on: dayKey }
+        });
+
+        // Nothing to remind about when done for the day or on a vacation pause
+        if (completedToday > 0 || await this.pauseService.getActivePause(user.id, now)) {
+          continue;
+        }
+
+        const homeUserId = await this.householdService.getHomeUserId(user.id);
+        const task = await this.taskProgressService.getCurrentTask(homeUserId);
+        if (!task) {
+          continue;
+        }
+
+        const delivered = await this.sendToUser(user.id, {
+          title: 'CleanStreak',
+          body: `Your task today: ${task.task_description}`,
+          url: '/app.html',
+          tag: 'daily-task'
+        });
+
+        if (delivered > 0) {
+          reminded++;
+        }
+      } catch (error) {
+        console.error('Error sending reminder:', error);
+      }
+    }
+
+    return { checked: users.length, reminded };
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,233 @@
+const { PrismaClient } = require('@prisma/client');
+const { sanitizeString } = require('../utils/validation');
+const {
+  resolveTimezone,
+  getLocalDayKey,
+  addDaysToKey,
+  daysBetweenKeys
+} = require('../utils/timezone');
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pause Service
+ *
+ * Vacation pauses: a user sets a start and end date (local days in their timezone)
+ * and, while paused, gets no current task or reminders. Paused days are skipped
+ * when streaks are calculated and don't count as missed in stats. A user has at
+ * most one active or upcoming pause; past pauses are kept as history.
+ */
+
+class PauseService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.maxPauseDays = parseInt(process.env.PAUSE_MAX_DAYS, 10) || 60;
+    this.maxReasonLength = 200;
+  }
+
+  /**
+   * Whether a string is a real calendar date in YYYY-MM-DD form
+   * @private
+   * @param {string} value - Candidate date
+   * @returns {boolean} True for valid dates (rejects e.g. 2024-02-30)
+   */
+  _isValidDayKey(value) {
+    return typeof value === 'string' && DATE_ONLY_REGEX.test(value) && addDaysToKey(value, 0) === value;
+  }
+
+  /**
+   * Get the user's local day key for an instant
+   * @private
+   * @param {string} userId - User ID
+   * @param {Date} now - Instant
+   * @returns {Promise<string>} YYYY-MM-DD in the user's timezone
+   */
+  async _getTodayKey(userId, now) {
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { timezone: true }
+    });
+
+    return getLocalDayKey(now, resolveTimezone(user?.timezone));
+  }
+
+  /**
+   * Shape a stored pause for API responses
+   * @param {Object} pause - user_pauses row
+   * @param {string} todayKey - User's local day
+   * @returns {Object} Pause with its status ('scheduled', 'active' or 'ended')
+   */
+  formatPause(pause, todayKey) {
+    let status = 'ended';
+    if (!pause.ended_at && pause.end_date >= todayKey) {
+      status = pause.start_date > todayKey ? 'scheduled' : 'active';
+    }
+
+    return {
+      id: pause.id,
+      start_date: pause.start_date,
+      end_date: pause.end_date,
+      reason: pause.reason,
+      status,
+      ended_at: pause.ended_at,
+      created_at: pause.created_at
+    };
+  }
+
+  /**
+   * Find the user's active or upcoming pause row
+   * @private
+   * @param {string} userId - User ID
+   * @param {string} todayKey - User's local day
+   * @returns {Promise<Object|null>} user_pauses row
+   */
+  async _findCurrentPause(userId, todayKey) {
+    return this.prisma.user_pauses.findFirst({
+      where: {
+        user_id: userId,
+        ended_at: null,
+        end_date: { gte: todayKey }
+      },
+      orderBy: { start_date: 'asc' }
+    });
+  }
+
+  /**
+   * Get the user's active or upcoming pause
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Formatted pause, or null if none
+   */
+  async getCurrentPause(userId, now = new Date()) {
+    const todayKey = await this._getTodayKey(userId, now);
+    const pause = await this._findCurrentPause(userId, todayKey);
+
+    return pause ? this.formatPause(pause, todayKey) : null;
+  }
+
+  /**
+   * Get the user's pause if it covers today
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Formatted pause, or null if not paused today
+   */
+  async getActivePause(userId, now = new Date()) {
+    const pause = await this.getCurrentPause(userId, now);
+    return pause && pause.status === 'active' ? pause : null;
+  }
+
+  /**
+   * Start or schedule a pause
+   * @param {string} userId - User ID
+   * @param {Object} params - { startDate?, endDate, reason? } (startDate defaults to today)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Formatted pause
+   */
+  async startPause(userId, { startDate, endDate, reason } = {}, now = new Date()) {
+    const todayKey = await this._getTodayKey(userId, now);
+    const start = startDate || todayKey;
+
+    if (!this._isValidDayKey(start) || !this._isValidDayKey(endDate)) {
+      throw new Error('Invalid date: use YYYY-MM-DD');
+    }
+    if (start < todayKey) {
+      throw new Error('Pause cannot start in the past');
+    }
+    if (endDate < start) {
+      throw new Error('End date must be on or after the start date');
+    }
+    if (daysBetweenKeys(start, endDate) + 1 > this.maxPauseDays) {
+      throw new Error(`Pause can be at most ${this.maxPauseDays} days`);
+    }
+
+    const pauseReason = reason ? sanitizeString(String(reason)).trim() : '';
+    if (pauseReason.length > this.maxReasonLength) {
+      throw new Error(`Reason must be ${this.maxReasonLength} characters or fewer`);
+    }
+
+    const existing = await this._findCurrentPause(userId, todayKey);
+    if (existing) {
+      throw new Error('A pause is already active or scheduled');
+    }
+
+    const pause = await this.prisma.user_pauses.create({
+      data: {
+        user_id: userId,
+        start_date: start,
+        end_date: endDate,
+        reason: pauseReason || null
+      }
+    });
+
+    return this.formatPause(pause, todayKey);
+  }
+
+  /**
+   * End the active pause (or cancel an upcoming one)
+   * Today is no longer paused, so finishing today's task keeps the streak going.
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Formatted pause as ended
+   */
+  async endPause(userId, now = new Date()) {
+    const todayKey = await this._getTodayKey(userId, now);
+    const pause = await this._findCurrentPause(userId, todayKey);
+
+    if (!pause) {
+      throw new Error('No active or scheduled pause');
+    }
+
+    // An upcoming pause ends up with end_date before start_date, so it covers no days
+    const yesterdayKey = addDaysToKey(todayKey, -1);
+    const updated = await this.prisma.user_pauses.update({
+      where: { id: pause.id },
+      data: {
+        end_date: pause.start_date > todayKey ? addDaysToKey(pause.start_date, -1) : yesterdayKey,
+        ended_at: now
+      }
+    });
+
+    return this.formatPause(updated, todayKey);
+  }
+
+  /**
+   * List a user's pauses, most recent first
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} Formatted pauses
+   */
+  async listPauses(userId, now = new Date()) {
+    const todayKey = await this._getTodayKey(userId, now);
+    const pauses = await this.prisma.user_pauses.findMany({
+      where: { user_id: userId },
+      orderBy: { start_date: 'desc' }
+    });
+
+    return pauses.map(pause => this.formatPause(pause, todayKey));
+  }
+
+  /**
+   * Every local day a user has paused
+   * @param {string} userId - User ID
+   * @param {Object} client - Prisma client or transaction object
+   * @returns {Promise<Set<string>>} YYYY-MM-DD day keys
+   */
+  async getPausedDayKeys(userId, client = this.prisma) {
+    const pauses = await client.user_pauses.findMany({
+      where: { user_id: userId },
+      select: { start_date: true, end_date: true }
+    });
+
+    const dayKeys = new Set();
+    for (const pause of pauses) {
+      for (let day = pause.start_date; day <= pause.end_date; day = addDaysToKey(day, 1)) {
+        dayKeys.add(day);
+      }
+    }
+
+    return dayKeys;
+  }
+}
+
+module.exports = PauseService;
@@ -0,0 +1,57 @@
+const NotificationService = require('./notificationService');
+const { logger } = require('../utils/logger');
+
+/**
+ * Reminder Scheduler
+ *
+ * Runs NotificationService.sendDueReminders() on an interval. Each run picks up
+ * every user whose reminder time has passed since the last one, so the interval
+ * only controls how late a reminder can be, not whether it is sent.
+ */
+
+/**
+ * Start sending task reminders periodically
+ * @param {Object} options - { intervalMinutes, notificationService }
+ * @returns {Function|null} Stop function, or null when push is not configured
+ */
+function startReminderScheduler(options = {}) {
+  const notificationService = options.notificationService || new NotificationService();
+  const intervalMinutes = options.intervalMinutes ||
+    parseInt(process.env.PUSH_REMINDER_INTERVAL_MINUTES, 10) || 5;
+
+  if (!notificationService.isEnabled()) {
+    logger.info('Push reminders disabled: VAPID keys not configured');
+    return null;
+  }
+
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await notificationService.sendDueReminders(new Date());
+      if (result.reminded > 0) {
+        logger.info('Push reminders sent', result);
+      }
+    } catch (error) {
+      logger.error('Push reminder run failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  // Don't keep the process alive just for reminders
+  timer.unref();
+
+  logger.info('Push reminder scheduler started', { intervalMinutes });
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { startReminderScheduler };
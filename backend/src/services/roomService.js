@@ -1,5 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const TaskTemplateService = require('./taskTemplateService');
+const {
+  PILLAR_TEMPLATE_FIELDS,
+  PILLAR_TYPES,
+  toRoomTypeKey,
+  getRoomPillars,
+  resolveRoomPillars,
+  validateRoomWeight,
+  validateCustomRoomTypeData
+} = require('../utils/roomConfigValidator');
 
 /**
  * Room Service
@@ -24,6 +33,18 @@ class RoomService {
       'laundry',
       'garage'
     ];
+
+    // Pillar types a room can have task templates for
+    this.pillarTypes = PILLAR_TYPES;
+  }
+
+  /**
+   * Shape a stored room for callers
+   * @param {Object} room - user_rooms row
+   * @returns {Object} Room with pillars as an array
+   */
+  formatRoom(room) {
+    return { ...room, pillars: getRoomPillars(room) };
   }
 
   /**
@@ -32,13 +53,15 @@ class RoomService {
    * @param {Object} roomData - Room configuration data
    * @param {string} roomData.roomType - Type of room
    * @param {string} roomData.customName - Custom name for the room
-   * @param {boolean} roomData.hasGlass - Whether room has glass surfaces
+   * @param {boolean} roomData.hasGlass - Whether room has glass surfaces (legacy, ignored if pillars given)
+   * @param {string[]} roomData.pillars - Pillar types the room gets tasks for (defaults to all)
    * @returns {Promise<Object>} Created room object
    */
-  async createRoom(userId, { roomType, customName, hasGlass = true }) {
-    // Validate room type
-    if (!this.validateRoomType(roomType)) {
-      throw new Error(`Invalid room type: ${roomType}. Must be one of: ${this.validRoomTypes.join(', ')}`);
+  async createRoom(userId, { roomType, customName, hasGlass, pillars }) {
+    // Validate room type (built-in or one the user created)
+    const availableTypes = await this.getAvailableRoomTypes(userId);
+    if (!availableTypes.includes(roomType)) {
+      throw new Error(`Invalid room type: ${roomType}. Must be one of: ${availableTypes.join(', ')}`);
     }
 
     // Validate custom name
@@ -46,6 +69,8 @@ class RoomService {
       throw new Error('Custom name must be between 1 and 50 characters');
     }
 
+    const roomPillars = resolveRoomPillars({ pillars, hasGlass });
+
     // Get current max sort_order for this user
     const maxOrderRoom = await this.prisma.user_rooms.findFirst({
       where: { user_id: userId },
@@ -60,7 +85,8 @@ class RoomService {
         user_id: userId,
         room_type: roomType,
         custom_name: customName.trim(),
-        has_glass: hasGlass,
+        has_glass: roomPillars.includes('glass'),
+        pillars: roomPillars.join(','),
         sort_order: nextSortOrder,
         is_active: true
       }
@@ -69,7 +95,7 @@ class RoomService {
     // Mark user as having pending config changes
     await this.markPendingConfigChanges(userId);
 
-    return room;
+    return this.formatRoom(room);
   }
 
   /**
@@ -89,7 +115,7 @@ class RoomService {
       orderBy: { sort_order: 'asc' }
     });
 
-    return rooms;
+    return rooms.map(room => this.formatRoom(room));
   }
 
   /**
@@ -106,7 +132,7 @@ class RoomService {
       }
     });
 
-    return room;
+    return room ? this.formatRoom(room) : null;
   }
 
   /**
@@ -114,6 +140,10 @@ class RoomService {
    * @param {string} roomId - Room ID
    * @param {string} userId - User ID (for authorization)
    * @param {Object} updates - Fields to update
+   * @param {string[]} updates.pillars - Pillar types the room gets tasks for
+   * @param {boolean} updates.hasGlass - Legacy glass toggle; adds or removes only the glass pillar
+   * @param {number} updates.visitsPerCycle - Visits per rotation (1-3)
+   * @param {number} updates.cycleInterval - Include the room every N rotations (1-4)
    * @returns {Promise<Object>} Updated room object
    */
   async updateRoom(roomId, userId, updates) {
@@ -141,11 +171,12 @@ class RoomService {
       updateData.custom_name = trimmed;
     }
 
-    // Map hasGlass -> has_glass
-    if (updates.hasGlass !== undefined) {
-      updateData.has_glass = updates.hasGlass;
-    } else if (updates.has_glass !== undefined) {
-      updateData.has_glass = updates.has_glass;
+    // Pillars, or the legacy hasGlass toggle; has_glass always follows pillars
+    const hasGlass = updates.hasGlass !== undefined ? updates.hasGlass : updates.has_glass;
+    if (updates.pillars !== undefined || hasGlass !== undefined) {
+      const pillars = resolveRoomPillars({ pillars: updates.pillars, hasGlass }, existingRoom.pillars);
+      updateData.pillars = pillars.join(',');
+      updateData.has_glass = pillars.includes('glass');
     }
 
     // Map isActive -> is_active
@@ -156,16 +187,26 @@ class RoomService {
     }
 
     // Map roomType -> room_type
-    if (updates.roomType !== undefined) {
-      if (!this.validateRoomType(updates.roomType)) {
-        throw new Error(`Invalid room type: ${updates.roomType}`);
+    const newRoomType = updates.roomType !== undefined ? updates.roomType : updates.room_type;
+    if (newRoomType !== undefined) {
+      if (!this.validateRoomType(newRoomType) && !(await this.getCustomRoomType(userId, newRoomType))) {
+        throw new Error(`Invalid room type: ${newRoomType}`);
       }
-      updateData.room_type = updates.roomType;
-    } else if (updates.room_type !== undefined) {
-      if (!this.validateRoomType(updates.room_type)) {
-        throw new Error(`Invalid room type: ${updates.room_type}`);
+      updateData.room_type = newRoomType;
+    }
+
+    // Weight: setting one of visitsPerCycle / cycleInterval resets the other to 1
+    if (updates.visitsPerCycle !== undefined || updates.cycleInterval !== undefined) {
+      const weight = {
+        visitsPerCycle: updates.visitsPerCycle ?? 1,
+        cycleInterval: updates.cycleInterval ?? 1
+      };
+      const errors = validateRoomWeight(weight);
+      if (errors.length > 0) {
+        throw new Error(errors[0]);
       }
-      updateData.room_type = updates.room_type;
+      updateData.visits_per_cycle = weight.visitsPerCycle;
+      updateData.cycle_interval = weight.cycleInterval;
     }
 
     if (Object.keys(updateData).length === 0) {
@@ -181,7 +222,7 @@ class RoomService {
     // Mark user as having pending config changes
     await this.markPendingConfigChanges(userId);
 
-    return updatedRoom;
+    return this.formatRoom(updatedRoom);
   }
 
   /**
@@ -271,6 +312,373 @@ class RoomService {
     return count > 0;
   }
 
+  /**
+   * Get a user's custom room types
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Custom room types sorted by name
+   */
+  async getCustomRoomTypes(userId) {
+    return this.prisma.custom_room_types.findMany({
+      where: { user_id: userId },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  /**
+   * Get one of a user's custom room types
+   * @param {string} userId - User ID
+   * @param {string} typeKey - Room type key
+   * @returns {Promise<Object|null>} Custom room type or null if not found
+   */
+  async getCustomRoomType(userId, typeKey) {
+    return this.prisma.custom_room_types.findUnique({
+      where: {
+        user_id_type_key: { user_id: userId, type_key: typeKey }
+      }
+    });
+  }
+
+  /**
+   * Get every room type a user can create rooms with
+   * @param {string} userId - User ID
+   * @returns {Promise<string[]>} Built-in room types followed by the user's custom type keys
+   */
+  async getAvailableRoomTypes(userId) {
+    const customTypes = await this.getCustomRoomTypes(userId);
+    return [...this.validRoomTypes, ...customTypes.map(t => t.type_key)];
+  }
+
+  /**
+   * Get pillar templates for a user's custom room types, keyed for rotation generation
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} Map of type key to { glass, surfaces, floor } templates
+   */
+  async getCustomRoomTypeTemplates(userId) {
+    const customTypes = await this.getCustomRoomTypes(userId);
+    return new Map(customTypes.map(t => [t.type_key, {
+      glass: t.glass_template,
+      surfaces: t.surfaces_template,
+      floor: t.floor_template
+    }]));
+  }
+
+  /**
+   * Create a custom room type with its own pillar templates
+   * @param {string} userId - User ID
+   * @param {Object} typeData - { name, glassTemplate, surfacesTemplate, floorTemplate }
+   * @returns {Promise<Object>} Created custom room type
+   */
+  async createCustomRoomType(userId, typeData) {
+    const validation = validateCustomRoomTypeData(typeData, { reservedTypes: this.validRoomTypes });
+    if (!validation.valid) {
+      throw new Error(`Invalid room type data: ${validation.errors.join(', ')}`);
+    }
+
+    const name = typeData.name.trim();
+    const typeKey = toRoomTypeKey(name);
+
+    if (await this.getCustomRoomType(userId, typeKey)) {
+      throw new Error(`Room type already exists: ${typeKey}`);
+    }
+
+    return this.prisma.custom_room_types.create({
+      data: {
+        user_id: userId,
+        type_key: typeKey,
+        name,
+        glass_template: typeData.glassTemplate.trim(),
+        surfaces_template: typeData.surfacesTemplate.trim(),
+        floor_template: typeData.floorTemplate.trim()
+      }
+    });
+  }
+
+  /**
+   * Update the name or pillar templates of a custom room type (its key never changes)
+   * @param {string} userId - User ID
+   * @param {string} typeKey - Room type key
+   * @param {Object} updates - Any of { name, glassTemplate, surfacesTemplate, floorTemplate }
+   * @returns {Promise<Object>} Updated custom room type
+   */
+  async updateCustomRoomType(userId, typeKey, updates) {
+    const existing = await this.getCustomRoomType(userId, typeKey);
+    if (!existing) {
+      throw new Error('Room type not found or unauthorized');
+    }
+
+    // The key is fixed, so a renamed type only needs a name that isn't a built-in's
+    const validation = validateCustomRoomTypeData(updates, { partial: true });
+    if (!validation.valid) {
+      throw new Error(`Invalid room type data: ${validation.errors.join(', ')}`);
+    }
+
+    const updateData = {};
+    if (updates.name !== undefined) {
+      updateData.name = updates.name.trim();
+    }
+    for (const [pillarType, field] of Object.entries(PILLAR_TEMPLATE_FIELDS)) {
+      if (updates[field] !== undefined) {
+        updateData[`${pillarType}_template`] = updates[field].trim();
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      throw new Error('No valid updates provided');
+    }
+
+    const updated = await this.prisma.custom_room_types.update({
+      where: { id: existing.id },
+      data: updateData
+    });
+
+    // Rooms of this type pick up new templates when the rotation is next generated
+    const roomsUsingType = await this.prisma.user_rooms.count({
+      where: { user_id: userId, room_type: typeKey }
+    });
+    if (roomsUsingType > 0) {
+      await this.markPendingConfigChanges(userId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Delete a custom room type that no room uses
+   * @param {string} userId - User ID
+   * @param {string} typeKey - Room type key
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteCustomRoomType(userId, typeKey) {
+    const existing = await this.getCustomRoomType(userId, typeKey);
+    if (!existing) {
+      throw new Error('Room type not found or unauthorized');
+    }
+
+    // Inactive rooms still count: they keep their type and could be reactivated
+    const roomsUsingType = await this.prisma.user_rooms.count({
+      where: { user_id: userId, room_type: typeKey }
+    });
+    if (roomsUsingType > 0) {
+      throw new Error(`Room type is in use by ${roomsUsingType} room(s)`);
+    }
+
+    await this.prisma.custom_room_types.delete({
+      where: { id: existing.id }
+    });
+
+    return true;
+  }
+
+  /**
+   * Get pillar task templates for a room, showing user overrides alongside built-ins
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<Array>} One entry per pillar with default, custom and resulting description, duration and whether the room has it enabled
+   */
+  async getRoomTemplates(roomId, userId) {
+    const room = await this.getRoomById(roomId, userId);
+    if (!room) {
+      throw new Error('Room not found or unauthorized');
+    }
+
+    const [overrides, customTypeTemplates] = await Promise.all([
+      this.prisma.room_task_templates.findMany({
+        where: { room_id: roomId, user_id: userId }
+      }),
+      this.getCustomRoomTypeTemplates(userId)
+    ]);
+    const overrideMap = new Map(overrides.map(o => [o.pillar_type, o]));
+    const customTypeTemplate = customTypeTemplates.get(room.room_type);
+
+    return this.pillarTypes.map(pillarType => {
+      const override = overrideMap.get(pillarType);
+      // Templates for disabled pillars can still be edited, ready for when they're turned on
+      const defaultTemplate = customTypeTemplate
+        ? customTypeTemplate[pillarType]
+        : this.taskTemplateService.getTemplateForRoom(room.room_type, pillarType);
+      const defaultMinutes = this.taskTemplateService.getTemplateMinutes(room.room_type, pillarType);
+      const customMinutes = override ? override.estimated_minutes : null;
+      return {
+        pillar_type: pillarType,
+        enabled: room.pillars.includes(pillarType),
+        default_template: defaultTemplate,
+        custom_template: override ? override.description : null,
+        description: this.taskTemplateService.generateTaskDescription(
+          room.room_type,
+          room.custom_name,
+          pillarType,
+          (override && override.description) || defaultTemplate
+        ),
+        default_minutes: defaultMinutes,
+        custom_minutes: customMinutes,
+        estimated_minutes: customMinutes || defaultMinutes,
+        updated_at: override ? override.updated_at : null
+      };
+    });
+  }
+
+  /**
+   * Create or replace the user's template for one pillar of a room
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} pillarType - Pillar type (glass, surfaces, floor)
+   * @param {string} description - Template text, may contain {roomName}
+   * @returns {Promise<Object>} Saved template record
+   */
+  async setRoomTemplate(roomId, userId, pillarType, description) {
+    const room = await this.getRoomById(roomId, userId);
+    if (!room) {
+      throw new Error('Room not found or unauthorized');
+    }
+
+    if (!this.taskTemplateService.isValidPillarType(pillarType)) {
+      throw new Error(`Invalid pillar type: ${pillarType}. Must be one of: ${this.pillarTypes.join(', ')}`);
+    }
+
+    const trimmed = typeof description === 'string' ? description.trim() : '';
+    if (trimmed.length < 1 || trimmed.length > 200) {
+      throw new Error('Template description must be between 1 and 200 characters');
+    }
+
+    const template = await this.prisma.room_task_templates.upsert({
+      where: {
+        room_id_pillar_type: { room_id: roomId, pillar_type: pillarType }
+      },
+      update: { description: trimmed },
+      create: {
+        user_id: userId,
+        room_id: roomId,
+        pillar_type: pillarType,
+        description: trimmed
+      }
+    });
+
+    // Applied when the rotation is next generated
+    await this.markPendingConfigChanges(userId);
+
+    return template;
+  }
+
+  /**
+   * Set or clear the user's estimated duration for one pillar of a room
+   * Durations are looked up when tasks are picked, so the rotation doesn't need regenerating.
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} pillarType - Pillar type (glass, surfaces, floor)
+   * @param {number|null} minutes - Estimated minutes, or null for the built-in estimate
+   * @returns {Promise<Object|null>} Saved template record, or null if nothing is overridden any more
+   */
+  async setRoomTaskMinutes(roomId, userId, pillarType, minutes) {
+    const room = await this.getRoomById(roomId, userId);
+    if (!room) {
+      throw new Error('Room not found or unauthorized');
+    }
+
+    if (!this.taskTemplateService.isValidPillarType(pillarType)) {
+      throw new Error(`Invalid pillar type: ${pillarType}. Must be one of: ${this.pillarTypes.join(', ')}`);
+    }
+
+    if (minutes !== null && !this.taskTemplateService.isValidTaskMinutes(minutes)) {
+      const { minTaskMinutes, maxTaskMinutes } = this.taskTemplateService;
+      throw new Error(`Estimated minutes must be a whole number between ${minTaskMinutes} and ${maxTaskMinutes}`);
+    }
+
+    const where = { room_id_pillar_type: { room_id: roomId, pillar_type: pillarType } };
+
+    if (minutes === null) {
+      const existing = await this.prisma.room_task_templates.findUnique({ where });
+      if (!existing) {
+        return null;
+      }
+      if (!existing.description) {
+        await this.prisma.room_task_templates.delete({ where });
+        return null;
+      }
+      return this.prisma.room_task_templates.update({
+        where,
+        data: { estimated_minutes: null }
+      });
+    }
+
+    return this.prisma.room_task_templates.upsert({
+      where,
+      update: { estimated_minutes: minutes },
+      create: {
+        user_id: userId,
+        room_id: roomId,
+        pillar_type: pillarType,
+        estimated_minutes: minutes
+      }
+    });
+  }
+
+  /**
+   * Remove the user's template for one pillar of a room, reverting to the built-in
+   * A minutes override for the pillar is kept.
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} pillarType - Pillar type (glass, surfaces, floor)
+   * @returns {Promise<boolean>} True if an override was removed
+   */
+  async deleteRoomTemplate(roomId, userId, pillarType) {
+    const room = await this.getRoomById(roomId, userId);
+    if (!room) {
+      throw new Error('Room not found or unauthorized');
+    }
+
+    if (!this.taskTemplateService.isValidPillarType(pillarType)) {
+      throw new Error(`Invalid pillar type: ${pillarType}. Must be one of: ${this.pillarTypes.join(', ')}`);
+    }
+
+    const where = { room_id_pillar_type: { room_id: roomId, pillar_type: pillarType } };
+
+    // A row that only holds a minutes override has no template to reset
+    const existing = await this.prisma.room_task_templates.findUnique({ where });
+    if (!existing || !existing.description) {
+      return false;
+    }
+
+    // Keep the row while it still holds the user's minutes override
+    if (existing.estimated_minutes === null) {
+      await this.prisma.room_task_templates.delete({ where });
+    } else {
+      await this.prisma.room_task_templates.update({
+        where,
+        data: { description: null }
+      });
+    }
+
+    await this.markPendingConfigChanges(userId);
+
+    return true;
+  }
+
+  /**
+   * Get all of a user's template overrides for rotation generation
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} Map of "roomId:pillarType" to template text
+   */
+  async getTemplateOverrides(userId) {
+    const overrides = await this.prisma.room_task_templates.findMany({
+      where: { user_id: userId, description: { not: null } }
+    });
+
+    return new Map(overrides.map(o => [`${o.room_id}:${o.pillar_type}`, o.description]));
+  }
+
+  /**
+   * Get all of a user's estimated duration overrides
+   * @param {string} userId - User ID
+   * @returns {Promise<Map>} Map of "roomId:pillarType" to minutes
+   */
+  async getDurationOverrides(userId) {
+    const overrides = await this.prisma.room_task_templates.findMany({
+      where: { user_id: userId, estimated_minutes: { not: null } }
+    });
+
+    return new Map(overrides.map(o => [`${o.room_id}:${o.pillar_type}`, o.estimated_minutes]));
+  }
+
   /**
    * Mark user as having pending configuration changes
    * @param {string} userId - User ID
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { parseUserAgent } = require('../utils/userAgent');
+
+/**
+ * Session Service
+ *
+ * Lists a user's signed-in devices and revokes them one at a time. Each login
+ * creates a user_sessions row; access tokens carry its ID as sessionId, so a
+ * revoked session stops working on the next request rather than at token expiry.
+ *
+ * A session is also a refresh-token family: each refresh replaces its token and
+ * remembers the old one. If a superseded token is presented again, someone holds a
+ * copy, so the family is revoked and every outstanding access token is invalidated.
+ * Within a short grace window the old token is instead answered with the session's
+ * current one, since two tabs refreshing at once both present it.
+ */
+
+class SessionService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    // Two tabs refreshing at once both present the same token; the loser isn't a thief
+    this.reuseGraceSeconds = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS, 10) || 10;
+  }
+
+  /**
+   * Hash a refresh token for storage
+   * @param {string} token - Raw refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string|null} currentSessionId - Session making the request
+   * @returns {Promise<Array>} Sessions with parsed device labels
+   */
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await this.prisma.user_sessions.findMany({
+      where: {
+        user_id: userId,
+        is_active: true,
+        expires_at: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        device_info: true,
+        ip_address: true,
+        created_at: true,
+        last_accessed: true,
+        expires_at: true
+      },
+      orderBy: { last_accessed: 'desc' }
+    });
+
+    return sessions
+      .map(session => ({
+        id: session.id,
+        device: parseUserAgent(session.device_info),
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_accessed: session.last_accessed,
+        expires_at: session.expires_at,
+        current: session.id === currentSessionId
+      }))
+      // Keep the current device at the top of the list
+      .sort((a, b) => Number(b.current) - Number(a.current));
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if active and not expired
+   */
+  async isSessionActive(sessionId) {
+    const session = await this.prisma.user_sessions.findUnique({
+      where: { id: sessionId },
+      select: { is_active: true, expires_at: true }
+    });
+
+    return Boolean(session && session.is_active && session.expires_at > new Date());
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to revoke
+   * @param {string|null} currentSessionId - Session making the request
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeSession(userId, sessionId, currentSessionId = null) {
+    if (sessionId === currentSessionId) {
+      throw new Error('Cannot revoke the current session; log out instead');
+    }
+
+    const result = await this.prisma.user_sessions.updateMany({
+      where: {
+        id: sessionId,
+        user_id: userId,
+        is_active: true
+      },
+      data: { is_active: false }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Session not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace a session's refresh token, remembering the old one for reuse detection
+   * Guarded on the old token, so of two refreshes presenting it at once only one rotates.
+   * @param {Object} session - Session being refreshed (id, refresh_token, expires_at)
+   * @param {string} newRefreshToken - Newly issued refresh token
+   * @param {Date} expiresAt - Expiry of the new token
+   * @returns {Promise<Object|null>} Updated session, or null if the token was already rotated
+   */
+  async rotateRefreshToken(session, newRefreshToken, expiresAt) {
+    const now = new Date();
+
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const { count } = await tx.user_sessions.updateMany({
+          where: { id: session.id, refresh_token: session.refresh_token, is_active: true },
+          data: {
+            refresh_token: newRefreshToken,
+            expires_at: expiresAt,
+            last_accessed: now
+          }
+        });
+
+        if (count === 0) {
+          return null;
+        }
+
+        // Superseded tokens only matter until they would have expired anyway
+        await tx.superseded_refresh_tokens.deleteMany({
+          where: { session_id: session.id, expires_at: { lt: now } }
+        });
+        await tx.superseded_refresh_tokens.create({
+          data: {
+            session_id: session.id,
+            token_hash: this.hashToken(session.refresh_token),
+            superseded_at: now,
+            expires_at: session.expires_at
+          }
+        });
+
+        return tx.user_sessions.findUnique({ where: { id: session.id } });
+      });
+    } catch (error) {
+      // The old token was recorded as superseded by a refresh that won the race
+      if (error.code === 'P2002') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the superseded-token record for a refresh token
+   * @private
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object|null>} superseded_refresh_tokens record with its session and user
+   */
+  async _findSuperseded(refreshToken) {
+    return this.prisma.superseded_refresh_tokens.findUnique({
+      where: { token_hash: this.hashToken(refreshToken) },
+      include: {
+        user_sessions: {
+          include: {
+            users: {
+              select: {
+                id: true,
+                email: true,
+                token_version: true,
+                created_at: true,
+                last_login: true
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Whether a superseded token was rotated away from within the grace window
+   * @private
+   * @param {Object} superseded - superseded_refresh_tokens record
+   * @returns {boolean} True if still within the grace window
+   */
+  _isWithinGrace(superseded) {
+    return superseded.superseded_at > new Date(Date.now() - this.reuseGraceSeconds * 1000);
+  }
+
+  /**
+   * Find the session a refresh token was rotated away from moments ago
+   * The slower of two tabs refreshing at once gets the session's current token.
+   * @param {string} refreshToken - Raw refresh token that matched no active session
+   * @returns {Promise<Object|null>} Active session with users, or null outside the grace window
+   */
+  async findRecentlyRotatedSession(refreshToken) {
+    const superseded = await this._findSuperseded(refreshToken);
+    if (!superseded || !this._isWithinGrace(superseded)) {
+      return null;
+    }
+
+    const session = superseded.user_sessions;
+    if (!session.is_active || session.expires_at <= new Date()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Check whether a refresh token was already rotated away from
+   * Tokens superseded within the grace window are not treated as reuse.
+   * @param {string} refreshToken - Raw refresh token that matched no active session
+   * @returns {Promise<Object|null>} { sessionId, userId, sessionActive, device, supersededAt } or null
+   */
+  async findReusedRefreshToken(refreshToken) {
+    const superseded = await this._findSuperseded(refreshToken);
+    if (!superseded || this._isWithinGrace(superseded)) {
+      return null;
+    }
+
+    return {
+      sessionId: superseded.user_sessions.id,
+      userId: superseded.user_sessions.user_id,
+      sessionActive: superseded.user_sessions.is_active,
+      device: parseUserAgent(superseded.user_sessions.device_info),
+      supersededAt: superseded.superseded_at
+    };
+  }
+
+  /**
+   * Revoke a refresh-token family after reuse was detected
+   * Deactivates the session and bumps token_version so outstanding access tokens,
+   * including any the thief already minted, stop working on every device.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session (family) to revoke
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(userId, sessionId) {
+    await this.prisma.$transaction([
+      this.prisma.user_sessions.update({
+        where: { id: sessionId },
+        data: { is_active: false }
+      }),
+      this.prisma.users.update({
+        where: { id: userId },
+        data: {
+          token_version: { increment: 1 },
+          updated_at: new Date()
+        }
+      })
+    ]);
+  }
+}
+
+module.exports = SessionService;
@@ -1,5 +1,17 @@
 const { PrismaClient } = require('@prisma/client');
+const PauseService = require('./pauseService');
 const { validateTaskName, sanitizeString } = require('../utils/validation');
+const {
+  resolveTimezone,
+  getLocalDayKey,
+  getLocalDayBounds,
+  getDayStartForKey,
+  addDaysToKey,
+  daysBetweenKeys
+} = require('../utils/timezone');
+
+// Date-only history filters (YYYY-MM-DD) are interpreted in the user's timezone
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
 /**
  * Streak Service
@@ -11,6 +23,54 @@ const { validateTaskName, sanitizeString } = require('../utils/validation');
 class StreakService {
   constructor() {
     this.prisma = new PrismaClient();
+    this.pauseService = new PauseService();
+  }
+
+  /**
+   * Streak freeze and grace window settings
+   * @private
+   * @returns {Object} { earnIntervalDays, maxBanked, graceHours }
+   */
+  _getFreezeSettings() {
+    return {
+      earnIntervalDays: parseInt(process.env.STREAK_FREEZE_EARN_INTERVAL_DAYS, 10) || 7,
+      maxBanked: parseInt(process.env.STREAK_FREEZE_MAX_BANKED, 10) || 2,
+      graceHours: parseInt(process.env.STREAK_GRACE_HOURS, 10) || 0
+    };
+  }
+
+  /**
+   * Streak day an instant counts towards, shifted back by the grace window
+   * @private
+   * @param {Date} date - Instant
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} { dayKey, start, end } for that streak day
+   */
+  _getStreakDay(date, timezone) {
+    const graceMs = this._getFreezeSettings().graceHours * 60 * 60 * 1000;
+    const bounds = getLocalDayBounds(new Date(new Date(date).getTime() - graceMs), timezone);
+
+    return {
+      dayKey: bounds.dayKey,
+      start: new Date(bounds.start.getTime() + graceMs),
+      end: new Date(bounds.end.getTime() + graceMs)
+    };
+  }
+
+  /**
+   * Get the timezone used for a user's streak day boundaries
+   * @private
+   * @param {Object} client - Prisma client or transaction object
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} IANA timezone name
+   */
+  async _getUserTimezone(client, userId) {
+    const user = await client.users.findUnique({
+      where: { id: userId },
+      select: { timezone: true }
+    });
+
+    return resolveTimezone(user?.timezone);
   }
 
   /**
@@ -36,6 +96,9 @@ class StreakService {
         currentStreak: streak.current_streak,
         bestStreak: streak.best_streak,
         lastCompleted: streak.last_completed,
+        freezesAvailable: streak.freezes_available,
+        freezesEarned: streak.freezes_earned,
+        freezesUsed: streak.freezes_used,
         createdAt: streak.created_at,
         updatedAt: streak.updated_at
       }));
@@ -79,6 +142,9 @@ class StreakService {
         currentStreak: streak.current_streak,
         bestStreak: streak.best_streak,
         lastCompleted: streak.last_completed,
+        freezesAvailable: streak.freezes_available,
+        freezesEarned: streak.freezes_earned,
+        freezesUsed: streak.freezes_used,
         createdAt: streak.created_at,
         updatedAt: streak.updated_at
       };
@@ -94,10 +160,16 @@ class StreakService {
    * @param {string} taskName - Task name
    * @param {Date} completionDate - Completion date (optional, defaults to now)
    * @param {string} notes - Optional notes for the completion
+   * @param {Object} options - { client, allowRepeat }: client is a transaction to run in (one is
+   *   started when omitted); allowRepeat records a task already done that streak day, as when the
+   *   rotation visits a room twice, without changing the streak
    * @returns {Promise<Object>} Updated streak and completion data
    */
-  async completeTask(userId, taskName, completionDate = new Date(), notes = null) {
+  async completeTask(userId, taskName, completionDate = new Date(), notes = null, { client = null, allowRepeat = false } = {}) {
     try {
+      const db = client || this.prisma;
+      const inTransaction = work => (client ? work(client) : this.prisma.$transaction(work));
+
       // Validate inputs
       if (!validateTaskName(taskName)) {
         throw new Error('Invalid task name format');
@@ -106,28 +178,54 @@ class StreakService {
       const sanitizedTaskName = sanitizeString(taskName);
       const sanitizedNotes = notes ? sanitizeString(notes) : null;
 
-      // Normalize completion date to start of day for streak calculations
-      const completionDay = new Date(completionDate);
-      completionDay.setHours(0, 0, 0, 0);
+      // Bucket the completion into a streak day in the user's timezone
+      const timezone = await this._getUserTimezone(db, userId);
+      const completionDay = this._getStreakDay(completionDate, timezone);
+      const { earnIntervalDays, maxBanked } = this._getFreezeSettings();
 
       // Check if task was already completed today
-      const existingCompletion = await this.prisma.completion_history.findFirst({
+      const existingCompletion = await db.completion_history.findFirst({
         where: {
           user_id: userId,
           task_name: sanitizedTaskName,
           completed_date: {
-            gte: completionDay,
-            lt: new Date(completionDay.getTime() + 24 * 60 * 60 * 1000)
+            gte: completionDay.start,
+            lt: completionDay.end
           }
         }
       });
 
-      if (existingCompletion) {
+      if (existingCompletion && !allowRepeat) {
         throw new Error('Task already completed today');
       }
 
+      if (existingCompletion) {
+        // The streak already counts this day, so only the completion is added
+        const result = await inTransaction(async (tx) => ({
+          updatedStreak: await tx.user_streaks.findUnique({
+            where: {
+              user_id_task_name: {
+                user_id: userId,
+                task_name: sanitizedTaskName
+              }
+            }
+          }),
+          completion: await tx.completion_history.create({
+            data: {
+              user_id: userId,
+              task_name: sanitizedTaskName,
+              completed_date: completionDate,
+              notes: sanitizedNotes,
+              created_at: new Date()
+            }
+          })
+        }));
+
+        return this._formatCompletionResult(result, [], false);
+      }
+
       // Get or create user streak
-      let userStreak = await this.prisma.user_streaks.findUnique({
+      let userStreak = await db.user_streaks.findUnique({
         where: {
           user_id_task_name: {
             user_id: userId,
@@ -138,15 +236,16 @@ class StreakService {
 
       let newStreak = 1;
       let newBestStreak = 1;
+      let freezesAvailable = 0;
+      const frozenDays = [];
 
       if (userStreak) {
-        // Calculate new streak
-        const lastCompletedDay = userStreak.last_completed ?
-          new Date(userStreak.last_completed.getTime()) : null;
+        freezesAvailable = userStreak.freezes_available;
 
-        if (lastCompletedDay) {
-          lastCompletedDay.setHours(0, 0, 0, 0);
-          const daysDiff = Math.floor((completionDay - lastCompletedDay) / (24 * 60 * 60 * 1000));
+        // Calculate new streak
+        if (userStreak.last_completed) {
+          const lastCompletedDayKey = this._getStreakDay(userStreak.last_completed, timezone).dayKey;
+          const daysDiff = daysBetweenKeys(lastCompletedDayKey, completionDay.dayKey);
 
           if (daysDiff === 1) {
             // Consecutive day - increment streak
@@ -155,16 +254,42 @@ class StreakService {
             // Same day (shouldn't happen due to check above, but safety net)
             throw new Error('Task already completed today');
           } else {
-            // Gap in streak - reset to 1
-            newStreak = 1;
+            // Paused days in the gap don't count as missed
+            const pausedDays = await this.pauseService.getPausedDayKeys(userId, db);
+            const missedDays = [];
+            for (let day = 1; day < daysDiff; day++) {
+              const dayKey = addDaysToKey(lastCompletedDayKey, day);
+              if (!pausedDays.has(dayKey)) {
+                missedDays.push(dayKey);
+              }
+            }
+
+            if (missedDays.length === 0) {
+              // Only paused days in between
+              newStreak = userStreak.current_streak + 1;
+            } else if (userStreak.current_streak > 0 && missedDays.length <= freezesAvailable) {
+              // Missed days are covered by banked freezes - life happens
+              frozenDays.push(...missedDays);
+              freezesAvailable -= frozenDays.length;
+              newStreak = userStreak.current_streak + 1;
+            } else {
+              // Gap in streak - reset to 1
+              newStreak = 1;
+            }
           }
         }
 
         newBestStreak = Math.max(userStreak.best_streak, newStreak);
       }
 
+      // Every earnIntervalDays consecutive days earns a freeze, up to the bank limit
+      const earnedFreeze = newStreak % earnIntervalDays === 0 && freezesAvailable < maxBanked;
+      if (earnedFreeze) {
+        freezesAvailable++;
+      }
+
       // Use transaction to ensure data consistency
-      const result = await this.prisma.$transaction(async (tx) => {
+      const saveCompletion = async (tx) => {
         // Update or create user streak
         const updatedStreak = await tx.user_streaks.upsert({
           where: {
@@ -177,6 +302,9 @@ class StreakService {
             current_streak: newStreak,
             best_streak: newBestStreak,
             last_completed: completionDate,
+            freezes_available: freezesAvailable,
+            freezes_earned: { increment: earnedFreeze ? 1 : 0 },
+            freezes_used: { increment: frozenDays.length },
             updated_at: new Date()
           },
           create: {
@@ -185,6 +313,8 @@ class StreakService {
             current_streak: newStreak,
             best_streak: newBestStreak,
             last_completed: completionDate,
+            freezes_available: freezesAvailable,
+            freezes_earned: earnedFreeze ? 1 : 0,
             created_at: new Date(),
             updated_at: new Date()
           }
@@ -201,34 +331,82 @@ class StreakService {
           }
         });
 
-        return { updatedStreak, completion };
-      });
+        // Record every freeze consumed or earned so streak history stays auditable
+        for (const coveredDate of frozenDays) {
+          await tx.streak_freeze_events.create({
+            data: {
+              user_id: userId,
+              task_name: sanitizedTaskName,
+              event_type: 'used',
+              covered_date: coveredDate,
+              streak_length: newStreak,
+              completion_id: completion.id,
+              created_at: new Date()
+            }
+          });
+        }
 
-      return {
-        streak: {
-          id: result.updatedStreak.id,
-          taskName: result.updatedStreak.task_name,
-          currentStreak: result.updatedStreak.current_streak,
-          bestStreak: result.updatedStreak.best_streak,
-          lastCompleted: result.updatedStreak.last_completed,
-          createdAt: result.updatedStreak.created_at,
-          updatedAt: result.updatedStreak.updated_at
-        },
-        completion: {
-          id: result.completion.id,
-          taskName: result.completion.task_name,
-          completedDate: result.completion.completed_date,
-          streakDay: result.completion.streak_day,
-          notes: result.completion.notes,
-          createdAt: result.completion.created_at
+        if (earnedFreeze) {
+          await tx.streak_freeze_events.create({
+            data: {
+              user_id: userId,
+              task_name: sanitizedTaskName,
+              event_type: 'earned',
+              streak_length: newStreak,
+              completion_id: completion.id,
+              created_at: new Date()
+            }
+          });
         }
+
+        return { updatedStreak, completion };
       };
+      const result = await inTransaction(saveCompletion);
+
+      return this._formatCompletionResult(result, frozenDays, earnedFreeze);
     } catch (error) {
       console.error('Error completing task:', error);
       throw error; // Re-throw to preserve specific error messages
     }
   }
 
+  /**
+   * Shape a saved completion and its streak for callers
+   * @private
+   * @param {Object} result - { updatedStreak, completion } records
+   * @param {string[]} frozenDays - Local days a freeze covered
+   * @param {boolean} earnedFreeze - Whether this completion earned a freeze
+   * @returns {Object} { streak, freeze, completion }
+   */
+  _formatCompletionResult(result, frozenDays, earnedFreeze) {
+    return {
+      streak: {
+        id: result.updatedStreak.id,
+        taskName: result.updatedStreak.task_name,
+        currentStreak: result.updatedStreak.current_streak,
+        bestStreak: result.updatedStreak.best_streak,
+        lastCompleted: result.updatedStreak.last_completed,
+        freezesAvailable: result.updatedStreak.freezes_available,
+        freezesEarned: result.updatedStreak.freezes_earned,
+        freezesUsed: result.updatedStreak.freezes_used,
+        createdAt: result.updatedStreak.created_at,
+        updatedAt: result.updatedStreak.updated_at
+      },
+      freeze: {
+        usedForDays: frozenDays,
+        earned: earnedFreeze
+      },
+      completion: {
+        id: result.completion.id,
+        taskName: result.completion.task_name,
+        completedDate: result.completion.completed_date,
+        streakDay: result.completion.streak_day,
+        notes: result.completion.notes,
+        createdAt: result.completion.created_at
+      }
+    };
+  }
+
   /**
    * Get completion history for a user
    * @param {string} userId - User ID
@@ -245,6 +423,8 @@ class StreakService {
         endDate = null
       } = options;
 
+      const timezone = await this._getUserTimezone(this.prisma, userId);
+
       // Build where clause
       const where = { user_id: userId };
 
@@ -257,11 +437,18 @@ class StreakService {
 
       if (startDate || endDate) {
         where.completed_date = {};
+        // Plain YYYY-MM-DD dates refer to whole days in the user's timezone
         if (startDate) {
-          where.completed_date.gte = new Date(startDate);
+          where.completed_date.gte = DATE_ONLY_REGEX.test(startDate)
+            ? getDayStartForKey(startDate, timezone)
+            : new Date(startDate);
         }
         if (endDate) {
-          where.completed_date.lte = new Date(endDate);
+          if (DATE_ONLY_REGEX.test(endDate)) {
+            where.completed_date.lt = getDayStartForKey(addDaysToKey(endDate, 1), timezone);
+          } else {
+            where.completed_date.lte = new Date(endDate);
+          }
         }
       }
 
@@ -281,10 +468,12 @@ class StreakService {
           id: completion.id,
           task_name: completion.task_name,  // Keep snake_case for API consistency
           completed_date: completion.completed_date,
+          local_date: getLocalDayKey(completion.completed_date, timezone),
           streak_day: completion.streak_day,
           notes: completion.notes,
           created_at: completion.created_at
         })),
+        timezone,
         pagination: {
           total: totalCount,
           limit,
@@ -305,32 +494,66 @@ class StreakService {
    */
   async getStreakStats(userId) {
     try {
-      const [streaks, totalCompletions, uniqueTasks] = await Promise.all([
+      const [streaks, completions, uniqueTasks, timezone, pausedDayKeys] = await Promise.all([
         this.prisma.user_streaks.findMany({
           where: { user_id: userId }
         }),
-        this.prisma.completion_history.count({
-          where: { user_id: userId }
+        this.prisma.completion_history.findMany({
+          where: { user_id: userId },
+          select: { completed_date: true }
         }),
         this.prisma.completion_history.groupBy({
           by: ['task_name'],
           where: { user_id: userId }
-        })
+        }),
+        this._getUserTimezone(this.prisma, userId),
+        this.pauseService.getPausedDayKeys(userId)
       ]);
 
       const activeStreaks = streaks.filter(s => s.current_streak > 0);
+      const sumOf = (field) => streaks.reduce((sum, s) => sum + s[field], 0);
       const bestOverallStreak = Math.max(...streaks.map(s => s.best_streak), 0);
       const totalCurrentStreak = activeStreaks.reduce((sum, s) => sum + s.current_streak, 0);
 
+      // Every day since the first completion is completed, paused or missed; today only
+      // counts once something is done, and paused days are left out of the rate
+      const completedDays = new Set(completions.map(c => this._getStreakDay(c.completed_date, timezone).dayKey));
+      const todayKey = this._getStreakDay(new Date(), timezone).dayKey;
+      const lastKey = completedDays.has(todayKey) ? todayKey : addDaysToKey(todayKey, -1);
+      let missedDays = 0;
+      let pausedDays = 0;
+
+      if (completedDays.size > 0) {
+        const firstKey = [...completedDays].sort()[0];
+        for (let day = firstKey; day <= lastKey; day = addDaysToKey(day, 1)) {
+          if (completedDays.has(day)) {
+            continue;
+          }
+          if (pausedDayKeys.has(day)) {
+            pausedDays++;
+          } else {
+            missedDays++;
+          }
+        }
+      }
+
       return {
-        totalCompletions,
+        totalCompletions: completions.length,
         uniqueTasks: uniqueTasks.length,
         activeStreaks: activeStreaks.length,
         totalStreaks: streaks.length,
         bestOverallStreak,
         totalCurrentStreak,
         averageStreakLength: streaks.length > 0 ?
-          streaks.reduce((sum, s) => sum + s.best_streak, 0) / streaks.length : 0
+          streaks.reduce((sum, s) => sum + s.best_streak, 0) / streaks.length : 0,
+        freezesAvailable: sumOf('freezes_available'),
+        freezesEarned: sumOf('freezes_earned'),
+        freezesUsed: sumOf('freezes_used'),
+        completedDays: completedDays.size,
+        missedDays,
+        pausedDays,
+        completionRate: completedDays.size > 0 ?
+          completedDays.size / (completedDays.size + missedDays) : 0
       };
     } catch (error) {
       console.error('Error fetching streak stats:', error);
@@ -342,12 +565,16 @@ class StreakService {
    * Delete a completion (admin function or undo)
    * @param {string} userId - User ID
    * @param {string} completionId - Completion ID to delete
+   * @param {Object} client - Transaction to delete in (one is opened when omitted)
    * @returns {Promise<Object>} Result of deletion
    */
-  async deleteCompletion(userId, completionId) {
+  async deleteCompletion(userId, completionId, client = null) {
     try {
+      const db = client || this.prisma;
+      const inTransaction = work => (client ? work(client) : this.prisma.$transaction(work));
+
       // Get the completion to verify ownership and get task info
-      const completion = await this.prisma.completion_history.findUnique({
+      const completion = await db.completion_history.findUnique({
         where: { id: completionId }
       });
 
@@ -360,14 +587,19 @@ class StreakService {
       }
 
       // Delete the completion and recalculate streak
-      await this.prisma.$transaction(async (tx) => {
-        // Delete the completion
+      await inTransaction(async (tx) => {
+        const freezeEvents = await tx.streak_freeze_events.findMany({
+          where: { completion_id: completionId },
+          select: { event_type: true }
+        });
+
+        // Delete the completion (its freeze events go with it)
         await tx.completion_history.delete({
           where: { id: completionId }
         });
 
         // Recalculate streak for this task
-        await this._recalculateStreak(tx, userId, completion.task_name);
+        await this._recalculateStreak(tx, userId, completion.task_name, null, freezeEvents);
       });
 
       return { success: true, message: 'Completion deleted successfully' };
@@ -377,14 +609,42 @@ class StreakService {
     }
   }
 
+  /**
+   * Recalculate every streak for a user, e.g. after their timezone changes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of streaks recalculated
+   */
+  async recalculateUserStreaks(userId) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const timezone = await this._getUserTimezone(tx, userId);
+        const streaks = await tx.user_streaks.findMany({
+          where: { user_id: userId },
+          select: { task_name: true }
+        });
+
+        for (const streak of streaks) {
+          await this._recalculateStreak(tx, userId, streak.task_name, timezone);
+        }
+
+        return streaks.length;
+      });
+    } catch (error) {
+      console.error('Error recalculating user streaks:', error);
+      throw new Error('Failed to recalculate streaks');
+    }
+  }
+
   /**
    * Recalculate streak for a specific user and task
    * @private
    * @param {Object} tx - Prisma transaction object
    * @param {string} userId - User ID
    * @param {string} taskName - Task name
+   * @param {string} timezone - IANA timezone (looked up from the user when omitted)
+   * @param {Array} removedFreezeEvents - Freeze events of a deleted completion, to take back
    */
-  async _recalculateStreak(tx, userId, taskName) {
+  async _recalculateStreak(tx, userId, taskName, timezone = null, removedFreezeEvents = []) {
     // Get all completions for this task, ordered by date
     const completions = await tx.completion_history.findMany({
       where: {
@@ -407,52 +667,70 @@ class StreakService {
       return;
     }
 
-    // Calculate current streak and best streak
-    let currentStreak = 0;
-    let bestStreak = 0;
-    let tempStreak = 0;
-    let lastDate = null;
+    const userTimezone = timezone || await this._getUserTimezone(tx, userId);
+
+    const [streak, freezeEvents, pausedDays] = await Promise.all([
+      tx.user_streaks.findUnique({
+        where: {
+          user_id_task_name: {
+            user_id: userId,
+            task_name: taskName
+          }
+        }
+      }),
+      tx.streak_freeze_events.findMany({
+        where: { user_id: userId, task_name: taskName, event_type: 'used' },
+        select: { covered_date: true }
+      }),
+      this.pauseService.getPausedDayKeys(userId, tx)
+    ]);
+    const frozenDays = new Set(freezeEvents.map(event => event.covered_date));
+
+    // Undoing a completion takes back the freeze it earned and returns the ones it used
+    const earnedRemoved = removedFreezeEvents.filter(event => event.event_type === 'earned').length;
+    const usedRemoved = removedFreezeEvents.filter(event => event.event_type === 'used').length;
+    const freezesAvailable = Math.max((streak?.freezes_available || 0) - earnedRemoved + usedRemoved, 0);
+
+    // Days strictly between two streak days that were neither paused nor covered by a freeze
+    const countMissedDays = (olderKey, newerKey) => {
+      let missed = 0;
+      for (let day = 1; day < daysBetweenKeys(olderKey, newerKey); day++) {
+        const dayKey = addDaysToKey(olderKey, day);
+        if (!frozenDays.has(dayKey) && !pausedDays.has(dayKey)) {
+          missed++;
+        }
+      }
+      return missed;
+    };
 
-    for (let i = 0; i < completions.length; i++) {
-      const completion = completions[i];
-      const completionDay = new Date(completion.completed_date);
-      completionDay.setHours(0, 0, 0, 0);
+    // A gap is bridged when every day in it was paused or covered by a recorded freeze
+    const isBridged = (olderKey, newerKey) =>
+      daysBetweenKeys(olderKey, newerKey) >= 1 && countMissedDays(olderKey, newerKey) === 0;
 
-      if (i === 0) {
-        // First (most recent) completion
-        tempStreak = 1;
-        lastDate = completionDay;
+    // Distinct streak days, most recent first (a timezone change can merge two completions into one day)
+    const dayKeys = [...new Set(completions.map(c => this._getStreakDay(c.completed_date, userTimezone).dayKey))];
+    const todayKey = this._getStreakDay(new Date(), userTimezone).dayKey;
 
-        // Check if it's recent enough to count as current streak
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const daysDiff = Math.floor((today - completionDay) / (24 * 60 * 60 * 1000));
+    // The most recent run stays current through today/yesterday, or while paused days
+    // and banked freezes can cover the gap
+    let inCurrentRun = countMissedDays(dayKeys[0], todayKey) <= freezesAvailable;
+    let currentStreak = 0;
+    let bestStreak = 0;
+    let tempStreak = 0;
 
-        if (daysDiff <= 1) { // Today or yesterday
-          currentStreak = 1;
-        }
+    for (let i = 0; i < dayKeys.length; i++) {
+      if (i === 0 || isBridged(dayKeys[i], dayKeys[i - 1])) {
+        // Consecutive day (or gap covered by freezes)
+        tempStreak++;
       } else {
-        // Check if consecutive with previous
-        const daysDiff = Math.floor((lastDate - completionDay) / (24 * 60 * 60 * 1000));
-
-        if (daysDiff === 1) {
-          // Consecutive day
-          tempStreak++;
-          if (i === 1 && currentStreak > 0) {
-            // Still part of current streak
-            currentStreak = tempStreak;
-          }
-        } else {
-          // Gap - update best streak and reset temp
-          bestStreak = Math.max(bestStreak, tempStreak);
-          tempStreak = 1;
-          if (currentStreak === 0) {
-            // No current streak established yet
-            currentStreak = 0;
-          }
-        }
+        // Gap - update best streak and start a new run
+        bestStreak = Math.max(bestStreak, tempStreak);
+        tempStreak = 1;
+        inCurrentRun = false;
+      }
 
-        lastDate = completionDay;
+      if (inCurrentRun) {
+        currentStreak = tempStreak;
       }
     }
 
@@ -471,6 +749,9 @@ class StreakService {
         current_streak: currentStreak,
         best_streak: bestStreak,
         last_completed: completions[0].completed_date,
+        freezes_available: freezesAvailable,
+        freezes_earned: { decrement: earnedRemoved },
+        freezes_used: { decrement: usedRemoved },
         updated_at: new Date()
       }
     });
@@ -2,6 +2,11 @@ const { PrismaClient } = require('@prisma/client');
 const RoomService = require('./roomService');
 const KeystoneService = require('./keystoneService');
 const TaskTemplateService = require('./taskTemplateService');
+const DeepCleanService = require('./deepCleanService');
+const { getRoomPillars } = require('../utils/roomConfigValidator');
+
+// Pillar tasks between keystones that have no frequency set (appear once per rotation)
+const DEFAULT_KEYSTONE_SPACING = 4;
 
 /**
  * Task Generation Service
@@ -16,6 +21,7 @@ class TaskGenerationService {
     this.roomService = new RoomService();
     this.keystoneService = new KeystoneService();
     this.taskTemplateService = new TaskTemplateService();
+    this.deepCleanService = new DeepCleanService();
   }
 
   /**
@@ -40,18 +46,7 @@ class TaskGenerationService {
       keystones = this.shuffleArray(keystones);
     }
 
-    // 4. Build pillar tasks for all rooms
-    const pillarTasks = this.buildPillarTasks(rooms);
-
-    // 5. Insert keystones every 3-5 tasks
-    const rotation = this.insertKeystonesRandomly(pillarTasks, keystones);
-
-    // 6. Assign sequence positions
-    rotation.forEach((task, index) => {
-      task.sequence_position = index + 1;
-    });
-
-    // 7. Get current rotation version and increment
+    // 4. Get current rotation version and increment (rooms with a cycle interval depend on it)
     const currentProgress = await this.prisma.user_task_progress.findUnique({
       where: { user_id: userId },
       select: { current_rotation_version: true }
@@ -59,11 +54,30 @@ class TaskGenerationService {
 
     const newVersion = (currentProgress?.current_rotation_version || 0) + 1;
 
-    // 8. Clear old rotation and save new
+    // 5. Build pillar tasks for all rooms, using the user's own templates and room types where set
+    const [templateOverrides, customRoomTypes] = await Promise.all([
+      this.roomService.getTemplateOverrides(userId),
+      this.roomService.getCustomRoomTypeTemplates(userId)
+    ]);
+    const pillarTasks = this.buildPillarTasks(rooms, templateOverrides, customRoomTypes, newVersion);
+
+    // 6. Schedule keystones according to their frequencies
+    const withKeystones = this.scheduleKeystones(pillarTasks, keystones);
+
+    // 7. Add deep-clean tasks that are overdue or come due before the rotation ends
+    const dueDeepCleans = await this.deepCleanService.getDueDeepCleanTasks(userId, withKeystones.length);
+    const rotation = this.scheduleDeepCleans(withKeystones, dueDeepCleans);
+
+    // 8. Assign sequence positions
+    rotation.forEach((task, index) => {
+      task.sequence_position = index + 1;
+    });
+
+    // 9. Clear old rotation and save new
     await this.clearRotation(userId, newVersion - 1);
     await this.saveRotation(userId, rotation, newVersion);
 
-    // 9. Update user progress with new rotation version
+    // 10. Update user progress with new rotation version
     await this.prisma.user_task_progress.upsert({
       where: { user_id: userId },
       update: {
@@ -88,106 +102,260 @@ class TaskGenerationService {
 
   /**
    * Build pillar tasks for all rooms
+   * Each visit to a room covers its enabled pillars in order (glass, surfaces, floor). Rooms with
+   * visits_per_cycle above 1 are visited that many times, and rooms with a cycle_interval
+   * are left out of rotations that aren't theirs (see planRoomVisits).
    * @param {Array} rooms - Array of room objects
+   * @param {Map} templateOverrides - Map of "roomId:pillarType" to user template text
+   * @param {Map} customRoomTypes - Map of custom room type key to { glass, surfaces, floor } templates
+   * @param {number} rotationVersion - Version of the rotation being built
    * @returns {Array} Array of pillar task objects
    * @private
    */
-  buildPillarTasks(rooms) {
+  buildPillarTasks(rooms, templateOverrides = new Map(), customRoomTypes = new Map(), rotationVersion = 1) {
     const pillarTasks = [];
 
-    for (const room of rooms) {
-      // Glass pillar (conditional - only if room has glass)
-      if (room.has_glass) {
+    for (const room of this.planRoomVisits(rooms, rotationVersion)) {
+      // Only the pillars the room has enabled (a pantry without floor, a hallway without surfaces)
+      const pillarTypes = getRoomPillars(room);
+      const customTypeTemplates = customRoomTypes.get(room.room_type);
+
+      for (const pillarType of pillarTypes) {
+        // Per-room override first, then the custom room type's template, then the built-in
+        const template = templateOverrides.get(`${room.id}:${pillarType}`) ||
+          (customTypeTemplates ? customTypeTemplates[pillarType] : null);
+
         pillarTasks.push({
           type: 'pillar',
           roomId: room.id,
-          pillarType: 'glass',
+          pillarType,
           description: this.taskTemplateService.generateTaskDescription(
             room.room_type,
             room.custom_name,
-            'glass'
+            pillarType,
+            template
           )
         });
       }
+    }
 
-      // Surfaces pillar (always)
-      pillarTasks.push({
-        type: 'pillar',
-        roomId: room.id,
-        pillarType: 'surfaces',
-        description: this.taskTemplateService.generateTaskDescription(
-          room.room_type,
-          room.custom_name,
-          'surfaces'
-        )
-      });
+    return pillarTasks;
+  }
 
-      // Floor pillar (always)
-      pillarTasks.push({
-        type: 'pillar',
-        roomId: room.id,
-        pillarType: 'floor',
-        description: this.taskTemplateService.generateTaskDescription(
-          room.room_type,
-          room.custom_name,
-          'floor'
-        )
-      });
+  /**
+   * Order room visits for one rotation
+   * A room with a cycle_interval of N is only visited in every Nth rotation, starting with
+   * the first (if no room is due, all of them are). Each visit gets an ideal spot spread
+   * evenly through the cycle, ties going to sort order, so with every weight at 1 rooms keep
+   * their sort order. Back-to-back visits to the same room are then split up where another
+   * room is left to put between them.
+   * @param {Array} rooms - Array of room objects, sorted by sort_order
+   * @param {number} rotationVersion - Version of the rotation being built
+   * @returns {Array} Rooms in visit order, repeated once per visit
+   * @private
+   */
+  planRoomVisits(rooms, rotationVersion = 1) {
+    const dueRooms = rooms.filter(room => (rotationVersion - 1) % (room.cycle_interval || 1) === 0);
+    const cycleRooms = dueRooms.length > 0 ? dueRooms : rooms;
+
+    const visits = [];
+    cycleRooms.forEach((room, roomIndex) => {
+      const count = room.visits_per_cycle || 1;
+      for (let visit = 0; visit < count; visit++) {
+        visits.push({ room, roomIndex, spot: (visit + 0.5) / count });
+      }
+    });
+    visits.sort((a, b) => a.spot - b.spot || a.roomIndex - b.roomIndex);
+
+    const ordered = visits.map(visit => visit.room);
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i] !== ordered[i - 1]) {
+        continue;
+      }
+
+      const swapIndex = ordered.findIndex((room, j) => j > i && room !== ordered[i - 1]);
+      if (swapIndex !== -1) {
+        ordered.splice(i, 0, ...ordered.splice(swapIndex, 1));
+      }
     }
 
-    return pillarTasks;
+    return ordered;
   }
 
   /**
-   * Insert keystones at random intervals (3-5 tasks) throughout pillar tasks
+   * Place keystones among pillar tasks according to each keystone's frequency
+   *
+   * Walks the rotation one task (one day) at a time. A keystone with a frequency is
+   * due every interval days, starting from a staggered offset so keystones don't
+   * bunch up; one without a frequency appears once per rotation, every
+   * DEFAULT_KEYSTONE_SPACING pillar tasks. When several are due the most overdue
+   * wins (ties go to keystone order), and two keystones are never placed back to
+   * back. The output depends only on the inputs, so spacing is testable.
    * @param {Array} pillarTasks - Array of pillar task objects
    * @param {Array} keystones - Array of keystone objects
-   * @returns {Array} Combined array with keystones inserted
+   * @returns {Array} Combined array with keystones scheduled
    * @private
    */
-  insertKeystonesRandomly(pillarTasks, keystones) {
+  scheduleKeystones(pillarTasks, keystones) {
     if (pillarTasks.length === 0 || keystones.length === 0) {
       return pillarTasks;
     }
 
+    const frequencyCount = keystones.filter(k => this.keystoneService.getFrequencyIntervalDays(k) !== null).length;
+    let frequencyIndex = 0;
+    let onceIndex = 0;
+
+    const schedule = keystones.map(keystone => {
+      const interval = this.keystoneService.getFrequencyIntervalDays(keystone);
+      // Intervals longer than the rotation still get one slot per cycle
+      const firstDue = interval !== null
+        ? Math.max(1, Math.round(Math.min(interval, pillarTasks.length) * (++frequencyIndex) / (frequencyCount + 1)))
+        : (++onceIndex) * (DEFAULT_KEYSTONE_SPACING + 1);
+
+      return { keystone, interval, nextDue: firstDue, placed: 0 };
+    });
+
     const result = [];
-    const keystoneInterval = { min: 3, max: 5 };
-    let tasksSinceLastKeystone = 0;
-    let keystoneIndex = 0;
     let pillarIndex = 0;
-    let nextKeystoneInterval = this.getRandomInt(keystoneInterval.min, keystoneInterval.max);
+    let position = 0;
 
-    // Continue until all keystones are inserted
-    while (keystoneIndex < keystones.length) {
-      // Add pillar tasks (cycling through if needed, clone to avoid duplicate sequence positions)
-      const originalTask = pillarTasks[pillarIndex % pillarTasks.length];
-      const task = { ...originalTask }; // Clone to avoid duplicate sequence_position
-      result.push(task);
-      tasksSinceLastKeystone++;
-      pillarIndex++;
+    // Run until every pillar and every keystone has appeared at least once
+    while (pillarIndex < pillarTasks.length || schedule.some(entry => entry.placed === 0)) {
+      position++;
 
-      // Insert keystone at the predetermined interval (3-5 tasks)
-      const shouldInsert = tasksSinceLastKeystone >= nextKeystoneInterval;
+      const previousWasKeystone = result.length > 0 && result[result.length - 1].type === 'keystone';
+      const due = previousWasKeystone ? null : schedule
+        .filter(entry => entry.nextDue <= position)
+        .reduce((mostOverdue, entry) => (!mostOverdue || entry.nextDue < mostOverdue.nextDue ? entry : mostOverdue), null);
 
-      if (shouldInsert) {
+      if (due) {
         result.push({
           type: 'keystone',
-          keystoneType: keystones[keystoneIndex].task_type,
+          keystoneType: due.keystone.task_type,
           description: this.taskTemplateService.getKeystoneDescription(
-            keystones[keystoneIndex].task_type,
-            keystones[keystoneIndex].custom_name
+            due.keystone.task_type,
+            due.keystone.custom_name
           )
         });
-        keystoneIndex++;
-        tasksSinceLastKeystone = 0;
-        // Generate new random interval for next keystone
-        nextKeystoneInterval = this.getRandomInt(keystoneInterval.min, keystoneInterval.max);
+        due.placed++;
+        due.nextDue = due.interval !== null ? due.nextDue + due.interval : Infinity;
+      } else {
+        // Add pillar tasks (cycling through if needed, clone to avoid duplicate sequence positions)
+        result.push({ ...pillarTasks[pillarIndex % pillarTasks.length] });
+        pillarIndex++;
       }
     }
 
     return result;
   }
 
+  /**
+   * Add due deep-clean tasks to a rotation
+   * Each goes in on the day it comes due (position = days until due, overdue ones first)
+   * and never straight after another deep clean, so a backlog is spread out.
+   * @param {Array} tasks - Pillar and keystone tasks in order
+   * @param {Array} deepCleans - Due tasks from DeepCleanService, soonest due first
+   * @returns {Array} Tasks with deep cleans inserted
+   * @private
+   */
+  scheduleDeepCleans(tasks, deepCleans) {
+    const result = [...tasks];
+    let earliestPosition = 0;
+
+    for (const deepClean of deepCleans) {
+      const position = Math.min(Math.max(deepClean.days_until_due, earliestPosition), result.length);
+      result.splice(position, 0, {
+        type: 'deep_clean',
+        roomId: deepClean.room.id,
+        deepCleanType: deepClean.task_key,
+        description: deepClean.description
+      });
+      earliestPosition = position + 2;
+    }
+
+    return result;
+  }
+
+  /**
+   * Find when each keystone next comes up in a rotation
+   * @param {string} userId - User ID
+   * @param {number} version - Rotation version
+   * @param {number} currentIndex - Current sequence position
+   * @returns {Promise<Array>} Entries of { keystone, next_position, tasks_until_due } (null when not scheduled)
+   */
+  async getKeystoneSchedule(userId, version, currentIndex) {
+    const [keystones, keystoneTasks, totalTasks] = await Promise.all([
+      this.keystoneService.getActiveKeystonesForRotation(userId),
+      this.prisma.task_rotation.findMany({
+        where: {
+          user_id: userId,
+          rotation_version: version,
+          task_type: 'keystone'
+        },
+        select: { keystone_type: true, sequence_position: true },
+        orderBy: { sequence_position: 'asc' }
+      }),
+      this.getRotationTaskCount(userId, version)
+    ]);
+
+    return keystones.map(keystone => {
+      const positions = keystoneTasks
+        .filter(task => task.keystone_type === keystone.task_type)
+        .map(task => task.sequence_position);
+
+      // Later in this cycle, otherwise its first slot once the rotation wraps around
+      const upcoming = positions.find(position => position >= currentIndex);
+      let tasksUntilDue = null;
+      if (upcoming !== undefined) {
+        tasksUntilDue = upcoming - currentIndex;
+      } else if (positions.length > 0) {
+        tasksUntilDue = totalTasks - currentIndex + positions[0];
+      }
+
+      return {
+        keystone,
+        next_position: upcoming !== undefined ? upcoming : (positions[0] ?? null),
+        tasks_until_due: tasksUntilDue
+      };
+    });
+  }
+
+  /**
+   * Find the deep-clean tasks coming due this month and where each is in a rotation
+   * A task due after the rotation ends isn't in it yet; the next rotation picks it up.
+   * @param {string} userId - User ID
+   * @param {number} version - Rotation version
+   * @param {number} currentIndex - Current sequence position
+   * @returns {Promise<Array>} Entries of { deepClean, next_position, tasks_until_due } (null when not scheduled)
+   */
+  async getDeepCleanSchedule(userId, version, currentIndex) {
+    const [deepCleans, deepCleanTasks] = await Promise.all([
+      this.deepCleanService.getDeepCleansDueThisMonth(userId),
+      this.prisma.task_rotation.findMany({
+        where: {
+          user_id: userId,
+          rotation_version: version,
+          task_type: 'deep_clean',
+          sequence_position: { gte: currentIndex }
+        },
+        select: { room_id: true, deep_clean_type: true, sequence_position: true },
+        orderBy: { sequence_position: 'asc' }
+      })
+    ]);
+
+    return deepCleans.map(deepClean => {
+      const upcoming = deepCleanTasks.find(task =>
+        task.room_id === deepClean.room.id && task.deep_clean_type === deepClean.task_key
+      );
+
+      return {
+        deepClean,
+        next_position: upcoming ? upcoming.sequence_position : null,
+        tasks_until_due: upcoming ? upcoming.sequence_position - currentIndex : null
+      };
+    });
+  }
+
   /**
    * Save rotation to database
    * @param {string} userId - User ID
@@ -207,7 +375,8 @@ class TaskGenerationService {
         rotation_version: version,
         room_id: null,
         pillar_type: null,
-        keystone_type: null
+        keystone_type: null,
+        deep_clean_type: null
       };
 
       if (task.type === 'pillar') {
@@ -215,6 +384,9 @@ class TaskGenerationService {
         record.pillar_type = task.pillarType;
       } else if (task.type === 'keystone') {
         record.keystone_type = task.keystoneType;
+      } else if (task.type === 'deep_clean') {
+        record.room_id = task.roomId;
+        record.deep_clean_type = task.deepCleanType;
       }
 
       return record;
@@ -299,17 +471,6 @@ class TaskGenerationService {
     }
     return shuffled;
   }
-
-  /**
-   * Generate random integer between min and max (inclusive)
-   * @param {number} min - Minimum value
-   * @param {number} max - Maximum value
-   * @returns {number} Random integer
-   * @private
-   */
-  getRandomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  }
 }
 
 module.exports = TaskGenerationService;
@@ -2,7 +2,13 @@ const { PrismaClient } = require('@prisma/client');
 const TaskGenerationService = require('./taskGenerationService');
 const RoomService = require('./roomService');
 const KeystoneService = require('./keystoneService');
-const { validateRoomConfigData, sanitizeRoomConfigData } = require('../utils/roomConfigValidator');
+const DeepCleanService = require('./deepCleanService');
+const {
+  validateRoomConfigData,
+  sanitizeRoomConfigData,
+  getRoomPillars,
+  resolveRoomPillars
+} = require('../utils/roomConfigValidator');
 
 /**
  * Task Progress Service
@@ -18,6 +24,17 @@ class TaskProgressService {
     this._taskGenerationService = null;
     this._roomService = null;
     this._keystoneService = null;
+    this._deepCleanService = null;
+
+    // Limits for skipping and snoozing the current task
+    this.maxDeferralReasonLength = 200;
+    this.maxSnoozeDays = 14;
+
+    // How long after completing a task the quick undo stays available
+    this.undoWindowMinutes = parseInt(process.env.COMPLETION_UNDO_WINDOW_MINUTES, 10) || 5;
+
+    // Most tasks handed out (or completed) at once for a daily time budget
+    this.maxBudgetTasks = 20;
   }
 
   get taskGenerationService() {
@@ -41,6 +58,13 @@ class TaskProgressService {
     return this._keystoneService;
   }
 
+  get deepCleanService() {
+    if (!this._deepCleanService) {
+      this._deepCleanService = new DeepCleanService();
+    }
+    return this._deepCleanService;
+  }
+
   /**
    * Get progress record for a user
    * @param {string} userId - User ID
@@ -80,6 +104,7 @@ class TaskProgressService {
    * - Returns null if user has not configured rooms (frontend uses legacy mode)
    * - Auto-initializes progress for first-time users with rooms
    * - Auto-generates rotation if needed
+   * - Finishes a cycle whose next rotation failed to generate when its last task was done
    * @param {string} userId - User ID
    * @returns {Promise<Object|null>} Current task object or null
    */
@@ -130,6 +155,9 @@ class TaskProgressService {
 
       // Update progress reference
       progress = await this.getProgress(userId);
+    } else if (progress.current_task_index > rotationExists) {
+      // The last task was completed but the next rotation couldn't be generated then
+      return this.handleCycleCompletion(userId);
     }
 
     // Fetch current task from rotation
@@ -166,8 +194,24 @@ class TaskProgressService {
     // Increment index
     const nextIndex = progress.current_task_index + 1;
 
+    // Remember the task being left behind as the last one completed
+    const completedTask = await this.prisma.task_rotation.findFirst({
+      where: {
+        user_id: userId,
+        rotation_version: currentVersion,
+        sequence_position: progress.current_task_index
+      },
+      select: { id: true }
+    });
+    const lastCompletedTaskId = completedTask ? completedTask.id : progress.last_completed_task_id;
+
     // Check for cycle completion
     if (nextIndex > totalTasks) {
+      await this.prisma.user_task_progress.update({
+        where: { user_id: userId },
+        data: { last_completed_task_id: lastCompletedTaskId }
+      });
+
       // Cycle complete - trigger regeneration
       return await this.handleCycleCompletion(userId);
     }
@@ -175,12 +219,540 @@ class TaskProgressService {
     // Update progress
     await this.prisma.user_task_progress.update({
       where: { user_id: userId },
-      data: { current_task_index: nextIndex }
+      data: {
+        current_task_index: nextIndex,
+        last_completed_task_id: lastCompletedTaskId
+      }
     });
 
     return await this.getCurrentTask(userId);
   }
 
+  /**
+   * Advance to the next task for a completion, recording how to undo it
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string} completionId - completion_history ID that caused the advance
+   * @returns {Promise<Object>} Next task object
+   */
+  async advanceForCompletion(userId, completionId) {
+    return this.advanceForCompletions(userId, [completionId]);
+  }
+
+  /**
+   * Estimated minutes for each rotation task, using the user's overrides where set
+   * @param {string} userId - User ID that keys the rotation
+   * @param {Array} tasks - task_rotation records
+   * @returns {Promise<Map>} Map of task ID to estimated minutes
+   */
+  async getTaskMinutes(userId, tasks) {
+    const taskTemplateService = this.roomService.taskTemplateService;
+    const roomIds = [...new Set(tasks.filter(task => task.room_id).map(task => task.room_id))];
+
+    const [durationOverrides, rooms, keystones] = await Promise.all([
+      this.roomService.getDurationOverrides(userId),
+      this.prisma.user_rooms.findMany({
+        where: { id: { in: roomIds } },
+        select: { id: true, room_type: true }
+      }),
+      this.prisma.user_keystone_tasks.findMany({
+        where: { user_id: userId },
+        select: { task_type: true, estimated_minutes: true }
+      })
+    ]);
+
+    const roomTypes = new Map(rooms.map(room => [room.id, room.room_type]));
+    const keystoneMinutes = new Map(keystones.map(keystone => [keystone.task_type, keystone.estimated_minutes]));
+
+    const minutes = new Map();
+    for (const task of tasks) {
+      if (task.keystone_type) {
+        minutes.set(task.id, keystoneMinutes.get(task.keystone_type) ||
+          taskTemplateService.getKeystoneMinutes(task.keystone_type));
+      } else if (task.deep_clean_type) {
+        minutes.set(task.id, taskTemplateService.getDeepCleanMinutes(roomTypes.get(task.room_id), task.deep_clean_type));
+      } else {
+        minutes.set(task.id, durationOverrides.get(`${task.room_id}:${task.pillar_type}`) ||
+          taskTemplateService.getTemplateMinutes(roomTypes.get(task.room_id), task.pillar_type));
+      }
+    }
+
+    return minutes;
+  }
+
+  /**
+   * Pick the run of upcoming tasks, starting with the current one, that fits a time budget
+   * The run stops at the first task that doesn't fit (tasks stay in rotation order) and at
+   * the end of the cycle, since the next rotation isn't generated until this one is done.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {number} budgetMinutes - Minutes available
+   * @returns {Promise<Object|null>} { tasks, totalMinutes, remainingMinutes, nextTaskMinutes }
+   *   (tasks carry estimated_minutes), or null if the user has no rotation
+   */
+  async getTasksForBudget(userId, budgetMinutes) {
+    const currentTask = await this.getCurrentTask(userId);
+    if (!currentTask) {
+      return null;
+    }
+
+    const progress = await this.getProgress(userId);
+    const upcoming = await this.prisma.task_rotation.findMany({
+      where: {
+        user_id: userId,
+        rotation_version: progress.current_rotation_version,
+        sequence_position: { gte: progress.current_task_index }
+      },
+      orderBy: { sequence_position: 'asc' },
+      take: this.maxBudgetTasks + 1
+    });
+
+    const minutes = await this.getTaskMinutes(userId, upcoming);
+
+    const tasks = [];
+    let totalMinutes = 0;
+    for (const task of upcoming) {
+      const taskMinutes = minutes.get(task.id);
+      if (tasks.length >= this.maxBudgetTasks || totalMinutes + taskMinutes > budgetMinutes) {
+        break;
+      }
+      tasks.push({ ...task, estimated_minutes: taskMinutes });
+      totalMinutes += taskMinutes;
+    }
+
+    const nextTask = upcoming[tasks.length];
+
+    return {
+      tasks,
+      totalMinutes,
+      remainingMinutes: budgetMinutes - totalMinutes,
+      nextTaskMinutes: nextTask ? minutes.get(nextTask.id) : null
+    };
+  }
+
+  /**
+   * Advance past a run of tasks completed together, starting at the current task
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string[]} completionIds - completion_history IDs, one per task, in rotation order
+   * @returns {Promise<Object>} Task that is now current
+   */
+  async advanceForCompletions(userId, completionIds) {
+    const progress = await this.getProgress(userId);
+    if (!progress) {
+      throw new Error('User progress not initialized');
+    }
+
+    const rotationTasks = await this.taskGenerationService.getRotationTasks(userId, progress.current_rotation_version);
+    const taskIds = completionIds.map((completionId, i) => {
+      const task = rotationTasks.find(rotationTask => rotationTask.sequence_position === progress.current_task_index + i);
+      if (!task) {
+        throw new Error('Completed tasks run past the end of the rotation');
+      }
+      return task.id;
+    });
+
+    return this.completeRotationTasks(userId, taskIds, async () => completionIds);
+  }
+
+  /**
+   * Complete a run of tasks from the front of the rotation and advance past them
+   * The tasks must still be the current task and the ones straight after it. Progress is
+   * claimed with an update guarded on the position the run started from, in the same
+   * transaction that records the completions, so a concurrent completion of the same tasks
+   * fails instead of being counted twice. Each task gets an advance record for undo. If the
+   * run finishes the cycle, the next rotation is generated once the transaction commits.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string[]} taskIds - task_rotation IDs being completed, in rotation order
+   * @param {Function} complete - Called with the transaction; records the completions and
+   *   resolves to their completion_history IDs in task order. It may stop early, and only the
+   *   tasks it completed are advanced past.
+   * @returns {Promise<Object|null>} Task that is now current, or null if the next rotation
+   *   couldn't be generated yet
+   */
+  async completeRotationTasks(userId, taskIds, complete) {
+    const progress = await this.getProgress(userId);
+    if (!progress) {
+      throw new Error('User progress not initialized');
+    }
+
+    const version = progress.current_rotation_version;
+    const start = progress.current_task_index;
+    const rotationTasks = await this.taskGenerationService.getRotationTasks(userId, version);
+    const taskAt = position => rotationTasks.find(task => task.sequence_position === position);
+
+    if (taskIds.length === 0 || taskIds.some((taskId, i) => taskAt(start + i)?.id !== taskId)) {
+      throw new Error('Rotation has moved on since these tasks were picked');
+    }
+
+    const previousLastCompletedId = position =>
+      position === start ? progress.last_completed_task_id : taskAt(position - 1).id;
+    const now = Date.now();
+
+    const completionIds = await this.prisma.$transaction(async (tx) => {
+      const ids = await complete(tx);
+      if (ids.length === 0 || ids.length > taskIds.length) {
+        throw new Error('Expected one completion for each of the first tasks picked');
+      }
+
+      // At the end of a cycle the index moves past the last task until the next rotation is generated
+      const end = start + ids.length - 1;
+      const moved = await tx.user_task_progress.updateMany({
+        where: {
+          user_id: userId,
+          current_task_index: start,
+          current_rotation_version: version
+        },
+        data: {
+          current_task_index: end + 1,
+          last_completed_task_id: taskAt(end).id
+        }
+      });
+
+      if (moved.count === 0) {
+        throw new Error('Rotation has moved on since these tasks were picked');
+      }
+
+      for (let i = 0; i < ids.length; i++) {
+        const position = start + i;
+
+        // Before a cycle ends, so the next rotation sees the deep clean as done
+        await this.deepCleanService.recordCompletion(userId, taskAt(position), ids[i], tx);
+
+        // The cycle-ending task is recorded once the next rotation exists.
+        // One record per task so undo steps back one task at a time, latest first.
+        if (position < rotationTasks.length) {
+          await tx.rotation_advances.create({
+            data: {
+              completion_id: ids[i],
+              rotation_user_id: userId,
+              task_rotation_id: taskAt(position).id,
+              previous_task_index: position,
+              previous_rotation_version: version,
+              previous_last_completed_task_id: previousLastCompletedId(position),
+              next_task_index: position + 1,
+              next_rotation_version: version,
+              created_at: new Date(now - (ids.length - i))
+            }
+          });
+        }
+      }
+
+      return ids;
+    });
+
+    const end = start + completionIds.length - 1;
+    if (end < rotationTasks.length) {
+      return this.getCurrentTask(userId);
+    }
+
+    // Staged room changes are applied when the cycle completes and can't be taken back,
+    // so that completion advances without an undo record
+    if (progress.has_pending_config_changes) {
+      try {
+        return await this.handleCycleCompletion(userId);
+      } catch (error) {
+        console.error('Error completing cycle, retrying on the next request:', error);
+        return null;
+      }
+    }
+
+    // Cycle completion deletes the finished rotation, so keep a copy in case this is undone
+    const previousRotation = JSON.stringify(rotationTasks.map(task => ({
+      id: task.id,
+      task_type: task.task_type,
+      task_description: task.task_description,
+      room_id: task.room_id,
+      pillar_type: task.pillar_type,
+      keystone_type: task.keystone_type,
+      deep_clean_type: task.deep_clean_type,
+      sequence_position: task.sequence_position
+    })));
+
+    // The completions are already saved; if the next rotation can't be generated now,
+    // getCurrentTask finishes the cycle on the next request
+    let nextTask;
+    try {
+      nextTask = await this.handleCycleCompletion(userId);
+    } catch (error) {
+      console.error('Error completing cycle, retrying on the next request:', error);
+      return null;
+    }
+    const nextProgress = await this.getProgress(userId);
+
+    await this.prisma.rotation_advances.create({
+      data: {
+        completion_id: completionIds[completionIds.length - 1],
+        rotation_user_id: userId,
+        task_rotation_id: taskAt(end).id,
+        previous_task_index: end,
+        previous_rotation_version: version,
+        previous_last_completed_task_id: previousLastCompletedId(end),
+        previous_rotation: previousRotation,
+        next_task_index: nextProgress.current_task_index,
+        next_rotation_version: nextProgress.current_rotation_version
+      }
+    });
+
+    return nextTask;
+  }
+
+  /**
+   * Get the user's most recent completion if it is still inside the undo window
+   * @param {string} userId - User who completed the task
+   * @returns {Promise<Object|null>} completion_history record or null
+   */
+  async getUndoableCompletion(userId) {
+    const since = new Date(Date.now() - this.undoWindowMinutes * 60 * 1000);
+
+    return this.prisma.completion_history.findFirst({
+      where: {
+        user_id: userId,
+        created_at: { gte: since }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+  }
+
+  /**
+   * Put the rotation back where it was before a completion advanced it
+   * Only the latest advance can be rewound, and only while progress is still where that
+   * completion left it; otherwise later tasks were already done on top of it. Pass the
+   * transaction that deletes the completion so the rewind and the delete land together.
+   * @param {string} completionId - completion_history ID
+   * @param {string} userId - User who owns the completion
+   * @param {Object} client - Transaction object (a transaction is opened when omitted)
+   * @returns {Promise<boolean>} True if rewound, false if the completion never advanced a rotation
+   */
+  async rewindCompletion(completionId, userId, client = null) {
+    if (!client) {
+      return this.prisma.$transaction(tx => this.rewindCompletion(completionId, userId, tx));
+    }
+
+    const advance = await client.rotation_advances.findUnique({
+      where: { completion_id: completionId },
+      include: { completion_history: { select: { user_id: true } } }
+    });
+
+    if (!advance || advance.completion_history.user_id !== userId) {
+      return false;
+    }
+
+    const rotationUserId = advance.rotation_user_id;
+    const latestAdvance = await client.rotation_advances.findFirst({
+      where: { rotation_user_id: rotationUserId },
+      orderBy: { created_at: 'desc' },
+      select: { id: true }
+    });
+
+    if (latestAdvance.id !== advance.id) {
+      throw new Error('Rotation has moved on since this completion');
+    }
+
+    // Guarded so a completion landing at the same time can't be rewound over
+    const { count } = await client.user_task_progress.updateMany({
+      where: {
+        user_id: rotationUserId,
+        current_task_index: advance.next_task_index,
+        current_rotation_version: advance.next_rotation_version
+      },
+      data: {
+        current_task_index: advance.previous_task_index,
+        current_rotation_version: advance.previous_rotation_version,
+        last_completed_task_id: advance.previous_last_completed_task_id
+      }
+    });
+
+    if (count === 0) {
+      throw new Error('Rotation has moved on since this completion');
+    }
+
+    if (advance.previous_rotation) {
+      // The completion ended a cycle: drop the new rotation and bring the finished one back
+      const previousTasks = JSON.parse(advance.previous_rotation);
+      await client.task_rotation.deleteMany({
+        where: { user_id: rotationUserId, rotation_version: advance.next_rotation_version }
+      });
+      await client.task_rotation.createMany({
+        data: previousTasks.map(task => ({
+          ...task,
+          user_id: rotationUserId,
+          rotation_version: advance.previous_rotation_version
+        }))
+      });
+    }
+
+    await client.rotation_advances.delete({
+      where: { id: advance.id }
+    });
+
+    return true;
+  }
+
+  /**
+   * Skip the current task by moving it to the end of the rotation
+   * On the last task of a cycle there is nowhere later to go, so the cycle completes.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string} actorUserId - User ID of whoever skipped (credited in stats)
+   * @param {string} reason - Why the task can't be done today
+   * @returns {Promise<Object>} { deferral, nextTask }
+   */
+  async skipCurrentTask(userId, actorUserId, reason) {
+    return this.deferCurrentTask(userId, actorUserId, {
+      action: 'skip',
+      reason,
+      offset: Infinity
+    });
+  }
+
+  /**
+   * Snooze the current task so it comes back after N days
+   * The rotation serves one task per day, so the task moves N positions later
+   * (capped at the end of the cycle). Streaks are untouched either way.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string} actorUserId - User ID of whoever snoozed (credited in stats)
+   * @param {number} days - Days to snooze (1-14)
+   * @param {string} reason - Why the task can't be done today
+   * @returns {Promise<Object>} { deferral, nextTask }
+   */
+  async snoozeCurrentTask(userId, actorUserId, days, reason) {
+    if (!Number.isInteger(days) || days < 1 || days > this.maxSnoozeDays) {
+      throw new Error(`Snooze days must be a whole number between 1 and ${this.maxSnoozeDays}`);
+    }
+
+    return this.deferCurrentTask(userId, actorUserId, {
+      action: 'snooze',
+      reason,
+      offset: days,
+      snoozeDays: days
+    });
+  }
+
+  /**
+   * Move the current task later in the rotation and record why
+   * The move and the deferral record are saved together, guarded like a completion on the
+   * rotation still being at the task that was read, so a household member completing or
+   * deferring at the same time can't have the wrong task moved.
+   * @param {string} userId - User ID that keys the rotation
+   * @param {string} actorUserId - User ID to record the deferral against
+   * @param {Object} options - { action, reason, offset, snoozeDays }
+   * @returns {Promise<Object>} { deferral, nextTask }
+   * @private
+   */
+  async deferCurrentTask(userId, actorUserId, { action, reason, offset, snoozeDays = null }) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (trimmedReason.length < 1 || trimmedReason.length > this.maxDeferralReasonLength) {
+      throw new Error(`Reason must be between 1 and ${this.maxDeferralReasonLength} characters`);
+    }
+
+    const task = await this.getCurrentTask(userId);
+    if (!task) {
+      throw new Error('No current task to defer');
+    }
+
+    const version = task.rotation_version;
+    const currentIndex = task.sequence_position;
+    const totalTasks = await this.taskGenerationService.getRotationTaskCount(userId, version);
+    const targetPosition = Math.min(currentIndex + offset, totalTasks);
+
+    // Already the last task: move past it, and the next rotation brings it back anyway
+    const endsCycle = targetPosition === currentIndex;
+
+    const deferral = await this.prisma.$transaction(async (tx) => {
+      const claimed = await tx.user_task_progress.updateMany({
+        where: {
+          user_id: userId,
+          current_task_index: currentIndex,
+          current_rotation_version: version
+        },
+        data: { current_task_index: endsCycle ? currentIndex + 1 : currentIndex }
+      });
+      const stillCurrent = await tx.task_rotation.count({
+        where: { id: task.id, sequence_position: currentIndex }
+      });
+
+      if (claimed.count === 0 || stillCurrent === 0) {
+        throw new Error('Rotation has moved on since this task was picked');
+      }
+
+      if (!endsCycle) {
+        await this.moveTaskLater(userId, version, task.id, currentIndex, targetPosition, totalTasks, tx);
+      }
+
+      return tx.task_deferrals.create({
+        data: {
+          user_id: actorUserId,
+          action,
+          reason: trimmedReason,
+          snooze_days: snoozeDays,
+          task_description: task.task_description,
+          task_type: task.task_type,
+          room_id: task.room_id,
+          pillar_type: task.pillar_type,
+          keystone_type: task.keystone_type
+        }
+      });
+    });
+
+    if (endsCycle) {
+      // As after completing the last task, getCurrentTask finishes a cycle that fails here
+      try {
+        return { deferral, nextTask: await this.handleCycleCompletion(userId) };
+      } catch (error) {
+        console.error('Error completing cycle, retrying on the next request:', error);
+        return { deferral, nextTask: null };
+      }
+    }
+
+    // The index now points at the task that followed the deferred one
+    return { deferral, nextTask: await this.getCurrentTask(userId) };
+  }
+
+  /**
+   * Move a task from one position to a later one, shifting the tasks in between up by one
+   * Positions are unique per rotation, so the shifted tasks are first parked above the
+   * rotation's range; no intermediate update can then collide, whatever order rows update in.
+   * @param {string} userId - User ID
+   * @param {number} version - Rotation version
+   * @param {string} taskId - Task being moved
+   * @param {number} fromPosition - Current position of the task
+   * @param {number} toPosition - New, later position
+   * @param {number} totalTasks - Number of tasks in the rotation
+   * @param {Object} client - Transaction object
+   * @private
+   */
+  async moveTaskLater(userId, version, taskId, fromPosition, toPosition, totalTasks, client) {
+    const rotationWhere = { user_id: userId, rotation_version: version };
+
+    await client.task_rotation.update({
+      where: { id: taskId },
+      data: { sequence_position: 0 }
+    });
+    await client.task_rotation.updateMany({
+      where: { ...rotationWhere, sequence_position: { gt: fromPosition, lte: toPosition } },
+      data: { sequence_position: { increment: totalTasks } }
+    });
+    await client.task_rotation.updateMany({
+      where: { ...rotationWhere, sequence_position: { gt: totalTasks } },
+      data: { sequence_position: { decrement: totalTasks + 1 } }
+    });
+    await client.task_rotation.update({
+      where: { id: taskId },
+      data: { sequence_position: toPosition }
+    });
+  }
+
+  /**
+   * Count how many tasks a user has skipped and snoozed
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { skipped, snoozed }
+   */
+  async getDeferralCounts(userId) {
+    const [skipped, snoozed] = await Promise.all([
+      this.prisma.task_deferrals.count({ where: { user_id: userId, action: 'skip' } }),
+      this.prisma.task_deferrals.count({ where: { user_id: userId, action: 'snooze' } })
+    ]);
+
+    return { skipped, snoozed };
+  }
+
   /**
    * Detect if user has completed their current rotation cycle
    * @param {string} userId - User ID
@@ -210,8 +782,14 @@ class TaskProgressService {
     const progress = await this.getProgress(userId);
 
     if (progress?.has_pending_config_changes) {
-      // Apply staged changes
-      await this.applyPendingConfigChanges(userId);
+      // Apply staged changes. One that still can't be applied (staged before it was checked
+      // against the stored rooms) is dropped rather than blocking every cycle from now on.
+      try {
+        await this.applyPendingConfigChanges(userId);
+      } catch (error) {
+        console.error('Error applying pending config changes, discarding them:', error);
+        await this.prisma.pending_room_configs.deleteMany({ where: { user_id: userId } });
+      }
     }
 
     // 2. Regenerate rotation with shuffled keystones
@@ -241,8 +819,9 @@ class TaskProgressService {
    * @returns {Promise<boolean>} Success status
    */
   async stagePendingChanges(userId, configData) {
-    // Validate configuration data (Issue #24)
-    const validation = validateRoomConfigData(configData);
+    // Validate configuration data (Issue #24), including the user's custom room types
+    const allowedRoomTypes = await this.roomService.getAvailableRoomTypes(userId);
+    const validation = validateRoomConfigData(configData, { allowedRoomTypes });
     if (!validation.valid) {
       throw new Error(`Invalid configuration data: ${validation.errors.join(', ')}`);
     }
@@ -250,6 +829,26 @@ class TaskProgressService {
     // Sanitize data
     const sanitized = sanitizeRoomConfigData(configData);
 
+    // Work out each room's pillars against the rooms as stored now, so a config that can't
+    // be applied (e.g. an older client turning glass off in a glass-only room) is rejected
+    // here instead of when the cycle completes
+    if (sanitized.rooms) {
+      const existingRooms = await this.roomService.getUserRooms(userId, true);
+      const existingPillars = new Map(existingRooms.map(room => [room.id, room.pillars]));
+
+      try {
+        sanitized.rooms = sanitized.rooms.map(room => {
+          const pillars = resolveRoomPillars(
+            { pillars: room.pillars, hasGlass: room.hasGlass },
+            existingPillars.get(room.id)
+          );
+          return { ...room, hasGlass: pillars.includes('glass'), pillars };
+        });
+      } catch (error) {
+        throw new Error(`Invalid configuration data: ${error.message}`);
+      }
+    }
+
     // Check if pending config already exists
     const existing = await this.prisma.pending_room_configs.findUnique({
       where: { user_id: userId }
@@ -284,6 +883,8 @@ class TaskProgressService {
 
   /**
    * Apply pending configuration changes
+   * Rooms, keystones and clearing the staged config happen in one transaction, so a
+   * config is either applied in full or left pending.
    * @param {string} userId - User ID
    * @returns {Promise<boolean>} Success status
    */
@@ -304,19 +905,21 @@ class TaskProgressService {
       throw new Error('Failed to parse pending configuration data');
     }
 
-    // Apply room updates if present
-    if (configData.rooms && Array.isArray(configData.rooms)) {
-      await this.applyRoomUpdates(userId, configData.rooms);
-    }
+    await this.prisma.$transaction(async (tx) => {
+      // Apply room updates if present
+      if (configData.rooms && Array.isArray(configData.rooms)) {
+        await this.applyRoomUpdates(userId, configData.rooms, tx);
+      }
 
-    // Apply keystone updates if present
-    if (configData.keystones && Array.isArray(configData.keystones)) {
-      await this.applyKeystoneUpdates(userId, configData.keystones);
-    }
+      // Apply keystone updates if present
+      if (configData.keystones && Array.isArray(configData.keystones)) {
+        await this.applyKeystoneUpdates(userId, configData.keystones, tx);
+      }
 
-    // Clear pending config
-    await this.prisma.pending_room_configs.delete({
-      where: { user_id: userId }
+      // Clear pending config
+      await tx.pending_room_configs.delete({
+        where: { user_id: userId }
+      });
     });
 
     return true;
@@ -326,45 +929,66 @@ class TaskProgressService {
    * Apply room configuration updates
    * @param {string} userId - User ID
    * @param {Array} roomUpdates - Array of room update objects
+   * @param {Object} client - Prisma client or transaction object
    * @private
    */
-  async applyRoomUpdates(userId, roomUpdates) {
+  async applyRoomUpdates(userId, roomUpdates, client = this.prisma) {
     // Get existing rooms
-    const existingRooms = await this.roomService.getUserRooms(userId, true);
-    const existingRoomIds = new Set(existingRooms.map(r => r.id));
+    const existingRooms = await client.user_rooms.findMany({
+      where: { user_id: userId }
+    });
+    const existingRoomsById = new Map(existingRooms.map(r => [r.id, r]));
     const updateRoomIds = new Set(roomUpdates.map(r => r.id));
 
     // Delete rooms that are no longer in the update list
     const roomsToDelete = existingRooms.filter(r => !updateRoomIds.has(r.id));
     for (const room of roomsToDelete) {
-      await this.prisma.user_rooms.delete({ where: { id: room.id } });
+      await client.user_rooms.delete({ where: { id: room.id } });
     }
 
     // Update or create rooms
     for (const roomUpdate of roomUpdates) {
-      if (existingRoomIds.has(roomUpdate.id)) {
+      const existingRoom = existingRoomsById.get(roomUpdate.id);
+      // Configs staged before pillars could be chosen only carry hasGlass, which toggles glass alone
+      const pillars = resolveRoomPillars(
+        { pillars: roomUpdate.pillars, hasGlass: roomUpdate.hasGlass },
+        existingRoom ? getRoomPillars(existingRoom) : undefined
+      );
+      // As with a room edit, setting one of visitsPerCycle / cycleInterval resets the other to 1;
+      // configs saved before room weights existed leave the weight alone
+      const hasWeight = roomUpdate.visitsPerCycle !== undefined || roomUpdate.cycleInterval !== undefined;
+      const visitsPerCycle = hasWeight ? (roomUpdate.visitsPerCycle ?? 1) : undefined;
+      const cycleInterval = hasWeight ? (roomUpdate.cycleInterval ?? 1) : undefined;
+
+      if (existingRoom) {
         // Update existing room
-        await this.prisma.user_rooms.update({
+        await client.user_rooms.update({
           where: { id: roomUpdate.id },
           data: {
             room_type: roomUpdate.roomType,
             custom_name: roomUpdate.customName,
-            has_glass: roomUpdate.hasGlass,
+            has_glass: pillars.includes('glass'),
+            pillars: pillars.join(','),
             sort_order: roomUpdate.sortOrder,
-            is_active: roomUpdate.isActive
+            is_active: roomUpdate.isActive,
+            visits_per_cycle: visitsPerCycle,
+            cycle_interval: cycleInterval
           }
         });
       } else {
         // Create new room
-        await this.prisma.user_rooms.create({
+        await client.user_rooms.create({
           data: {
             id: roomUpdate.id,
             user_id: userId,
             room_type: roomUpdate.roomType,
             custom_name: roomUpdate.customName,
-            has_glass: roomUpdate.hasGlass,
+            has_glass: pillars.includes('glass'),
+            pillars: pillars.join(','),
             sort_order: roomUpdate.sortOrder,
-            is_active: roomUpdate.isActive
+            is_active: roomUpdate.isActive,
+            visits_per_cycle: visitsPerCycle,
+            cycle_interval: cycleInterval
           }
         });
       }
@@ -375,19 +999,28 @@ class TaskProgressService {
    * Apply keystone configuration updates
    * @param {string} userId - User ID
    * @param {Array} keystoneUpdates - Array of keystone update objects
+   * @param {Object} client - Prisma client or transaction object
    * @private
    */
-  async applyKeystoneUpdates(userId, keystoneUpdates) {
+  async applyKeystoneUpdates(userId, keystoneUpdates, client = this.prisma) {
     // Update keystones (we don't delete keystones, just update them)
     for (const keystoneUpdate of keystoneUpdates) {
-      await this.prisma.user_keystone_tasks.update({
+      const data = {
+        task_type: keystoneUpdate.taskType,
+        custom_name: keystoneUpdate.customName,
+        is_active: keystoneUpdate.isActive,
+        sort_order: keystoneUpdate.sortOrder
+      };
+
+      // Configs saved before frequencies existed leave the keystone's frequency alone
+      if (keystoneUpdate.frequencyDays !== undefined || keystoneUpdate.timesPerWeek !== undefined) {
+        data.frequency_days = keystoneUpdate.frequencyDays ?? null;
+        data.times_per_week = keystoneUpdate.timesPerWeek ?? null;
+      }
+
+      await client.user_keystone_tasks.update({
         where: { id: keystoneUpdate.id },
-        data: {
-          task_type: keystoneUpdate.taskType,
-          custom_name: keystoneUpdate.customName,
-          is_active: keystoneUpdate.isActive,
-          sort_order: keystoneUpdate.sortOrder
-        }
+        data
       });
     }
   }
@@ -62,6 +62,83 @@ class TaskTemplateService {
       shower_tub: "Scrub shower/tub",
       microwave: "Clean microwave interior"
     };
+
+    // Estimated minutes for each room template, used to fit tasks into a time budget
+    this.templateMinutes = {
+      kitchen: { glass: 5, surfaces: 10, floor: 15 },
+      bedroom: { glass: 5, surfaces: 10, floor: 10 },
+      bathroom: { glass: 5, surfaces: 5, floor: 10 },
+      living_room: { glass: 10, surfaces: 10, floor: 10 },
+      office: { glass: 5, surfaces: 10, floor: 10 },
+      dining_room: { glass: 5, surfaces: 5, floor: 15 },
+      laundry: { glass: 5, surfaces: 5, floor: 10 },
+      garage: { glass: 5, surfaces: 15, floor: 15 }
+    };
+
+    // Fallback for custom room types
+    this.defaultPillarMinutes = { glass: 5, surfaces: 10, floor: 10 };
+
+    // Estimated minutes for each keystone task
+    this.keystoneMinutes = {
+      master_toilet: 5,
+      guest_toilet: 5,
+      kitchen_sink: 5,
+      master_bath_sink: 3,
+      guest_bath_sink: 3,
+      stovetop: 5,
+      shower_tub: 15,
+      microwave: 5
+    };
+    this.defaultKeystoneMinutes = 5;
+
+    // Bounds for user-set durations
+    this.minTaskMinutes = 1;
+    this.maxTaskMinutes = 240;
+
+    // Deep-clean catalog: occasional chores for each built-in room type, with how often
+    // they recur (intervalDays) and how long they take (minutes)
+    this.deepCleanTemplates = {
+      kitchen: {
+        clean_oven: { description: "Deep clean the {roomName} oven", intervalDays: 90, minutes: 45 },
+        clean_fridge: { description: "Empty and wipe out the {roomName} fridge", intervalDays: 30, minutes: 30 },
+        fridge_coils: { description: "Vacuum the {roomName} fridge coils", intervalDays: 180, minutes: 20 },
+        range_hood: { description: "Degrease the {roomName} range hood filter", intervalDays: 90, minutes: 20 },
+        dishwasher_filter: { description: "Clean the {roomName} dishwasher filter", intervalDays: 30, minutes: 10 }
+      },
+      bedroom: {
+        flip_mattress: { description: "Flip or rotate the {roomName} mattress", intervalDays: 180, minutes: 10 },
+        wash_curtains: { description: "Wash the {roomName} curtains", intervalDays: 180, minutes: 30 },
+        wash_pillows: { description: "Wash the {roomName} pillows and duvet", intervalDays: 90, minutes: 20 }
+      },
+      bathroom: {
+        descale_showerhead: { description: "Descale the {roomName} shower head", intervalDays: 90, minutes: 15 },
+        wash_shower_curtain: { description: "Wash the {roomName} shower curtain and liner", intervalDays: 90, minutes: 15 },
+        scrub_grout: { description: "Scrub the {roomName} grout", intervalDays: 180, minutes: 45 },
+        exhaust_fan: { description: "Clean the {roomName} exhaust fan cover", intervalDays: 180, minutes: 15 }
+      },
+      living_room: {
+        wash_curtains: { description: "Wash the {roomName} curtains", intervalDays: 180, minutes: 30 },
+        under_cushions: { description: "Vacuum under and behind the {roomName} sofa cushions", intervalDays: 90, minutes: 20 },
+        light_fixtures: { description: "Dust the {roomName} ceiling fan and light fixtures", intervalDays: 90, minutes: 15 }
+      },
+      office: {
+        electronics: { description: "Dust {roomName} electronics and tidy the cables", intervalDays: 90, minutes: 15 },
+        light_fixtures: { description: "Dust the {roomName} ceiling fan and light fixtures", intervalDays: 90, minutes: 15 }
+      },
+      dining_room: {
+        polish_table: { description: "Polish the {roomName} table and wipe the chair legs", intervalDays: 90, minutes: 20 },
+        wash_curtains: { description: "Wash the {roomName} curtains", intervalDays: 180, minutes: 30 }
+      },
+      laundry: {
+        washer_drum: { description: "Clean the {roomName} washing machine drum and door seal", intervalDays: 30, minutes: 15 },
+        dryer_vent: { description: "Clear out the {roomName} dryer vent", intervalDays: 365, minutes: 30 }
+      },
+      garage: {
+        sweep_corners: { description: "Declutter and sweep out the {roomName} corners", intervalDays: 180, minutes: 60 },
+        wipe_shelves: { description: "Wipe down the {roomName} shelves and storage", intervalDays: 365, minutes: 45 }
+      }
+    };
+    this.defaultDeepCleanMinutes = 30;
   }
 
   /**
@@ -69,14 +146,16 @@ class TaskTemplateService {
    * @param {string} roomType - Type of room (kitchen, bedroom, etc.)
    * @param {string} roomName - Custom name for the room
    * @param {string} pillarType - Type of pillar (glass, surfaces, floor)
+   * @param {string|null} overrideTemplate - User's template for this room and pillar, if any
    * @returns {string} Generated task description
    */
-  generateTaskDescription(roomType, roomName, pillarType) {
-    const template = this.getTemplateForRoom(roomType, pillarType);
+  generateTaskDescription(roomType, roomName, pillarType, overrideTemplate = null) {
+    // Built-in templates are only the fallback when the user hasn't written their own
+    const template = overrideTemplate || this.getTemplateForRoom(roomType, pillarType);
     if (!template) {
       throw new Error(`No template found for room type: ${roomType}, pillar: ${pillarType}`);
     }
-    return template.replace('{roomName}', roomName);
+    return template.replace(/\{roomName\}/g, roomName);
   }
 
   /**
@@ -147,6 +226,70 @@ class TaskTemplateService {
     return Object.keys(this.templates);
   }
 
+  /**
+   * Get the built-in estimated duration of a pillar task
+   * @param {string} roomType - Type of room (built-in or custom)
+   * @param {string} pillarType - Type of pillar (glass, surfaces, floor)
+   * @returns {number} Estimated minutes
+   */
+  getTemplateMinutes(roomType, pillarType) {
+    const roomMinutes = this.templateMinutes[roomType];
+    return (roomMinutes && roomMinutes[pillarType]) || this.defaultPillarMinutes[pillarType];
+  }
+
+  /**
+   * Get the built-in estimated duration of a keystone task
+   * @param {string} keystoneType - Type of keystone task
+   * @returns {number} Estimated minutes
+   */
+  getKeystoneMinutes(keystoneType) {
+    return this.keystoneMinutes[keystoneType] || this.defaultKeystoneMinutes;
+  }
+
+  /**
+   * Validate a user-set task duration
+   * @param {number} minutes - Estimated minutes
+   * @returns {boolean} True if a whole number within bounds
+   */
+  isValidTaskMinutes(minutes) {
+    return Number.isInteger(minutes) && minutes >= this.minTaskMinutes && minutes <= this.maxTaskMinutes;
+  }
+
+  /**
+   * Get the deep-clean catalog for a room type
+   * @param {string} roomType - Type of room (custom room types have no catalog)
+   * @returns {Array} Entries of { key, description, intervalDays, minutes }
+   */
+  getDeepCleanTasks(roomType) {
+    const roomTasks = this.deepCleanTemplates[roomType] || {};
+    return Object.entries(roomTasks).map(([key, task]) => ({ key, ...task }));
+  }
+
+  /**
+   * Get one deep-clean catalog entry
+   * @param {string} roomType - Type of room
+   * @param {string} taskKey - Deep-clean task key
+   * @returns {Object|null} { key, description, intervalDays, minutes } or null if not in the catalog
+   */
+  getDeepCleanTask(roomType, taskKey) {
+    const roomTasks = this.deepCleanTemplates[roomType];
+    if (!roomTasks || !roomTasks.hasOwnProperty(taskKey)) {
+      return null;
+    }
+    return { key: taskKey, ...roomTasks[taskKey] };
+  }
+
+  /**
+   * Get the built-in estimated duration of a deep-clean task
+   * @param {string} roomType - Type of room
+   * @param {string} taskKey - Deep-clean task key
+   * @returns {number} Estimated minutes
+   */
+  getDeepCleanMinutes(roomType, taskKey) {
+    const task = this.getDeepCleanTask(roomType, taskKey);
+    return task ? task.minutes : this.defaultDeepCleanMinutes;
+  }
+
   /**
    * Get all supported keystone types
    * @returns {string[]} Array of supported keystone types
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const totp = require('../utils/totp');
+const { toSvgDataUri } = require('../utils/qrCode');
+
+/**
+ * Two-Factor Service
+ *
+ * Opt-in TOTP two-factor authentication. Setup stores a secret that stays inactive
+ * until the user confirms it with a first code; enabling issues ten single-use
+ * recovery codes. Each TOTP time step is accepted once, so a code seen over
+ * someone's shoulder can't be reused within its 30 seconds. Each login challenge
+ * allows TWO_FACTOR_MAX_ATTEMPTS codes, so guessing can't be spread across IPs.
+ */
+
+class TwoFactorService {
+  constructor() {
+    this.prisma = new PrismaClient();
+
+    this.issuer = process.env.TOTP_ISSUER || 'CleanStreak';
+    this.recoveryCodeCount = 10;
+    this.maxChallengeAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 10) || 5;
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * @param {string} code - Recovery code in any case, with or without the dash
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a batch of recovery codes
+   * @returns {string[]} Codes formatted as XXXXX-XXXXX
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Get a user's two-factor status
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabled_at, recovery_codes_remaining }
+   */
+  async getStatus(userId) {
+    const [user, remaining] = await Promise.all([
+      this.prisma.users.findUnique({
+        where: { id: userId },
+        select: { totp_enabled_at: true }
+      }),
+      this.prisma.two_factor_recovery_codes.count({
+        where: { user_id: userId, used_at: null }
+      })
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      enabled: Boolean(user.totp_enabled_at),
+      enabled_at: user.totp_enabled_at,
+      recovery_codes_remaining: user.totp_enabled_at ? remaining : 0
+    };
+  }
+
+  /**
+   * Start enrolment with a new secret
+   * Calling it again before confirming replaces the pending secret.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauth_url, qr_code }
+   */
+  async beginSetup(userId) {
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { email: true, totp_enabled_at: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.totp_enabled_at) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+
+    await this.prisma.users.update({
+      where: { id: userId },
+      data: {
+        totp_secret: secret,
+        totp_last_used_step: null,
+        updated_at: new Date()
+      }
+    });
+
+    const otpauthUrl = totp.buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: this.issuer
+    });
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: toSvgDataUri(otpauthUrl)
+    };
+  }
+
+  /**
+   * Confirm enrolment with a first code and issue recovery codes
+   * @param {string} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<string[]>} Recovery codes, shown to the user once
+   */
+  async enable(userId, code) {
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { totp_secret: true, totp_enabled_at: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.totp_enabled_at) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.totp_secret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await this.prisma.$transaction([
+      this.prisma.users.update({
+        where: { id: userId },
+        data: {
+          totp_enabled_at: new Date(),
+          totp_last_used_step: step,
+          updated_at: new Date()
+        }
+      }),
+      this.prisma.two_factor_recovery_codes.deleteMany({ where: { user_id: userId } }),
+      this.prisma.two_factor_recovery_codes.createMany({
+        data: recoveryCodes.map(recoveryCode => ({
+          user_id: userId,
+          code_hash: this.hashRecoveryCode(recoveryCode)
+        }))
+      })
+    ]);
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second-factor code for a user with two-factor enabled
+   * Accepts either a TOTP code or an unused recovery code, and consumes it.
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { method: 'totp'|'recovery_code', recovery_codes_remaining }
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    const user = await this.prisma.users.findUnique({
+      where: { id: userId },
+      select: { totp_secret: true, totp_enabled_at: true, totp_last_used_step: true }
+    });
+
+    if (!user || !user.totp_enabled_at) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (recoveryCode) {
+      // updateMany on an unused code is atomic, so a code can't be spent twice concurrently
+      const result = await this.prisma.two_factor_recovery_codes.updateMany({
+        where: {
+          user_id: userId,
+          code_hash: this.hashRecoveryCode(recoveryCode),
+          used_at: null
+        },
+        data: { used_at: new Date() }
+      });
+
+      if (result.count === 0) {
+        throw new Error('Invalid recovery code');
+      }
+
+      const remaining = await this.prisma.two_factor_recovery_codes.count({
+        where: { user_id: userId, used_at: null }
+      });
+
+      return { method: 'recovery_code', recovery_codes_remaining: remaining };
+    }
+
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    // Each time step is good for one sign-in
+    const result = await this.prisma.users.updateMany({
+      where: {
+        id: userId,
+        OR: [
+          { totp_last_used_step: null },
+          { totp_last_used_step: { lt: step } }
+        ]
+      },
+      data: { totp_last_used_step: step }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Invalid verification code');
+    }
+
+    const remaining = await this.prisma.two_factor_recovery_codes.count({
+      where: { user_id: userId, used_at: null }
+    });
+
+    return { method: 'totp', recovery_codes_remaining: remaining };
+  }
+
+  /**
+   * Store a login challenge issued after the first factor
+   * @param {string} userId - User ID
+   * @param {Object} challenge - { jti, expiresAt } from generateChallengeToken
+   * @returns {Promise<Object>} two_factor_challenges record
+   */
+  async createChallenge(userId, { jti, expiresAt }) {
+    return this.prisma.two_factor_challenges.create({
+      data: {
+        id: jti,
+        user_id: userId,
+        expires_at: expiresAt
+      }
+    });
+  }
+
+  /**
+   * Spend one attempt of a login challenge before a code is checked against it
+   * The attempt is counted with a guarded update, so concurrent guesses can't exceed the limit.
+   * @param {string} challengeId - jti of the challenge token
+   * @param {string} userId - User the challenge token was issued to
+   * @returns {Promise<number>} Attempts used on the challenge, including this one
+   */
+  async claimChallengeAttempt(challengeId, userId) {
+    const result = await this.prisma.two_factor_challenges.updateMany({
+      where: {
+        id: challengeId,
+        user_id: userId,
+        used_at: null,
+        attempts: { lt: this.maxChallengeAttempts },
+        expires_at: { gt: new Date() }
+      },
+      data: { attempts: { increment: 1 } }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Sign-in challenge is no longer valid');
+    }
+
+    const challenge = await this.prisma.two_factor_challenges.findUnique({
+      where: { id: challengeId },
+      select: { attempts: true }
+    });
+
+    return challenge.attempts;
+  }
+
+  /**
+   * Mark a login challenge as verified so it can't start another session
+   * @param {string} challengeId - jti of the challenge token
+   * @returns {Promise<void>}
+   */
+  async completeChallenge(challengeId) {
+    const result = await this.prisma.two_factor_challenges.updateMany({
+      where: { id: challengeId, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw new Error('Sign-in challenge is no longer valid');
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off after checking a current code
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<boolean>} Success status
+   */
+  async disable(userId, credentials) {
+    await this.verify(userId, credentials);
+
+    await this.prisma.$transaction([
+      this.prisma.users.update({
+        where: { id: userId },
+        data: {
+          totp_secret: null,
+          totp_enabled_at: null,
+          totp_last_used_step: null,
+          updated_at: new Date()
+        }
+      }),
+      this.prisma.two_factor_recovery_codes.deleteMany({ where: { user_id: userId } })
+    ]);
+
+    return true;
+  }
+}
+
+module.exports = TwoFactorService;
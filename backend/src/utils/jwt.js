@@ -179,6 +179,76 @@ function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Generate a short-lived token proving the password step of a two-factor login
+ * It is signed like an access token but has its own type, so it can't be used as one.
+ * @param {Object} payload - { userId, tokenVersion }
+ * @returns {Object} Token data with expiration info and the jti identifying the challenge
+ */
+function generateChallengeToken(payload) {
+  try {
+    if (!payload || !payload.userId) {
+      throw new Error('userId is required in token payload');
+    }
+
+    const tokenOptions = {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      algorithm: jwtConfig.accessToken.algorithm,
+      issuer: 'CleanStreak-Auth'
+    };
+
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({
+      userId: payload.userId,
+      tokenVersion: payload.tokenVersion,
+      jti,
+      type: 'two_factor_challenge'
+    }, jwtConfig.accessToken.secret, tokenOptions);
+
+    const expiresIn = parseTokenExpiration(tokenOptions.expiresIn);
+
+    return {
+      token,
+      jti,
+      expiresAt: new Date(Date.now() + expiresIn),
+      expiresIn: Math.floor(expiresIn / 1000) // in seconds
+    };
+  } catch (error) {
+    throw new Error(`Challenge token generation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Verify and decode a two-factor challenge token
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object} Decoded token payload
+ */
+function verifyChallengeToken(token) {
+  try {
+    if (!token) {
+      throw new Error('No token provided');
+    }
+
+    const decoded = jwt.verify(token, jwtConfig.accessToken.secret, {
+      algorithms: [jwtConfig.accessToken.algorithm],
+      issuer: 'CleanStreak-Auth'
+    });
+
+    if (decoded.type !== 'two_factor_challenge') {
+      throw new Error('Invalid token type - expected challenge token');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Challenge token has expired');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid challenge token');
+    }
+    throw new Error(`Challenge token verification failed: ${error.message}`);
+  }
+}
+
 /**
  * Decode token without verification (for debugging/logging)
  * @param {string} token - JWT token
@@ -405,10 +475,12 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokenPair,
+  generateChallengeToken,
 
   // Token verification
   verifyAccessToken,
   verifyRefreshToken,
+  verifyChallengeToken,
 
   // Token utilities
   decodeToken,
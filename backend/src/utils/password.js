@@ -1,4 +1,8 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
 
 /**
  * Password security utilities for CleanStreak authentication system
@@ -10,6 +14,15 @@ const SALT_ROUNDS = 12; // High security level for password hashing
 const MIN_PASSWORD_LENGTH = 8;
 const MAX_PASSWORD_LENGTH = 128;
 
+// Sorted 4-byte SHA-1 prefixes of lowercased breached passwords, built by
+// scripts/build-password-list.js. Checked offline; nothing is sent anywhere.
+const BREACHED_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'breached-passwords.bin.gz');
+
+// Shorter email parts ("jo", "me") occur in too many ordinary passwords to reject
+const MIN_EMAIL_PART_LENGTH = 4;
+
+let breachedPrefixes = null;
+
 /**
  * Hash a plain text password using bcrypt
  * @param {string} plainPassword - The plain text password to hash
@@ -138,6 +151,118 @@ function validatePasswordStrength(password) {
   };
 }
 
+/**
+ * Hash prefix used in the breached password list
+ * @param {string} password - Plain text password
+ * @returns {number} First 4 bytes of the SHA-1 of the lowercased password
+ */
+function getPasswordPrefix(password) {
+  return crypto.createHash('sha1').update(password.toLowerCase()).digest().readUInt32BE(0);
+}
+
+/**
+ * Build the compressed breached password list
+ * @param {Array<string>} passwords - Plain text passwords
+ * @returns {Buffer} Gzipped, sorted, de-duplicated big-endian uint32 prefixes
+ */
+function buildPasswordPrefixes(passwords) {
+  const prefixes = Uint32Array.from(new Set(passwords.map(getPasswordPrefix))).sort();
+
+  const buffer = Buffer.alloc(prefixes.length * 4);
+  prefixes.forEach((prefix, index) => buffer.writeUInt32BE(prefix, index * 4));
+
+  return zlib.gzipSync(buffer, { level: 9 });
+}
+
+/**
+ * Load the breached password list once
+ * A missing or unreadable file disables the check rather than blocking sign-ups.
+ * @returns {Uint32Array} Sorted prefixes
+ */
+function loadBreachedPrefixes() {
+  if (!breachedPrefixes) {
+    try {
+      const buffer = zlib.gunzipSync(fs.readFileSync(BREACHED_PASSWORDS_FILE));
+      breachedPrefixes = new Uint32Array(buffer.length / 4);
+      for (let i = 0; i < breachedPrefixes.length; i++) {
+        breachedPrefixes[i] = buffer.readUInt32BE(i * 4);
+      }
+    } catch (error) {
+      console.warn(`Breached password list unavailable, skipping the check: ${error.message}`);
+      breachedPrefixes = new Uint32Array(0);
+    }
+  }
+
+  return breachedPrefixes;
+}
+
+/**
+ * Check a password against the bundled breached password list
+ * Matching ignores case. A 4-byte prefix can collide, so roughly one in 4,000 strong
+ * passwords per million listed entries is rejected needlessly.
+ * @param {string} password - Plain text password
+ * @returns {boolean} True if the password is on the list
+ */
+function isBreachedPassword(password) {
+  const prefixes = loadBreachedPrefixes();
+  const prefix = getPasswordPrefix(password);
+
+  let low = 0;
+  let high = prefixes.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    if (prefixes[mid] === prefix) {
+      return true;
+    }
+    if (prefixes[mid] < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check that a password isn't breached and doesn't contain the account's email
+ * Run after validatePasswordStrength(); a failure maps to WEAK_PASSWORD_BREACHED.
+ * @param {string} password - Plain text password
+ * @param {Object} options - { email } of the account the password is for
+ * @returns {Object} { isBreached, reason: 'breached'|'contains_email'|null, message }
+ */
+function checkBreachedPassword(password, { email } = {}) {
+  if (!password || typeof password !== 'string') {
+    return { isBreached: false, reason: null, message: null };
+  }
+
+  if (isBreachedPassword(password)) {
+    return {
+      isBreached: true,
+      reason: 'breached',
+      message: 'This password has appeared in a data breach. Please choose a different password'
+    };
+  }
+
+  if (email && typeof email === 'string') {
+    // "jane.doe+chores@example.com" checks "jane.doe", "jane" and "doe"
+    const localPart = email.toLowerCase().split('@')[0].split('+')[0];
+    const emailParts = [localPart, ...localPart.split(/[._-]+/)]
+      .filter(part => part.length >= MIN_EMAIL_PART_LENGTH);
+    const lowerPassword = password.toLowerCase();
+
+    if (emailParts.some(part => lowerPassword.includes(part))) {
+      return {
+        isBreached: true,
+        reason: 'contains_email',
+        message: 'Password must not contain your email address'
+      };
+    }
+  }
+
+  return { isBreached: false, reason: null, message: null };
+}
+
 /**
  * Generate a secure random password
  * @param {number} length - The desired password length (default 12)
@@ -206,10 +331,14 @@ module.exports = {
   hashPassword,
   comparePassword,
   validatePasswordStrength,
+  checkBreachedPassword,
+  isBreachedPassword,
+  buildPasswordPrefixes,
   generateSecurePassword,
   needsRehash,
   clearPassword,
   SALT_ROUNDS,
   MIN_PASSWORD_LENGTH,
-  MAX_PASSWORD_LENGTH
+  MAX_PASSWORD_LENGTH,
+  BREACHED_PASSWORDS_FILE
 };
\ No newline at end of file
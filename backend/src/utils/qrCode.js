@@ -0,0 +1,407 @@
+/**
+ * QR Code Utility
+ *
+ * Minimal QR code encoder (ISO/IEC 18004) used to show authenticator app setup
+ * links. Only what that needs is implemented: byte mode, error correction level M
+ * and versions 1-20, which hold up to 666 bytes.
+ */
+
+// Error correction level M: [EC codewords per block, group 1 blocks, group 1 data codewords,
+// group 2 blocks, group 2 data codewords] for versions 1-20
+const EC_BLOCKS_M = [
+  null,
+  [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0],
+  [24, 2, 43, 0, 0], [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39],
+  [22, 3, 36, 2, 37], [26, 4, 43, 1, 44], [30, 1, 50, 4, 51], [22, 6, 36, 2, 37],
+  [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42], [28, 7, 45, 3, 46],
+  [28, 10, 46, 1, 47], [26, 9, 43, 4, 44], [26, 3, 44, 11, 45], [26, 3, 41, 13, 42]
+];
+
+const MAX_VERSION = EC_BLOCKS_M.length - 1;
+
+// Level M is encoded as 00 in the format information
+const EC_LEVEL_M_BITS = 0;
+
+// GF(256) tables for Reed-Solomon, generator polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = value;
+    GF_LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) {
+      value ^= 0x11d;
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+  }
+})();
+
+function gfMultiply(a, b) {
+  if (a === 0 || b === 0) {
+    return 0;
+  }
+  return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ * @param {number[]} data - Data codewords
+ * @param {number} degree - Number of EC codewords
+ * @returns {number[]} EC codewords
+ */
+function reedSolomon(data, degree) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(degree-1)), highest term dropped
+  const generator = new Array(degree).fill(0);
+  generator[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      generator[j] = gfMultiply(generator[j], root);
+      if (j + 1 < degree) {
+        generator[j] ^= generator[j + 1];
+      }
+    }
+    root = gfMultiply(root, 2);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < degree; i++) {
+      remainder[i] ^= gfMultiply(generator[i], factor);
+    }
+  }
+  return remainder;
+}
+
+function dataCapacity(version) {
+  const [, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+  return blocks1 * data1 + blocks2 * data2;
+}
+
+function alignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+/**
+ * Build the final codeword sequence: data bits, padding, EC codewords, interleaved
+ */
+function buildCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    push(pad, 8);
+  }
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  const [ecLength, blocks1, data1, blocks2, data2] = EC_BLOCKS_M[version];
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blocks1 + blocks2; i++) {
+    const length = i < blocks1 ? data1 : data2;
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: blockData, ec: reedSolomon(blockData, ecLength) });
+  }
+
+  const result = [];
+  for (let i = 0; i < Math.max(data1, data2); i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) {
+        result.push(block.data[i]);
+      }
+    });
+  }
+  for (let i = 0; i < ecLength; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Build the module matrix for one mask
+ * @returns {boolean[][]} modules[y][x], true = dark
+ */
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = alignmentPositions(version);
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      const last = positions.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Format information (BCH(15,5)), two copies, plus the dark module
+  const formatData = (EC_LEVEL_M_BITS << 3) | mask;
+  let remainder = formatData;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+  const formatBit = i => ((formatBits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) {
+    setFunction(8, i, formatBit(i));
+  }
+  setFunction(8, 7, formatBit(6));
+  setFunction(8, 8, formatBit(7));
+  setFunction(7, 8, formatBit(8));
+  for (let i = 9; i < 15; i++) {
+    setFunction(14 - i, 8, formatBit(i));
+  }
+  for (let i = 0; i < 8; i++) {
+    setFunction(size - 1 - i, 8, formatBit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunction(8, size - 15 + i, formatBit(i));
+  }
+  setFunction(8, size - 8, true);
+
+  // Version information (BCH(18,6)) from version 7
+  if (version >= 7) {
+    let versionRemainder = version;
+    for (let i = 0; i < 12; i++) {
+      versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | versionRemainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Data in two-column zigzags from the bottom right, skipping the vertical timing column
+  let bitIndex = 0;
+  const totalBits = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x]) {
+          continue;
+        }
+        let dark = false;
+        if (bitIndex < totalBits) {
+          dark = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+        modules[y][x] = dark !== MASKS[mask](x, y);
+      }
+    }
+  }
+
+  return modules;
+}
+
+/**
+ * Mask penalty score; the encoder keeps the mask with the lowest score
+ */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  const finderLike = [true, false, true, true, true, false, true];
+  lines.forEach(line => {
+    // Runs of five or more modules of one colour
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) {
+          score += 3 + (run - 5);
+        }
+        run = 1;
+      }
+    }
+
+    // 1:1:3:1:1 finder-like patterns with four light modules on one side
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((dark, k) => line[i + k] === dark)) {
+        continue;
+      }
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every(k => !line[i - k]);
+      const lightAfter = i + 11 <= size && [7, 8, 9, 10].every(k => !line[i + k]);
+      if (lightBefore || lightAfter) {
+        score += 40;
+      }
+    }
+  });
+
+  // 2x2 blocks of one colour
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) {
+        score += 3;
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return score;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {Object} options - { mask } to force a mask pattern (0-7)
+ * @returns {boolean[][]} modules[y][x], true = dark
+ */
+function encode(text, options = {}) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+
+  let version = 1;
+  while (version <= MAX_VERSION) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= dataCapacity(version) * 8) {
+      break;
+    }
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const codewords = buildCodewords(bytes, version);
+
+  if (options.mask !== undefined) {
+    return buildMatrix(version, codewords, options.mask);
+  }
+
+  let best = null;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const modules = buildMatrix(version, codewords, mask);
+    const score = penalty(modules);
+    if (score < bestScore) {
+      best = modules;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Render text as an SVG QR code data URI, suitable for an <img> src
+ * @param {string} text - Text to encode
+ * @returns {string} data:image/svg+xml;base64,... URI
+ */
+function toSvgDataUri(text) {
+  const modules = encode(text);
+  const quietZone = 4;
+  const dimension = modules.length + quietZone * 2;
+
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path += `M${x + quietZone},${y + quietZone}h1v1h-1z`;
+      }
+    });
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+module.exports = {
+  encode,
+  toSvgDataUri
+};
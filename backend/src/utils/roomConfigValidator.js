@@ -1,16 +1,149 @@
 /**
  * Room Configuration Validator
  *
- * Validates room configuration data for pending_room_configs table.
+ * Validates room configuration data for pending_room_configs table and
+ * user-created room type definitions.
  * Ensures data integrity before storing in JSON format.
  */
 
+const PILLAR_TEMPLATE_FIELDS = {
+  glass: 'glassTemplate',
+  surfaces: 'surfacesTemplate',
+  floor: 'floorTemplate'
+};
+
+// Pillars every room starts with, in the order a visit covers them
+const PILLAR_TYPES = Object.keys(PILLAR_TEMPLATE_FIELDS);
+
+// How often a room can come up: up to 3 visits per cycle, or once every up to 4 cycles
+const ROOM_WEIGHT_LIMITS = {
+  maxVisitsPerCycle: 3,
+  maxCycleInterval: 4
+};
+
+/**
+ * Derive the stored room type key from a custom room type name
+ * @param {string} name - Display name (e.g. "Mud Room")
+ * @returns {string} Key in snake_case (e.g. "mud_room")
+ */
+function toRoomTypeKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate a room's enabled pillars
+ * @param {string[]} pillars - Pillar types the room gets tasks for
+ * @returns {string[]} Error messages, empty if valid
+ */
+function validateRoomPillars(pillars) {
+  if (!Array.isArray(pillars) || pillars.length === 0) {
+    return [`pillars must be a non-empty array of: ${PILLAR_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  const unknown = pillars.filter(pillar => !PILLAR_TYPES.includes(pillar));
+  if (unknown.length > 0) {
+    errors.push(`pillars contains unknown pillar types: ${unknown.join(', ')}`);
+  }
+  if (new Set(pillars).size !== pillars.length) {
+    errors.push('pillars must not repeat a pillar type');
+  }
+
+  return errors;
+}
+
+/**
+ * Get the pillars a room gets tasks for
+ * has_glass is kept in step with pillars, so a has_glass of false always drops glass.
+ * That also covers rooms stored before pillars could be chosen (which got every
+ * pillar by default) and configs or fixtures that only carry hasGlass.
+ * @param {Object} room - Room row or config entry with pillars (array or comma-separated) and/or has_glass/hasGlass
+ * @returns {string[]} Pillar types in visit order
+ */
+function getRoomPillars(room) {
+  let pillars = PILLAR_TYPES;
+  if (Array.isArray(room.pillars)) {
+    pillars = PILLAR_TYPES.filter(pillar => room.pillars.includes(pillar));
+  } else if (typeof room.pillars === 'string') {
+    pillars = PILLAR_TYPES.filter(pillar => room.pillars.split(',').includes(pillar));
+  }
+
+  const hasGlass = room.has_glass ?? room.hasGlass;
+  return hasGlass === false ? pillars.filter(pillar => pillar !== 'glass') : [...pillars];
+}
+
+/**
+ * Work out a room's pillars from an update
+ * An explicit pillars list replaces the current set; a legacy hasGlass on its own
+ * only adds or removes glass. Sending both is allowed as long as they agree.
+ * @param {Object} update - { pillars?, hasGlass? }
+ * @param {string[]} currentPillars - The room's pillars before the update
+ * @returns {string[]} Pillar types in visit order
+ */
+function resolveRoomPillars({ pillars, hasGlass } = {}, currentPillars = PILLAR_TYPES) {
+  if (pillars !== undefined) {
+    const errors = validateRoomPillars(pillars);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    if (hasGlass !== undefined && hasGlass !== pillars.includes('glass')) {
+      throw new Error('hasGlass must agree with whether pillars includes glass');
+    }
+    return getRoomPillars({ pillars });
+  }
+
+  if (hasGlass === undefined) {
+    return getRoomPillars({ pillars: currentPillars });
+  }
+
+  const resolved = getRoomPillars({
+    pillars: hasGlass
+      ? [...currentPillars, 'glass']
+      : currentPillars.filter(pillar => pillar !== 'glass')
+  });
+  if (resolved.length === 0) {
+    throw new Error('pillars must include at least one pillar type');
+  }
+  return resolved;
+}
+
+/**
+ * Validate a room's weight (how often it comes up in the rotation)
+ * @param {Object} weight - { visitsPerCycle?, cycleInterval? } (1 or omitted means every cycle, once)
+ * @returns {string[]} Error messages, empty if valid
+ */
+function validateRoomWeight({ visitsPerCycle, cycleInterval } = {}) {
+  const errors = [];
+  const { maxVisitsPerCycle, maxCycleInterval } = ROOM_WEIGHT_LIMITS;
+
+  if (visitsPerCycle != null &&
+    (!Number.isInteger(visitsPerCycle) || visitsPerCycle < 1 || visitsPerCycle > maxVisitsPerCycle)) {
+    errors.push(`visitsPerCycle must be an integer between 1 and ${maxVisitsPerCycle}`);
+  }
+
+  if (cycleInterval != null &&
+    (!Number.isInteger(cycleInterval) || cycleInterval < 1 || cycleInterval > maxCycleInterval)) {
+    errors.push(`cycleInterval must be an integer between 1 and ${maxCycleInterval}`);
+  }
+
+  if (visitsPerCycle > 1 && cycleInterval > 1) {
+    errors.push('Set either visitsPerCycle or cycleInterval above 1, not both');
+  }
+
+  return errors;
+}
+
 /**
  * Validate room configuration data structure
  * @param {Object} configData - Configuration data to validate
+ * @param {Object} options - Validation options
+ * @param {string[]} options.allowedRoomTypes - Room types the user may use (built-in and custom); unchecked if omitted
  * @returns {Object} Validation result with { valid: boolean, errors: string[] }
  */
-function validateRoomConfigData(configData) {
+function validateRoomConfigData(configData, options = {}) {
   const errors = [];
 
   // Check if configData is an object
@@ -38,6 +171,8 @@ function validateRoomConfigData(configData) {
 
         if (!room.hasOwnProperty('roomType') || typeof room.roomType !== 'string') {
           errors.push(`rooms[${index}].roomType must be a string`);
+        } else if (options.allowedRoomTypes && !options.allowedRoomTypes.includes(room.roomType)) {
+          errors.push(`rooms[${index}].roomType is not a known room type`);
         }
 
         if (!room.hasOwnProperty('customName') || typeof room.customName !== 'string') {
@@ -46,7 +181,19 @@ function validateRoomConfigData(configData) {
           errors.push(`rooms[${index}].customName must be between 1 and 50 characters`);
         }
 
-        if (!room.hasOwnProperty('hasGlass') || typeof room.hasGlass !== 'boolean') {
+        // Enabled pillars; configs from before pillars could be chosen only carry hasGlass
+        if (room.hasOwnProperty('pillars')) {
+          const pillarErrors = validateRoomPillars(room.pillars);
+          pillarErrors.forEach(message => errors.push(`rooms[${index}].${message}`));
+          if (pillarErrors.length === 0 && room.hasOwnProperty('hasGlass') &&
+            room.hasGlass !== room.pillars.includes('glass')) {
+            errors.push(`rooms[${index}].hasGlass must agree with whether pillars includes glass`);
+          }
+        } else if (!room.hasOwnProperty('hasGlass')) {
+          errors.push(`rooms[${index}] must set pillars or hasGlass`);
+        }
+
+        if (room.hasOwnProperty('hasGlass') && typeof room.hasGlass !== 'boolean') {
           errors.push(`rooms[${index}].hasGlass must be a boolean`);
         }
 
@@ -59,6 +206,9 @@ function validateRoomConfigData(configData) {
         if (!room.hasOwnProperty('isActive') || typeof room.isActive !== 'boolean') {
           errors.push(`rooms[${index}].isActive must be a boolean`);
         }
+
+        // Optional weight: visits per cycle or every N cycles
+        validateRoomWeight(room).forEach(message => errors.push(`rooms[${index}] ${message}`));
       });
     }
   }
@@ -101,6 +251,24 @@ function validateRoomConfigData(configData) {
         } else if (!Number.isInteger(keystone.sortOrder) || keystone.sortOrder < 1) {
           errors.push(`keystones[${index}].sortOrder must be a positive integer`);
         }
+
+        // Optional frequency: every 2-90 days or 1-3 times per week, never both
+        const hasFrequencyDays = keystone.frequencyDays !== undefined && keystone.frequencyDays !== null;
+        const hasTimesPerWeek = keystone.timesPerWeek !== undefined && keystone.timesPerWeek !== null;
+
+        if (hasFrequencyDays && hasTimesPerWeek) {
+          errors.push(`keystones[${index}] must set either frequencyDays or timesPerWeek, not both`);
+        }
+
+        if (hasFrequencyDays &&
+          (!Number.isInteger(keystone.frequencyDays) || keystone.frequencyDays < 2 || keystone.frequencyDays > 90)) {
+          errors.push(`keystones[${index}].frequencyDays must be an integer between 2 and 90`);
+        }
+
+        if (hasTimesPerWeek &&
+          (!Number.isInteger(keystone.timesPerWeek) || keystone.timesPerWeek < 1 || keystone.timesPerWeek > 3)) {
+          errors.push(`keystones[${index}].timesPerWeek must be an integer between 1 and 3`);
+        }
       });
     }
   }
@@ -116,6 +284,70 @@ function validateRoomConfigData(configData) {
   };
 }
 
+/**
+ * Validate a user-created room type definition
+ * @param {Object} typeData - { name, glassTemplate, surfacesTemplate, floorTemplate }
+ * @param {Object} options - Validation options
+ * @param {string[]} options.reservedTypes - Type keys that may not be reused (the built-ins)
+ * @param {boolean} options.partial - Only validate fields that are present (for updates)
+ * @returns {Object} Validation result with { valid: boolean, errors: string[] }
+ */
+function validateCustomRoomTypeData(typeData, options = {}) {
+  const errors = [];
+  const { reservedTypes = [], partial = false } = options;
+
+  if (!typeData || typeof typeData !== 'object') {
+    errors.push('Room type data must be an object');
+    return { valid: false, errors };
+  }
+
+  if (!partial || typeData.hasOwnProperty('name')) {
+    if (typeof typeData.name !== 'string') {
+      errors.push('name must be a string');
+    } else {
+      const trimmed = typeData.name.trim();
+      const typeKey = toRoomTypeKey(trimmed);
+
+      if (trimmed.length < 1 || trimmed.length > 30) {
+        errors.push('name must be between 1 and 30 characters');
+      } else if (!typeKey) {
+        errors.push('name must contain at least one letter or number');
+      } else if (reservedTypes.includes(typeKey)) {
+        errors.push(`name conflicts with the built-in room type: ${typeKey}`);
+      }
+    }
+  }
+
+  for (const field of Object.values(PILLAR_TEMPLATE_FIELDS)) {
+    if (partial && !typeData.hasOwnProperty(field)) {
+      continue;
+    }
+
+    if (typeof typeData[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (typeData[field].trim().length < 1 || typeData[field].trim().length > 200) {
+      errors.push(`${field} must be between 1 and 200 characters`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Convert an optional numeric setting, keeping null (clear it) apart from absent (leave it alone)
+ * @param {*} value - Value from the request
+ * @returns {number|null|undefined} Number, null, or undefined
+ */
+function optionalNumber(value) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  return Number(value);
+}
+
 /**
  * Sanitize configuration data for safe storage
  * @param {Object} configData - Configuration data to sanitize
@@ -125,14 +357,22 @@ function sanitizeRoomConfigData(configData) {
   const sanitized = {};
 
   if (configData.rooms && Array.isArray(configData.rooms)) {
-    sanitized.rooms = configData.rooms.map(room => ({
-      id: String(room.id),
-      roomType: String(room.roomType),
-      customName: String(room.customName).trim(),
-      hasGlass: Boolean(room.hasGlass),
-      sortOrder: Number(room.sortOrder),
-      isActive: Boolean(room.isActive)
-    }));
+    sanitized.rooms = configData.rooms.map(room => {
+      // Without pillars only glass is known, so the room's other pillars are left alone when applied
+      const pillars = Array.isArray(room.pillars) ? getRoomPillars({ pillars: room.pillars }) : undefined;
+
+      return {
+        id: String(room.id),
+        roomType: String(room.roomType),
+        customName: String(room.customName).trim(),
+        hasGlass: pillars ? pillars.includes('glass') : Boolean(room.hasGlass),
+        pillars,
+        sortOrder: Number(room.sortOrder),
+        isActive: Boolean(room.isActive),
+        visitsPerCycle: optionalNumber(room.visitsPerCycle),
+        cycleInterval: optionalNumber(room.cycleInterval)
+      };
+    });
   }
 
   if (configData.keystones && Array.isArray(configData.keystones)) {
@@ -141,7 +381,9 @@ function sanitizeRoomConfigData(configData) {
       taskType: String(keystone.taskType),
       customName: keystone.customName ? String(keystone.customName).trim() : null,
       isActive: Boolean(keystone.isActive),
-      sortOrder: Number(keystone.sortOrder)
+      sortOrder: Number(keystone.sortOrder),
+      frequencyDays: optionalNumber(keystone.frequencyDays),
+      timesPerWeek: optionalNumber(keystone.timesPerWeek)
     }));
   }
 
@@ -149,6 +391,15 @@ function sanitizeRoomConfigData(configData) {
 }
 
 module.exports = {
+  PILLAR_TEMPLATE_FIELDS,
+  PILLAR_TYPES,
+  ROOM_WEIGHT_LIMITS,
+  toRoomTypeKey,
+  validateRoomPillars,
+  getRoomPillars,
+  resolveRoomPillars,
+  validateRoomWeight,
   validateRoomConfigData,
-  sanitizeRoomConfigData
+  sanitizeRoomConfigData,
+  validateCustomRoomTypeData
 };
@@ -0,0 +1,180 @@
+/**
+ * Timezone utilities for CleanStreak streak calculations
+ * Buckets instants into calendar days in a user's IANA timezone so streak
+ * boundaries follow the user's midnight rather than the server's
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat construction is comparatively expensive, so reuse per zone
+const formatterCache = new Map();
+
+/**
+ * Get a cached formatter producing numeric wall-clock parts for a timezone
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Check whether a string is a timezone the runtime understands
+ * @param {string} timezone - IANA timezone name (e.g. 'Asia/Tokyo')
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string' || timezone.length > 64) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Fall back to the default timezone when a stored value is missing or unusable
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Usable timezone name
+ */
+function resolveTimezone(timezone) {
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get the wall-clock components of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const part of getFormatter(resolveTimezone(timezone)).formatToParts(new Date(date))) {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timezone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = new Date(date).getTime();
+  return wallClockAsUtc - (instant - (instant % 1000));
+}
+
+/**
+ * Calendar day of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+function getLocalDayKey(date, timezone) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Time in HH:MM (24-hour) format
+ */
+function getLocalTimeKey(date, timezone) {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a day key by a number of calendar days
+ * @param {string} dayKey - Day key in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted day key
+ */
+function addDaysToKey(dayKey, days) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of calendar days from one day key to another
+ * @param {string} fromKey - Earlier day key
+ * @param {string} toKey - Later day key
+ * @returns {number} Whole days between them (negative if toKey is earlier)
+ */
+function daysBetweenKeys(fromKey, toKey) {
+  const toUtc = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(toKey) - toUtc(fromKey)) / MS_PER_DAY);
+}
+
+/**
+ * Instant at which a calendar day starts in a timezone
+ * @param {string} dayKey - Day key in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Local midnight as an absolute instant
+ */
+function getDayStartForKey(dayKey, timezone) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  // Offsets can differ either side of a DST change, so correct once more
+  let start = midnightAsUtc - getTimezoneOffset(new Date(midnightAsUtc), timezone);
+  start = midnightAsUtc - getTimezoneOffset(new Date(start), timezone);
+
+  return new Date(start);
+}
+
+/**
+ * Start and end of the local calendar day containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { dayKey, start, end } where end is the next day's start
+ */
+function getLocalDayBounds(date, timezone) {
+  const dayKey = getLocalDayKey(date, timezone);
+  return {
+    dayKey,
+    start: getDayStartForKey(dayKey, timezone),
+    end: getDayStartForKey(addDaysToKey(dayKey, 1), timezone)
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getTimezoneOffset,
+  getLocalDayKey,
+  getLocalTimeKey,
+  addDaysToKey,
+  daysBetweenKeys,
+  getDayStartForKey,
+  getLocalDayBounds
+};
@@ -0,0 +1,73 @@
+/**
+ * User-Agent Parsing Utility
+ *
+ * Turns the User-Agent stored with each session into a short, human-readable
+ * device label ("Chrome on Android"). This is deliberately coarse: it only needs
+ * to let someone recognise their own devices, not identify exact versions.
+ */
+
+// Order matters: several browsers include the tokens of the ones they are based on
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Parse a User-Agent string into browser, OS and device type
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} { browser, os, device_type, label }
+ */
+function parseUserAgent(userAgent) {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+
+  if (!ua || ua === 'Unknown' || ua === 'ANONYMIZED') {
+    return { browser: null, os: null, device_type: 'unknown', label: 'Unknown device' };
+  }
+
+  const browser = BROWSERS.find(entry => entry.pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(ua));
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod|Android/.test(ua)) {
+    deviceType = 'mobile';
+  }
+
+  const browserName = browser ? browser.name : null;
+  const osName = os ? os.name : null;
+
+  let label;
+  if (browserName && osName) {
+    label = `${browserName} on ${osName}`;
+  } else if (browserName || osName) {
+    label = browserName || osName;
+  } else {
+    // Non-browser clients (curl, scripts) - show the product token
+    label = ua.split(/[\s/]/)[0].slice(0, 40) || 'Unknown device';
+  }
+
+  return {
+    browser: browserName,
+    os: osName,
+    device_type: deviceType,
+    label
+  };
+}
+
+module.exports = {
+  parseUserAgent
+};
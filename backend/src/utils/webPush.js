@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+/**
+ * Web Push Utilities
+ *
+ * Minimal Web Push sender: VAPID authentication (RFC 8292) and aes128gcm
+ * payload encryption (RFC 8291), delivered with fetch. Endpoints are plain
+ * URLs, so a local HTTP server can stand in for a browser push service.
+ */
+
+const CURVE = 'prime256v1';
+const RECORD_SIZE = 4096;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+// A push service that doesn't answer in time counts as a failed send
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Base64url-encode a buffer (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base64url string
+ */
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Decode a base64url (or base64) string
+ * @param {string} value - Encoded string
+ * @returns {Buffer} Decoded bytes
+ */
+function fromBase64Url(value) {
+  return Buffer.from(String(value).replace(/\+/g, '-').replace(/\//g, '_'), 'base64url');
+}
+
+/**
+ * HMAC-SHA256 helper used for the HKDF steps
+ * @param {Buffer} key - HMAC key
+ * @param {Buffer} data - Data to authenticate
+ * @returns {Buffer} Digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {Object} { publicKey, privateKey } as base64url (uncompressed point / raw scalar)
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+}
+
+/**
+ * Check that a VAPID key pair is usable
+ * @param {string} publicKey - Base64url uncompressed public key
+ * @param {string} privateKey - Base64url private key
+ * @returns {boolean} True if the keys are a matching P-256 pair
+ */
+function isValidVapidKeyPair(publicKey, privateKey) {
+  try {
+    const ecdh = crypto.createECDH(CURVE);
+    ecdh.setPrivateKey(fromBase64Url(privateKey));
+    return ecdh.getPublicKey().equals(fromBase64Url(publicKey));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build the VAPID Authorization header for a push endpoint
+ * @param {string} endpoint - Push endpoint URL
+ * @param {Object} vapid - { subject, publicKey, privateKey }
+ * @returns {string} Authorization header value
+ */
+function buildVapidAuthorization(endpoint, vapid) {
+  const publicKey = fromBase64Url(vapid.publicKey);
+  const signingKey = crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: toBase64Url(fromBase64Url(vapid.privateKey)),
+      x: toBase64Url(publicKey.subarray(1, 33)),
+      y: toBase64Url(publicKey.subarray(33, 65))
+    },
+    format: 'jwk'
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: vapid.subject
+  }));
+  const unsigned = `${header}.${claims}`;
+  const signature = crypto.sign('sha256', Buffer.from(unsigned), {
+    key: signingKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `vapid t=${unsigned}.${toBase64Url(signature)}, k=${vapid.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for a subscription using the aes128gcm content coding
+ * @param {Object} keys - Subscription keys { p256dh, auth } (base64url)
+ * @param {string} payload - Plaintext payload
+ * @returns {Buffer} Encrypted request body
+ */
+function encryptPayload(keys, payload) {
+  const userAgentPublicKey = fromBase64Url(keys.p256dh);
+  const authSecret = fromBase64Url(keys.auth);
+
+  const ecdh = crypto.createECDH(CURVE);
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  // RFC 8291 section 3.4: combine the ECDH secret with the auth secret
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentPublicKey,
+    serverPublicKey,
+    Buffer.from([1])
+  ]);
+  const inputKeyMaterial = hmac(hmac(authSecret, sharedSecret), keyInfo);
+
+  // RFC 8188: derive the content encryption key and nonce
+  const pseudoRandomKey = hmac(salt, inputKeyMaterial);
+  const contentKey = hmac(pseudoRandomKey, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(pseudoRandomKey, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  // Single record: payload followed by the last-record delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(RECORD_SIZE);
+
+  return Buffer.concat([
+    salt,
+    recordSize,
+    Buffer.from([serverPublicKey.length]),
+    serverPublicKey,
+    ciphertext
+  ]);
+}
+
+/**
+ * Send a push message to a subscription
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string} payload - Plaintext payload (usually JSON)
+ * @param {Object} options - { vapid: { subject, publicKey, privateKey }, ttl, timeoutMs }
+ * @returns {Promise<Object>} { statusCode, expired } - expired means the subscription is gone (404/410)
+ */
+async function sendNotification(subscription, payload, options) {
+  const body = encryptPayload(subscription.keys, payload);
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  let response;
+  try {
+    response = await fetch(subscription.endpoint, {
+      method: 'POST',
+      headers: {
+        'Authorization': buildVapidAuthorization(subscription.endpoint, options.vapid),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'TTL': String(options.ttl || 0),
+        'Urgency': 'normal'
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`Push service did not respond within ${timeoutMs}ms`);
+    }
+    throw error;
+  }
+
+  if (response.status === 404 || response.status === 410) {
+    return { statusCode: response.status, expired: true };
+  }
+
+  if (!response.ok) {
+    throw new Error(`Push service responded with ${response.status}`);
+  }
+
+  return { statusCode: response.status, expired: false };
+}
+
+module.exports = {
+  generateVapidKeys,
+  isValidVapidKeyPair,
+  buildVapidAuthorization,
+  encryptPayload,
+  sendNotification
+};
@@ -29,13 +29,14 @@ const {
   cleanupTestData,
   wait
 } = require('./utils/testHelpers');
-const { hashPassword, comparePassword, validatePasswordStrength } = require('../src/utils/password');
+const { hashPassword, comparePassword, validatePasswordStrength, checkBreachedPassword } = require('../src/utils/password');
 const {
   generateTokenPair,
   verifyAccessToken,
   verifyRefreshToken,
   extractToken
 } = require('../src/utils/jwt');
+const { generateCode, getTimeStep } = require('../src/utils/totp');
 
 // Load setup
 require('./setup');
@@ -152,6 +153,34 @@ describe('Authentication System Tests', () => {
       }
     });
 
+    test('should reject a breached password with WEAK_PASSWORD_BREACHED', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'breached@example.com',
+          password: 'P@ssw0rd123!',
+          confirmPassword: 'P@ssw0rd123!'
+        })
+        .expect(400);
+
+      expect(response.body.code).toBe('WEAK_PASSWORD_BREACHED');
+      expect(await prisma.users.count({ where: { email: 'breached@example.com' } })).toBe(0);
+    });
+
+    test('should reject a password containing the email local-part', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'maryjane@example.com',
+          password: 'MaryJane#2024',
+          confirmPassword: 'MaryJane#2024'
+        })
+        .expect(400);
+
+      expect(response.body.code).toBe('WEAK_PASSWORD_BREACHED');
+      expect(response.body.message).toMatch(/email/);
+    });
+
     test('should reject registration when passwords do not match', async () => {
       const response = await request(app)
         .post('/api/auth/register')
@@ -329,7 +358,7 @@ describe('Authentication System Tests', () => {
       }
     });
 
-    test('should deactivate previous sessions on new login', async () => {
+    test('should keep sessions on other devices signed in on new login', async () => {
       const testUser = await createTestUser({
         email: 'sessiontest@example.com',
         password: 'TestPass123!'
@@ -348,17 +377,17 @@ describe('Authentication System Tests', () => {
         })
         .expect(200);
 
-      // Verify old session is deactivated
+      // Verify old session is still active (devices are revoked individually)
       const updatedOldSession = await prisma.user_sessions.findUnique({
         where: { id: oldSession.id }
       });
-      expect(updatedOldSession.is_active).toBe(false);
+      expect(updatedOldSession.is_active).toBe(true);
 
-      // Verify new session is active
+      // Verify both sessions are active
       const activeSessions = await prisma.user_sessions.findMany({
         where: { user_id: testUser.id, is_active: true }
       });
-      expect(activeSessions.length).toBe(1);
+      expect(activeSessions.length).toBe(2);
     });
 
     test('should handle case-insensitive email login', async () => {
@@ -381,6 +410,297 @@ describe('Authentication System Tests', () => {
 
   });
 
+  describe('Account Lockout', () => {
+    const AccountLockoutService = require('../src/services/accountLockoutService');
+    const { threshold } = new AccountLockoutService();
+
+    test('should lock the account once failed logins reach the threshold', async () => {
+      const user = await createTestUser();
+      await prisma.users.update({
+        where: { id: user.id },
+        data: { failed_login_count: threshold - 1 }
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'WrongPassword123!' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid email or password');
+
+      const locked = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(locked.locked_until.getTime()).toBeGreaterThan(Date.now());
+      expect(locked.lockout_count).toBe(1);
+
+      const unlockTokens = await prisma.account_unlock_tokens.count({ where: { user_id: user.id } });
+      expect(unlockTokens).toBe(1);
+    });
+
+    test('should answer a locked account exactly like an unknown one, even with the right password', async () => {
+      const user = await createTestUser();
+      await prisma.users.update({
+        where: { id: user.id },
+        data: { locked_until: new Date(Date.now() + 5 * 60 * 1000) }
+      });
+
+      const lockedResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })
+        .expect(401);
+
+      const unknownResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody-here@example.com', password: user.password })
+        .expect(401);
+
+      expect(lockedResponse.body).toEqual(unknownResponse.body);
+      expect(extractCookies(lockedResponse).accessToken).toBeUndefined();
+    });
+
+    test('should unlock with the emailed token and reset failures on success', async () => {
+      const user = await createTestUser();
+      const lockoutService = new AccountLockoutService();
+      let lockout;
+      for (let i = 0; i < threshold; i++) {
+        lockout = await lockoutService.recordFailure(user.id);
+      }
+
+      await request(app)
+        .post('/api/auth/unlock')
+        .send({ token: lockout.unlockToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/unlock')
+        .send({ token: lockout.unlockToken })
+        .expect(400);
+      expect(reuse.body.error).toBe('Token already used');
+    });
+
+    test('should report lock status in GET /api/auth/me', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      const lockedUntil = new Date(Date.now() + 5 * 60 * 1000);
+      await prisma.users.update({
+        where: { id: user.id },
+        data: { locked_until: lockedUntil, lockout_count: 1 }
+      });
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.lockout).toEqual({
+        locked: true,
+        locked_until: lockedUntil.toISOString(),
+        failed_attempts: 0,
+        lockout_count: 1
+      });
+      expect(response.body.user).not.toHaveProperty('locked_until');
+    });
+
+  });
+
+  describe('Two-Factor Authentication', () => {
+
+    /**
+     * Enrol a user through the API and return their secret and recovery codes
+     */
+    async function enrolTwoFactor(accessToken) {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set(getAuthHeader(accessToken))
+        .send({ code: generateCode(setup.body.secret, getTimeStep()) })
+        .expect(200);
+
+      return { secret: setup.body.secret, recoveryCodes: enable.body.recovery_codes };
+    }
+
+    test('should require a second step before starting a session', async () => {
+      const { user, accessToken } = await createAuthenticatedUser({ password: 'TestPass123!' });
+      const { secret } = await enrolTwoFactor(accessToken);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'TestPass123!' })
+        .expect(200);
+
+      expect(login.body.two_factor_required).toBe(true);
+      expect(login.body.challenge_token).toBeTruthy();
+      expect(login.headers['set-cookie']).toBeUndefined();
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set(getAuthHeader(login.body.challenge_token))
+        .expect(401);
+
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({
+          challengeToken: login.body.challenge_token,
+          code: generateCode(secret, getTimeStep() + 1)
+        })
+        .expect(200);
+
+      expect(verify.body.message).toBe('Login successful');
+      expect(verify.body).toHaveProperty('sessionId');
+      expect(extractCookies(verify)).toHaveProperty('accessToken');
+    });
+
+    test('should reject a wrong code and accept a recovery code', async () => {
+      const { user, accessToken } = await createAuthenticatedUser({ password: 'TestPass123!' });
+      const { recoveryCodes } = await enrolTwoFactor(accessToken);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'TestPass123!' })
+        .expect(200);
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.challenge_token, code: '000000' })
+        .expect(401);
+      expect(wrong.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.challenge_token, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+    });
+
+    test('should void a challenge after too many wrong codes and audit each one', async () => {
+      const { user, accessToken } = await createAuthenticatedUser({ password: 'TestPass123!' });
+      const { secret } = await enrolTwoFactor(accessToken);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'TestPass123!' })
+        .expect(200);
+
+      // Wrong guesses can come from any IP; the limit is per challenge
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ challengeToken: login.body.challenge_token, code: '000000' })
+          .expect(401);
+      }
+
+      const voided = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.challenge_token, code: generateCode(secret, getTimeStep() + 1) })
+        .expect(401);
+      expect(voided.body.code).toBe('INVALID_CHALLENGE');
+
+      const failures = await prisma.audit_events.findMany({
+        where: { user_id: user.id, event_type: 'login', outcome: 'failure' }
+      });
+      expect(failures).toHaveLength(6);
+      expect(failures.map(event => JSON.parse(event.metadata).reason).sort())
+        .toEqual(['challenge_invalid', ...Array(5).fill('invalid_code')]);
+    });
+
+    test('should lock the account after repeated wrong codes across challenges', async () => {
+      const AccountLockoutService = require('../src/services/accountLockoutService');
+      const { threshold } = new AccountLockoutService();
+      const { user, accessToken } = await createAuthenticatedUser({ password: 'TestPass123!' });
+      const { secret } = await enrolTwoFactor(accessToken);
+
+      const signIn = () => request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'TestPass123!' });
+
+      // Each challenge allows a few guesses; signing in again must not reset the count
+      const spare = await signIn().expect(200);
+      let wrongCodes = 0;
+      while (wrongCodes < threshold) {
+        const login = await signIn().expect(200);
+        for (let i = 0; i < 5 && wrongCodes < threshold; i++, wrongCodes++) {
+          await request(app)
+            .post('/api/auth/2fa/verify')
+            .send({ challengeToken: login.body.challenge_token, code: '000000' })
+            .expect(401);
+        }
+      }
+
+      const locked = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(locked.locked_until.getTime()).toBeGreaterThan(Date.now());
+
+      // Even the right code on a challenge issued before the lock is refused
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: spare.body.challenge_token, code: generateCode(secret, getTimeStep() + 1) })
+        .expect(401);
+      expect(verify.body.code).toBe('ACCOUNT_LOCKED');
+
+      const login = await signIn().expect(401);
+      expect(login.body.challenge_token).toBeUndefined();
+    });
+
+    test('should not let a verified challenge start a second session', async () => {
+      const { user, accessToken } = await createAuthenticatedUser({ password: 'TestPass123!' });
+      const { recoveryCodes } = await enrolTwoFactor(accessToken);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'TestPass123!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.challenge_token, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.challenge_token, recoveryCode: recoveryCodes[1] })
+        .expect(401);
+      expect(reused.body.code).toBe('INVALID_CHALLENGE');
+    });
+
+    test('should only disable with a recently issued access token', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      const { secret } = await enrolTwoFactor(accessToken);
+
+      const staleTokens = generateTokenPair({
+        userId: user.id,
+        email: user.email,
+        tokenVersion: user.token_version,
+        iat: Math.floor(Date.now() / 1000) - 10 * 60
+      });
+
+      const stale = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set(getAuthHeader(staleTokens.accessToken.token))
+        .send({ code: generateCode(secret, getTimeStep() + 1) })
+        .expect(401);
+      expect(stale.body.code).toBe('TOKEN_TOO_OLD');
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set(getAuthHeader(accessToken))
+        .send({ code: generateCode(secret, getTimeStep() + 1) })
+        .expect(200);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+      expect(status.body.two_factor.enabled).toBe(false);
+    });
+
+  });
+
   describe('POST /api/auth/logout - User Logout', () => {
 
     test('should successfully logout authenticated user', async () => {
@@ -443,6 +763,297 @@ describe('Authentication System Tests', () => {
 
   });
 
+  describe('POST /api/auth/forgot-password & reset-password - Password Reset', () => {
+    const emailService = require('../src/services/emailService');
+
+    /**
+     * Spy on the reset email; the returned promise settles once it has been sent,
+     * since the token and email are handled after the response
+     */
+    let resetEmailSpy;
+
+    function waitForResetEmail() {
+      return new Promise(resolve => {
+        resetEmailSpy = jest.spyOn(emailService, 'sendPasswordResetEmail').mockImplementation(async (user, token) => {
+          resolve(token);
+          return { id: 'test' };
+        });
+      });
+    }
+
+    afterEach(() => {
+      if (resetEmailSpy) {
+        resetEmailSpy.mockRestore();
+        resetEmailSpy = null;
+      }
+    });
+
+    test('should answer generically and store only a hashed token for known emails', async () => {
+      const user = await createTestUser();
+      const emailSent = waitForResetEmail();
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: user.email })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If that email is registered/);
+      await emailSent;
+
+      const tokens = await prisma.password_reset_tokens.findMany({
+        where: { user_id: user.id }
+      });
+      expect(tokens.length).toBe(1);
+      expect(tokens[0].token_hash).toHaveLength(64);
+      expect(tokens[0].used_at).toBeNull();
+    });
+
+    test('should give the same answer for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody-here@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If that email is registered/);
+    });
+
+    test('should reject an invalid or non-string email address', async () => {
+      for (const email of ['not-an-email', { $gt: '' }, ['someone@example.com']]) {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email })
+          .expect(400);
+      }
+    });
+
+    test('should reset the password and revoke existing sessions', async () => {
+      const { user } = await createAuthenticatedUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+      const newPassword = 'NewSecure456!@#';
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: newPassword, confirmPassword: newPassword })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message');
+
+      const updatedUser = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(await comparePassword(newPassword, updatedUser.password_hash)).toBe(true);
+      expect(updatedUser.token_version).toBe(user.token_version + 1);
+
+      const activeSessions = await prisma.user_sessions.findMany({
+        where: { user_id: user.id, is_active: true }
+      });
+      expect(activeSessions.length).toBe(0);
+
+      // Old password no longer works, new one does
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: newPassword })
+        .expect(200);
+    });
+
+    test('should reject a reset token that has already been used', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewSecure456!@#', confirmPassword: 'NewSecure456!@#' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Another789!@#', confirmPassword: 'Another789!@#' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Token already used');
+    });
+
+    test('should let only one of two concurrent resets use a token', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+
+      const responses = await Promise.all(['NewSecure456!@#', 'Another789!@#'].map(password =>
+        request(app)
+          .post('/api/auth/reset-password')
+          .send({ token, password, confirmPassword: password })
+      ));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      const rejected = responses.find(response => response.status === 400);
+      expect(rejected.body.error).toBe('Token already used');
+    });
+
+    test('should reject an expired reset token', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+
+      await prisma.password_reset_tokens.updateMany({
+        where: { user_id: user.id },
+        data: { expires_at: new Date(Date.now() - 1000) }
+      });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewSecure456!@#', confirmPassword: 'NewSecure456!@#' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Token expired');
+    });
+
+    test('should reject an unknown reset token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'deadbeef', password: 'NewSecure456!@#', confirmPassword: 'NewSecure456!@#' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid token');
+    });
+
+    test('should reject a weak new password', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'weak', confirmPassword: 'weak' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('details');
+    });
+
+    test('should reject a breached new password and keep the token usable', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generatePasswordResetToken(user.id);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Welcome123!', confirmPassword: 'Welcome123!' })
+        .expect(400);
+
+      expect(response.body.code).toBe('WEAK_PASSWORD_BREACHED');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewSecure456!@#', confirmPassword: 'NewSecure456!@#' })
+        .expect(200);
+    });
+
+  });
+
+  describe('POST /api/auth/magic-link & GET /api/auth/magic-link/verify - Magic Link Sign-In', () => {
+    const emailService = require('../src/services/emailService');
+
+    test('should answer generically and store only a hashed token for known emails', async () => {
+      const user = await createTestUser();
+
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: user.email })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If that email is registered/);
+
+      const tokens = await prisma.magic_link_tokens.findMany({
+        where: { user_id: user.id }
+      });
+      expect(tokens.length).toBe(1);
+      expect(tokens[0].token_hash).toHaveLength(64);
+      expect(tokens[0].expires_at.getTime() - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
+    });
+
+    test('should give the same answer for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nobody-here@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toMatch(/If that email is registered/);
+    });
+
+    test('should reject an invalid or non-string email address', async () => {
+      for (const email of ['not-an-email', { $gt: '' }, ['someone@example.com']]) {
+        await request(app)
+          .post('/api/auth/magic-link')
+          .send({ email })
+          .expect(400);
+      }
+    });
+
+    test('should sign in once, set auth cookies and verify the email', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generateMagicLinkToken(user.id);
+
+      const response = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token })
+        .expect(200);
+
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.user.email).toBe(user.email);
+      expect(response.body.user.email_verified).toBe(true);
+
+      const cookies = extractCookies(response);
+      expect(cookies.accessToken).toBeDefined();
+      expect(cookies.refreshToken).toBeDefined();
+
+      const reuse = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token })
+        .expect(400);
+
+      expect(reuse.body.error).toBe('Token already used');
+    });
+
+    test('should reject an expired or unknown token', async () => {
+      const user = await createTestUser();
+      const token = await emailService.generateMagicLinkToken(user.id);
+
+      await prisma.magic_link_tokens.updateMany({
+        where: { user_id: user.id },
+        data: { expires_at: new Date(Date.now() - 1000) }
+      });
+
+      const expired = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token })
+        .expect(400);
+      expect(expired.body.error).toBe('Token expired');
+
+      const unknown = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token: 'deadbeef' })
+        .expect(400);
+      expect(unknown.body.error).toBe('Invalid token');
+    });
+
+    test('should still ask for a second factor when two-factor is enabled', async () => {
+      const user = await createTestUser();
+      await prisma.users.update({
+        where: { id: user.id },
+        data: { totp_secret: 'JBSWY3DPEHPK3PXP', totp_enabled_at: new Date() }
+      });
+      const token = await emailService.generateMagicLinkToken(user.id);
+
+      const response = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token })
+        .expect(200);
+
+      expect(response.body.two_factor_required).toBe(true);
+      expect(response.body.challenge_token).toBeDefined();
+      expect(extractCookies(response).accessToken).toBeUndefined();
+    });
+
+  });
+
   describe('POST /api/auth/refresh - Token Refresh', () => {
 
     test('should successfully refresh tokens with valid refresh token', async () => {
@@ -544,6 +1155,75 @@ describe('Authentication System Tests', () => {
       expect(updatedSession.last_accessed).toBeTruthy();
     });
 
+    test('should revoke the session family when a rotated refresh token is replayed', async () => {
+      const { user, refreshToken } = await createAuthenticatedUser();
+      const { token_version: versionBefore } = await prisma.users.findUnique({ where: { id: user.id } });
+
+      const firstRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, refreshToken))
+        .expect(200);
+      const rotatedRefreshToken = extractCookies(firstRefresh).refreshToken;
+
+      // Move the rotation outside the concurrent-refresh grace window
+      await prisma.superseded_refresh_tokens.updateMany({
+        data: { superseded_at: new Date(Date.now() - 60 * 1000) }
+      });
+
+      const replay = await request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, refreshToken))
+        .expect(401);
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      const session = await prisma.user_sessions.findFirst({ where: { user_id: user.id } });
+      expect(session.is_active).toBe(false);
+
+      const { token_version: versionAfter } = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(versionAfter).toBe(versionBefore + 1);
+
+      // The legitimate holder's newer token belongs to the same family and stops working too
+      await request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, rotatedRefreshToken))
+        .expect(401);
+    });
+
+    test('should not treat a concurrent refresh with the same token as reuse', async () => {
+      const { user, refreshToken } = await createAuthenticatedUser();
+
+      const firstRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, refreshToken))
+        .expect(200);
+
+      // The slower tab gets the session's current refresh token instead of being signed out
+      const secondRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, refreshToken))
+        .expect(200);
+      expect(extractCookies(secondRefresh).refreshToken).toBe(extractCookies(firstRefresh).refreshToken);
+      expect(extractCookies(secondRefresh).accessToken).toBeTruthy();
+
+      const session = await prisma.user_sessions.findFirst({ where: { user_id: user.id } });
+      expect(session.is_active).toBe(true);
+    });
+
+    test('should rotate once when two refreshes with the same token arrive together', async () => {
+      const { user, refreshToken } = await createAuthenticatedUser();
+
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .post('/api/auth/refresh')
+        .set(getCookieHeader(null, refreshToken))));
+
+      expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+      const session = await prisma.user_sessions.findFirst({ where: { user_id: user.id } });
+      expect(session.is_active).toBe(true);
+      responses.forEach(response => expect(extractCookies(response).refreshToken).toBe(session.refresh_token));
+      expect(await prisma.superseded_refresh_tokens.count({ where: { session_id: session.id } })).toBe(1);
+    });
+
   });
 
   describe('GET /api/auth/me - Get Current User', () => {
@@ -646,6 +1326,22 @@ describe('Authentication System Tests', () => {
       });
     });
 
+    test('should detect breached passwords regardless of case', () => {
+      expect(checkBreachedPassword('Password123!')).toMatchObject({ isBreached: true, reason: 'breached' });
+      expect(checkBreachedPassword('pASSWORD123!').isBreached).toBe(true);
+      expect(checkBreachedPassword('SecurePass123!@#').isBreached).toBe(false);
+    });
+
+    test('should detect passwords built from the email address', () => {
+      const email = 'jane.doherty+chores@example.com';
+
+      expect(checkBreachedPassword('JaneD#2024x', { email }).reason).toBe('contains_email');
+      expect(checkBreachedPassword('Doherty-Home#99', { email }).reason).toBe('contains_email');
+      expect(checkBreachedPassword('Chores#2024x', { email }).isBreached).toBe(false);
+      // Short local-parts are too common to reject
+      expect(checkBreachedPassword('Joker#2024x', { email: 'jo@example.com' }).isBreached).toBe(false);
+    });
+
   });
 
   describe('JWT Token Management', () => {
@@ -812,8 +1508,8 @@ describe('Authentication System Tests', () => {
         .post('/api/auth/register')
         .send({
           email: 'test@example.com',
-          password: 'TestPass123!',
-          confirmPassword: 'TestPass123!'
+          password: 'SecurePass123!',
+          confirmPassword: 'SecurePass123!'
         });
 
       // Reconnect
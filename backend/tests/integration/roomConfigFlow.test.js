@@ -4,8 +4,17 @@
  * End-to-end integration tests for the complete room customization flow including:
  * - Complete flow: configure rooms → generate rotation → complete tasks
  * - Room CRUD operations via API
+ * - Per-room task template overrides via API
+ * - Custom room types via API
  * - Task progression through rotation
+ * - Room weights in the rotation preview
  * - Cycle completion and regeneration
+ * - Keystone frequencies and when each keystone is next due
+ * - Skipping and snoozing the current task
+ * - Undoing a completion and rewinding the rotation
+ * - Picking and completing a run of tasks for a daily time budget
+ * - Deep-clean tasks added to the rotation when due
+ * - Household sharing of one rotation between members
  */
 
 const request = require('supertest');
@@ -153,6 +162,81 @@ describe('Room Configuration Flow Integration Tests', () => {
 
       expect(history.body.history.length).toBe(3);
     });
+
+    test('should refuse to complete a task that is no longer current', async () => {
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: true });
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+      const task = current.body.task;
+
+      // Two devices completing the same task at once: only one advances the rotation
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({ taskName: task.description, task_rotation_id: task.id })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const stale = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({ taskName: 'Something else', task_rotation_id: task.id });
+
+      expect(stale.status).toBe(409);
+      expect(stale.body.code).toBe('ROTATION_MOVED_ON');
+
+      const progress = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+      const history = await request(app)
+        .get('/api/user/history?limit=10')
+        .set(getAuthHeader(authToken));
+
+      expect(progress.body.task.position).toBe(2);
+      expect(history.body.history).toHaveLength(1);
+    });
+
+    test('should complete a room visited twice in one day', async () => {
+      const kitchen = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: false });
+      await request(app)
+        .put(`/api/rooms/${kitchen.body.room.id}`)
+        .set(getAuthHeader(authToken))
+        .send({ visitsPerCycle: 2 });
+
+      // Both visits have the same task descriptions
+      for (let i = 0; i < 4; i++) {
+        const current = await request(app)
+          .get('/api/tasks/current')
+          .set(getAuthHeader(authToken));
+
+        const completion = await request(app)
+          .post('/api/user/complete')
+          .set(getAuthHeader(authToken))
+          .send({
+            taskName: current.body.task.description,
+            task_rotation_id: current.body.task.id
+          });
+
+        expect(completion.status).toBe(201);
+        expect(completion.body.streak.current_streak).toBe(1);
+      }
+
+      const history = await request(app)
+        .get('/api/user/history?limit=10')
+        .set(getAuthHeader(authToken));
+      const names = history.body.history.map(entry => entry.task_name);
+
+      expect(names).toHaveLength(4);
+      expect(new Set(names).size).toBe(2);
+    });
   });
 
   describe('Room CRUD Operations via API', () => {
@@ -228,6 +312,39 @@ describe('Room Configuration Flow Integration Tests', () => {
       expect(updateResponse.body.room.has_glass).toBe(false);
     });
 
+    test('should create a room with only some pillars and show which are enabled', async () => {
+      const createResponse = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({
+          roomType: 'kitchen',
+          customName: 'Pantry',
+          pillars: ['surfaces']
+        });
+
+      expect(createResponse.status).toBe(201);
+      expect(createResponse.body.room.pillars).toEqual(['surfaces']);
+      expect(createResponse.body.room.has_glass).toBe(false);
+
+      const templatesResponse = await request(app)
+        .get(`/api/rooms/${createResponse.body.room.id}/templates`)
+        .set(getAuthHeader(authToken));
+
+      expect(templatesResponse.body.templates.map(t => [t.pillar_type, t.enabled])).toEqual([
+        ['glass', false],
+        ['surfaces', true],
+        ['floor', false]
+      ]);
+
+      const invalidResponse = await request(app)
+        .put(`/api/rooms/${createResponse.body.room.id}`)
+        .set(getAuthHeader(authToken))
+        .send({ pillars: ['ceiling'] });
+
+      expect(invalidResponse.status).toBe(400);
+      expect(invalidResponse.body.message).toContain('unknown pillar types: ceiling');
+    });
+
     test('should delete room', async () => {
       const createResponse = await request(app)
         .post('/api/rooms')
@@ -339,6 +456,224 @@ describe('Room Configuration Flow Integration Tests', () => {
     });
   });
 
+  describe('Room Task Templates via API', () => {
+    let roomId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({
+          roomType: 'bedroom',
+          customName: 'Bedroom',
+          hasGlass: false
+        });
+
+      roomId = response.body.room.id;
+    });
+
+    test('should list built-in templates for each pillar', async () => {
+      const response = await request(app)
+        .get(`/api/rooms/${roomId}/templates`)
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.templates).toHaveLength(3);
+      response.body.templates.forEach(template => {
+        expect(template.custom_template).toBeNull();
+        expect(template.description).toBeTruthy();
+      });
+    });
+
+    test('should apply a custom template after the current cycle completes', async () => {
+      // Generate the current rotation with the built-in template
+      const before = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+      const builtInFloor = before.body.preview.find(t => t.pillar_type === 'floor');
+      expect(builtInFloor.description).toBe('Vacuum the Bedroom carpet/floor');
+
+      const putResponse = await request(app)
+        .put(`/api/rooms/${roomId}/templates/floor`)
+        .set(getAuthHeader(authToken))
+        .send({ description: 'Dust-mop the {roomName} hardwood' });
+
+      expect(putResponse.status).toBe(200);
+      expect(putResponse.body.template.description).toBe('Dust-mop the {roomName} hardwood');
+
+      // The running rotation is untouched until it is regenerated
+      const pending = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+      expect(pending.body.preview.find(t => t.pillar_type === 'floor').description)
+        .toBe('Vacuum the Bedroom carpet/floor');
+
+      const progress = await prisma.user_task_progress.findUnique({
+        where: { user_id: authUser.user.id }
+      });
+      expect(progress.has_pending_config_changes).toBe(true);
+
+      await request(app)
+        .post('/api/tasks/regenerate')
+        .set(getAuthHeader(authToken));
+
+      const after = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+      expect(after.body.preview.find(t => t.pillar_type === 'floor').description)
+        .toBe('Dust-mop the Bedroom hardwood');
+    });
+
+    test('should reset a custom template to the built-in one', async () => {
+      await request(app)
+        .put(`/api/rooms/${roomId}/templates/surfaces`)
+        .set(getAuthHeader(authToken))
+        .send({ description: 'Make the bed' });
+
+      const deleteResponse = await request(app)
+        .delete(`/api/rooms/${roomId}/templates/surfaces`)
+        .set(getAuthHeader(authToken));
+
+      expect(deleteResponse.status).toBe(200);
+
+      const secondDelete = await request(app)
+        .delete(`/api/rooms/${roomId}/templates/surfaces`)
+        .set(getAuthHeader(authToken));
+
+      expect(secondDelete.status).toBe(404);
+    });
+
+    test('should validate pillar type and description', async () => {
+      const badPillar = await request(app)
+        .put(`/api/rooms/${roomId}/templates/ceiling`)
+        .set(getAuthHeader(authToken))
+        .send({ description: 'Dust the ceiling' });
+
+      expect(badPillar.status).toBe(400);
+
+      const emptyDescription = await request(app)
+        .put(`/api/rooms/${roomId}/templates/floor`)
+        .set(getAuthHeader(authToken))
+        .send({ description: '' });
+
+      expect(emptyDescription.status).toBe(400);
+    });
+
+    test('should not expose another user\'s room templates', async () => {
+      const otherUser = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .put(`/api/rooms/${roomId}/templates/floor`)
+        .set(getAuthHeader(otherUser.accessToken))
+        .send({ description: 'Sneaky' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Custom Room Types via API', () => {
+    const mudroom = {
+      name: 'Mudroom',
+      glassTemplate: 'Wipe the {roomName} door glass',
+      surfacesTemplate: 'Clear the {roomName} bench and hooks',
+      floorTemplate: 'Sweep the {roomName} and shake out the mat'
+    };
+
+    test('should create a custom type, use it for a room and list it', async () => {
+      const createType = await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send(mudroom);
+
+      expect(createType.status).toBe(201);
+      expect(createType.body.room_type.type_key).toBe('mudroom');
+
+      const createRoom = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'mudroom', customName: 'Side Entry', hasGlass: false });
+
+      expect(createRoom.status).toBe(201);
+
+      const types = await request(app)
+        .get('/api/rooms/types')
+        .set(getAuthHeader(authToken));
+
+      expect(types.status).toBe(200);
+      expect(types.body.built_in).toContain('kitchen');
+      expect(types.body.custom.map(t => t.type_key)).toEqual(['mudroom']);
+
+      const preview = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+
+      expect(preview.body.preview.map(t => t.description)).toEqual(
+        expect.arrayContaining(['Sweep the Side Entry and shake out the mat'])
+      );
+    });
+
+    test('should validate custom type data', async () => {
+      const missingTemplates = await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send({ name: 'Hallway' });
+
+      expect(missingTemplates.status).toBe(400);
+
+      const builtInName = await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send({ ...mudroom, name: 'Living Room' });
+
+      expect(builtInName.status).toBe(400);
+
+      await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send(mudroom);
+
+      const duplicate = await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send(mudroom);
+
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('should reject rooms with unknown room types', async () => {
+      const response = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'hallway', customName: 'Hallway', hasGlass: false });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should only delete custom types that no room uses', async () => {
+      await request(app)
+        .post('/api/rooms/types')
+        .set(getAuthHeader(authToken))
+        .send(mudroom);
+
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'mudroom', customName: 'Side Entry', hasGlass: false });
+
+      const inUse = await request(app)
+        .delete('/api/rooms/types/mudroom')
+        .set(getAuthHeader(authToken));
+
+      expect(inUse.status).toBe(409);
+
+      const missing = await request(app)
+        .delete('/api/rooms/types/attic')
+        .set(getAuthHeader(authToken));
+
+      expect(missing.status).toBe(404);
+    });
+  });
+
   describe('Task Progression Through Rotation', () => {
     test('should maintain correct task progression', async () => {
       // Setup room
@@ -471,6 +806,143 @@ describe('Room Configuration Flow Integration Tests', () => {
         expect(preview[i].position).toBe(i + 1);
       }
     });
+
+    test('should show room weights and which visit each task belongs to', async () => {
+      const kitchen = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: false });
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: false });
+
+      const updateResponse = await request(app)
+        .put(`/api/rooms/${kitchen.body.room.id}`)
+        .set(getAuthHeader(authToken))
+        .send({ visitsPerCycle: 2 });
+
+      expect(updateResponse.status).toBe(200);
+      expect(updateResponse.body.room.visits_per_cycle).toBe(2);
+
+      const response = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+
+      const kitchenTasks = response.body.preview.filter(task => task.room && task.room.name === 'Kitchen');
+      expect(kitchenTasks).toHaveLength(4);
+      expect(kitchenTasks.map(task => task.room_visit)).toEqual([1, 1, 2, 2]);
+      expect(kitchenTasks[0].room.visits_per_cycle).toBe(2);
+    });
+
+    test('should reject an invalid room weight', async () => {
+      const room = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: true });
+
+      const response = await request(app)
+        .put(`/api/rooms/${room.body.room.id}`)
+        .set(getAuthHeader(authToken))
+        .send({ visitsPerCycle: 2, cycleInterval: 3 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('not both');
+    });
+
+    test('should include when each keystone is next due', async () => {
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({
+          roomType: 'kitchen',
+          customName: 'Kitchen',
+          hasGlass: true
+        });
+
+      const initResponse = await request(app)
+        .post('/api/keystone-tasks/initialize')
+        .set(getAuthHeader(authToken))
+        .send({ keystones: [{ task_type: 'dishes' }] });
+
+      await request(app)
+        .put(`/api/keystone-tasks/${initResponse.body.keystone_tasks[0].id}`)
+        .set(getAuthHeader(authToken))
+        .send({ frequencyDays: 2 });
+
+      const response = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.keystone_schedule).toHaveLength(1);
+
+      const entry = response.body.keystone_schedule[0];
+      expect(entry.keystone_type).toBe('dishes');
+      expect(entry.frequency_days).toBe(2);
+      expect(entry.next_position).toBe(response.body.current_position + entry.tasks_until_due);
+      expect(entry.next_due_date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    });
+  });
+
+  describe('Keystone Frequency', () => {
+    let keystoneId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/keystone-tasks/initialize')
+        .set(getAuthHeader(authToken))
+        .send({ keystones: [{ task_type: 'laundry' }] });
+
+      keystoneId = response.body.keystone_tasks[0].id;
+    });
+
+    test('should set and clear a keystone frequency', async () => {
+      const setResponse = await request(app)
+        .put(`/api/keystone-tasks/${keystoneId}`)
+        .set(getAuthHeader(authToken))
+        .send({ timesPerWeek: 2 });
+
+      expect(setResponse.status).toBe(200);
+      expect(setResponse.body.task.times_per_week).toBe(2);
+      expect(setResponse.body.task.frequency_days).toBeNull();
+
+      const switchResponse = await request(app)
+        .put(`/api/keystone-tasks/${keystoneId}`)
+        .set(getAuthHeader(authToken))
+        .send({ frequencyDays: 14 });
+
+      expect(switchResponse.body.task.frequency_days).toBe(14);
+      expect(switchResponse.body.task.times_per_week).toBeNull();
+
+      const clearResponse = await request(app)
+        .put(`/api/keystone-tasks/${keystoneId}`)
+        .set(getAuthHeader(authToken))
+        .send({ frequencyDays: null });
+
+      expect(clearResponse.body.task.frequency_days).toBeNull();
+      expect(clearResponse.body.task.times_per_week).toBeNull();
+    });
+
+    test('should reject invalid frequencies', async () => {
+      const cases = [
+        { frequencyDays: 1 },
+        { frequencyDays: 91 },
+        { timesPerWeek: 4 },
+        { frequencyDays: 'often' },
+        { frequencyDays: 3, timesPerWeek: 2 }
+      ];
+
+      for (const body of cases) {
+        const response = await request(app)
+          .put(`/api/keystone-tasks/${keystoneId}`)
+          .set(getAuthHeader(authToken))
+          .send(body);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Validation failed');
+      }
+    });
   });
 
   describe('Cycle Completion and Regeneration', () => {
@@ -647,6 +1119,535 @@ describe('Room Configuration Flow Integration Tests', () => {
     });
   });
 
+  describe('Skip and Snooze', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: true });
+    });
+
+    test('skipping serves the next task and counts in stats', async () => {
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      const response = await request(app)
+        .post('/api/tasks/current/skip')
+        .set(getAuthHeader(authToken))
+        .send({ reason: 'Vacuum is broken' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.deferral.action).toBe('skip');
+      expect(response.body.next_task.position).toBe(1);
+      expect(response.body.next_task.id).not.toBe(current.body.task.id);
+
+      const stats = await request(app)
+        .get('/api/user/stats')
+        .set(getAuthHeader(authToken));
+
+      expect(stats.body.stats.tasks_skipped).toBe(1);
+      expect(stats.body.stats.tasks_snoozed).toBe(0);
+    });
+
+    test('snoozing brings the task back after the given days', async () => {
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      const response = await request(app)
+        .post('/api/tasks/current/snooze')
+        .set(getAuthHeader(authToken))
+        .send({ reason: 'Guest in the room', days: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.deferral.snooze_days).toBe(1);
+
+      const completion = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({
+          taskName: response.body.next_task.description,
+          task_rotation_id: response.body.next_task.id
+        });
+
+      expect(completion.body.next_task.id).toBe(current.body.task.id);
+    });
+
+    test('requires a reason', async () => {
+      const response = await request(app)
+        .post('/api/tasks/current/skip')
+        .set(getAuthHeader(authToken))
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    test('includes skips and snoozes in the data export', async () => {
+      await request(app)
+        .post('/api/tasks/current/snooze')
+        .set(getAuthHeader(authToken))
+        .send({ reason: 'Away for the weekend', days: 2 });
+
+      const response = await request(app)
+        .get('/api/user/export')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.deferrals).toHaveLength(1);
+      expect(response.body.deferrals[0].reason).toBe('Away for the weekend');
+      expect(response.body.summary.tasksSnoozed).toBe(1);
+    });
+  });
+
+  describe('Undo Completion', () => {
+    async function completeCurrentTask() {
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      const completion = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({
+          taskName: current.body.task.description,
+          task_rotation_id: current.body.task.id
+        });
+
+      return { task: current.body.task, completion: completion.body.completion };
+    }
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: true });
+    });
+
+    test('undo rewinds the rotation to the completed task', async () => {
+      const { task } = await completeCurrentTask();
+
+      const response = await request(app)
+        .post('/api/tasks/undo')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.rotation_rewound).toBe(true);
+      expect(response.body.undone.task_name).toBe(task.description);
+      expect(response.body.streak.current_streak).toBe(0);
+      expect(response.body.task.id).toBe(task.id);
+      expect(response.body.task.position).toBe(1);
+
+      const history = await prisma.completion_history.count({ where: { user_id: authUser.user.id } });
+      expect(history).toBe(0);
+    });
+
+    test('undo is unavailable once the window has passed', async () => {
+      const { completion } = await completeCurrentTask();
+
+      await prisma.completion_history.update({
+        where: { id: completion.id },
+        data: { created_at: new Date(Date.now() - 60 * 60 * 1000) }
+      });
+
+      const response = await request(app)
+        .post('/api/tasks/undo')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('NOTHING_TO_UNDO');
+    });
+
+    test('deleting a completion rewinds the rotation only while it is the latest', async () => {
+      const first = await completeCurrentTask();
+      const second = await completeCurrentTask();
+
+      const olderDelete = await request(app)
+        .delete(`/api/user/completion/${first.completion.id}`)
+        .set(getAuthHeader(authToken));
+
+      expect(olderDelete.status).toBe(200);
+      expect(olderDelete.body.rotation_rewound).toBe(false);
+
+      const latestDelete = await request(app)
+        .delete(`/api/user/completion/${second.completion.id}`)
+        .set(getAuthHeader(authToken));
+
+      expect(latestDelete.body.rotation_rewound).toBe(true);
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      expect(current.body.task.id).toBe(second.task.id);
+    });
+  });
+
+  describe('Daily Time Budget', () => {
+    let roomId;
+
+    beforeEach(async () => {
+      const room = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: true });
+      roomId = room.body.room.id;
+    });
+
+    test('returns the tasks that fit and the time left over', async () => {
+      const response = await request(app)
+        .get('/api/tasks/today?minutes=17')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.budget_minutes).toBe(17);
+      expect(response.body.tasks.length).toBeGreaterThan(0);
+      expect(response.body.tasks[0].position).toBe(1);
+      expect(response.body.total_minutes).toBe(
+        response.body.tasks.reduce((sum, task) => sum + task.estimated_minutes, 0)
+      );
+      expect(response.body.remaining_minutes).toBe(17 - response.body.total_minutes);
+      expect(response.body.next_task_minutes).toBeGreaterThan(response.body.remaining_minutes);
+    });
+
+    test('rejects a missing or out-of-range budget', async () => {
+      for (const query of ['', '?minutes=0', '?minutes=abc', '?minutes=481']) {
+        const response = await request(app)
+          .get(`/api/tasks/today${query}`)
+          .set(getAuthHeader(authToken));
+
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('INVALID_MINUTES');
+      }
+    });
+
+    test('uses the room\'s estimated minutes override', async () => {
+      await request(app)
+        .put(`/api/rooms/${roomId}/templates/glass`)
+        .set(getAuthHeader(authToken))
+        .send({ estimatedMinutes: 2 })
+        .expect(200);
+      await request(app)
+        .put(`/api/rooms/${roomId}/templates/surfaces`)
+        .set(getAuthHeader(authToken))
+        .send({ estimatedMinutes: 2 })
+        .expect(200);
+      await request(app)
+        .put(`/api/rooms/${roomId}/templates/floor`)
+        .set(getAuthHeader(authToken))
+        .send({ estimatedMinutes: 2 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/tasks/today?minutes=6')
+        .set(getAuthHeader(authToken));
+
+      expect(response.body.tasks).toHaveLength(3);
+      expect(response.body.tasks.every(task => task.estimated_minutes === 2)).toBe(true);
+      expect(response.body.remaining_minutes).toBe(0);
+    });
+
+    test('completing the run advances past every task in it', async () => {
+      const today = await request(app)
+        .get('/api/tasks/today?minutes=20')
+        .set(getAuthHeader(authToken));
+      const taskIds = today.body.tasks.map(task => task.id);
+
+      const response = await request(app)
+        .post('/api/tasks/today/complete')
+        .set(getAuthHeader(authToken))
+        .send({ taskIds });
+
+      expect(response.status).toBe(201);
+      expect(response.body.completed).toHaveLength(taskIds.length);
+      expect(response.body.next_task.position).toBe(taskIds.length + 1);
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+      expect(current.body.task.position).toBe(taskIds.length + 1);
+
+      // The same run again is no longer the next tasks
+      const stale = await request(app)
+        .post('/api/tasks/today/complete')
+        .set(getAuthHeader(authToken))
+        .send({ taskIds });
+
+      expect(stale.status).toBe(409);
+      expect(stale.body.code).toBe('ROTATION_MOVED_ON');
+    });
+
+    test('completing the same run twice at once only records it once', async () => {
+      const today = await request(app)
+        .get('/api/tasks/today?minutes=20')
+        .set(getAuthHeader(authToken));
+      const taskIds = today.body.tasks.map(task => task.id);
+
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .post('/api/tasks/today/complete')
+        .set(getAuthHeader(authToken))
+        .send({ taskIds })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const history = await request(app)
+        .get('/api/user/history?limit=50')
+        .set(getAuthHeader(authToken));
+      expect(history.body.history).toHaveLength(taskIds.length);
+    });
+  });
+
+  describe('Deep Cleans', () => {
+    let roomId;
+
+    beforeEach(async () => {
+      const room = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: false });
+      roomId = room.body.room.id;
+    });
+
+    test('lists the catalog for each room with every task off', async () => {
+      const response = await request(app)
+        .get('/api/rooms/deep-cleans')
+        .set(getAuthHeader(authToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.deep_cleans.length).toBeGreaterThan(0);
+      expect(response.body.deep_cleans.every(task => task.room.id === roomId && !task.is_active)).toBe(true);
+    });
+
+    test('a turned-on task joins the next rotation and shows as due in the preview', async () => {
+      const update = await request(app)
+        .put(`/api/rooms/${roomId}/deep-cleans/clean_oven`)
+        .set(getAuthHeader(authToken))
+        .send({ isActive: true });
+
+      expect(update.status).toBe(200);
+      expect(update.body.deep_clean.days_until_due).toBe(0);
+
+      await request(app)
+        .post('/api/tasks/regenerate')
+        .set(getAuthHeader(authToken))
+        .expect(200);
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      expect(current.body.task.task_type).toBe('deep_clean');
+      expect(current.body.task.deep_clean_type).toBe('clean_oven');
+
+      const preview = await request(app)
+        .get('/api/tasks/preview')
+        .set(getAuthHeader(authToken));
+
+      expect(preview.body.deep_cleans_due).toHaveLength(1);
+      expect(preview.body.deep_cleans_due[0]).toMatchObject({
+        task_key: 'clean_oven',
+        next_position: 1,
+        tasks_until_due: 0
+      });
+    });
+
+    test('completing a deep clean records when it was done', async () => {
+      await request(app)
+        .put(`/api/rooms/${roomId}/deep-cleans/clean_oven`)
+        .set(getAuthHeader(authToken))
+        .send({ isActive: true, intervalDays: 30 });
+      await request(app)
+        .post('/api/tasks/regenerate')
+        .set(getAuthHeader(authToken));
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({
+          taskName: current.body.task.description,
+          task_rotation_id: current.body.task.id
+        })
+        .expect(201);
+
+      const list = await request(app)
+        .get('/api/rooms/deep-cleans')
+        .set(getAuthHeader(authToken));
+      const oven = list.body.deep_cleans.find(task => task.task_key === 'clean_oven');
+
+      expect(oven.last_done_date).not.toBeNull();
+      expect(oven.days_until_due).toBe(30);
+    });
+
+    test('a deep clean completed from two devices at once is only recorded once', async () => {
+      await request(app)
+        .put(`/api/rooms/${roomId}/deep-cleans/clean_oven`)
+        .set(getAuthHeader(authToken))
+        .send({ isActive: true });
+      await request(app)
+        .post('/api/tasks/regenerate')
+        .set(getAuthHeader(authToken));
+
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      // The record is written with the rotation advance, so the request that loses the race leaves none
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(authToken))
+        .send({
+          taskName: current.body.task.description,
+          task_rotation_id: current.body.task.id
+        })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      expect(await prisma.deep_clean_completions.count()).toBe(1);
+    });
+
+    test('rejects tasks from another room type and out-of-range intervals', async () => {
+      const unknown = await request(app)
+        .put(`/api/rooms/${roomId}/deep-cleans/flip_mattress`)
+        .set(getAuthHeader(authToken))
+        .send({ isActive: true });
+      expect(unknown.status).toBe(400);
+
+      const interval = await request(app)
+        .put(`/api/rooms/${roomId}/deep-cleans/clean_oven`)
+        .set(getAuthHeader(authToken))
+        .send({ intervalDays: 1000 });
+      expect(interval.status).toBe(400);
+    });
+  });
+
+  describe('Household Sharing', () => {
+    let partner;
+    let partnerToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(authToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: true });
+
+      const created = await request(app)
+        .post('/api/households')
+        .set(getAuthHeader(authToken))
+        .send({ name: 'Our Flat' });
+
+      expect(created.status).toBe(201);
+
+      partner = await createAuthenticatedUser();
+      partnerToken = partner.accessToken;
+
+      const joined = await request(app)
+        .post('/api/households/join')
+        .set(getAuthHeader(partnerToken))
+        .send({ inviteCode: created.body.household.invite_code });
+
+      expect(joined.status).toBe(200);
+      expect(joined.body.household.role).toBe('member');
+    });
+
+    test('members see the owner\'s rooms and current task', async () => {
+      const [ownerTask, partnerTask] = await Promise.all([
+        request(app).get('/api/tasks/current').set(getAuthHeader(authToken)),
+        request(app).get('/api/tasks/current').set(getAuthHeader(partnerToken))
+      ]);
+
+      expect(partnerTask.body.task.id).toBe(ownerTask.body.task.id);
+
+      const rooms = await request(app)
+        .get('/api/rooms')
+        .set(getAuthHeader(partnerToken));
+
+      expect(rooms.body.rooms.map(r => r.custom_name)).toEqual(['Kitchen']);
+    });
+
+    test('a member\'s completion advances the shared rotation and credits their own streak', async () => {
+      const current = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(partnerToken));
+
+      const completion = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(partnerToken))
+        .send({
+          taskName: current.body.task.description,
+          task_rotation_id: current.body.task.id
+        });
+
+      expect(completion.status).toBe(201);
+      expect(completion.body.next_task.position).toBe(2);
+
+      const ownerTask = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(authToken));
+
+      expect(ownerTask.body.task.position).toBe(2);
+
+      const partnerStreaks = await prisma.user_streaks.count({ where: { user_id: partner.user.id } });
+      const ownerStreaks = await prisma.user_streaks.count({ where: { user_id: authUser.user.id } });
+      expect(partnerStreaks).toBe(1);
+      expect(ownerStreaks).toBe(0);
+    });
+
+    test('only the owner can edit rooms', async () => {
+      const rooms = await request(app)
+        .get('/api/rooms')
+        .set(getAuthHeader(partnerToken));
+
+      const memberEdit = await request(app)
+        .put(`/api/rooms/${rooms.body.rooms[0].id}`)
+        .set(getAuthHeader(partnerToken))
+        .send({ customName: 'Galley' });
+
+      expect(memberEdit.status).toBe(403);
+      expect(memberEdit.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      const memberCreate = await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(partnerToken))
+        .send({ roomType: 'bedroom', customName: 'Bedroom', hasGlass: true });
+
+      expect(memberCreate.status).toBe(403);
+
+      const ownerEdit = await request(app)
+        .put(`/api/rooms/${rooms.body.rooms[0].id}`)
+        .set(getAuthHeader(authToken))
+        .send({ customName: 'Galley' });
+
+      expect(ownerEdit.status).toBe(200);
+    });
+
+    test('leaving returns the member to their own rooms', async () => {
+      const left = await request(app)
+        .post('/api/households/leave')
+        .set(getAuthHeader(partnerToken));
+
+      expect(left.status).toBe(200);
+
+      const rooms = await request(app)
+        .get('/api/rooms')
+        .set(getAuthHeader(partnerToken));
+
+      expect(rooms.body.rooms).toHaveLength(0);
+    });
+
+    test('rejects an unknown invite code', async () => {
+      const stranger = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/households/join')
+        .set(getAuthHeader(stranger.accessToken))
+        .send({ inviteCode: 'NOPE2345' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle missing authentication', async () => {
       const response = await request(app)
@@ -23,6 +23,7 @@ const {
   createTestUser,
   getAuthHeader,
   getCookieHeader,
+  extractCookies,
   generateInvalidToken,
   cleanupTestData,
   wait
@@ -471,6 +472,97 @@ describe('Security Testing Suite', () => {
 
   });
 
+  describe('CSRF Protection', () => {
+
+    /**
+     * Log in and return the cookies a browser would hold
+     */
+    async function loginWithCookies() {
+      const testUser = await createTestUser();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+
+      return { response, cookies: extractCookies(response) };
+    }
+
+    /**
+     * Cookie header for a logged-in browser
+     */
+    function browserCookies(cookies) {
+      return `accessToken=${cookies.accessToken}; refreshToken=${cookies.refreshToken}; csrfToken=${cookies.csrfToken}`;
+    }
+
+    test('should issue a CSRF token cookie and header on login', async () => {
+      const { response, cookies } = await loginWithCookies();
+
+      expect(cookies.csrfToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(response.headers['x-csrf-token']).toBe(cookies.csrfToken);
+
+      const csrfCookie = response.headers['set-cookie'].find(cookie => cookie.startsWith('csrfToken='));
+      expect(csrfCookie).toContain('HttpOnly');
+    });
+
+    test('should reject a cookie-authenticated write without the token', async () => {
+      const { cookies } = await loginWithCookies();
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set('Cookie', browserCookies(cookies))
+        .send({ taskName: 'Forged task' })
+        .expect(403);
+
+      expect(response.body.code).toBe('CSRF_TOKEN_INVALID');
+
+      await request(app)
+        .post('/api/user/complete')
+        .set('Cookie', browserCookies(cookies))
+        .set('X-CSRF-Token', 'a'.repeat(64))
+        .send({ taskName: 'Forged task' })
+        .expect(403);
+    });
+
+    test('should accept a cookie-authenticated write with the matching token', async () => {
+      const { cookies } = await loginWithCookies();
+
+      await request(app)
+        .post('/api/user/complete')
+        .set('Cookie', browserCookies(cookies))
+        .set('X-CSRF-Token', cookies.csrfToken)
+        .send({ taskName: 'Real task' })
+        .expect(201);
+    });
+
+    test('should keep the token on refresh and hand it back to a reloaded page', async () => {
+      const { cookies } = await loginWithCookies();
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .set('Cookie', browserCookies(cookies))
+        .expect(200);
+      expect(refreshResponse.headers['x-csrf-token']).toBe(cookies.csrfToken);
+
+      const tokenResponse = await request(app)
+        .get('/api/auth/csrf-token')
+        .set('Cookie', browserCookies(cookies))
+        .expect(200);
+      expect(tokenResponse.body.csrf_token).toBe(cookies.csrfToken);
+    });
+
+    test('should not require the token for bearer-token requests', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Script task' })
+        .expect(201);
+    });
+
+  });
+
   describe('Authorization Tests', () => {
 
     test('should prevent horizontal privilege escalation', async () => {
@@ -0,0 +1,140 @@
+/**
+ * AccountLockoutService Unit Tests
+ *
+ * Tests for per-account failed login tracking including:
+ * - Locking once the failure threshold is reached
+ * - Doubling the lock length on each lockout, up to the cap
+ * - Resetting the backoff after a successful login
+ * - Single-use unlock tokens
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const AccountLockoutService = require('../../src/services/accountLockoutService');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('AccountLockoutService Unit Tests', () => {
+  let lockoutService;
+  let testUser;
+
+  beforeAll(() => {
+    lockoutService = new AccountLockoutService();
+    lockoutService.threshold = 3;
+    lockoutService.baseMinutes = 5;
+    lockoutService.maxMinutes = 60;
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  /**
+   * Fail enough times to lock the account once
+   */
+  async function failUntilLocked() {
+    let result;
+    for (let i = 0; i < lockoutService.threshold; i++) {
+      result = await lockoutService.recordFailure(testUser.id);
+    }
+    return result;
+  }
+
+  /**
+   * Reload the test user's lockout fields
+   */
+  async function reloadUser() {
+    return prisma.users.findUnique({ where: { id: testUser.id } });
+  }
+
+  describe('recordFailure', () => {
+    test('should not lock below the threshold', async () => {
+      const result = await lockoutService.recordFailure(testUser.id);
+
+      expect(result.locked).toBe(false);
+      const user = await reloadUser();
+      expect(user.failed_login_count).toBe(1);
+      expect(lockoutService.isLocked(user)).toBe(false);
+    });
+
+    test('should lock at the threshold and issue an unlock token', async () => {
+      const result = await failUntilLocked();
+
+      expect(result.locked).toBe(true);
+      expect(result.unlockToken).toMatch(/^[a-f0-9]{64}$/);
+
+      const user = await reloadUser();
+      expect(lockoutService.isLocked(user)).toBe(true);
+      expect(user.failed_login_count).toBe(0);
+      expect(user.lockout_count).toBe(1);
+
+      const minutes = (user.locked_until.getTime() - Date.now()) / 60000;
+      expect(minutes).toBeGreaterThan(4);
+      expect(minutes).toBeLessThanOrEqual(5);
+
+      const tokens = await prisma.account_unlock_tokens.findMany({ where: { user_id: testUser.id } });
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].token_hash).not.toBe(result.unlockToken);
+    });
+
+    test('should double each lockout up to the cap', () => {
+      expect(lockoutService.getLockoutMinutes(0)).toBe(5);
+      expect(lockoutService.getLockoutMinutes(1)).toBe(10);
+      expect(lockoutService.getLockoutMinutes(2)).toBe(20);
+      expect(lockoutService.getLockoutMinutes(5)).toBe(60);
+    });
+
+    test('should make the second lockout longer than the first', async () => {
+      await failUntilLocked();
+      await prisma.users.update({ where: { id: testUser.id }, data: { locked_until: new Date(Date.now() - 1000) } });
+
+      await failUntilLocked();
+
+      const user = await reloadUser();
+      expect(user.lockout_count).toBe(2);
+      expect((user.locked_until.getTime() - Date.now()) / 60000).toBeGreaterThan(9);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    test('should reset failed attempts and the backoff', async () => {
+      await failUntilLocked();
+      await lockoutService.recordFailure(testUser.id);
+
+      await lockoutService.recordSuccess(testUser.id);
+
+      const user = await reloadUser();
+      expect(user.failed_login_count).toBe(0);
+      expect(user.lockout_count).toBe(0);
+    });
+  });
+
+  describe('unlockWithToken', () => {
+    test('should unlock once per token', async () => {
+      const { unlockToken } = await failUntilLocked();
+
+      const userId = await lockoutService.unlockWithToken(unlockToken);
+      expect(userId).toBe(testUser.id);
+
+      const user = await reloadUser();
+      expect(lockoutService.getStatus(user)).toEqual({
+        locked: false,
+        locked_until: null,
+        failed_attempts: 0,
+        lockout_count: 0
+      });
+
+      await expect(
+        lockoutService.unlockWithToken(unlockToken)
+      ).rejects.toThrow('Unlock token has already been used');
+    });
+
+    test('should reject an unknown token', async () => {
+      await expect(
+        lockoutService.unlockWithToken('deadbeef')
+      ).rejects.toThrow('Invalid unlock token');
+    });
+  });
+});
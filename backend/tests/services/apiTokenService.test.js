@@ -0,0 +1,133 @@
+/**
+ * ApiTokenService Unit Tests
+ *
+ * Tests for personal access tokens including:
+ * - Validating names, scopes and expiry on creation
+ * - Storing only a hash of the token
+ * - Verifying tokens and recording when they were last used
+ * - Revoking a user's own tokens
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const ApiTokenService = require('../../src/services/apiTokenService');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('ApiTokenService Unit Tests', () => {
+  let apiTokenService;
+  let testUser;
+
+  beforeAll(() => {
+    apiTokenService = new ApiTokenService();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  describe('createToken', () => {
+    test('should return the raw token once and store only its hash', async () => {
+      const { token, apiToken } = await apiTokenService.createToken(testUser.id, {
+        name: 'Kitchen button',
+        scopes: ['write:completions', 'read:tasks']
+      });
+
+      expect(apiTokenService.isApiToken(token)).toBe(true);
+      expect(token.startsWith(apiToken.token_prefix)).toBe(true);
+      expect(apiToken.scopes).toEqual(['read:tasks', 'write:completions']);
+      expect(apiToken.expires_at).toBeNull();
+
+      const stored = await prisma.api_tokens.findUnique({ where: { id: apiToken.id } });
+      expect(stored.token_hash).toBe(apiTokenService.hashToken(token));
+      expect(stored.token_hash).not.toBe(token);
+    });
+
+    test('should reject a missing name, no scopes and unknown scopes', async () => {
+      await expect(
+        apiTokenService.createToken(testUser.id, { name: '', scopes: ['read:tasks'] })
+      ).rejects.toThrow('Token name is required');
+
+      await expect(
+        apiTokenService.createToken(testUser.id, { name: 'Script', scopes: [] })
+      ).rejects.toThrow('At least one scope is required');
+
+      await expect(
+        apiTokenService.createToken(testUser.id, { name: 'Script', scopes: ['delete:everything'] })
+      ).rejects.toThrow('Unknown scope: delete:everything');
+    });
+
+    test('should set an expiry when asked', async () => {
+      const { apiToken } = await apiTokenService.createToken(testUser.id, {
+        name: 'Temporary',
+        scopes: ['read:stats'],
+        expiresInDays: 30
+      });
+
+      const days = (new Date(apiToken.expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeGreaterThan(29);
+      expect(days).toBeLessThanOrEqual(30);
+
+      await expect(
+        apiTokenService.createToken(testUser.id, { name: 'Forever', scopes: ['read:stats'], expiresInDays: 0 })
+      ).rejects.toThrow('expiresInDays');
+    });
+  });
+
+  describe('verifyToken', () => {
+    test('should resolve the user and record last use', async () => {
+      const { token, apiToken } = await apiTokenService.createToken(testUser.id, {
+        name: 'Script',
+        scopes: ['read:stats']
+      });
+
+      const verified = await apiTokenService.verifyToken(token);
+
+      expect(verified).toMatchObject({
+        id: apiToken.id,
+        userId: testUser.id,
+        email: testUser.email,
+        scopes: ['read:stats']
+      });
+
+      const stored = await prisma.api_tokens.findUnique({ where: { id: apiToken.id } });
+      expect(stored.last_used_at).not.toBeNull();
+    });
+
+    test('should reject unknown and expired tokens', async () => {
+      const { token, apiToken } = await apiTokenService.createToken(testUser.id, {
+        name: 'Script',
+        scopes: ['read:stats'],
+        expiresInDays: 1
+      });
+
+      expect(await apiTokenService.verifyToken('cs_pat_deadbeef')).toBeNull();
+
+      await prisma.api_tokens.update({
+        where: { id: apiToken.id },
+        data: { expires_at: new Date(Date.now() - 1000) }
+      });
+      expect(await apiTokenService.verifyToken(token)).toBeNull();
+    });
+  });
+
+  describe('revokeToken', () => {
+    test('should only revoke the owner\'s tokens', async () => {
+      const { token, apiToken } = await apiTokenService.createToken(testUser.id, {
+        name: 'Script',
+        scopes: ['read:stats']
+      });
+      const otherUser = await createTestUser();
+
+      await expect(
+        apiTokenService.revokeToken(otherUser.id, apiToken.id)
+      ).rejects.toThrow('Token not found');
+
+      await apiTokenService.revokeToken(testUser.id, apiToken.id);
+      expect(await apiTokenService.verifyToken(token)).toBeNull();
+      expect(await apiTokenService.listTokens(testUser.id)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * AuditService Unit Tests
+ *
+ * Tests for the security audit log including:
+ * - Recording IP, device and outcome from the request
+ * - Never failing the caller when an event can't be stored
+ * - Purging events past the retention period
+ * - Keeping anonymized events when an account is deleted
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const AuditService = require('../../src/services/auditService');
+const AccountService = require('../../src/services/accountService');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('AuditService Unit Tests', () => {
+  let auditService;
+  let testUser;
+
+  const LAPTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+  /**
+   * Minimal Express request with an IP and User-Agent
+   */
+  function fakeRequest(ip = '198.51.100.7', userAgent = LAPTOP_UA) {
+    return {
+      ip,
+      get: header => (header === 'User-Agent' ? userAgent : undefined)
+    };
+  }
+
+  beforeAll(() => {
+    auditService = new AuditService();
+    auditService.retentionDays = 30;
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  describe('record', () => {
+    test('should store the IP, device and outcome of the request', async () => {
+      await auditService.record('login', {
+        userId: testUser.id,
+        req: fakeRequest(),
+        outcome: 'failure',
+        metadata: { reason: 'invalid_password' }
+      });
+
+      const { events } = await auditService.listEvents(testUser.id);
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        event_type: 'login',
+        outcome: 'failure',
+        ip_address: '198.51.100.7',
+        metadata: { reason: 'invalid_password' }
+      });
+      expect(events[0].device.label).toBe('Chrome on Windows');
+    });
+
+    test('should return null instead of throwing when the event is invalid', async () => {
+      const result = await auditService.record('login', {
+        userId: testUser.id,
+        outcome: 'maybe'
+      });
+
+      expect(result).toBeNull();
+      expect(await prisma.audit_events.count()).toBe(0);
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should delete only events older than the retention period', async () => {
+      const now = new Date();
+
+      await prisma.audit_events.create({
+        data: {
+          user_id: testUser.id,
+          event_type: 'login',
+          created_at: new Date(now.getTime() - 31 * 24 * 60 * 60 * 1000)
+        }
+      });
+      await prisma.audit_events.create({
+        data: {
+          user_id: testUser.id,
+          event_type: 'logout',
+          created_at: new Date(now.getTime() - 29 * 24 * 60 * 60 * 1000)
+        }
+      });
+
+      const purged = await auditService.purgeExpired(now);
+
+      expect(purged).toBe(1);
+      const remaining = await prisma.audit_events.findMany();
+      expect(remaining.map(event => event.event_type)).toEqual(['logout']);
+    });
+  });
+
+  describe('account deletion', () => {
+    test('should keep events without anything identifying the user', async () => {
+      await auditService.record('login', { userId: testUser.id, req: fakeRequest() });
+
+      await new AccountService().deleteUserAccount(testUser.id, testUser.email);
+
+      const events = await prisma.audit_events.findMany();
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        user_id: null,
+        event_type: 'login',
+        ip_address: null,
+        device_info: null,
+        metadata: null
+      });
+    });
+  });
+});
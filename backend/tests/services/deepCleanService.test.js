@@ -0,0 +1,143 @@
+/**
+ * DeepCleanService Unit Tests
+ *
+ * Tests for deep-clean tasks including:
+ * - Listing the catalog for each room, off until turned on
+ * - Validating intervals and last-done dates
+ * - Working out the next due date from settings and rotation completions
+ * - Removing a rotation completion's record when the completion is undone
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const DeepCleanService = require('../../src/services/deepCleanService');
+const RoomService = require('../../src/services/roomService');
+const { createTestUser, createTestCompletions, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('DeepCleanService Unit Tests', () => {
+  let deepCleanService;
+  let roomService;
+  let testUser;
+  let kitchen;
+
+  // Noon UTC, so the test user's local day is 2026-03-10
+  const NOW = new Date('2026-03-10T12:00:00Z');
+
+  beforeAll(() => {
+    deepCleanService = new DeepCleanService();
+    roomService = new RoomService();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+    kitchen = await roomService.createRoom(testUser.id, {
+      roomType: 'kitchen',
+      customName: 'Kitchen',
+      hasGlass: false
+    });
+  });
+
+  describe('listDeepCleanTasks', () => {
+    test('should list the catalog for each room with every task off', async () => {
+      const tasks = await deepCleanService.listDeepCleanTasks(testUser.id, NOW);
+
+      const oven = tasks.find(task => task.task_key === 'clean_oven');
+      expect(tasks.length).toBeGreaterThan(0);
+      tasks.forEach(task => expect(task.room.id).toBe(kitchen.id));
+      expect(oven).toMatchObject({
+        description: 'Deep clean the Kitchen oven',
+        is_active: false,
+        interval_days: oven.default_interval_days,
+        last_done_date: null,
+        next_due_date: null
+      });
+    });
+  });
+
+  describe('updateDeepCleanTask', () => {
+    test('should make a task never done due today', async () => {
+      const task = await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', { isActive: true }, NOW);
+
+      expect(task).toMatchObject({ is_active: true, next_due_date: '2026-03-10', days_until_due: 0 });
+    });
+
+    test('should count the interval from the last-done date', async () => {
+      const task = await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', {
+        isActive: true,
+        intervalDays: 30,
+        lastDoneDate: '2026-03-01'
+      }, NOW);
+
+      expect(task).toMatchObject({ interval_days: 30, next_due_date: '2026-03-31', days_until_due: 21 });
+
+      const reset = await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', { intervalDays: null }, NOW);
+      expect(reset.interval_days).toBe(reset.default_interval_days);
+    });
+
+    test('should reject unknown tasks, bad intervals and future dates', async () => {
+      await expect(deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'flip_mattress', { isActive: true }, NOW))
+        .rejects.toThrow('Unknown deep-clean task');
+      await expect(deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', { intervalDays: 3 }, NOW))
+        .rejects.toThrow('intervalDays must be an integer between 7 and 730');
+      await expect(deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', { lastDoneDate: '2026-03-11' }, NOW))
+        .rejects.toThrow('lastDoneDate must be a date');
+      await expect(deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', {}, NOW))
+        .rejects.toThrow('No valid updates provided');
+    });
+  });
+
+  describe('getDeepCleansDueThisMonth', () => {
+    test('should include overdue tasks and leave out ones due next month', async () => {
+      await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', {
+        isActive: true, intervalDays: 30, lastDoneDate: '2026-01-15'
+      }, NOW);
+      await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'range_hood', {
+        isActive: true, intervalDays: 30, lastDoneDate: '2026-03-05'
+      }, NOW);
+      await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_fridge', {
+        isActive: true, intervalDays: 30, lastDoneDate: '2026-02-20'
+      }, NOW);
+
+      const due = await deepCleanService.getDeepCleansDueThisMonth(testUser.id, NOW);
+
+      expect(due.map(task => task.task_key)).toEqual(['clean_oven', 'clean_fridge']);
+      expect(due[0].days_until_due).toBeLessThan(0);
+    });
+  });
+
+  describe('recordCompletion', () => {
+    test('should move the next due date and take it back when the completion is deleted', async () => {
+      await deepCleanService.updateDeepCleanTask(testUser.id, kitchen.id, 'clean_oven', {
+        isActive: true, intervalDays: 30, lastDoneDate: '2026-01-01'
+      }, NOW);
+      const [completion] = await createTestCompletions(testUser.id, [
+        { completed_date: new Date('2026-03-08T09:00:00Z') }
+      ]);
+
+      await deepCleanService.recordCompletion(testUser.id, {
+        task_type: 'deep_clean',
+        room_id: kitchen.id,
+        deep_clean_type: 'clean_oven'
+      }, completion.id);
+
+      let [oven] = (await deepCleanService.listDeepCleanTasks(testUser.id, NOW))
+        .filter(task => task.task_key === 'clean_oven');
+      expect(oven).toMatchObject({ last_done_date: '2026-03-08', next_due_date: '2026-04-07' });
+
+      await prisma.completion_history.delete({ where: { id: completion.id } });
+
+      [oven] = (await deepCleanService.listDeepCleanTasks(testUser.id, NOW))
+        .filter(task => task.task_key === 'clean_oven');
+      expect(oven.last_done_date).toBe('2026-01-01');
+    });
+
+    test('should ignore tasks that are not deep cleans', async () => {
+      const result = await deepCleanService.recordCompletion(testUser.id, { task_type: 'pillar' }, 'missing');
+
+      expect(result).toBeNull();
+    });
+  });
+});
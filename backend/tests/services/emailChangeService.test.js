@@ -0,0 +1,144 @@
+/**
+ * EmailChangeService Unit Tests
+ *
+ * Tests for the two-step email change including:
+ * - Requiring the current password and a free, different address
+ * - Keeping the old email until the new address is confirmed
+ * - Swapping the email and signing out every session on confirmation
+ * - Single-use, expiring confirmation tokens
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const EmailChangeService = require('../../src/services/emailChangeService');
+const { createTestUser, createTestSession, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('EmailChangeService Unit Tests', () => {
+  let emailChangeService;
+  let testUser;
+
+  beforeAll(() => {
+    emailChangeService = new EmailChangeService();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  /**
+   * Request a change to a fresh address with the correct password
+   */
+  function requestChange(newEmail = 'new-address@example.com') {
+    return emailChangeService.requestChange(testUser.id, {
+      currentPassword: testUser.password,
+      newEmail
+    });
+  }
+
+  describe('requestChange', () => {
+    test('should store a hashed pending change and keep the old email', async () => {
+      const result = await requestChange('New-Address@Example.com');
+
+      expect(result.token).toMatch(/^[a-f0-9]{64}$/);
+      expect(result.oldEmail).toBe(testUser.email);
+      expect(result.newEmail).toBe('new-address@example.com');
+
+      const changes = await prisma.email_changes.findMany({ where: { user_id: testUser.id } });
+      expect(changes).toHaveLength(1);
+      expect(changes[0].token_hash).not.toBe(result.token);
+      expect(changes[0].confirmed_at).toBeNull();
+
+      const user = await prisma.users.findUnique({ where: { id: testUser.id } });
+      expect(user.email).toBe(testUser.email);
+    });
+
+    test('should replace an earlier pending change', async () => {
+      await requestChange('first@example.com');
+      await requestChange('second@example.com');
+
+      const changes = await prisma.email_changes.findMany({ where: { user_id: testUser.id } });
+      expect(changes).toHaveLength(1);
+      expect(changes[0].new_email).toBe('second@example.com');
+    });
+
+    test('should reject a wrong password, the same email and an address in use', async () => {
+      const otherUser = await createTestUser();
+
+      await expect(
+        emailChangeService.requestChange(testUser.id, {
+          currentPassword: 'WrongPass123!',
+          newEmail: 'new-address@example.com'
+        })
+      ).rejects.toThrow('Current password is incorrect');
+
+      await expect(requestChange(testUser.email)).rejects.toThrow('New email must be different');
+      await expect(requestChange(otherUser.email)).rejects.toThrow('Email already in use');
+      await expect(requestChange('not-an-email')).rejects.toThrow('Invalid email address');
+      await expect(requestChange({ $ne: null })).rejects.toThrow('Invalid email address');
+    });
+  });
+
+  describe('confirmChange', () => {
+    test('should swap the email, mark it verified and sign out every session', async () => {
+      await createTestSession(testUser.id);
+      const { token } = await requestChange();
+
+      const result = await emailChangeService.confirmChange(token);
+
+      expect(result).toEqual({
+        userId: testUser.id,
+        oldEmail: testUser.email,
+        newEmail: 'new-address@example.com'
+      });
+
+      const user = await prisma.users.findUnique({ where: { id: testUser.id } });
+      expect(user.email).toBe('new-address@example.com');
+      expect(user.email_verified).toBe(true);
+      expect(user.token_version).toBe(testUser.token_version + 1);
+
+      const activeSessions = await prisma.user_sessions.count({
+        where: { user_id: testUser.id, is_active: true }
+      });
+      expect(activeSessions).toBe(0);
+    });
+
+    test('should only accept a token once', async () => {
+      const { token } = await requestChange();
+      await emailChangeService.confirmChange(token);
+
+      await expect(
+        emailChangeService.confirmChange(token)
+      ).rejects.toThrow('Email change token has already been used');
+    });
+
+    test('should reject an expired token', async () => {
+      const { token } = await requestChange();
+      await prisma.email_changes.updateMany({
+        where: { user_id: testUser.id },
+        data: { expires_at: new Date(Date.now() - 1000) }
+      });
+
+      await expect(
+        emailChangeService.confirmChange(token)
+      ).rejects.toThrow('Email change token has expired');
+    });
+
+    test('should reject the change if the address was taken in the meantime', async () => {
+      const { token } = await requestChange();
+      await createTestUser({ email: 'new-address@example.com' });
+
+      await expect(
+        emailChangeService.confirmChange(token)
+      ).rejects.toThrow('Email already in use');
+    });
+
+    test('should reject an unknown token', async () => {
+      await expect(
+        emailChangeService.confirmChange('deadbeef')
+      ).rejects.toThrow('Invalid email change token');
+    });
+  });
+});
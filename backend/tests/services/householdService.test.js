@@ -0,0 +1,156 @@
+/**
+ * HouseholdService Unit Tests
+ *
+ * Tests for shared households including:
+ * - Household creation and invite codes
+ * - Joining by invite code
+ * - Resolving the shared home user for members
+ * - Leaving, removing members and disbanding
+ */
+
+const HouseholdService = require('../../src/services/householdService');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('HouseholdService Unit Tests', () => {
+  let householdService;
+  let owner;
+  let partner;
+
+  beforeAll(() => {
+    householdService = new HouseholdService();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+
+    owner = await createTestUser();
+    partner = await createTestUser();
+  });
+
+  describe('createHousehold', () => {
+    test('should create a household with the creator as owner', async () => {
+      const household = await householdService.createHousehold(owner.id, 'Our Flat');
+
+      expect(household.name).toBe('Our Flat');
+      expect(household.role).toBe('owner');
+      expect(household.invite_code).toMatch(/^[A-Z2-9]{8}$/);
+      expect(household.members).toHaveLength(1);
+      expect(household.members[0].user_id).toBe(owner.id);
+    });
+
+    test('should reject an empty name', async () => {
+      await expect(
+        householdService.createHousehold(owner.id, '   ')
+      ).rejects.toThrow('Household name must be between 1 and 50 characters');
+    });
+
+    test('should reject a user who already belongs to a household', async () => {
+      await householdService.createHousehold(owner.id, 'Our Flat');
+
+      await expect(
+        householdService.createHousehold(owner.id, 'Second Home')
+      ).rejects.toThrow('User already belongs to a household');
+    });
+  });
+
+  describe('joinHousehold', () => {
+    test('should join by invite code regardless of case', async () => {
+      const created = await householdService.createHousehold(owner.id, 'Our Flat');
+
+      const household = await householdService.joinHousehold(partner.id, ` ${created.invite_code.toLowerCase()} `);
+
+      expect(household.id).toBe(created.id);
+      expect(household.role).toBe('member');
+      expect(household.invite_code).toBeNull();
+      expect(household.members.map(m => m.user_id)).toEqual([owner.id, partner.id]);
+    });
+
+    test('should reject an unknown invite code', async () => {
+      await expect(
+        householdService.joinHousehold(partner.id, 'NOPE2345')
+      ).rejects.toThrow('Invalid invite code');
+    });
+
+    test('should reject joining a second household', async () => {
+      const first = await householdService.createHousehold(owner.id, 'Our Flat');
+      await householdService.joinHousehold(partner.id, first.invite_code);
+
+      const other = await createTestUser();
+      const second = await householdService.createHousehold(other.id, 'Other Flat');
+
+      await expect(
+        householdService.joinHousehold(partner.id, second.invite_code)
+      ).rejects.toThrow('User already belongs to a household');
+    });
+  });
+
+  describe('getHomeContext', () => {
+    test('should treat a user without a household as owner of their own home', async () => {
+      const context = await householdService.getHomeContext(owner.id);
+
+      expect(context).toEqual({ householdId: null, role: 'owner', homeUserId: owner.id });
+    });
+
+    test('should resolve members to the household owner', async () => {
+      const household = await householdService.createHousehold(owner.id, 'Our Flat');
+      await householdService.joinHousehold(partner.id, household.invite_code);
+
+      const context = await householdService.getHomeContext(partner.id);
+
+      expect(context).toEqual({ householdId: household.id, role: 'member', homeUserId: owner.id });
+    });
+  });
+
+  describe('leaving and disbanding', () => {
+    let household;
+
+    beforeEach(async () => {
+      household = await householdService.createHousehold(owner.id, 'Our Flat');
+      await householdService.joinHousehold(partner.id, household.invite_code);
+    });
+
+    test('should let a member leave and return to their own home', async () => {
+      await householdService.leaveHousehold(partner.id);
+
+      expect(await householdService.getHomeUserId(partner.id)).toBe(partner.id);
+    });
+
+    test('should not let the owner leave', async () => {
+      await expect(
+        householdService.leaveHousehold(owner.id)
+      ).rejects.toThrow('Household owner cannot leave');
+    });
+
+    test('should let the owner remove a member', async () => {
+      await householdService.removeMember(owner.id, partner.id);
+
+      expect(await householdService.getHousehold(partner.id)).toBeNull();
+    });
+
+    test('should not let a member remove anyone', async () => {
+      await expect(
+        householdService.removeMember(partner.id, owner.id)
+      ).rejects.toThrow('Household not found or unauthorized');
+    });
+
+    test('should invalidate the old invite code when regenerated', async () => {
+      const newCode = await householdService.regenerateInviteCode(owner.id);
+      const newcomer = await createTestUser();
+
+      expect(newCode).not.toBe(household.invite_code);
+      await expect(
+        householdService.joinHousehold(newcomer.id, household.invite_code)
+      ).rejects.toThrow('Invalid invite code');
+    });
+
+    test('should release every member when disbanded', async () => {
+      await householdService.disbandHousehold(owner.id);
+
+      expect(await householdService.getHousehold(owner.id)).toBeNull();
+      expect(await householdService.getHomeUserId(partner.id)).toBe(partner.id);
+    });
+  });
+});
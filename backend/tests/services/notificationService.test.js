@@ -0,0 +1,277 @@
+/**
+ * NotificationService Unit Tests
+ *
+ * Tests for Web Push reminders including:
+ * - Saving and removing browser subscriptions
+ * - Sending today's task at the user's local reminder time
+ * - Not reminding users who already completed a task today
+ * - Dropping subscriptions the push service reports as gone
+ *
+ * Pushes go to a local HTTP server standing in for the browser push service,
+ * which decrypts each message with the subscription's keys.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { prisma } = require('../../src/config/prisma');
+const NotificationService = require('../../src/services/notificationService');
+const RoomService = require('../../src/services/roomService');
+const { generateVapidKeys } = require('../../src/utils/webPush');
+const { createTestUser, createTestCompletions, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+/**
+ * Decrypt an aes128gcm Web Push body with the subscriber's keys (RFC 8291)
+ */
+function decryptPushBody(body, userAgentKeys, authSecret) {
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + keyIdLength);
+  const ciphertext = body.subarray(21 + keyIdLength);
+
+  const sharedSecret = userAgentKeys.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentKeys.getPublicKey(),
+    serverPublicKey,
+    Buffer.from([1])
+  ]);
+  const inputKeyMaterial = hmac(hmac(authSecret, sharedSecret), keyInfo);
+  const pseudoRandomKey = hmac(salt, inputKeyMaterial);
+  const contentKey = hmac(pseudoRandomKey, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(pseudoRandomKey, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plaintext = Buffer.concat([
+    decipher.update(ciphertext.subarray(0, ciphertext.length - 16)),
+    decipher.final()
+  ]);
+
+  // Strip the last-record delimiter
+  return JSON.parse(plaintext.subarray(0, plaintext.length - 1).toString());
+}
+
+describe('NotificationService Unit Tests', () => {
+  let notificationService;
+  let roomService;
+  let pushServer;
+  let pushBaseUrl;
+  let received;
+  let responseStatus;
+  let hangingResponses;
+  let testUser;
+  let userAgentKeys;
+  let authSecret;
+
+  // 10:00 UTC, an hour after the 09:00 reminder for a UTC user
+  const now = new Date('2026-03-02T10:00:00.000Z');
+
+  beforeAll((done) => {
+    const vapidKeys = generateVapidKeys();
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:test@example.com';
+
+    notificationService = new NotificationService();
+    roomService = new RoomService();
+
+    pushServer = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ headers: req.headers, path: req.url, body: Buffer.concat(chunks) });
+        if (hangingResponses) {
+          hangingResponses.push(res);
+          return;
+        }
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    pushServer.listen(0, '127.0.0.1', () => {
+      pushBaseUrl = `http://127.0.0.1:${pushServer.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    delete process.env.VAPID_SUBJECT;
+    pushServer.close(done);
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    await prisma.task_rotation.deleteMany({});
+    await prisma.user_task_progress.deleteMany({});
+    await prisma.user_rooms.deleteMany({});
+
+    received = [];
+    responseStatus = 201;
+    hangingResponses = null;
+    testUser = await createTestUser();
+
+    userAgentKeys = crypto.createECDH('prime256v1');
+    userAgentKeys.generateKeys();
+    authSecret = crypto.randomBytes(16);
+  });
+
+  function buildSubscription(path = '/push/device-1') {
+    return {
+      endpoint: `${pushBaseUrl}${path}`,
+      keys: {
+        p256dh: userAgentKeys.getPublicKey().toString('base64url'),
+        auth: authSecret.toString('base64url')
+      }
+    };
+  }
+
+  describe('subscribe and unsubscribe', () => {
+    test('should save a subscription with the default reminder time', async () => {
+      const settings = await notificationService.subscribe(testUser.id, buildSubscription());
+
+      expect(settings.enabled).toBe(true);
+      expect(settings.public_key).toBe(process.env.VAPID_PUBLIC_KEY);
+      expect(settings.reminder_time).toBe('09:00');
+      expect(settings.subscriptions).toBe(1);
+    });
+
+    test('should keep one row per endpoint when a browser re-subscribes', async () => {
+      await notificationService.subscribe(testUser.id, buildSubscription(), '07:30');
+      const settings = await notificationService.subscribe(testUser.id, buildSubscription());
+
+      expect(settings.subscriptions).toBe(1);
+      expect(settings.reminder_time).toBe('07:30');
+    });
+
+    test('should reject malformed subscriptions and reminder times', async () => {
+      await expect(
+        notificationService.subscribe(testUser.id, { endpoint: 'not a url', keys: {} })
+      ).rejects.toThrow('Invalid push subscription');
+
+      await expect(
+        notificationService.subscribe(testUser.id, buildSubscription(), '25:00')
+      ).rejects.toThrow('Reminder time must be in HH:MM format');
+    });
+
+    test('should only accept public HTTPS endpoints outside tests', async () => {
+      const { keys } = buildSubscription();
+      notificationService.allowLocalEndpoints = false;
+
+      try {
+        for (const endpoint of [
+          'http://fcm.googleapis.com/fcm/send/abc',
+          'https://localhost/push',
+          'https://127.0.0.1/push',
+          'https://10.0.0.5/push',
+          'https://169.254.169.254/latest/meta-data',
+          'https://[::1]/push',
+          'https://[::ffff:127.0.0.1]/push',
+          'https://[fe80::1]/push'
+        ]) {
+          expect(notificationService.isValidSubscription({ endpoint, keys })).toBe(false);
+        }
+
+        expect(notificationService.isValidSubscription({
+          endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+          keys
+        })).toBe(true);
+      } finally {
+        notificationService.allowLocalEndpoints = true;
+      }
+    });
+
+    test('should turn reminders off when the last subscription is removed', async () => {
+      const subscription = buildSubscription();
+      await notificationService.subscribe(testUser.id, subscription, '08:00');
+
+      await notificationService.unsubscribe(testUser.id, subscription.endpoint);
+
+      const settings = await notificationService.getSettings(testUser.id);
+      expect(settings.subscriptions).toBe(0);
+      expect(settings.reminder_time).toBeNull();
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    beforeEach(async () => {
+      await roomService.createRoom(testUser.id, {
+        roomType: 'kitchen',
+        customName: 'Kitchen',
+        hasGlass: true
+      });
+      await notificationService.subscribe(testUser.id, buildSubscription(), '09:00');
+    });
+
+    test('should push today\'s task once the reminder time has passed', async () => {
+      const result = await notificationService.sendDueReminders(now);
+
+      expect(result.reminded).toBe(1);
+      expect(received).toHaveLength(1);
+      expect(received[0].path).toBe('/push/device-1');
+      expect(received[0].headers['content-encoding']).toBe('aes128gcm');
+      expect(received[0].headers.authorization).toMatch(/^vapid t=.+, k=.+$/);
+
+      const message = decryptPushBody(received[0].body, userAgentKeys, authSecret);
+      expect(message.body).toMatch(/^Your task today: /);
+    });
+
+    test('should send at most one reminder per local day', async () => {
+      await notificationService.sendDueReminders(now);
+      await notificationService.sendDueReminders(new Date(now.getTime() + 30 * 60 * 1000));
+
+      expect(received).toHaveLength(1);
+    });
+
+    test('should wait until the user\'s local reminder time', async () => {
+      await prisma.users.update({
+        where: { id: testUser.id },
+        data: { timezone: 'America/New_York' }
+      });
+
+      // 10:00 UTC is 05:00 in New York
+      const result = await notificationService.sendDueReminders(now);
+
+      expect(result.reminded).toBe(0);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should skip users who already completed a task today', async () => {
+      await createTestCompletions(testUser.id, [{ completed_date: new Date('2026-03-02T08:15:00.000Z') }]);
+
+      const result = await notificationService.sendDueReminders(now);
+
+      expect(result.reminded).toBe(0);
+      expect(received).toHaveLength(0);
+    });
+
+    test('should give up on a push service that does not answer', async () => {
+      hangingResponses = [];
+      notificationService.pushTimeoutMs = 200;
+
+      try {
+        const result = await notificationService.sendDueReminders(now);
+
+        expect(received).toHaveLength(1);
+        expect(result.reminded).toBe(0);
+      } finally {
+        notificationService.pushTimeoutMs = 10 * 1000;
+        hangingResponses.forEach(res => res.end());
+      }
+    });
+
+    test('should delete subscriptions the push service reports as gone', async () => {
+      responseStatus = 410;
+
+      await notificationService.sendDueReminders(now);
+
+      const remaining = await prisma.push_subscriptions.count({ where: { user_id: testUser.id } });
+      expect(remaining).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * PauseService Unit Tests
+ *
+ * Tests for vacation pauses including:
+ * - Validating pause dates and length
+ * - Ending an active pause and cancelling an upcoming one
+ * - Expanding pauses into paused days
+ */
+
+const PauseService = require('../../src/services/pauseService');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('PauseService Unit Tests', () => {
+  let pauseService;
+  let testUser;
+
+  // Noon UTC, so the test user's local day is 2026-03-10
+  const NOW = new Date('2026-03-10T12:00:00Z');
+
+  beforeAll(() => {
+    pauseService = new PauseService();
+    pauseService.maxPauseDays = 14;
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  describe('startPause', () => {
+    test('should default the start date to today', async () => {
+      const pause = await pauseService.startPause(testUser.id, { endDate: '2026-03-12' }, NOW);
+
+      expect(pause).toMatchObject({
+        start_date: '2026-03-10',
+        end_date: '2026-03-12',
+        status: 'active'
+      });
+    });
+
+    test('should reject invalid dates and pauses longer than the maximum', async () => {
+      await expect(pauseService.startPause(testUser.id, { endDate: '2026-02-30' }, NOW))
+        .rejects.toThrow('Invalid date');
+      await expect(pauseService.startPause(testUser.id, { startDate: '2026-03-12', endDate: '2026-03-11' }, NOW))
+        .rejects.toThrow('End date must be on or after the start date');
+      await expect(pauseService.startPause(testUser.id, { endDate: '2026-03-24' }, NOW))
+        .rejects.toThrow('Pause can be at most 14 days');
+    });
+  });
+
+  describe('endPause', () => {
+    test('should end an active pause yesterday so today counts again', async () => {
+      await pauseService.startPause(testUser.id, { startDate: '2026-03-08', endDate: '2026-03-15' }, new Date('2026-03-08T12:00:00Z'));
+
+      const pause = await pauseService.endPause(testUser.id, NOW);
+
+      expect(pause).toMatchObject({ end_date: '2026-03-09', status: 'ended' });
+      expect(await pauseService.getActivePause(testUser.id, NOW)).toBeNull();
+    });
+
+    test('should cancel an upcoming pause without pausing any day', async () => {
+      await pauseService.startPause(testUser.id, { startDate: '2026-03-20', endDate: '2026-03-22' }, NOW);
+
+      await pauseService.endPause(testUser.id, NOW);
+
+      const pausedDays = await pauseService.getPausedDayKeys(testUser.id);
+      expect(pausedDays.size).toBe(0);
+      await expect(pauseService.endPause(testUser.id, NOW)).rejects.toThrow('No active or scheduled pause');
+    });
+  });
+
+  describe('getPausedDayKeys', () => {
+    test('should include both the start and end date', async () => {
+      await pauseService.startPause(testUser.id, { startDate: '2026-03-30', endDate: '2026-04-01' }, NOW);
+
+      const pausedDays = await pauseService.getPausedDayKeys(testUser.id);
+
+      expect([...pausedDays].sort()).toEqual(['2026-03-30', '2026-03-31', '2026-04-01']);
+    });
+  });
+});
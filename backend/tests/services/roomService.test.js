@@ -8,6 +8,8 @@
  * - getUserRooms sorting
  * - deleteRoom functionality
  * - hasConfiguredRooms detection
+ * - Per-room pillar task template overrides
+ * - User-created custom room types
  */
 
 const { prisma } = require('../../src/config/prisma');
@@ -302,6 +304,38 @@ describe('RoomService Unit Tests', () => {
       expect(updated.has_glass).toBe(false);
     });
 
+    test('should replace pillars and keep has_glass in step', async () => {
+      const room = await roomService.createRoom(testUser.id, {
+        roomType: 'bedroom',
+        customName: 'Test Room',
+        hasGlass: true
+      });
+      expect(room.pillars).toEqual(['glass', 'surfaces', 'floor']);
+
+      const updated = await roomService.updateRoom(room.id, testUser.id, {
+        pillars: ['floor', 'surfaces']
+      });
+
+      expect(updated.pillars).toEqual(['surfaces', 'floor']);
+      expect(updated.has_glass).toBe(false);
+    });
+
+    test('should only toggle glass when given the legacy hasGlass flag', async () => {
+      const room = await roomService.createRoom(testUser.id, {
+        roomType: 'bedroom',
+        customName: 'Test Room',
+        pillars: ['floor']
+      });
+
+      const updated = await roomService.updateRoom(room.id, testUser.id, { hasGlass: true });
+
+      expect(updated.pillars).toEqual(['glass', 'floor']);
+      await expect(roomService.updateRoom(room.id, testUser.id, { pillars: [] }))
+        .rejects.toThrow('pillars must be a non-empty array');
+      await expect(roomService.updateRoom(room.id, testUser.id, { pillars: ['floor'], hasGlass: true }))
+        .rejects.toThrow('hasGlass must agree');
+    });
+
     test('should throw error for invalid room type', async () => {
       const room = await roomService.createRoom(testUser.id, {
         roomType: 'bedroom',
@@ -476,6 +510,254 @@ describe('RoomService Unit Tests', () => {
     });
   });
 
+  describe('room task templates', () => {
+    let room;
+
+    beforeEach(async () => {
+      room = await roomService.createRoom(testUser.id, {
+        roomType: 'bedroom',
+        customName: 'Guest Room',
+        hasGlass: true
+      });
+    });
+
+    test('should fall back to built-in templates when no override exists', async () => {
+      const templates = await roomService.getRoomTemplates(room.id, testUser.id);
+
+      expect(templates.map(t => t.pillar_type)).toEqual(['glass', 'surfaces', 'floor']);
+      const floor = templates.find(t => t.pillar_type === 'floor');
+      expect(floor.custom_template).toBeNull();
+      expect(floor.description).toBe('Vacuum the Guest Room carpet/floor');
+    });
+
+    test('should save an override and use it in the description', async () => {
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'Dust-mop the {roomName} hardwood');
+
+      const templates = await roomService.getRoomTemplates(room.id, testUser.id);
+      const floor = templates.find(t => t.pillar_type === 'floor');
+
+      expect(floor.custom_template).toBe('Dust-mop the {roomName} hardwood');
+      expect(floor.description).toBe('Dust-mop the Guest Room hardwood');
+    });
+
+    test('should replace an existing override for the same pillar', async () => {
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'First version');
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'Second version');
+
+      const overrides = await prisma.room_task_templates.findMany({ where: { room_id: room.id } });
+      expect(overrides).toHaveLength(1);
+      expect(overrides[0].description).toBe('Second version');
+    });
+
+    test('should reject invalid pillar types and descriptions', async () => {
+      await expect(
+        roomService.setRoomTemplate(room.id, testUser.id, 'ceiling', 'Dust the ceiling')
+      ).rejects.toThrow('Invalid pillar type');
+
+      await expect(
+        roomService.setRoomTemplate(room.id, testUser.id, 'floor', '   ')
+      ).rejects.toThrow('Template description must be between 1 and 200 characters');
+    });
+
+    test('should not allow editing another user\'s room', async () => {
+      const otherUser = await createTestUser();
+
+      await expect(
+        roomService.setRoomTemplate(room.id, otherUser.id, 'floor', 'Sneaky')
+      ).rejects.toThrow('not found or unauthorized');
+    });
+
+    test('should revert to the built-in template when the override is deleted', async () => {
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'Dust-mop the {roomName} hardwood');
+
+      expect(await roomService.deleteRoomTemplate(room.id, testUser.id, 'floor')).toBe(true);
+      expect(await roomService.deleteRoomTemplate(room.id, testUser.id, 'floor')).toBe(false);
+
+      const overrides = await roomService.getTemplateOverrides(testUser.id);
+      expect(overrides.size).toBe(0);
+    });
+
+    test('should mark pending config changes when an override is saved', async () => {
+      await prisma.user_task_progress.create({
+        data: {
+          user_id: testUser.id,
+          current_task_index: 1,
+          current_rotation_version: 1,
+          has_pending_config_changes: false
+        }
+      });
+
+      await roomService.setRoomTemplate(room.id, testUser.id, 'surfaces', 'Make the bed in {roomName}');
+
+      const progress = await prisma.user_task_progress.findUnique({ where: { user_id: testUser.id } });
+      expect(progress.has_pending_config_changes).toBe(true);
+    });
+
+    test('should override the estimated duration without touching the description', async () => {
+      await roomService.setRoomTaskMinutes(room.id, testUser.id, 'floor', 25);
+
+      let floor = (await roomService.getRoomTemplates(room.id, testUser.id)).find(t => t.pillar_type === 'floor');
+      expect(floor).toMatchObject({ default_minutes: 10, custom_minutes: 25, estimated_minutes: 25 });
+      expect(floor.custom_template).toBeNull();
+      expect((await roomService.getTemplateOverrides(testUser.id)).size).toBe(0);
+      expect((await roomService.getDurationOverrides(testUser.id)).get(`${room.id}:floor`)).toBe(25);
+
+      await roomService.setRoomTaskMinutes(room.id, testUser.id, 'floor', null);
+
+      floor = (await roomService.getRoomTemplates(room.id, testUser.id)).find(t => t.pillar_type === 'floor');
+      expect(floor.estimated_minutes).toBe(10);
+      expect(await prisma.room_task_templates.count()).toBe(0);
+    });
+
+    test('should keep the duration override when the template is reset', async () => {
+      await prisma.user_task_progress.create({
+        data: {
+          user_id: testUser.id,
+          current_task_index: 1,
+          current_rotation_version: 1,
+          has_pending_config_changes: false
+        }
+      });
+      await roomService.setRoomTaskMinutes(room.id, testUser.id, 'floor', 25);
+
+      // Only minutes are set, so there is no template to reset
+      expect(await roomService.deleteRoomTemplate(room.id, testUser.id, 'floor')).toBe(false);
+      let progress = await prisma.user_task_progress.findUnique({ where: { user_id: testUser.id } });
+      expect(progress.has_pending_config_changes).toBe(false);
+
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'Dust-mop the {roomName} hardwood');
+      expect(await roomService.deleteRoomTemplate(room.id, testUser.id, 'floor')).toBe(true);
+
+      expect((await roomService.getTemplateOverrides(testUser.id)).size).toBe(0);
+      expect((await roomService.getDurationOverrides(testUser.id)).get(`${room.id}:floor`)).toBe(25);
+      progress = await prisma.user_task_progress.findUnique({ where: { user_id: testUser.id } });
+      expect(progress.has_pending_config_changes).toBe(true);
+    });
+
+    test('should reject durations outside the allowed range', async () => {
+      for (const minutes of [0, 2.5, 241]) {
+        await expect(
+          roomService.setRoomTaskMinutes(room.id, testUser.id, 'floor', minutes)
+        ).rejects.toThrow('Estimated minutes must be a whole number between 1 and 240');
+      }
+    });
+  });
+
+  describe('custom room types', () => {
+    const nursery = {
+      name: 'Nursery',
+      glassTemplate: 'Wipe the {roomName} window and mirror',
+      surfacesTemplate: 'Wipe down the {roomName} changing table',
+      floorTemplate: 'Vacuum the {roomName} rug'
+    };
+
+    test('should create a custom room type keyed by its name', async () => {
+      const roomType = await roomService.createCustomRoomType(testUser.id, {
+        ...nursery,
+        name: 'Mud Room'
+      });
+
+      expect(roomType.type_key).toBe('mud_room');
+      expect(roomType.name).toBe('Mud Room');
+      expect(roomType.floor_template).toBe('Vacuum the {roomName} rug');
+    });
+
+    test('should allow creating rooms of a custom type', async () => {
+      await roomService.createCustomRoomType(testUser.id, nursery);
+
+      const room = await roomService.createRoom(testUser.id, {
+        roomType: 'nursery',
+        customName: 'Baby Room',
+        hasGlass: true
+      });
+
+      expect(room.room_type).toBe('nursery');
+      expect(await roomService.getAvailableRoomTypes(testUser.id)).toContain('nursery');
+    });
+
+    test('should not let other users create rooms of someone else\'s custom type', async () => {
+      await roomService.createCustomRoomType(testUser.id, nursery);
+      const otherUser = await createTestUser();
+
+      await expect(
+        roomService.createRoom(otherUser.id, {
+          roomType: 'nursery',
+          customName: 'Baby Room',
+          hasGlass: true
+        })
+      ).rejects.toThrow('Invalid room type');
+    });
+
+    test('should reject built-in names, duplicates and missing templates', async () => {
+      await expect(
+        roomService.createCustomRoomType(testUser.id, { ...nursery, name: 'Kitchen' })
+      ).rejects.toThrow('conflicts with the built-in room type');
+
+      await roomService.createCustomRoomType(testUser.id, nursery);
+      await expect(
+        roomService.createCustomRoomType(testUser.id, nursery)
+      ).rejects.toThrow('Room type already exists');
+
+      await expect(
+        roomService.createCustomRoomType(testUser.id, { name: 'Patio', floorTemplate: 'Sweep the patio' })
+      ).rejects.toThrow('glassTemplate must be a string');
+    });
+
+    test('should use the custom type templates for room descriptions', async () => {
+      await roomService.createCustomRoomType(testUser.id, nursery);
+      const room = await roomService.createRoom(testUser.id, {
+        roomType: 'nursery',
+        customName: 'Baby Room',
+        hasGlass: true
+      });
+
+      const templates = await roomService.getRoomTemplates(room.id, testUser.id);
+      const floor = templates.find(t => t.pillar_type === 'floor');
+
+      expect(floor.default_template).toBe('Vacuum the {roomName} rug');
+      expect(floor.description).toBe('Vacuum the Baby Room rug');
+    });
+
+    test('should update templates and mark pending changes for rooms using the type', async () => {
+      await roomService.createCustomRoomType(testUser.id, nursery);
+      await roomService.createRoom(testUser.id, {
+        roomType: 'nursery',
+        customName: 'Baby Room',
+        hasGlass: true
+      });
+      await prisma.user_task_progress.create({
+        data: { user_id: testUser.id, has_pending_config_changes: false }
+      });
+
+      const updated = await roomService.updateCustomRoomType(testUser.id, 'nursery', {
+        floorTemplate: 'Spot-clean the {roomName} play mat'
+      });
+
+      expect(updated.floor_template).toBe('Spot-clean the {roomName} play mat');
+      expect(updated.type_key).toBe('nursery');
+
+      const progress = await prisma.user_task_progress.findUnique({ where: { user_id: testUser.id } });
+      expect(progress.has_pending_config_changes).toBe(true);
+    });
+
+    test('should refuse to delete a custom type that rooms still use', async () => {
+      await roomService.createCustomRoomType(testUser.id, nursery);
+      const room = await roomService.createRoom(testUser.id, {
+        roomType: 'nursery',
+        customName: 'Baby Room',
+        hasGlass: true
+      });
+
+      await expect(
+        roomService.deleteCustomRoomType(testUser.id, 'nursery')
+      ).rejects.toThrow('in use by 1 room(s)');
+
+      await prisma.user_rooms.delete({ where: { id: room.id } });
+      expect(await roomService.deleteCustomRoomType(testUser.id, 'nursery')).toBe(true);
+      expect(await roomService.getCustomRoomTypes(testUser.id)).toHaveLength(0);
+    });
+  });
+
   describe('validateRoomType', () => {
     test('should validate all valid room types', async () => {
       const validTypes = [
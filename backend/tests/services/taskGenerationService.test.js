@@ -8,6 +8,9 @@
  * - Handling zero rooms gracefully
  * - Handling single room
  * - Keystone shuffling on regeneration
+ * - Frequency-based keystone scheduling and next-due lookup
+ * - Room weights (extra visits per cycle, every Nth cycle)
+ * - Deep-clean tasks added when due
  */
 
 const { prisma } = require('../../src/config/prisma');
@@ -299,6 +302,118 @@ describe('TaskGenerationService Unit Tests', () => {
     });
   });
 
+  describe('scheduleKeystones', () => {
+    const makePillars = (count) => Array.from({ length: count }, (_, i) => ({
+      type: 'pillar',
+      roomId: 'room-1',
+      pillarType: 'surfaces',
+      description: `Pillar ${i + 1}`
+    }));
+
+    const keystonePositions = (rotation, keystoneType) => rotation
+      .map((task, index) => (task.keystoneType === keystoneType ? index + 1 : null))
+      .filter(position => position !== null);
+
+    test('should space a frequency keystone exactly frequency_days apart', () => {
+      const rotation = taskGenerationService.scheduleKeystones(makePillars(20), [
+        { task_type: 'dishes', custom_name: null, frequency_days: 3, times_per_week: null }
+      ]);
+
+      const positions = keystonePositions(rotation, 'dishes');
+      expect(positions.length).toBeGreaterThan(1);
+      for (let i = 1; i < positions.length; i++) {
+        expect(positions[i] - positions[i - 1]).toBe(3);
+      }
+    });
+
+    test('should place keystones without a frequency once per rotation', () => {
+      const rotation = taskGenerationService.scheduleKeystones(makePillars(20), [
+        { task_type: 'dishes', custom_name: null, frequency_days: null, times_per_week: null },
+        { task_type: 'laundry', custom_name: null, frequency_days: null, times_per_week: null }
+      ]);
+
+      expect(keystonePositions(rotation, 'dishes')).toHaveLength(1);
+      expect(keystonePositions(rotation, 'laundry')).toHaveLength(1);
+    });
+
+    test('should never place two keystones back to back', () => {
+      const rotation = taskGenerationService.scheduleKeystones(makePillars(12), [
+        { task_type: 'dishes', custom_name: null, frequency_days: 2, times_per_week: null },
+        { task_type: 'laundry', custom_name: null, frequency_days: null, times_per_week: 3 },
+        { task_type: 'trash', custom_name: null, frequency_days: null, times_per_week: null }
+      ]);
+
+      for (let i = 1; i < rotation.length; i++) {
+        expect(rotation[i].type === 'keystone' && rotation[i - 1].type === 'keystone').toBe(false);
+      }
+      expect(rotation.filter(t => t.type === 'pillar').length).toBeGreaterThanOrEqual(12);
+    });
+
+    test('should produce the same rotation for the same input', () => {
+      const keystones = [
+        { task_type: 'dishes', custom_name: null, frequency_days: 3, times_per_week: null },
+        { task_type: 'laundry', custom_name: null, frequency_days: null, times_per_week: 2 }
+      ];
+
+      const first = taskGenerationService.scheduleKeystones(makePillars(15), keystones);
+      const second = taskGenerationService.scheduleKeystones(makePillars(15), keystones);
+
+      expect(second).toEqual(first);
+    });
+
+    test('should not stretch the rotation for intervals longer than it', () => {
+      const rotation = taskGenerationService.scheduleKeystones(makePillars(10), [
+        { task_type: 'fridge', custom_name: null, frequency_days: 90, times_per_week: null }
+      ]);
+
+      expect(rotation).toHaveLength(11);
+      expect(keystonePositions(rotation, 'fridge')).toHaveLength(1);
+    });
+  });
+
+  describe('getKeystoneSchedule', () => {
+    test('should report how many tasks until each keystone is due', async () => {
+      await setupTestRooms(testUser.id, 3);
+      const [dishes] = await keystoneService.initializeCustomKeystones(testUser.id, [
+        { task_type: 'dishes', is_active: true }
+      ]);
+      await keystoneService.updateKeystone(dishes.id, testUser.id, { frequencyDays: 4 });
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+      const dishPositions = tasks
+        .filter(t => t.keystone_type === 'dishes')
+        .map(t => t.sequence_position);
+
+      const schedule = await taskGenerationService.getKeystoneSchedule(testUser.id, rotation.version, 1);
+
+      expect(schedule).toHaveLength(1);
+      expect(schedule[0].keystone.task_type).toBe('dishes');
+      expect(schedule[0].next_position).toBe(dishPositions[0]);
+      expect(schedule[0].tasks_until_due).toBe(dishPositions[0] - 1);
+    });
+
+    test('should wrap around to the next cycle after the last occurrence', async () => {
+      await setupTestRooms(testUser.id, 3);
+      await keystoneService.initializeCustomKeystones(testUser.id, [
+        { task_type: 'dishes', is_active: true }
+      ]);
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+      const dishPosition = tasks.find(t => t.keystone_type === 'dishes').sequence_position;
+
+      const schedule = await taskGenerationService.getKeystoneSchedule(
+        testUser.id,
+        rotation.version,
+        dishPosition + 1
+      );
+
+      expect(schedule[0].next_position).toBe(dishPosition);
+      expect(schedule[0].tasks_until_due).toBe(rotation.total_tasks - 1);
+    });
+  });
+
   describe('getRotationTasks', () => {
     test('should retrieve tasks in correct sequence order', async () => {
       await setupTestRooms(testUser.id, 2);
@@ -375,6 +490,73 @@ describe('TaskGenerationService Unit Tests', () => {
       expect(glassTasks.length).toBe(0);
     });
 
+    test('should use template overrides and fall back to built-in templates', async () => {
+      const rooms = await setupTestRooms(testUser.id, 1, { hasGlass: false });
+      const overrides = new Map([[`${rooms[0].id}:floor`, 'Dust-mop the {roomName} hardwood']]);
+
+      const pillarTasks = taskGenerationService.buildPillarTasks(rooms, overrides);
+
+      const floorTask = pillarTasks.find(t => t.pillarType === 'floor');
+      const surfacesTask = pillarTasks.find(t => t.pillarType === 'surfaces');
+      expect(floorTask.description).toBe('Dust-mop the Test Room 1 hardwood');
+      expect(surfacesTask.description).toBe('Clear and dust Test Room 1 dresser tops and nightstands');
+    });
+
+    test('should build pillar tasks for custom room types like built-ins', async () => {
+      await roomService.createCustomRoomType(testUser.id, {
+        name: 'Patio',
+        glassTemplate: 'Wipe the {roomName} sliding door',
+        surfacesTemplate: 'Wipe down the {roomName} table and chairs',
+        floorTemplate: 'Sweep the {roomName}'
+      });
+      await roomService.createRoom(testUser.id, {
+        roomType: 'patio',
+        customName: 'Back Patio',
+        hasGlass: true
+      });
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+
+      expect(tasks.map(t => t.task_description).sort()).toEqual([
+        'Sweep the Back Patio',
+        'Wipe down the Back Patio table and chairs',
+        'Wipe the Back Patio sliding door'
+      ]);
+    });
+
+    test('should apply saved room templates when generating a rotation', async () => {
+      const [room] = await setupTestRooms(testUser.id, 1);
+      await roomService.setRoomTemplate(room.id, testUser.id, 'floor', 'Dust-mop the {roomName} hardwood');
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+
+      const floorTask = tasks.find(t => t.pillar_type === 'floor');
+      expect(floorTask.task_description).toBe('Dust-mop the Test Room 1 hardwood');
+    });
+
+    test('should only build the pillars each room has enabled', async () => {
+      const pantry = await roomService.createRoom(testUser.id, {
+        roomType: 'kitchen',
+        customName: 'Walk-in Pantry',
+        pillars: ['surfaces']
+      });
+      const hallway = await roomService.createRoom(testUser.id, {
+        roomType: 'living_room',
+        customName: 'Hallway',
+        pillars: ['floor', 'glass']
+      });
+
+      const pillarTasks = taskGenerationService.buildPillarTasks([pantry, hallway]);
+
+      expect(pillarTasks.map(t => [t.roomId, t.pillarType])).toEqual([
+        [pantry.id, 'surfaces'],
+        [hallway.id, 'glass'],
+        [hallway.id, 'floor']
+      ]);
+    });
+
     test('should generate task descriptions for each pillar', async () => {
       const rooms = await setupTestRooms(testUser.id, 1, { hasGlass: true });
 
@@ -388,6 +570,117 @@ describe('TaskGenerationService Unit Tests', () => {
     });
   });
 
+  describe('room weights', () => {
+    test('should visit a weighted room more than once without back-to-back visits', async () => {
+      const rooms = await setupTestRooms(testUser.id, 3);
+      await roomService.updateRoom(rooms[0].id, testUser.id, { visitsPerCycle: 2 });
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+
+      expect(tasks).toHaveLength(12);
+
+      // Consecutive tasks in the same room are one visit; each covers glass, surfaces, floor in order
+      const visits = [];
+      for (const task of tasks) {
+        const lastVisit = visits[visits.length - 1];
+        if (lastVisit && lastVisit.roomId === task.room_id) {
+          lastVisit.pillars.push(task.pillar_type);
+        } else {
+          visits.push({ roomId: task.room_id, pillars: [task.pillar_type] });
+        }
+      }
+
+      expect(visits.map(visit => visit.roomId)).toEqual([rooms[0].id, rooms[1].id, rooms[2].id, rooms[0].id]);
+      visits.forEach(visit => expect(visit.pillars).toEqual(['glass', 'surfaces', 'floor']));
+    });
+
+    test('should only include a room in every Nth rotation', async () => {
+      const rooms = await setupTestRooms(testUser.id, 2, { hasGlass: false });
+      await roomService.updateRoom(rooms[1].id, testUser.id, { cycleInterval: 2 });
+
+      const roomIdsIn = async version => {
+        const tasks = await taskGenerationService.getRotationTasks(testUser.id, version);
+        return [...new Set(tasks.map(task => task.room_id))];
+      };
+
+      const first = await taskGenerationService.generateRotation(testUser.id);
+      expect(await roomIdsIn(first.version)).toEqual([rooms[0].id, rooms[1].id]);
+
+      const second = await taskGenerationService.generateRotation(testUser.id);
+      expect(await roomIdsIn(second.version)).toEqual([rooms[0].id]);
+    });
+
+    test('should keep rooms in sort order when no room is weighted', async () => {
+      const rooms = await setupTestRooms(testUser.id, 3);
+
+      const visits = taskGenerationService.planRoomVisits(rooms);
+
+      expect(visits.map(room => room.id)).toEqual(rooms.map(room => room.id));
+    });
+
+    test('should reject invalid weights', async () => {
+      const [room] = await setupTestRooms(testUser.id, 1);
+
+      await expect(roomService.updateRoom(room.id, testUser.id, { visitsPerCycle: 4 }))
+        .rejects.toThrow('visitsPerCycle must be an integer between 1 and 3');
+      await expect(roomService.updateRoom(room.id, testUser.id, { visitsPerCycle: 2, cycleInterval: 2 }))
+        .rejects.toThrow('not both');
+    });
+  });
+
+  describe('deep cleans', () => {
+    const makeDeepClean = (key, daysUntilDue) => ({
+      task_key: key,
+      description: `Deep clean ${key}`,
+      room: { id: 'room-1' },
+      days_until_due: daysUntilDue
+    });
+
+    test('should place each deep clean on the day it comes due, never back to back', () => {
+      const tasks = Array.from({ length: 10 }, (_, i) => ({ type: 'pillar', description: `Task ${i + 1}` }));
+
+      const rotation = taskGenerationService.scheduleDeepCleans(tasks, [
+        makeDeepClean('clean_oven', -5),
+        makeDeepClean('clean_fridge', 0),
+        makeDeepClean('range_hood', 6)
+      ]);
+
+      const positions = rotation
+        .map((task, index) => (task.type === 'deep_clean' ? index : null))
+        .filter(index => index !== null);
+
+      expect(rotation).toHaveLength(13);
+      expect(positions).toEqual([0, 2, 6]);
+      expect(rotation[0]).toMatchObject({ roomId: 'room-1', deepCleanType: 'clean_oven' });
+    });
+
+    test('should add due deep cleans to a generated rotation', async () => {
+      const [room] = await setupTestRooms(testUser.id, 2);
+      await taskGenerationService.deepCleanService.updateDeepCleanTask(
+        testUser.id, room.id, 'flip_mattress', { isActive: true }
+      );
+      await taskGenerationService.deepCleanService.updateDeepCleanTask(
+        testUser.id, room.id, 'wash_pillows', { isActive: true, lastDoneDate: new Date().toISOString().slice(0, 10) }
+      );
+
+      const rotation = await taskGenerationService.generateRotation(testUser.id);
+      const tasks = await taskGenerationService.getRotationTasks(testUser.id, rotation.version);
+      const deepCleans = tasks.filter(task => task.task_type === 'deep_clean');
+
+      // Never done, so due now; the one done today isn't due for months
+      expect(rotation.total_tasks).toBe(7);
+      expect(deepCleans).toHaveLength(1);
+      expect(deepCleans[0]).toMatchObject({
+        room_id: room.id,
+        deep_clean_type: 'flip_mattress',
+        pillar_type: null,
+        sequence_position: 1
+      });
+      expect(deepCleans[0].task_description).toContain('Test Room 1');
+    });
+  });
+
   describe('task description generation', () => {
     test('should include room name in task descriptions', async () => {
       await roomService.createRoom(testUser.id, {
@@ -6,6 +6,9 @@
  * - Cycle completion detection and regeneration
  * - Applying pending config changes on cycle completion
  * - getCurrentTask for users with/without rooms
+ * - Skipping and snoozing the current task
+ * - Rewinding progress when a completion is undone
+ * - Picking tasks for a time budget and advancing past several at once
  */
 
 const { prisma } = require('../../src/config/prisma');
@@ -14,7 +17,7 @@ const TaskProgressService = require('../../src/services/taskProgressService');
 const TaskGenerationService = require('../../src/services/taskGenerationService');
 const RoomService = require('../../src/services/roomService');
 const KeystoneService = require('../../src/services/keystoneService');
-const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+const { createTestUser, createTestCompletions, cleanupTestData } = require('../utils/testHelpers');
 
 // Load setup
 require('../setup');
@@ -203,6 +206,294 @@ describe('TaskProgressService Unit Tests', () => {
     });
   });
 
+  describe('skipCurrentTask and snoozeCurrentTask', () => {
+    async function getRotationIds(userId) {
+      const progress = await taskProgressService.getProgress(userId);
+      const tasks = await prisma.task_rotation.findMany({
+        where: { user_id: userId, rotation_version: progress.current_rotation_version },
+        orderBy: { sequence_position: 'asc' }
+      });
+      return tasks.map(t => t.id);
+    }
+
+    beforeEach(async () => {
+      await setupTestRooms(testUser.id, 2);
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+    });
+
+    test('skip should move the current task to the end and serve the next one', async () => {
+      const before = await getRotationIds(testUser.id);
+
+      const { deferral, nextTask } = await taskProgressService.skipCurrentTask(
+        testUser.id, testUser.id, 'Vacuum is broken'
+      );
+
+      const after = await getRotationIds(testUser.id);
+      expect(after).toEqual([...before.slice(1), before[0]]);
+      expect(nextTask.id).toBe(before[1]);
+      expect(nextTask.sequence_position).toBe(1);
+      expect(deferral.action).toBe('skip');
+      expect(deferral.reason).toBe('Vacuum is broken');
+    });
+
+    test('snooze should bring the task back after N tasks', async () => {
+      const before = await getRotationIds(testUser.id);
+
+      const { deferral, nextTask } = await taskProgressService.snoozeCurrentTask(
+        testUser.id, testUser.id, 2, 'Guest staying over'
+      );
+
+      const after = await getRotationIds(testUser.id);
+      expect(after.slice(0, 3)).toEqual([before[1], before[2], before[0]]);
+      expect(after.slice(3)).toEqual(before.slice(3));
+      expect(nextTask.id).toBe(before[1]);
+      expect(deferral.snooze_days).toBe(2);
+    });
+
+    test('skipping the last task should complete the cycle', async () => {
+      await advanceToEndOfCycle(testUser.id);
+      const progress = await taskProgressService.getProgress(testUser.id);
+
+      const { nextTask } = await taskProgressService.skipCurrentTask(
+        testUser.id, testUser.id, 'Out of supplies'
+      );
+
+      expect(nextTask.sequence_position).toBe(1);
+      expect(nextTask.rotation_version).toBe(progress.current_rotation_version + 1);
+    });
+
+    test('should refuse to defer a task another member has already moved', async () => {
+      const before = await getRotationIds(testUser.id);
+      const staleTask = await taskProgressService.getCurrentTask(testUser.id);
+
+      await taskProgressService.skipCurrentTask(testUser.id, testUser.id, 'Vacuum is broken');
+
+      // The second member read the current task before the first one skipped it
+      const currentSpy = jest.spyOn(taskProgressService, 'getCurrentTask').mockResolvedValueOnce(staleTask);
+      try {
+        await expect(
+          taskProgressService.snoozeCurrentTask(testUser.id, testUser.id, 2, 'Guest staying over')
+        ).rejects.toThrow('Rotation has moved on');
+      } finally {
+        currentSpy.mockRestore();
+      }
+
+      expect(await getRotationIds(testUser.id)).toEqual([...before.slice(1), before[0]]);
+      expect(await prisma.task_deferrals.count()).toBe(1);
+    });
+
+    test('should reject a missing reason or an out-of-range snooze', async () => {
+      await expect(
+        taskProgressService.skipCurrentTask(testUser.id, testUser.id, '  ')
+      ).rejects.toThrow('Reason must be between 1 and 200 characters');
+
+      await expect(
+        taskProgressService.snoozeCurrentTask(testUser.id, testUser.id, 15, 'Away')
+      ).rejects.toThrow('Snooze days must be a whole number between 1 and 14');
+    });
+
+    test('should count skips and snoozes per user', async () => {
+      await taskProgressService.skipCurrentTask(testUser.id, testUser.id, 'Broken mop');
+      await taskProgressService.snoozeCurrentTask(testUser.id, testUser.id, 1, 'Tired');
+      await taskProgressService.snoozeCurrentTask(testUser.id, testUser.id, 3, 'Guests');
+
+      const counts = await taskProgressService.getDeferralCounts(testUser.id);
+      expect(counts).toEqual({ skipped: 1, snoozed: 2 });
+    });
+  });
+
+  describe('advanceForCompletion and rewindCompletion', () => {
+    async function completeCurrentTask(userId) {
+      const [completion] = await createTestCompletions(userId, [{}]);
+      await taskProgressService.advanceForCompletion(userId, completion.id);
+      return completion;
+    }
+
+    beforeEach(async () => {
+      await setupTestRooms(testUser.id, 2);
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+    });
+
+    test('should remember the completed task and rewind to it', async () => {
+      const firstTask = await taskProgressService.getCurrentTask(testUser.id);
+
+      const completion = await completeCurrentTask(testUser.id);
+
+      let progress = await taskProgressService.getProgress(testUser.id);
+      expect(progress.current_task_index).toBe(2);
+      expect(progress.last_completed_task_id).toBe(firstTask.id);
+
+      const rewound = await taskProgressService.rewindCompletion(completion.id, testUser.id);
+
+      progress = await taskProgressService.getProgress(testUser.id);
+      expect(rewound).toBe(true);
+      expect(progress.current_task_index).toBe(1);
+      expect(progress.last_completed_task_id).toBeNull();
+      expect(await prisma.rotation_advances.count()).toBe(0);
+    });
+
+    test('should restore the finished rotation when undoing a cycle completion', async () => {
+      const lastTask = await advanceToEndOfCycle(testUser.id);
+      const before = await taskProgressService.getProgress(testUser.id);
+
+      const completion = await completeCurrentTask(testUser.id);
+
+      const after = await taskProgressService.getProgress(testUser.id);
+      expect(after.current_rotation_version).toBe(before.current_rotation_version + 1);
+
+      await taskProgressService.rewindCompletion(completion.id, testUser.id);
+
+      const restored = await taskProgressService.getProgress(testUser.id);
+      const currentTask = await taskProgressService.getCurrentTask(testUser.id);
+      expect(restored.current_rotation_version).toBe(before.current_rotation_version);
+      expect(restored.current_task_index).toBe(before.current_task_index);
+      expect(currentTask.id).toBe(lastTask.id);
+      expect(await prisma.task_rotation.count({
+        where: { user_id: testUser.id, rotation_version: after.current_rotation_version }
+      })).toBe(0);
+    });
+
+    test('should finish the cycle on the next request when the next rotation fails to generate', async () => {
+      await advanceToEndOfCycle(testUser.id);
+      const before = await taskProgressService.getProgress(testUser.id);
+      const generateSpy = jest.spyOn(taskProgressService.taskGenerationService, 'generateRotation')
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+
+      let nextTask;
+      try {
+        const completion = await completeCurrentTask(testUser.id);
+        nextTask = await taskProgressService.getCurrentTask(testUser.id);
+        expect(await prisma.completion_history.findUnique({ where: { id: completion.id } })).not.toBeNull();
+      } finally {
+        generateSpy.mockRestore();
+      }
+
+      const progress = await taskProgressService.getProgress(testUser.id);
+      expect(progress.current_rotation_version).toBe(before.current_rotation_version + 1);
+      expect(progress.current_task_index).toBe(1);
+      expect(nextTask).toMatchObject({ sequence_position: 1, rotation_version: progress.current_rotation_version });
+    });
+
+    test('should refuse to rewind once a later completion has advanced the rotation', async () => {
+      const first = await completeCurrentTask(testUser.id);
+      await completeCurrentTask(testUser.id);
+
+      await expect(
+        taskProgressService.rewindCompletion(first.id, testUser.id)
+      ).rejects.toThrow('Rotation has moved on since this completion');
+    });
+
+    test('should leave the rotation alone when the rest of the undo fails', async () => {
+      const completion = await completeCurrentTask(testUser.id);
+
+      await expect(prisma.$transaction(async (tx) => {
+        await taskProgressService.rewindCompletion(completion.id, testUser.id, tx);
+        throw new Error('Completion delete failed');
+      })).rejects.toThrow('Completion delete failed');
+
+      const progress = await taskProgressService.getProgress(testUser.id);
+      expect(progress.current_task_index).toBe(2);
+      expect(await prisma.rotation_advances.count()).toBe(1);
+    });
+
+    test('should ignore completions that did not advance a rotation or belong to someone else', async () => {
+      const [standalone] = await createTestCompletions(testUser.id, [{}]);
+      const completion = await completeCurrentTask(testUser.id);
+      const otherUser = await createTestUser();
+
+      expect(await taskProgressService.rewindCompletion(standalone.id, testUser.id)).toBe(false);
+      expect(await taskProgressService.rewindCompletion(completion.id, otherUser.id)).toBe(false);
+    });
+
+    test('should only offer the latest completion inside the undo window', async () => {
+      const completion = await completeCurrentTask(testUser.id);
+
+      const undoable = await taskProgressService.getUndoableCompletion(testUser.id);
+      expect(undoable.id).toBe(completion.id);
+
+      await prisma.completion_history.update({
+        where: { id: completion.id },
+        data: { created_at: new Date(Date.now() - (taskProgressService.undoWindowMinutes + 1) * 60 * 1000) }
+      });
+
+      expect(await taskProgressService.getUndoableCompletion(testUser.id)).toBeNull();
+    });
+  });
+
+  describe('getTasksForBudget and advanceForCompletions', () => {
+    let rotationTasks;
+
+    beforeEach(async () => {
+      await setupTestRooms(testUser.id, 2);
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+
+      const progress = await taskProgressService.getProgress(testUser.id);
+      rotationTasks = await taskGenerationService.getRotationTasks(testUser.id, progress.current_rotation_version);
+    });
+
+    test('should take tasks in rotation order until the next one does not fit', async () => {
+      const minutes = await taskProgressService.getTaskMinutes(testUser.id, rotationTasks);
+      const budget = minutes.get(rotationTasks[0].id) + minutes.get(rotationTasks[1].id);
+
+      const plan = await taskProgressService.getTasksForBudget(testUser.id, budget);
+
+      expect(plan.tasks.map(task => task.id)).toEqual([rotationTasks[0].id, rotationTasks[1].id]);
+      expect(plan.totalMinutes).toBe(budget);
+      expect(plan.remainingMinutes).toBe(0);
+      expect(plan.nextTaskMinutes).toBe(minutes.get(rotationTasks[2].id));
+    });
+
+    test('should use the user\'s duration override for a room pillar', async () => {
+      const [firstTask] = rotationTasks;
+      await roomService.setRoomTaskMinutes(firstTask.room_id, testUser.id, firstTask.pillar_type, 1);
+
+      const plan = await taskProgressService.getTasksForBudget(testUser.id, 1);
+
+      expect(plan.tasks).toHaveLength(1);
+      expect(plan.tasks[0]).toMatchObject({ id: firstTask.id, estimated_minutes: 1 });
+    });
+
+    test('should advance past the whole run and undo it one task at a time', async () => {
+      const completions = await createTestCompletions(testUser.id, [{}, {}, {}]);
+
+      const nextTask = await taskProgressService.advanceForCompletions(
+        testUser.id,
+        completions.map(completion => completion.id)
+      );
+
+      const progress = await taskProgressService.getProgress(testUser.id);
+      expect(progress.current_task_index).toBe(4);
+      expect(progress.last_completed_task_id).toBe(rotationTasks[2].id);
+      expect(nextTask.id).toBe(rotationTasks[3].id);
+      expect(await prisma.rotation_advances.count()).toBe(3);
+
+      await expect(
+        taskProgressService.rewindCompletion(completions[1].id, testUser.id)
+      ).rejects.toThrow('Rotation has moved on');
+
+      await taskProgressService.rewindCompletion(completions[2].id, testUser.id);
+
+      const rewound = await taskProgressService.getProgress(testUser.id);
+      expect(rewound.current_task_index).toBe(3);
+      expect(rewound.last_completed_task_id).toBe(rotationTasks[1].id);
+    });
+
+    test('should finish the cycle when the run reaches the last task', async () => {
+      await advanceToEndOfCycle(testUser.id);
+      const before = await taskProgressService.getProgress(testUser.id);
+      const completions = await createTestCompletions(testUser.id, [{}]);
+
+      await taskProgressService.advanceForCompletions(testUser.id, [completions[0].id]);
+
+      const after = await taskProgressService.getProgress(testUser.id);
+      expect(after.current_rotation_version).toBe(before.current_rotation_version + 1);
+      expect(after.current_task_index).toBe(1);
+    });
+  });
+
   describe('detectCycleCompletion', () => {
     test('should return false when cycle is not complete', async () => {
       await setupTestRooms(testUser.id, 2);
@@ -307,6 +598,31 @@ describe('TaskProgressService Unit Tests', () => {
       expect(uniqueRoomIds.size).toBe(2); // Both rooms should be in rotation
     });
 
+    test('should apply staged pillars and let older configs toggle only glass', async () => {
+      const [room] = await setupTestRooms(testUser.id, 1);
+      await roomService.updateRoom(room.id, testUser.id, { pillars: ['glass', 'floor'] });
+
+      const roomConfig = (extra) => ({
+        id: room.id,
+        roomType: 'bedroom',
+        customName: 'Test Room 1',
+        sortOrder: 1,
+        isActive: true,
+        ...extra
+      });
+
+      // A config saved before pillars existed only carries hasGlass
+      await taskProgressService.applyRoomUpdates(testUser.id, [roomConfig({ hasGlass: false })]);
+      let updated = await roomService.getRoomById(room.id, testUser.id);
+      expect(updated.pillars).toEqual(['floor']);
+      expect(updated.has_glass).toBe(false);
+
+      await taskProgressService.applyRoomUpdates(testUser.id, [roomConfig({ hasGlass: true, pillars: ['glass', 'surfaces'] })]);
+      updated = await roomService.getRoomById(room.id, testUser.id);
+      expect(updated.pillars).toEqual(['glass', 'surfaces']);
+      expect(updated.has_glass).toBe(true);
+    });
+
     test('should shuffle keystones on regeneration', async () => {
       await setupTestRooms(testUser.id, 1, { hasGlass: false });
       await keystoneService.initializeDefaultKeystones(testUser.id);
@@ -424,6 +740,115 @@ describe('TaskProgressService Unit Tests', () => {
       const parsed = JSON.parse(pending.config_data);
       expect(parsed.rooms.length).toBe(1);
     });
+
+    test('should accept the user\'s custom room types and reject unknown ones', async () => {
+      await setupTestRooms(testUser.id, 1);
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+      await roomService.createCustomRoomType(testUser.id, {
+        name: 'Basement',
+        glassTemplate: 'Clean the {roomName} windows',
+        surfacesTemplate: 'Dust {roomName} shelves',
+        floorTemplate: 'Sweep the {roomName}'
+      });
+
+      const roomConfig = (roomType) => ({
+        rooms: [{
+          id: 'test-room-id',
+          roomType,
+          customName: 'Downstairs',
+          hasGlass: false,
+          sortOrder: 1,
+          isActive: true
+        }]
+      });
+
+      await expect(
+        taskProgressService.stagePendingChanges(testUser.id, roomConfig('basement'))
+      ).resolves.toBe(true);
+
+      await expect(
+        taskProgressService.stagePendingChanges(testUser.id, roomConfig('attic'))
+      ).rejects.toThrow('rooms[0].roomType is not a known room type');
+    });
+  });
+
+  describe('stagePendingChanges pillars', () => {
+    test('should resolve pillars against the stored room and reject configs that would leave none', async () => {
+      const [room] = await setupTestRooms(testUser.id, 1);
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+
+      const legacyConfig = (hasGlass) => ({
+        rooms: [{
+          id: room.id,
+          roomType: 'bedroom',
+          customName: 'Test Room 1',
+          hasGlass,
+          sortOrder: 1,
+          isActive: true
+        }]
+      });
+
+      await roomService.updateRoom(room.id, testUser.id, { pillars: ['glass', 'floor'] });
+      await taskProgressService.stagePendingChanges(testUser.id, legacyConfig(false));
+      const pending = await taskProgressService.getPendingChanges(testUser.id);
+      expect(pending.rooms[0]).toMatchObject({ pillars: ['floor'], hasGlass: false });
+
+      await roomService.updateRoom(room.id, testUser.id, { pillars: ['glass'] });
+      await expect(
+        taskProgressService.stagePendingChanges(testUser.id, legacyConfig(false))
+      ).rejects.toThrow('Invalid configuration data: pillars must include at least one pillar type');
+    });
+
+    test('should reset the other room weight to 1 when a staged config sets one', async () => {
+      const [room] = await setupTestRooms(testUser.id, 1);
+      await roomService.updateRoom(room.id, testUser.id, { cycleInterval: 3 });
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+
+      await taskProgressService.stagePendingChanges(testUser.id, {
+        rooms: [{
+          id: room.id,
+          roomType: 'bedroom',
+          customName: 'Test Room 1',
+          hasGlass: false,
+          sortOrder: 1,
+          isActive: true,
+          visitsPerCycle: 2
+        }]
+      });
+      await taskProgressService.applyPendingConfigChanges(testUser.id);
+
+      const updated = await prisma.user_rooms.findUnique({ where: { id: room.id } });
+      expect(updated).toMatchObject({ visits_per_cycle: 2, cycle_interval: 1 });
+    });
+  });
+
+  describe('stagePendingChanges keystone frequency', () => {
+    test('should clear a frequency staged as null and keep one left out', async () => {
+      await setupTestRooms(testUser.id, 1);
+      const [dishes, fridge] = await keystoneService.initializeCustomKeystones(testUser.id, [
+        { task_type: 'dishes', is_active: true },
+        { task_type: 'fridge', is_active: true }
+      ]);
+      await keystoneService.updateKeystone(dishes.id, testUser.id, { frequencyDays: 14 });
+      await keystoneService.updateKeystone(fridge.id, testUser.id, { frequencyDays: 7 });
+      await taskGenerationService.generateRotation(testUser.id);
+      await taskProgressService.getCurrentTask(testUser.id);
+
+      await taskProgressService.stagePendingChanges(testUser.id, {
+        keystones: [
+          { id: dishes.id, taskType: 'dishes', isActive: true, sortOrder: 1, frequencyDays: null },
+          { id: fridge.id, taskType: 'fridge', isActive: true, sortOrder: 2 }
+        ]
+      });
+      await taskProgressService.applyPendingConfigChanges(testUser.id);
+
+      const keystones = await prisma.user_keystone_tasks.findMany({ where: { user_id: testUser.id } });
+      expect(keystones.find(k => k.id === dishes.id).frequency_days).toBeNull();
+      expect(keystones.find(k => k.id === fridge.id).frequency_days).toBe(7);
+    });
   });
 
   describe('getPendingChanges', () => {
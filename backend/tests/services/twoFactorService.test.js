@@ -0,0 +1,131 @@
+/**
+ * TwoFactorService Unit Tests
+ *
+ * Tests for TOTP two-factor authentication including:
+ * - Enrolment with a pending secret confirmed by a first code
+ * - Recovery codes that work once each
+ * - Rejecting a TOTP code replayed within its time step
+ * - Disabling with a current code
+ */
+
+const { prisma } = require('../../src/config/prisma');
+const TwoFactorService = require('../../src/services/twoFactorService');
+const { generateCode, getTimeStep } = require('../../src/utils/totp');
+const { createTestUser, cleanupTestData } = require('../utils/testHelpers');
+
+// Load setup
+require('../setup');
+
+describe('TwoFactorService Unit Tests', () => {
+  let twoFactorService;
+  let testUser;
+
+  beforeAll(() => {
+    twoFactorService = new TwoFactorService();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestData();
+    testUser = await createTestUser();
+  });
+
+  /**
+   * Enrol the test user and return the secret and recovery codes
+   */
+  async function enrol() {
+    const { secret } = await twoFactorService.beginSetup(testUser.id);
+    const recoveryCodes = await twoFactorService.enable(testUser.id, generateCode(secret, getTimeStep()));
+    return { secret, recoveryCodes };
+  }
+
+  describe('beginSetup and enable', () => {
+    test('should return an otpauth URI and QR code without enabling yet', async () => {
+      const setup = await twoFactorService.beginSetup(testUser.id);
+
+      expect(setup.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(setup.otpauth_url).toMatch(/^otpauth:\/\/totp\/CleanStreak%3A/);
+      expect(setup.otpauth_url).toContain(`secret=${setup.secret}`);
+      expect(setup.qr_code).toMatch(/^data:image\/svg\+xml;base64,/);
+
+      const status = await twoFactorService.getStatus(testUser.id);
+      expect(status.enabled).toBe(false);
+    });
+
+    test('should enable with a valid code and issue ten recovery codes', async () => {
+      const { recoveryCodes } = await enrol();
+
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+
+      const stored = await prisma.two_factor_recovery_codes.findMany({ where: { user_id: testUser.id } });
+      expect(stored).toHaveLength(10);
+      expect(stored.map(row => row.code_hash)).not.toContain(recoveryCodes[0]);
+
+      const status = await twoFactorService.getStatus(testUser.id);
+      expect(status.enabled).toBe(true);
+      expect(status.recovery_codes_remaining).toBe(10);
+    });
+
+    test('should reject a wrong confirmation code', async () => {
+      await twoFactorService.beginSetup(testUser.id);
+
+      await expect(
+        twoFactorService.enable(testUser.id, '000000')
+      ).rejects.toThrow('Invalid verification code');
+    });
+
+    test('should refuse to enable before setup or set up twice', async () => {
+      await expect(
+        twoFactorService.enable(testUser.id, '123456')
+      ).rejects.toThrow('Two-factor setup has not been started');
+
+      await enrol();
+
+      await expect(
+        twoFactorService.beginSetup(testUser.id)
+      ).rejects.toThrow('Two-factor authentication is already enabled');
+    });
+  });
+
+  describe('verify', () => {
+    test('should accept the next code but not the same time step twice', async () => {
+      const { secret } = await enrol();
+      const nextCode = generateCode(secret, getTimeStep() + 1);
+
+      const result = await twoFactorService.verify(testUser.id, { code: nextCode });
+      expect(result.method).toBe('totp');
+
+      await expect(
+        twoFactorService.verify(testUser.id, { code: nextCode })
+      ).rejects.toThrow('Invalid verification code');
+    });
+
+    test('should accept each recovery code once, ignoring case and the dash', async () => {
+      const { recoveryCodes } = await enrol();
+      const typed = recoveryCodes[0].toLowerCase().replace('-', '');
+
+      const result = await twoFactorService.verify(testUser.id, { recoveryCode: typed });
+      expect(result.method).toBe('recovery_code');
+      expect(result.recovery_codes_remaining).toBe(9);
+
+      await expect(
+        twoFactorService.verify(testUser.id, { recoveryCode: recoveryCodes[0] })
+      ).rejects.toThrow('Invalid recovery code');
+    });
+  });
+
+  describe('disable', () => {
+    test('should clear the secret and recovery codes', async () => {
+      const { secret } = await enrol();
+
+      await twoFactorService.disable(testUser.id, { code: generateCode(secret, getTimeStep() + 1) });
+
+      const user = await prisma.users.findUnique({ where: { id: testUser.id } });
+      expect(user.totp_secret).toBeNull();
+      expect(user.totp_enabled_at).toBeNull();
+
+      const remaining = await prisma.two_factor_recovery_codes.count({ where: { user_id: testUser.id } });
+      expect(remaining).toBe(0);
+    });
+  });
+});
@@ -81,10 +81,23 @@ beforeEach(async () => {
     await prisma.user_task_progress.deleteMany({});
     await prisma.pending_room_configs.deleteMany({});
     await prisma.user_keystone_tasks.deleteMany({});
+    await prisma.deep_clean_completions.deleteMany({});
+    await prisma.user_deep_clean_tasks.deleteMany({});
+    await prisma.room_task_templates.deleteMany({});
     await prisma.user_rooms.deleteMany({});
+    await prisma.custom_room_types.deleteMany({});
+    await prisma.household_members.deleteMany({});
+    await prisma.households.deleteMany({});
+    await prisma.task_deferrals.deleteMany({});
+    await prisma.rotation_advances.deleteMany({});
+    await prisma.push_subscriptions.deleteMany({});
+    await prisma.superseded_refresh_tokens.deleteMany({});
+    await prisma.two_factor_recovery_codes.deleteMany({});
+    await prisma.two_factor_challenges.deleteMany({});
 
     // Clean up existing tables
     await prisma.completion_history.deleteMany({});
+    await prisma.streak_freeze_events.deleteMany({});
     await prisma.user_streaks.deleteMany({});
     await prisma.user_sessions.deleteMany({});
     await prisma.users.deleteMany({});
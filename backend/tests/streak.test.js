@@ -508,6 +508,250 @@ describe('Streak Management Integration Tests', () => {
 
   });
 
+  describe('Timezone-aware Day Boundaries', () => {
+
+    test('should treat completions as the same day in the user timezone', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await prisma.users.update({ where: { id: user.id }, data: { timezone: 'Asia/Tokyo' } });
+
+      // 23:30 UTC and 01:00 UTC the next day are both the same Tokyo morning
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Tokyo task', completionDate: `${getDateDaysAgo(3)}T23:30:00Z` })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Tokyo task', completionDate: `${getDateDaysAgo(2)}T01:00:00Z` })
+        .expect(409);
+
+      expect(response.body).toHaveProperty('code', 'TASK_ALREADY_COMPLETED');
+    });
+
+    test('should continue a streak across local midnight', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await prisma.users.update({ where: { id: user.id }, data: { timezone: 'Asia/Tokyo' } });
+
+      // 14:00 UTC is 23:00 in Tokyo; 16:00 UTC is 01:00 the next Tokyo day
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Late night task', completionDate: `${getDateDaysAgo(3)}T14:00:00Z` })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Late night task', completionDate: `${getDateDaysAgo(3)}T16:00:00Z` })
+        .expect(201);
+
+      expect(response.body.streak.current_streak).toBe(2);
+    });
+
+    test('should group history by local date', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await prisma.users.update({ where: { id: user.id }, data: { timezone: 'Asia/Tokyo' } });
+
+      const day = getDateDaysAgo(3);
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'History task', completionDate: `${day}T16:00:00Z` })
+        .expect(201);
+
+      const nextTokyoDay = getISODate(new Date(new Date(`${day}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000));
+
+      const response = await request(app)
+        .get(`/api/user/history?startDate=${nextTokyoDay}&endDate=${nextTokyoDay}`)
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.timezone).toBe('Asia/Tokyo');
+      expect(response.body.history).toHaveLength(1);
+      expect(response.body.history[0].local_date).toBe(nextTokyoDay);
+    });
+
+  });
+
+  describe('Streak Freezes', () => {
+
+    test('should earn a freeze after seven consecutive days', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, {
+        task_name: 'Freeze task',
+        current_streak: 6,
+        best_streak: 6,
+        last_completed: new Date(getYesterdayDate())
+      });
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Freeze task', completionDate: getISODate() })
+        .expect(201);
+
+      expect(response.body.streak.current_streak).toBe(7);
+      expect(response.body.streak.freeze_earned).toBe(true);
+      expect(response.body.streak.freezes_available).toBe(1);
+
+      const events = await prisma.streak_freeze_events.findMany({ where: { user_id: user.id } });
+      expect(events).toHaveLength(1);
+      expect(events[0].event_type).toBe('earned');
+    });
+
+    test('should spend a freeze to cover a missed day', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, {
+        task_name: 'Freeze task',
+        current_streak: 5,
+        best_streak: 5,
+        last_completed: new Date(getDateDaysAgo(2)),
+        freezes_available: 1
+      });
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Freeze task', completionDate: getISODate() })
+        .expect(201);
+
+      expect(response.body.streak.current_streak).toBe(6);
+      expect(response.body.streak.freeze_used_for_days).toEqual([getYesterdayDate()]);
+
+      const streak = await prisma.user_streaks.findFirst({ where: { user_id: user.id, task_name: 'Freeze task' } });
+      expect(streak.freezes_available).toBe(0);
+      expect(streak.freezes_used).toBe(1);
+
+      const events = await prisma.streak_freeze_events.findMany({ where: { user_id: user.id } });
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ event_type: 'used', covered_date: getYesterdayDate() });
+    });
+
+    test('should take back freezes when the completion is undone', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, {
+        task_name: 'Freeze task',
+        current_streak: 6,
+        best_streak: 6,
+        last_completed: new Date(getDateDaysAgo(2)),
+        freezes_available: 1
+      });
+      await createTestCompletions(user.id, [
+        { task_name: 'Freeze task', completed_date: new Date(getDateDaysAgo(2)) }
+      ]);
+
+      // Covers yesterday with the banked freeze and earns one for reaching seven days
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Freeze task', completionDate: getISODate() })
+        .expect(201);
+
+      expect(response.body.streak.freeze_used_for_days).toEqual([getYesterdayDate()]);
+      expect(response.body.streak.freeze_earned).toBe(true);
+
+      await request(app)
+        .delete(`/api/user/completion/${response.body.completion.id}`)
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      const streak = await prisma.user_streaks.findFirst({ where: { user_id: user.id, task_name: 'Freeze task' } });
+      expect(streak).toMatchObject({ freezes_available: 1, freezes_earned: 0, freezes_used: 0 });
+      expect(await prisma.streak_freeze_events.count({ where: { user_id: user.id } })).toBe(0);
+    });
+
+    test('should reset the streak when the gap exceeds banked freezes', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, {
+        task_name: 'Freeze task',
+        current_streak: 5,
+        best_streak: 5,
+        last_completed: new Date(getDateDaysAgo(3)),
+        freezes_available: 1
+      });
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Freeze task', completionDate: getISODate() })
+        .expect(201);
+
+      expect(response.body.streak.current_streak).toBe(1);
+      expect(response.body.streak.freezes_available).toBe(1);
+      expect(await prisma.streak_freeze_events.count({ where: { user_id: user.id } })).toBe(0);
+    });
+
+    test('should report freezes in streaks and stats', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, { task_name: 'Freeze task', freezes_available: 2 });
+
+      const streaksResponse = await request(app)
+        .get('/api/user/streaks')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(streaksResponse.body.streaks.freezes_available).toBe(2);
+
+      const statsResponse = await request(app)
+        .get('/api/user/stats')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(statsResponse.body.stats).toHaveProperty('freezes_available', 2);
+      expect(statsResponse.body.stats).toHaveProperty('freezes_used', 0);
+    });
+
+  });
+
+  describe('Vacation Pauses', () => {
+
+    test('should keep the streak across paused days without spending freezes', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestStreak(user.id, {
+        task_name: 'Pause task',
+        current_streak: 5,
+        best_streak: 5,
+        last_completed: new Date(getDateDaysAgo(3)),
+        freezes_available: 0
+      });
+      await prisma.user_pauses.create({
+        data: { user_id: user.id, start_date: getDateDaysAgo(2), end_date: getYesterdayDate() }
+      });
+
+      const response = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(accessToken))
+        .send({ taskName: 'Pause task', completionDate: getISODate() })
+        .expect(201);
+
+      expect(response.body.streak.current_streak).toBe(6);
+      expect(response.body.streak.freeze_used_for_days).toEqual([]);
+    });
+
+    test('should leave paused days out of missed days and the completion rate', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await createTestCompletions(user.id, [
+        { completed_date: new Date(getDateDaysAgo(3)) },
+        { completed_date: new Date(getISODate()) }
+      ]);
+      await prisma.user_pauses.create({
+        data: { user_id: user.id, start_date: getYesterdayDate(), end_date: getYesterdayDate() }
+      });
+
+      const response = await request(app)
+        .get('/api/user/stats')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.stats.missed_days).toBe(1);
+      expect(response.body.stats.paused_days).toBe(1);
+      expect(response.body.stats.completion_rate).toBeCloseTo(2 / 3);
+    });
+
+  });
+
   describe('Data Integrity Tests', () => {
 
     test('should maintain referential integrity on completion', async () => {
@@ -7,6 +7,11 @@
  * - History retrieval with pagination and filtering
  * - Data export functionality
  * - Account deletion with data cleanup
+ * - Listing and revoking signed-in devices
+ * - Personal API tokens and their scopes
+ * - Changing the account email
+ * - Security event history
+ * - Vacation pauses
  * - Edge cases and error handling
  *
  * Target: Complete API endpoint testing with edge cases
@@ -20,6 +25,8 @@ const {
   createCompleteTestUser,
   createTestStreak,
   createTestCompletions,
+  createTestUser,
+  extractCookies,
   getAuthHeader,
   getISODate,
   getDateDaysAgo,
@@ -62,6 +69,68 @@ describe('User API Integration Tests', () => {
 
   });
 
+  describe('PUT /api/user/profile - Update Timezone', () => {
+
+    test('should store a valid IANA timezone', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .put('/api/user/profile')
+        .set(getAuthHeader(accessToken))
+        .send({ timezone: 'Asia/Tokyo' })
+        .expect(200);
+
+      expect(response.body.user).toHaveProperty('timezone', 'Asia/Tokyo');
+
+      const updatedUser = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(updatedUser.timezone).toBe('Asia/Tokyo');
+    });
+
+    test('should reject an unknown timezone', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .put('/api/user/profile')
+        .set(getAuthHeader(accessToken))
+        .send({ timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('code', 'INVALID_TIMEZONE');
+    });
+
+    test('should recalculate existing streaks when the timezone changes', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      // Consecutive days in UTC, but the same morning in Tokyo
+      for (const completionDate of [`${getDateDaysAgo(3)}T23:30:00Z`, `${getDateDaysAgo(2)}T00:30:00Z`]) {
+        await request(app)
+          .post('/api/user/complete')
+          .set(getAuthHeader(accessToken))
+          .send({ taskName: 'Timezone task', completionDate })
+          .expect(201);
+      }
+
+      let streak = await prisma.user_streaks.findFirst({
+        where: { user_id: user.id, task_name: 'Timezone task' }
+      });
+      expect(streak.best_streak).toBe(2);
+
+      const response = await request(app)
+        .put('/api/user/profile')
+        .set(getAuthHeader(accessToken))
+        .send({ timezone: 'Asia/Tokyo' })
+        .expect(200);
+
+      expect(response.body.streaks_recalculated).toBe(1);
+
+      streak = await prisma.user_streaks.findFirst({
+        where: { user_id: user.id, task_name: 'Timezone task' }
+      });
+      expect(streak.best_streak).toBe(1);
+    });
+
+  });
+
   describe('GET /api/user/account - Get Account Summary', () => {
 
     test('should retrieve account summary with streak data', async () => {
@@ -373,6 +442,566 @@ describe('User API Integration Tests', () => {
 
   });
 
+  describe('GET/DELETE /api/user/sessions - Device Sessions', () => {
+
+    const PHONE_UA = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36';
+    const LAPTOP_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15';
+
+    async function loginFrom(user, userAgent) {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+
+      return extractCookies(response).accessToken;
+    }
+
+    test('should list each device with a readable label and mark the current one', async () => {
+      const user = await createTestUser({ password: 'TestPass123!' });
+      await loginFrom(user, PHONE_UA);
+      const laptopToken = await loginFrom(user, LAPTOP_UA);
+
+      const response = await request(app)
+        .get('/api/user/sessions')
+        .set(getAuthHeader(laptopToken))
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+      expect(response.body.sessions[0].current).toBe(true);
+      expect(response.body.sessions[0].device.label).toBe('Safari on macOS');
+      expect(response.body.sessions[1].current).toBe(false);
+      expect(response.body.sessions[1].device.label).toBe('Chrome on Android');
+      expect(response.body.sessions[1].device.device_type).toBe('mobile');
+    });
+
+    test('should sign out a single device without affecting the others', async () => {
+      const user = await createTestUser({ password: 'TestPass123!' });
+      const phoneToken = await loginFrom(user, PHONE_UA);
+      const laptopToken = await loginFrom(user, LAPTOP_UA);
+
+      const listResponse = await request(app)
+        .get('/api/user/sessions')
+        .set(getAuthHeader(laptopToken))
+        .expect(200);
+      const phoneSession = listResponse.body.sessions.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/user/sessions/${phoneSession.id}`)
+        .set(getAuthHeader(laptopToken))
+        .expect(200);
+
+      // The phone's access token stops working immediately
+      const phoneResponse = await request(app)
+        .get('/api/user/profile')
+        .set(getAuthHeader(phoneToken))
+        .expect(401);
+      expect(phoneResponse.body.code).toBe('SESSION_REVOKED');
+
+      // The laptop stays signed in
+      await request(app)
+        .get('/api/user/profile')
+        .set(getAuthHeader(laptopToken))
+        .expect(200);
+    });
+
+    test('should refuse to revoke the current session', async () => {
+      const user = await createTestUser({ password: 'TestPass123!' });
+      const token = await loginFrom(user, LAPTOP_UA);
+
+      const listResponse = await request(app)
+        .get('/api/user/sessions')
+        .set(getAuthHeader(token))
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/user/sessions/${listResponse.body.sessions[0].id}`)
+        .set(getAuthHeader(token))
+        .expect(400);
+
+      expect(response.body.code).toBe('CURRENT_SESSION');
+    });
+
+    test('should not revoke another user\'s session', async () => {
+      const owner = await createTestUser({ password: 'TestPass123!' });
+      await loginFrom(owner, PHONE_UA);
+      const ownerSession = await prisma.user_sessions.findFirst({
+        where: { user_id: owner.id, is_active: true }
+      });
+
+      const other = await createAuthenticatedUser();
+
+      await request(app)
+        .delete(`/api/user/sessions/${ownerSession.id}`)
+        .set(getAuthHeader(other.accessToken))
+        .expect(404);
+    });
+
+  });
+
+  describe('GET/POST/DELETE /api/user/tokens - Personal API Tokens', () => {
+
+    /**
+     * Create an API token through the API
+     */
+    async function createApiToken(accessToken, scopes) {
+      const response = await request(app)
+        .post('/api/user/tokens')
+        .set(getAuthHeader(accessToken))
+        .send({ name: 'Home Assistant', scopes })
+        .expect(201);
+      return response.body;
+    }
+
+    test('should create a token that is only shown once', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      const created = await createApiToken(accessToken, ['write:completions']);
+      expect(created.token).toMatch(/^cs_pat_[a-f0-9]{64}$/);
+      expect(created.api_token.scopes).toEqual(['write:completions']);
+
+      const listResponse = await request(app)
+        .get('/api/user/tokens')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(listResponse.body.tokens).toHaveLength(1);
+      expect(listResponse.body.tokens[0]).not.toHaveProperty('token');
+      expect(listResponse.body.tokens[0]).not.toHaveProperty('token_hash');
+      expect(listResponse.body.available_scopes).toEqual(['read:tasks', 'write:completions', 'read:stats']);
+    });
+
+    test('should complete a task with a write:completions token', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+      const { token } = await createApiToken(accessToken, ['write:completions']);
+
+      await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(token))
+        .send({ taskName: 'Button press task', completionDate: getISODate() })
+        .expect(201);
+    });
+
+    test('should refuse endpoints outside the token\'s scopes', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+      const { token } = await createApiToken(accessToken, ['read:stats']);
+
+      await request(app)
+        .get('/api/user/stats')
+        .set(getAuthHeader(token))
+        .expect(200);
+
+      const scopeResponse = await request(app)
+        .post('/api/user/complete')
+        .set(getAuthHeader(token))
+        .send({ taskName: 'Not allowed', completionDate: getISODate() })
+        .expect(403);
+      expect(scopeResponse.body.code).toBe('INSUFFICIENT_SCOPE');
+
+      // Account management always needs a signed-in session
+      const routeResponse = await request(app)
+        .get('/api/user/tokens')
+        .set(getAuthHeader(token))
+        .expect(403);
+      expect(routeResponse.body.code).toBe('API_TOKEN_NOT_ALLOWED');
+    });
+
+    test('should stop accepting a revoked token', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+      const { token, api_token: apiToken } = await createApiToken(accessToken, ['read:stats']);
+
+      await request(app)
+        .delete(`/api/user/tokens/${apiToken.id}`)
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      await request(app)
+        .get('/api/user/stats')
+        .set(getAuthHeader(token))
+        .expect(401);
+    });
+
+    test('should reject unknown scopes', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/user/tokens')
+        .set(getAuthHeader(accessToken))
+        .send({ name: 'Script', scopes: ['admin'] })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_TOKEN_REQUEST');
+    });
+
+  });
+
+  describe('POST /api/user/change-email - Change Email', () => {
+    const emailService = require('../src/services/emailService');
+    let verificationSpy;
+    let noticeSpy;
+
+    beforeEach(() => {
+      verificationSpy = jest.spyOn(emailService, 'sendEmailChangeVerificationEmail').mockResolvedValue({ id: 'test' });
+      noticeSpy = jest.spyOn(emailService, 'sendEmailChangeNoticeEmail').mockResolvedValue({ id: 'test' });
+    });
+
+    afterEach(() => {
+      verificationSpy.mockRestore();
+      noticeSpy.mockRestore();
+    });
+
+    test('should email the new address and notify the old one', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: user.password, newEmail: 'moved@example.com' })
+        .expect(200);
+
+      expect(response.body.pending_email).toBe('moved@example.com');
+      expect(response.body).toHaveProperty('expires_at');
+      expect(verificationSpy).toHaveBeenCalledWith('moved@example.com', expect.stringMatching(/^[a-f0-9]{64}$/));
+      expect(noticeSpy).toHaveBeenCalledWith(user.email, 'moved@example.com');
+
+      // The account keeps its old email until the link is followed
+      const summary = await request(app)
+        .get('/api/user/account')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+      expect(summary.body.account.user.email).toBe(user.email);
+      expect(summary.body.account.user.pendingEmail.newEmail).toBe('moved@example.com');
+    });
+
+    test('should switch the email and sign out after confirmation', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: user.password, newEmail: 'moved@example.com' })
+        .expect(200);
+      const token = verificationSpy.mock.calls[0][1];
+
+      const response = await request(app)
+        .post('/api/auth/confirm-email-change')
+        .send({ token })
+        .expect(200);
+      expect(response.body.email).toBe('moved@example.com');
+
+      // Old access tokens no longer work
+      await request(app)
+        .get('/api/user/profile')
+        .set(getAuthHeader(accessToken))
+        .expect(401);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'moved@example.com', password: user.password })
+        .expect(200);
+
+      const exportResponse = await request(app)
+        .get('/api/user/export')
+        .set(getAuthHeader(extractCookies(loginResponse).accessToken))
+        .expect(200);
+      expect(exportResponse.body.emailChanges).toHaveLength(1);
+      expect(exportResponse.body.emailChanges[0]).toMatchObject({
+        oldEmail: user.email,
+        newEmail: 'moved@example.com'
+      });
+    });
+
+    test('should reject a wrong current password', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: 'WrongPass123!', newEmail: 'moved@example.com' })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_CURRENT_PASSWORD');
+      expect(verificationSpy).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid or non-string address without sending mail', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      for (const newEmail of ['not-an-email', ['moved@example.com']]) {
+        const response = await request(app)
+          .post('/api/user/change-email')
+          .set(getAuthHeader(accessToken))
+          .send({ currentPassword: user.password, newEmail })
+          .expect(400);
+
+        expect(response.body.code).toBe('INVALID_EMAIL');
+      }
+      expect(verificationSpy).not.toHaveBeenCalled();
+    });
+
+    test('should reject an address that is already registered', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      const otherUser = await createTestUser();
+
+      const response = await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: user.password, newEmail: otherUser.email })
+        .expect(409);
+
+      expect(response.body.code).toBe('EMAIL_IN_USE');
+    });
+
+    test('should void reset and sign-in links sent to the old address', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      const resetToken = await emailService.generatePasswordResetToken(user.id);
+      const magicToken = await emailService.generateMagicLinkToken(user.id);
+      const { password_hash: passwordHash } = await prisma.users.findUnique({ where: { id: user.id } });
+
+      await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: user.password, newEmail: 'moved@example.com' })
+        .expect(200);
+      const token = verificationSpy.mock.calls[0][1];
+      await request(app).post('/api/auth/confirm-email-change').send({ token }).expect(200);
+
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'NewSecure456!@#', confirmPassword: 'NewSecure456!@#' })
+        .expect(400);
+      expect(reset.body.error).toBe('Invalid token');
+
+      const magicLink = await request(app)
+        .get('/api/auth/magic-link/verify')
+        .query({ token: magicToken })
+        .expect(400);
+      expect(magicLink.body.error).toBe('Invalid token');
+
+      const unchanged = await prisma.users.findUnique({ where: { id: user.id } });
+      expect(unchanged.password_hash).toBe(passwordHash);
+    });
+
+    test('should reject a reused confirmation token', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+
+      await request(app)
+        .post('/api/user/change-email')
+        .set(getAuthHeader(accessToken))
+        .send({ currentPassword: user.password, newEmail: 'moved@example.com' })
+        .expect(200);
+      const token = verificationSpy.mock.calls[0][1];
+
+      await request(app).post('/api/auth/confirm-email-change').send({ token }).expect(200);
+      await request(app).post('/api/auth/confirm-email-change').send({ token }).expect(400);
+    });
+
+  });
+
+  describe('GET /api/user/security-events - Security Events', () => {
+
+    const PHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+    test('should record sign-ins and failed logins with device and outcome', async () => {
+      const user = await createTestUser({ password: 'TestPass123!' });
+
+      await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', PHONE_UA)
+        .send({ email: user.email, password: 'WrongPass123!' })
+        .expect(401);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', PHONE_UA)
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+      const { accessToken } = extractCookies(loginResponse);
+
+      const response = await request(app)
+        .get('/api/user/security-events')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.events).toHaveLength(2);
+
+      const [success, failure] = response.body.events;
+      expect(success.event_type).toBe('login');
+      expect(success.outcome).toBe('success');
+      expect(success.metadata.method).toBe('password');
+      expect(success.device.label).toBe('Safari on iOS');
+      expect(success.ip_address).toBeTruthy();
+
+      expect(failure.event_type).toBe('login');
+      expect(failure.outcome).toBe('failure');
+      expect(failure.metadata.reason).toBe('invalid_password');
+    });
+
+    test('should paginate newest first and only show the user\'s own events', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      const other = await createTestUser();
+
+      for (const eventType of ['password_changed', 'session_revoked', 'data_exported']) {
+        await prisma.audit_events.create({ data: { user_id: user.id, event_type: eventType } });
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      await prisma.audit_events.create({ data: { user_id: other.id, event_type: 'login' } });
+
+      const response = await request(app)
+        .get('/api/user/security-events?limit=2')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.events.map(event => event.event_type)).toEqual(['data_exported', 'session_revoked']);
+      expect(response.body.pagination).toEqual({ total: 3, limit: 2, offset: 0, hasMore: true });
+
+      const nextPage = await request(app)
+        .get('/api/user/security-events?limit=2&offset=2')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(nextPage.body.events.map(event => event.event_type)).toEqual(['password_changed']);
+      expect(nextPage.body.pagination.hasMore).toBe(false);
+    });
+
+    test('should include security events in the data export', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await prisma.audit_events.create({
+        data: { user_id: user.id, event_type: 'password_changed', ip_address: '203.0.113.9' }
+      });
+
+      const response = await request(app)
+        .get('/api/user/export')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.securityEvents).toHaveLength(1);
+      expect(response.body.securityEvents[0]).toMatchObject({
+        eventType: 'password_changed',
+        outcome: 'success',
+        ipAddress: '203.0.113.9'
+      });
+
+      // The export itself is recorded
+      const exports = await prisma.audit_events.count({ where: { user_id: user.id, event_type: 'data_exported' } });
+      expect(exports).toBe(1);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .get('/api/user/security-events')
+        .expect(401);
+    });
+
+  });
+
+  describe('POST/DELETE /api/user/pause - Vacation Pause', () => {
+
+    const IN_THREE_DAYS = getISODate(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000));
+
+    test('should pause the current task until the pause ends', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+      await request(app)
+        .post('/api/rooms')
+        .set(getAuthHeader(accessToken))
+        .send({ roomType: 'kitchen', customName: 'Kitchen', hasGlass: true })
+        .expect(201);
+
+      const pauseResponse = await request(app)
+        .post('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .send({ endDate: IN_THREE_DAYS, reason: 'Beach week' })
+        .expect(201);
+
+      expect(pauseResponse.body.pause).toMatchObject({
+        start_date: getISODate(),
+        end_date: IN_THREE_DAYS,
+        reason: 'Beach week',
+        status: 'active'
+      });
+
+      const pausedTask = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(pausedTask.body.paused).toBe(true);
+      expect(pausedTask.body.task).toBeNull();
+      expect(pausedTask.body.pause.end_date).toBe(IN_THREE_DAYS);
+
+      const endResponse = await request(app)
+        .delete('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(endResponse.body.pause.status).toBe('ended');
+      expect(endResponse.body.pause.end_date).toBe(getDateDaysAgo(1));
+
+      const currentTask = await request(app)
+        .get('/api/tasks/current')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(currentTask.body.paused).toBeUndefined();
+      expect(currentTask.body.task).toBeTruthy();
+    });
+
+    test('should reject overlapping pauses and pauses starting in the past', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      await request(app)
+        .post('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .send({ endDate: IN_THREE_DAYS })
+        .expect(201);
+
+      const conflict = await request(app)
+        .post('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .send({ startDate: IN_THREE_DAYS, endDate: IN_THREE_DAYS })
+        .expect(409);
+      expect(conflict.body.code).toBe('PAUSE_ALREADY_EXISTS');
+
+      const past = await request(app)
+        .post('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .send({ startDate: getDateDaysAgo(2), endDate: IN_THREE_DAYS })
+        .expect(400);
+      expect(past.body.code).toBe('INVALID_PAUSE_REQUEST');
+    });
+
+    test('should return 404 when there is no pause to end', async () => {
+      const { accessToken } = await createAuthenticatedUser();
+
+      const response = await request(app)
+        .delete('/api/user/pause')
+        .set(getAuthHeader(accessToken))
+        .expect(404);
+
+      expect(response.body.code).toBe('PAUSE_NOT_FOUND');
+    });
+
+    test('should include pause history in the data export', async () => {
+      const { user, accessToken } = await createAuthenticatedUser();
+      await prisma.user_pauses.create({
+        data: { user_id: user.id, start_date: getDateDaysAgo(10), end_date: getDateDaysAgo(5), reason: 'Trip' }
+      });
+
+      const response = await request(app)
+        .get('/api/user/export')
+        .set(getAuthHeader(accessToken))
+        .expect(200);
+
+      expect(response.body.pauses).toHaveLength(1);
+      expect(response.body.pauses[0]).toMatchObject({
+        startDate: getDateDaysAgo(10),
+        endDate: getDateDaysAgo(5),
+        reason: 'Trip'
+      });
+    });
+
+  });
+
   describe('Edge Cases and Error Handling', () => {
 
     test('should handle requests with invalid authentication token', async () => {
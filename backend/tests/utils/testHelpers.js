@@ -125,7 +125,8 @@ async function createTestStreak(userId, streakData = {}) {
     task_name: 'default-task',
     current_streak: 5,
     best_streak: 10,
-    last_completed: new Date()
+    last_completed: new Date(),
+    freezes_available: 0
   };
 
   const data = { ...defaultData, ...streakData };
@@ -148,6 +149,7 @@ async function createTestStreak(userId, streakData = {}) {
       current_streak: data.current_streak,
       best_streak: data.best_streak,
       last_completed: data.last_completed,
+      freezes_available: data.freezes_available,
       created_at: new Date(),
       updated_at: new Date()
     }
@@ -305,6 +307,10 @@ function extractCookies(response) {
       const match = cookie.match(/refreshToken=([^;]+)/);
       if (match) cookies.refreshToken = match[1];
     }
+    if (cookie.includes('csrfToken=')) {
+      const match = cookie.match(/csrfToken=([^;]+)/);
+      if (match) cookies.csrfToken = match[1];
+    }
   });
 
   return cookies;
@@ -399,10 +405,25 @@ async function cleanupTestData() {
   await prisma.user_task_progress.deleteMany({});
   await prisma.pending_room_configs.deleteMany({});
   await prisma.user_keystone_tasks.deleteMany({});
+  await prisma.deep_clean_completions.deleteMany({});
+  await prisma.user_deep_clean_tasks.deleteMany({});
+  await prisma.room_task_templates.deleteMany({});
   await prisma.user_rooms.deleteMany({});
+  await prisma.custom_room_types.deleteMany({});
+  await prisma.household_members.deleteMany({});
+  await prisma.households.deleteMany({});
+  await prisma.task_deferrals.deleteMany({});
+  await prisma.rotation_advances.deleteMany({});
+  await prisma.push_subscriptions.deleteMany({});
+  await prisma.superseded_refresh_tokens.deleteMany({});
+  await prisma.two_factor_recovery_codes.deleteMany({});
+  await prisma.two_factor_challenges.deleteMany({});
+  // Audit events outlive their user, so they aren't removed with it
+  await prisma.audit_events.deleteMany({});
 
   // Clean up existing tables
   await prisma.completion_history.deleteMany({});
+  await prisma.streak_freeze_events.deleteMany({});
   await prisma.user_streaks.deleteMany({});
   await prisma.user_sessions.deleteMany({});
   await prisma.users.deleteMany({});
@@ -0,0 +1,39 @@
+/**
+ * CleanStreak service worker
+ *
+ * Shows the daily task reminder sent by the backend's push scheduler and
+ * brings the app to the front when the notification is clicked.
+ */
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'CleanStreak', {
+            body: data.body || 'Time for today\'s task',
+            tag: data.tag || 'daily-task',
+            data: { url: data.url || '/app.html' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/app.html', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
+            for (const client of clientList) {
+                if (client.url.startsWith(url) && 'focus' in client) {
+                    return client.focus();
+                }
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});